@@ -1,8 +1,27 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Layout from './components/Layout';
 import BugList from './components/BugList';
 import BugForm from './components/BugForm';
+import BugDetail from './components/BugDetail';
+import LoginForm from './components/LoginForm';
+import NotificationPreferences from './components/NotificationPreferences';
 import ErrorBoundary from './components/ErrorBoundary';
+import FeedbackPortal from './components/FeedbackPortal';
+import ReportTracker from './components/ReportTracker';
+import { authAPI } from './services/api';
+
+/**
+ * Find the public portal page a path points at
+ * These pages are reached by link and work without signing in
+ * @param {string} pathname - window.location.pathname
+ * @returns {Object|null} { page: 'feedback' } or { page: 'track', token }
+ */
+const getPublicPage = (pathname) => {
+  if (/^\/feedback\/?$/.test(pathname)) return { page: 'feedback' };
+
+  const match = pathname.match(/^\/track\/([^/]+)\/?$/);
+  return match ? { page: 'track', token: decodeURIComponent(match[1]) } : null;
+};
 
 /**
  * Main App Component
@@ -12,6 +31,35 @@ import ErrorBoundary from './components/ErrorBoundary';
 const App = () => {
   const [currentView, setCurrentView] = useState('list');
   const [newBugCreated, setNewBugCreated] = useState(null);
+  const [selectedBugId, setSelectedBugId] = useState(null);
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [publicPage] = useState(() => getPublicPage(window.location.pathname));
+
+  // Restore the session from stored tokens on first load
+  useEffect(() => {
+    if (publicPage || !authAPI.hasSession()) {
+      setAuthChecked(true);
+      return;
+    }
+
+    authAPI.getCurrentUser()
+      .then(user => {
+        console.log('👤 Session restored for:', user.username);
+        setCurrentUser(user);
+      })
+      .catch(() => setCurrentUser(null))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  /**
+   * Handle logout
+   */
+  const handleLogout = async () => {
+    await authAPI.logout();
+    setCurrentUser(null);
+    setCurrentView('list');
+  };
 
   /**
    * Handle navigation between views
@@ -32,44 +80,91 @@ const App = () => {
     setCurrentView('list');
   };
 
+  /**
+   * Open the detail view for a bug
+   * @param {Object} bug - Bug selected in the list
+   */
+  const handleSelectBug = (bug) => {
+    setSelectedBugId(bug.key || bug._id);
+    setCurrentView('detail');
+  };
+
   /**
    * Render current view based on state
    * @returns {JSX.Element} Current view component
    */
   const renderCurrentView = () => {
+    if (!currentUser) {
+      return <LoginForm onAuthenticated={setCurrentUser} />;
+    }
+
     switch (currentView) {
       case 'form':
         return (
           <BugForm
+            currentUser={currentUser}
             onBugCreated={handleBugCreated}
             onCancel={() => navigateTo('list')}
           />
         );
+      case 'detail':
+        return (
+          <BugDetail
+            bugId={selectedBugId}
+            currentUser={currentUser}
+            onBack={() => navigateTo('list')}
+          />
+        );
+      case 'settings':
+        return <NotificationPreferences />;
       case 'list':
       default:
-        return <BugList />;
+        return <BugList currentUser={currentUser} onSelectBug={handleSelectBug} />;
     }
   };
 
+  // Customer-facing pages skip the sign-in and the staff layout
+  if (publicPage) {
+    return (
+      <ErrorBoundary>
+        {publicPage.page === 'feedback'
+          ? <FeedbackPortal />
+          : <ReportTracker token={publicPage.token} />}
+      </ErrorBoundary>
+    );
+  }
+
   return (
     <ErrorBoundary>
-      <Layout>
+      <Layout
+        currentUser={currentUser}
+        onLogout={handleLogout}
+        onOpenBug={(bugKey) => handleSelectBug({ key: bugKey })}
+      >
         <div className="app-container">
           {/* Navigation */}
-          <div className="view-navigation">
-            <button
-              onClick={() => navigateTo('list')}
-              className={`nav-button ${currentView === 'list' ? 'active' : ''}`}
-            >
-              📋 Bug List
-            </button>
-            <button
-              onClick={() => navigateTo('form')}
-              className={`nav-button ${currentView === 'form' ? 'active' : ''}`}
-            >
-              ➕ New Bug
-            </button>
-          </div>
+          {currentUser && (
+            <div className="view-navigation">
+              <button
+                onClick={() => navigateTo('list')}
+                className={`nav-button ${currentView === 'list' ? 'active' : ''}`}
+              >
+                📋 Bug List
+              </button>
+              <button
+                onClick={() => navigateTo('form')}
+                className={`nav-button ${currentView === 'form' ? 'active' : ''}`}
+              >
+                ➕ New Bug
+              </button>
+              <button
+                onClick={() => navigateTo('settings')}
+                className={`nav-button ${currentView === 'settings' ? 'active' : ''}`}
+              >
+                ⚙️ Settings
+              </button>
+            </div>
+          )}
 
           {/* Success message for new bug */}
           {newBugCreated && currentView === 'list' && (
@@ -86,7 +181,7 @@ const App = () => {
 
           {/* Main content */}
           <div className="main-content">
-            {renderCurrentView()}
+            {authChecked ? renderCurrentView() : <p>Loading session...</p>}
           </div>
         </div>
 
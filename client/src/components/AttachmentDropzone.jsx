@@ -0,0 +1,186 @@
+import React, { useRef, useState } from 'react';
+import { formatFileSize } from '../utils/attachments';
+
+/**
+ * AttachmentDropzone Component
+ * Drop area and file picker for files that will be uploaded with a bug.
+ * Shows a preview for images and a progress bar while each file uploads.
+ *
+ * @param {Object[]} items - { id, file, previewUrl, progress, status, error }
+ * @param {Function} onAddFiles - Called with the File[] dropped or chosen
+ * @param {Function} onRemove - Called with an item id
+ * @param {boolean} disabled - Lock the list while uploading
+ */
+const AttachmentDropzone = ({ items, onAddFiles, onRemove, disabled }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (disabled) return;
+
+    const files = Array.from(e.dataTransfer?.files || []);
+    if (files.length > 0) onAddFiles(files);
+  };
+
+  const handleChoose = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0) onAddFiles(files);
+    // Allow choosing the same file again after removing it
+    e.target.value = '';
+  };
+
+  return (
+    <div className="attachment-dropzone-wrapper">
+      <div
+        className={`attachment-dropzone ${isDragging ? 'dragging' : ''}`}
+        data-testid="attachment-dropzone"
+        onDragOver={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <span>📎 Drop files here or paste a screenshot, or </span>
+        <button
+          type="button"
+          className="attachment-choose-button"
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled}
+        >
+          choose files
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          multiple
+          onChange={handleChoose}
+          className="attachment-input"
+          aria-label="Choose files"
+          disabled={disabled}
+        />
+      </div>
+
+      {items.length > 0 && (
+        <ul className="attachment-list">
+          {items.map(item => (
+            <li key={item.id} className={`attachment-item ${item.status}`}>
+              {item.previewUrl ? (
+                <img src={item.previewUrl} alt={item.file.name} className="attachment-preview" />
+              ) : (
+                <span className="attachment-icon">📄</span>
+              )}
+              <div className="attachment-info">
+                <span className="attachment-name">{item.file.name}</span>
+                <span className="attachment-size">{formatFileSize(item.file.size)}</span>
+                {item.status !== 'pending' && (
+                  <progress
+                    value={item.progress}
+                    max={100}
+                    aria-label={`Upload progress for ${item.file.name}`}
+                  />
+                )}
+                {item.error && <span className="error-text">{item.error}</span>}
+              </div>
+              {!disabled && (
+                <button
+                  type="button"
+                  className="attachment-remove-button"
+                  onClick={() => onRemove(item.id)}
+                  aria-label={`Remove ${item.file.name}`}
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style>{`
+        .attachment-dropzone {
+          border: 2px dashed #cbd5e0;
+          border-radius: 8px;
+          padding: 1rem;
+          text-align: center;
+          color: #718096;
+          transition: border-color 0.2s ease, background 0.2s ease;
+        }
+
+        .attachment-dropzone.dragging {
+          border-color: #4299e1;
+          background: #ebf8ff;
+        }
+
+        .attachment-choose-button {
+          background: none;
+          border: none;
+          color: #4299e1;
+          cursor: pointer;
+          padding: 0;
+          text-decoration: underline;
+        }
+
+        .attachment-input {
+          display: none;
+        }
+
+        .attachment-list {
+          list-style: none;
+          padding: 0;
+          margin: 0.75rem 0 0;
+        }
+
+        .attachment-item {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.5rem 0;
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .attachment-item.error .attachment-name {
+          color: #e53e3e;
+        }
+
+        .attachment-preview {
+          width: 48px;
+          height: 48px;
+          object-fit: cover;
+          border-radius: 4px;
+        }
+
+        .attachment-icon {
+          width: 48px;
+          text-align: center;
+          font-size: 1.5rem;
+        }
+
+        .attachment-info {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          font-size: 0.875rem;
+        }
+
+        .attachment-size {
+          color: #718096;
+        }
+
+        .attachment-remove-button {
+          background: none;
+          border: none;
+          color: #a0aec0;
+          cursor: pointer;
+          font-size: 1rem;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default AttachmentDropzone;
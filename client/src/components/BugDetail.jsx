@@ -0,0 +1,317 @@
+import React, { useState, useEffect } from 'react';
+import { bugAPI, handleAPIError } from '../services/api';
+import BugRelationships from './BugRelationships';
+import SlaBadge from './SlaBadge';
+import MarkdownView from './MarkdownView';
+import CommentList from './CommentList';
+import CommentBox from './CommentBox';
+import { formatProgress } from '../utils/subtasks';
+import { can } from '../utils/permissions';
+
+/**
+ * BugDetail Component
+ * Shows a single bug with its details and relationships
+ */
+const BugDetail = ({ bugId, currentUser, onBack }) => {
+  const [bug, setBug] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [watchError, setWatchError] = useState(null);
+  const [isTogglingWatch, setIsTogglingWatch] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchBug = async () => {
+      console.log('🔍 Loading bug details:', bugId);
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await bugAPI.getBugById(bugId);
+        if (!cancelled) setBug(response.data);
+      } catch (err) {
+        console.error('❌ Error loading bug:', err);
+        if (!cancelled) setError(handleAPIError(err));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchBug();
+    return () => {
+      cancelled = true;
+    };
+  }, [bugId]);
+
+  /**
+   * Swap in a comment after it was edited or removed
+   * @param {Object} updated - Comment from the API
+   */
+  const handleCommentChange = (updated) => {
+    setBug(prev => ({
+      ...prev,
+      comments: prev.comments.map(comment => (comment._id === updated._id ? updated : comment))
+    }));
+  };
+
+  /**
+   * Append a newly posted comment
+   * @param {Object} comment - Comment from the API
+   */
+  const handleCommentAdded = (comment) => {
+    setBug(prev => ({ ...prev, comments: [...(prev.comments || []), comment] }));
+  };
+
+  /**
+   * Start or stop watching the bug
+   */
+  const toggleWatch = async () => {
+    const watching = bug.watchers?.includes(currentUser._id);
+    setIsTogglingWatch(true);
+    setWatchError(null);
+
+    try {
+      const response = watching ? await bugAPI.unwatchBug(bug._id) : await bugAPI.watchBug(bug._id);
+      setBug(prev => {
+        const others = (prev.watchers || []).filter(id => id !== currentUser._id);
+        return { ...prev, watchers: response.data.watching ? [...others, currentUser._id] : others };
+      });
+    } catch (err) {
+      console.error('❌ Error changing watch state:', err);
+      setWatchError(err.message);
+    } finally {
+      setIsTogglingWatch(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading-container"><p>Loading bug...</p></div>;
+  }
+
+  if (error || !bug) {
+    return (
+      <div className="error-container">
+        <p>{error || 'Bug not found'}</p>
+        <button onClick={onBack} className="back-button">← Back to list</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bug-detail">
+      <button onClick={onBack} className="back-button">← Back to list</button>
+
+      <div className="bug-detail-header">
+        <span className="bug-detail-key">{bug.key}</span>
+        <h2>{bug.title}</h2>
+        {currentUser?._id && (
+          <button
+            type="button"
+            className="watch-button"
+            onClick={toggleWatch}
+            disabled={isTogglingWatch}
+            aria-pressed={Boolean(bug.watchers?.includes(currentUser._id))}
+          >
+            {bug.watchers?.includes(currentUser._id) ? '🙈 Unwatch' : '👁️ Watch'}
+            <span className="watch-count">{(bug.watchers || []).length}</span>
+          </button>
+        )}
+      </div>
+      {watchError && <div className="error-message">{watchError}</div>}
+
+      <dl className="bug-detail-fields">
+        <dt>Status</dt>
+        <dd>{bug.status}</dd>
+        <dt>Priority</dt>
+        <dd>{bug.priority}</dd>
+        <dt>Severity</dt>
+        <dd>{bug.severity || '-'}</dd>
+        <dt>Reporter</dt>
+        <dd>{bug.reportedBy}</dd>
+        <dt>Assignee</dt>
+        <dd>{bug.assignedTo || '-'}</dd>
+        {bug.parent && (
+          <>
+            <dt>Parent</dt>
+            <dd>{bug.parent.key} {bug.parent.title}</dd>
+          </>
+        )}
+        {bug.source === 'customer' && (
+          <>
+            <dt>SLA</dt>
+            <dd><SlaBadge sla={bug.sla} /></dd>
+          </>
+        )}
+      </dl>
+
+      <MarkdownView
+        html={bug.descriptionHtml}
+        fallback={bug.description}
+        bugId={bug._id}
+        className="bug-detail-description"
+      />
+
+      {bug.subtasks && bug.subtasks.length > 0 && (
+        <section className="bug-subtasks">
+          <h3>Sub-tasks</h3>
+          {bug.progress && (
+            <div className="subtask-progress">
+              <progress value={bug.progress.done} max={bug.progress.total} />
+              <span>{formatProgress(bug.progress)}</span>
+            </div>
+          )}
+          <ul>
+            {bug.subtasks.map(subtask => (
+              <li key={subtask._id}>
+                <span className="bug-detail-key">{subtask.key}</span> {subtask.title}
+                <span className="subtask-status">{subtask.status}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {bug.codeLinks && bug.codeLinks.length > 0 && (
+        <section className="bug-code-links">
+          <h3>Code</h3>
+          <ul>
+            {bug.codeLinks.map(link => (
+              <li key={link._id}>
+                <a href={link.url} target="_blank" rel="noopener noreferrer">
+                  {link.kind === 'commit' ? link.ref.slice(0, 7) : `${link.repository}#${link.ref}`}
+                </a>{' '}
+                {link.title}
+                {link.state && <span className="subtask-status">{link.state}</span>}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <BugRelationships bug={bug} currentUser={currentUser} onChange={setBug} />
+
+      <CommentList
+        bugId={bug._id}
+        comments={bug.comments}
+        currentUser={currentUser}
+        onCommentChange={handleCommentChange}
+      />
+
+      {can(currentUser, 'bugs:comment') && (
+        <CommentBox
+          bugId={bug._id}
+          onCommentAdded={handleCommentAdded}
+          canReplyToCustomer={bug.source === 'customer'}
+        />
+      )}
+
+      <style>{`
+        .bug-detail {
+          background: white;
+          border-radius: 12px;
+          padding: 1.5rem 2rem;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);
+        }
+
+        .back-button {
+          background: none;
+          border: none;
+          color: #4299e1;
+          cursor: pointer;
+          padding: 0;
+          margin-bottom: 1rem;
+        }
+
+        .bug-detail-header {
+          display: flex;
+          align-items: baseline;
+          gap: 0.75rem;
+        }
+
+        .bug-detail-header h2 {
+          margin: 0;
+        }
+
+        .watch-button {
+          margin-left: auto;
+          display: inline-flex;
+          align-items: center;
+          gap: 0.375rem;
+          background: white;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          padding: 0.25rem 0.75rem;
+          color: #4a5568;
+          cursor: pointer;
+        }
+
+        .watch-count {
+          background: #edf2f7;
+          border-radius: 999px;
+          padding: 0 0.5rem;
+          font-size: 0.75rem;
+        }
+
+        .bug-detail-key {
+          font-family: monospace;
+          color: #718096;
+        }
+
+        .bug-detail-fields {
+          display: grid;
+          grid-template-columns: max-content 1fr;
+          gap: 0.25rem 1rem;
+          margin: 1rem 0;
+        }
+
+        .bug-detail-fields dt {
+          color: #718096;
+          font-weight: 600;
+        }
+
+        .bug-detail-fields dd {
+          margin: 0;
+        }
+
+        .bug-detail-description {
+          color: #2d3748;
+          margin-bottom: 1rem;
+        }
+
+        .bug-subtasks ul,
+        .bug-code-links ul {
+          list-style: none;
+          padding: 0;
+          margin: 0.5rem 0 1rem;
+        }
+
+        .bug-subtasks li,
+        .bug-code-links li {
+          padding: 0.25rem 0;
+        }
+
+        .bug-code-links a {
+          font-family: monospace;
+          color: #4299e1;
+        }
+
+        .subtask-progress {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          color: #718096;
+          font-size: 0.875rem;
+        }
+
+        .subtask-status {
+          margin-left: 0.5rem;
+          color: #718096;
+          font-size: 0.875rem;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default BugDetail;
@@ -1,29 +1,126 @@
-import React, { useState } from 'react';
-import { bugAPI, handleAPIError } from '../services/api';
+import React, { useState, useEffect, useRef } from 'react';
+import { bugAPI, projectAPI, handleAPIError } from '../services/api';
+import { can } from '../utils/permissions';
+import CustomFieldInput from './CustomFieldInput';
+import AttachmentDropzone from './AttachmentDropzone';
+import MarkdownEditor from './MarkdownEditor';
+import { parseLabelNames } from '../utils/labels';
+import { validateFile, filesFromClipboard, isImage } from '../utils/attachments';
+import {
+  PRIORITIES,
+  SEVERITIES,
+  URGENCIES,
+  DEFAULT_SEVERITY,
+  suggestPriority
+} from '../utils/priority';
+
+// Bugs filed without choosing a project land in this project on the server
+const DEFAULT_PROJECT_KEY = 'BUG';
+
+// Wait for a pause in typing before looking for duplicates
+const DUPLICATE_CHECK_DELAY_MS = 400;
+const MIN_DUPLICATE_CHECK_LENGTH = 5;
 
 /**
  * BugForm Component
  * Form for creating new bugs with validation and error handling
  * Includes debugging features and user feedback
  */
-const BugForm = ({ onBugCreated, onCancel }) => {
+const BugForm = ({ currentUser, onBugCreated, onCancel }) => {
   // Form state
   const [formData, setFormData] = useState({
+    project: '',
     title: '',
     description: '',
     priority: 'Medium',
-    reportedBy: '',
+    severity: DEFAULT_SEVERITY,
+    urgency: '',
     assignedTo: '',
+    labels: '',
+    parent: '',
     source: 'internal', // 'internal' | 'customer'
     customerName: '',
     customerEmail: '',
-    customerId: ''
+    customerId: '',
+    customerTier: ''
   });
 
   // UI state
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
   const [successMessage, setSuccessMessage] = useState('');
+  const [projects, setProjects] = useState([]);
+  const [customFieldValues, setCustomFieldValues] = useState({});
+  const [duplicates, setDuplicates] = useState([]);
+  const [attachTo, setAttachTo] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const nextAttachmentId = useRef(1);
+  const attachmentsRef = useRef(attachments);
+  attachmentsRef.current = attachments;
+
+  // Custom fields come from the project the bug is being filed under
+  const selectedProject = projects.find(
+    project => project.key === (formData.project || DEFAULT_PROJECT_KEY)
+  );
+  const customFields = selectedProject?.customFields || [];
+
+  // With the project's priority matrix on, the server derives priority from severity × urgency
+  const suggestedPriority = suggestPriority(
+    selectedProject?.priorityMatrix,
+    formData.severity,
+    formData.urgency
+  );
+
+  // Load the projects a bug can be filed under
+  useEffect(() => {
+    projectAPI.getProjects()
+      .then(response => setProjects(response.data || []))
+      .catch(err => console.error('❌ Error fetching projects:', err));
+  }, []);
+
+  // Look for possible duplicates as the title is typed
+  useEffect(() => {
+    const title = formData.title.trim();
+
+    if (title.length < MIN_DUPLICATE_CHECK_LENGTH) {
+      setDuplicates([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await bugAPI.checkDuplicates({
+          title,
+          description: formData.description,
+          project: formData.project || undefined
+        });
+        if (!cancelled) {
+          setDuplicates(response.data || []);
+        }
+      } catch (err) {
+        console.error('❌ Error checking for duplicates:', err);
+      }
+    }, DUPLICATE_CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [formData.title, formData.description, formData.project]);
+
+  // Release image previews when the form goes away
+  useEffect(() => () => {
+    attachmentsRef.current.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+  }, []);
+
+  // Drop the chosen bug if it is no longer among the matches
+  useEffect(() => {
+    if (attachTo && !duplicates.some(duplicate => duplicate.key === attachTo)) {
+      setAttachTo('');
+    }
+  }, [duplicates, attachTo]);
 
   /**
    * Handle input changes
@@ -39,6 +136,11 @@ const BugForm = ({ onBugCreated, onCancel }) => {
       [name]: value
     }));
 
+    // Another project has its own custom fields
+    if (name === 'project') {
+      setCustomFieldValues({});
+    }
+
     // Clear error for this field when user starts typing
     if (errors[name]) {
       setErrors(prev => ({
@@ -48,6 +150,25 @@ const BugForm = ({ onBugCreated, onCancel }) => {
     }
   };
 
+  /**
+   * Handle custom field changes
+   * @param {string} key - Custom field key
+   * @param {string} value - New value
+   */
+  const handleCustomFieldChange = (key, value) => {
+    setCustomFieldValues(prev => ({
+      ...prev,
+      [key]: value
+    }));
+
+    if (errors[`cf.${key}`]) {
+      setErrors(prev => ({
+        ...prev,
+        [`cf.${key}`]: ''
+      }));
+    }
+  };
+
   /**
    * Validate form data
    * @returns {boolean} True if valid, false otherwise
@@ -72,17 +193,10 @@ const BugForm = ({ onBugCreated, onCancel }) => {
     }
 
     // Priority validation
-    if (!['Low', 'Medium', 'High'].includes(formData.priority)) {
+    if (!PRIORITIES.includes(formData.priority)) {
       newErrors.priority = 'Invalid priority value';
     }
 
-    // Reporter validation
-    if (!formData.reportedBy.trim()) {
-      newErrors.reportedBy = 'Reporter name is required';
-    } else if (formData.reportedBy.trim().length > 50) {
-      newErrors.reportedBy = 'Reporter name cannot exceed 50 characters';
-    }
-
     // Customer validation when source is customer
     if (formData.source === 'customer') {
       if (!formData.customerName.trim()) {
@@ -93,12 +207,114 @@ const BugForm = ({ onBugCreated, onCancel }) => {
       }
     }
 
+    // Required custom fields
+    customFields
+      .filter(field => field.required && !customFieldValues[field.key])
+      .forEach(field => {
+        newErrors[`cf.${field.key}`] = `${field.label} is required`;
+      });
+
     console.log('🔍 Validation errors:', newErrors);
     setErrors(newErrors);
 
     return Object.keys(newErrors).length === 0;
   };
 
+  /**
+   * Queue files for upload, refusing those the server would reject
+   * @param {File[]} files - Dropped, pasted or chosen files
+   */
+  const handleAddFiles = (files) => {
+    const rejected = [];
+    const accepted = [];
+
+    files.forEach(file => {
+      const problem = validateFile(file);
+      if (problem) {
+        rejected.push(problem);
+        return;
+      }
+      accepted.push({
+        id: nextAttachmentId.current++,
+        file,
+        previewUrl: isImage(file) ? URL.createObjectURL(file) : null,
+        progress: 0,
+        status: 'pending',
+        error: null
+      });
+    });
+
+    console.log('📎 Files added:', accepted.map(item => item.file.name), 'rejected:', rejected);
+
+    setAttachments(prev => [...prev, ...accepted]);
+    setErrors(prev => ({ ...prev, attachments: rejected.length > 0 ? rejected.join('; ') : undefined }));
+  };
+
+  /**
+   * Remove a queued file
+   * @param {number} id - Attachment item id
+   */
+  const handleRemoveAttachment = (id) => {
+    setAttachments(prev => prev.filter(item => {
+      if (item.id === id && item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+      return item.id !== id;
+    }));
+  };
+
+  /**
+   * Accept screenshots pasted anywhere in the form
+   * @param {ClipboardEvent} e - Paste event
+   */
+  const handlePaste = (e) => {
+    const files = filesFromClipboard(e);
+    if (files.length === 0) return;
+
+    e.preventDefault();
+    handleAddFiles(files);
+  };
+
+  /**
+   * Clear the queued files and their previews
+   */
+  const clearAttachments = () => {
+    attachments.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+    setAttachments([]);
+  };
+
+  /**
+   * Update one queued file
+   * @param {number} id - Attachment item id
+   * @param {Object} changes - Fields to merge
+   */
+  const updateAttachment = (id, changes) => {
+    setAttachments(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  /**
+   * Upload the queued files to a bug, one at a time so each has its own progress
+   * @param {string} bugId - ID of the bug the files belong to
+   * @returns {Promise<string[]>} Names of the files that failed
+   */
+  const uploadAttachments = async (bugId) => {
+    const failed = [];
+
+    for (const item of attachments) {
+      updateAttachment(item.id, { status: 'uploading', progress: 0 });
+      try {
+        await bugAPI.uploadAttachment(bugId, item.file, {
+          onProgress: progress => updateAttachment(item.id, { progress })
+        });
+        updateAttachment(item.id, { status: 'done', progress: 100 });
+      } catch (err) {
+        console.error('❌ Error uploading attachment:', err);
+        updateAttachment(item.id, { status: 'error', error: err.message });
+        failed.push(item.file.name);
+      }
+    }
+
+    return failed;
+  };
+
   /**
    * Handle form submission
    * @param {Event} e - Form submit event
@@ -119,13 +335,24 @@ const BugForm = ({ onBugCreated, onCancel }) => {
     setSuccessMessage('');
 
     try {
+      // Only send custom fields that were filled in
+      const filledCustomFields = Object.fromEntries(
+        Object.entries(customFieldValues).filter(([, value]) => value !== '')
+      );
+
+      const labelNames = parseLabelNames(formData.labels);
+
       // Shape payload for API
       const payload = {
+        project: formData.project || undefined,
         title: formData.title,
         description: formData.description,
-        priority: formData.priority,
-        reportedBy: formData.reportedBy,
+        priority: suggestedPriority || formData.priority,
+        severity: formData.severity,
+        urgency: formData.urgency || undefined,
         assignedTo: formData.assignedTo || undefined,
+        labels: labelNames.length > 0 ? labelNames : undefined,
+        parent: formData.parent.trim().toUpperCase() || undefined,
         source: formData.source,
         customer:
           formData.source === 'customer'
@@ -133,29 +360,57 @@ const BugForm = ({ onBugCreated, onCancel }) => {
                 name: formData.customerName,
                 email: formData.customerEmail || undefined,
                 id: formData.customerId || undefined,
+                tier: formData.customerTier || undefined,
               }
             : undefined,
+        customFields: Object.keys(filledCustomFields).length > 0 ? filledCustomFields : undefined,
+        attachTo: attachTo || undefined,
       };
 
       // Create new bug via API
       const response = await bugAPI.createBug(payload);
       
       console.log('✅ Bug created successfully:', response);
+
+      if (attachments.length > 0) {
+        setIsUploading(true);
+        const failed = await uploadAttachments(response.data._id);
+        setIsUploading(false);
+
+        if (failed.length > 0) {
+          setErrors({
+            attachments: `${response.data.key || 'The bug'} was saved, but these files could not be uploaded: ${failed.join(', ')}`
+          });
+        }
+      }
       
-      setSuccessMessage('Bug created successfully! 🎉');
+      setSuccessMessage(
+        response.attached
+          ? `Report attached to ${response.data.key} 📎`
+          : 'Bug created successfully! 🎉'
+      );
       
       // Reset form
-      setFormData({
+      setFormData(prev => ({
+        project: prev.project,
         title: '',
         description: '',
         priority: 'Medium',
-        reportedBy: '',
+        severity: DEFAULT_SEVERITY,
+        urgency: '',
         assignedTo: '',
+        labels: '',
+        parent: '',
         source: 'internal',
         customerName: '',
         customerEmail: '',
-        customerId: ''
-      });
+        customerId: '',
+        customerTier: ''
+      }));
+      setCustomFieldValues({});
+      setDuplicates([]);
+      setAttachTo('');
+      clearAttachments();
 
       // Notify parent component
       if (onBugCreated) {
@@ -175,6 +430,7 @@ const BugForm = ({ onBugCreated, onCancel }) => {
       
     } finally {
       setIsSubmitting(false);
+      setIsUploading(false);
     }
   };
 
@@ -184,17 +440,26 @@ const BugForm = ({ onBugCreated, onCancel }) => {
   const handleReset = () => {
     console.log('🔄 Resetting form...');
     
-      setFormData({
-        title: '',
-        description: '',
-        priority: 'Medium',
-        reportedBy: '',
-        assignedTo: '',
-        source: 'internal',
-        customerName: '',
-        customerEmail: '',
-        customerId: ''
-      });
+    setFormData(prev => ({
+      project: prev.project,
+      title: '',
+      description: '',
+      priority: 'Medium',
+      severity: DEFAULT_SEVERITY,
+      urgency: '',
+      assignedTo: '',
+      labels: '',
+      parent: '',
+      source: 'internal',
+      customerName: '',
+      customerEmail: '',
+      customerId: '',
+      customerTier: ''
+    }));
+    setCustomFieldValues({});
+    setDuplicates([]);
+    setAttachTo('');
+    clearAttachments();
     setErrors({});
     setSuccessMessage('');
   };
@@ -218,7 +483,30 @@ const BugForm = ({ onBugCreated, onCancel }) => {
         </div>
       )}
 
-      <form onSubmit={handleSubmit} className="bug-form">
+      <form onSubmit={handleSubmit} onPaste={handlePaste} className="bug-form">
+        {projects.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="project" className="form-label">
+              Project
+            </label>
+            <select
+              id="project"
+              name="project"
+              value={formData.project}
+              onChange={handleInputChange}
+              className="form-select"
+              disabled={isSubmitting}
+            >
+              <option value="">Default project</option>
+              {projects.map(project => (
+                <option key={project._id} value={project.key}>
+                  {project.key} – {project.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div className="form-group">
           <label htmlFor="title" className="form-label">
             Bug Title *
@@ -239,11 +527,38 @@ const BugForm = ({ onBugCreated, onCancel }) => {
           )}
         </div>
 
+        {duplicates.length > 0 && (
+          <div className="duplicates-panel" aria-live="polite">
+            <h4>Possible duplicates</h4>
+            <p>Attach your report to an existing bug instead of filing a new one.</p>
+            <ul>
+              {duplicates.map(duplicate => (
+                <li
+                  key={duplicate._id}
+                  className={`duplicate-item ${attachTo === duplicate.key ? 'selected' : ''}`}
+                >
+                  <span className="duplicate-key">{duplicate.key}</span>
+                  <span className="duplicate-title">{duplicate.title}</span>
+                  <span className="duplicate-status">{duplicate.status}</span>
+                  <button
+                    type="button"
+                    className="duplicate-attach-button"
+                    onClick={() => setAttachTo(attachTo === duplicate.key ? '' : duplicate.key)}
+                    disabled={isSubmitting}
+                  >
+                    {attachTo === duplicate.key ? 'File as new bug' : 'Attach to this bug'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="form-group">
           <label htmlFor="description" className="form-label">
             Description *
           </label>
-          <textarea
+          <MarkdownEditor
             id="description"
             name="description"
             value={formData.description}
@@ -262,66 +577,112 @@ const BugForm = ({ onBugCreated, onCancel }) => {
           </div>
         </div>
 
+        <div className="form-group">
+          <span className="form-label">Attachments</span>
+          <AttachmentDropzone
+            items={attachments}
+            onAddFiles={handleAddFiles}
+            onRemove={handleRemoveAttachment}
+            disabled={isSubmitting}
+          />
+          {errors.attachments && (
+            <span className="error-text">{errors.attachments}</span>
+          )}
+        </div>
+
         <div className="form-row">
           <div className="form-group">
-            <label htmlFor="priority" className="form-label">
-              Priority *
+            <label htmlFor="severity" className="form-label">
+              Severity
             </label>
             <select
-              id="priority"
-              name="priority"
-              value={formData.priority}
+              id="severity"
+              name="severity"
+              value={formData.severity}
               onChange={handleInputChange}
-              className={`form-select ${errors.priority ? 'error' : ''}`}
+              className="form-select"
               disabled={isSubmitting}
             >
-              <option value="Low">Low</option>
-              <option value="Medium">Medium</option>
-              <option value="High">High</option>
+              {SEVERITIES.map(severity => (
+                <option key={severity} value={severity}>{severity}</option>
+              ))}
             </select>
-            {errors.priority && (
-              <span className="error-text">{errors.priority}</span>
-            )}
           </div>
 
           <div className="form-group">
-            <label htmlFor="reportedBy" className="form-label">
-              Reported By *
+            <label htmlFor="urgency" className="form-label">
+              Urgency
             </label>
-            <input
-              type="text"
-              id="reportedBy"
-              name="reportedBy"
-              value={formData.reportedBy}
+            <select
+              id="urgency"
+              name="urgency"
+              value={formData.urgency}
               onChange={handleInputChange}
-              className={`form-input ${errors.reportedBy ? 'error' : ''}`}
-              placeholder="Your name"
-              maxLength={50}
+              className="form-select"
               disabled={isSubmitting}
-            />
-            {errors.reportedBy && (
-              <span className="error-text">{errors.reportedBy}</span>
-            )}
+            >
+              <option value="">Not set</option>
+              {URGENCIES.map(urgency => (
+                <option key={urgency} value={urgency}>{urgency}</option>
+              ))}
+            </select>
           </div>
         </div>
 
         <div className="form-row">
           <div className="form-group">
-            <label htmlFor="assignedTo" className="form-label">
-              Assigned To
+            <label htmlFor="priority" className="form-label">
+              Priority *
             </label>
-            <input
-              type="text"
-              id="assignedTo"
-              name="assignedTo"
-              value={formData.assignedTo}
+            <select
+              id="priority"
+              name="priority"
+              value={suggestedPriority || formData.priority}
               onChange={handleInputChange}
-              className="form-input"
-              placeholder="Assignee name or email"
-              maxLength={100}
-              disabled={isSubmitting}
-            />
+              className={`form-select ${errors.priority ? 'error' : ''}`}
+              disabled={isSubmitting || Boolean(suggestedPriority)}
+            >
+              {PRIORITIES.map(priority => (
+                <option key={priority} value={priority}>{priority}</option>
+              ))}
+            </select>
+            {suggestedPriority && (
+              <span className="field-hint">
+                Suggested priority: {suggestedPriority} (from severity × urgency)
+              </span>
+            )}
+            {errors.priority && (
+              <span className="error-text">{errors.priority}</span>
+            )}
+          </div>
+
+          <div className="form-group">
+            <span className="form-label">Reported By</span>
+            <span className="reporter-name">
+              {currentUser ? currentUser.name : 'You'}
+            </span>
           </div>
+        </div>
+
+        <div className="form-row">
+          {can(currentUser, 'bugs:assign') && (
+            <div className="form-group">
+              <label htmlFor="assignedTo" className="form-label">
+                Assigned To
+              </label>
+              <input
+                type="text"
+                id="assignedTo"
+                name="assignedTo"
+                value={formData.assignedTo}
+                onChange={handleInputChange}
+                className="form-input"
+                placeholder="Assignee name or email"
+                maxLength={100}
+                disabled={isSubmitting}
+              />
+            </div>
+          )}
 
           <div className="form-group">
             <label className="form-label">Source *</label>
@@ -352,6 +713,55 @@ const BugForm = ({ onBugCreated, onCancel }) => {
           </div>
         </div>
 
+        <div className="form-group">
+          <label htmlFor="labels" className="form-label">
+            Labels
+          </label>
+          <input
+            type="text"
+            id="labels"
+            name="labels"
+            value={formData.labels}
+            onChange={handleInputChange}
+            className="form-input"
+            placeholder="Comma-separated, e.g. ui, regression"
+            maxLength={200}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="parent" className="form-label">
+            Parent Bug
+          </label>
+          <input
+            type="text"
+            id="parent"
+            name="parent"
+            value={formData.parent}
+            onChange={handleInputChange}
+            className="form-input"
+            placeholder="File as a sub-task of, e.g. WEB-12"
+            maxLength={20}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        {customFields.length > 0 && (
+          <div className="form-row custom-fields">
+            {customFields.map(field => (
+              <CustomFieldInput
+                key={field.key}
+                field={field}
+                value={customFieldValues[field.key] || ''}
+                onChange={handleCustomFieldChange}
+                error={errors[`cf.${field.key}`]}
+                disabled={isSubmitting}
+              />
+            ))}
+          </div>
+        )}
+
         {formData.source === 'customer' && (
           <div className="form-row">
             <div className="form-group">
@@ -408,6 +818,22 @@ const BugForm = ({ onBugCreated, onCancel }) => {
                 disabled={isSubmitting}
               />
             </div>
+            <div className="form-group">
+              <label htmlFor="customerTier" className="form-label">
+                Customer Tier
+              </label>
+              <input
+                type="text"
+                id="customerTier"
+                name="customerTier"
+                value={formData.customerTier}
+                onChange={handleInputChange}
+                className="form-input"
+                placeholder="e.g. enterprise"
+                maxLength={30}
+                disabled={isSubmitting}
+              />
+            </div>
           </div>
         )}
 
@@ -417,7 +843,8 @@ const BugForm = ({ onBugCreated, onCancel }) => {
             className="submit-button"
             disabled={isSubmitting}
           >
-            {isSubmitting ? '🔄 Creating...' : '🐛 Create Bug'}
+            {isSubmitting && (isUploading ? '📎 Uploading files...' : '🔄 Creating...')}
+            {!isSubmitting && (attachTo ? `📎 Attach to ${attachTo}` : '🐛 Create Bug')}
           </button>
           
           <button
@@ -541,6 +968,11 @@ const BugForm = ({ onBugCreated, onCancel }) => {
           min-height: 100px;
         }
 
+        .reporter-name {
+          padding: 0.75rem 0;
+          color: #4a5568;
+        }
+
         .error-text {
           color: #e53e3e;
           font-size: 0.875rem;
@@ -554,6 +986,71 @@ const BugForm = ({ onBugCreated, onCancel }) => {
           margin-top: 0.25rem;
         }
 
+        .field-hint {
+          color: #2b6cb0;
+          font-size: 0.875rem;
+          margin-top: 0.25rem;
+        }
+
+        .duplicates-panel {
+          background: #fffaf0;
+          border: 1px solid #fbd38d;
+          border-radius: 8px;
+          padding: 0.75rem 1rem;
+        }
+
+        .duplicates-panel h4 {
+          margin: 0 0 0.25rem;
+          color: #744210;
+        }
+
+        .duplicates-panel p {
+          margin: 0 0 0.5rem;
+          font-size: 0.875rem;
+          color: #975a16;
+        }
+
+        .duplicates-panel ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .duplicate-item {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.25rem 0;
+        }
+
+        .duplicate-item.selected {
+          font-weight: 600;
+        }
+
+        .duplicate-key {
+          font-family: monospace;
+          color: #4a5568;
+        }
+
+        .duplicate-title {
+          flex: 1;
+        }
+
+        .duplicate-status {
+          font-size: 0.75rem;
+          color: #718096;
+        }
+
+        .duplicate-attach-button {
+          padding: 0.25rem 0.5rem;
+          border: 1px solid #dd6b20;
+          border-radius: 6px;
+          background: white;
+          color: #c05621;
+          cursor: pointer;
+          font-size: 0.75rem;
+        }
+
         .form-actions {
           display: flex;
           gap: 1rem;
@@ -1,24 +1,44 @@
 import React, { useState, useEffect } from 'react';
-import { bugAPI, handleAPIError } from '../services/api';
+import { bugAPI, projectAPI, handleAPIError } from '../services/api';
+import { can } from '../utils/permissions';
+import {
+  DEFAULT_WORKFLOW,
+  getWorkflowForBug,
+  getStatusOptions,
+  getAllStatusNames,
+  getStatusBadgeClass
+} from '../utils/workflow';
+import { parseLabelNames } from '../utils/labels';
+import SlaBadge from './SlaBadge';
+import MarkdownView from './MarkdownView';
+import { nestBugs, formatProgress } from '../utils/subtasks';
 
 /**
  * BugList Component
  * Displays all bugs in a table format with filtering, sorting, and actions
  * Includes status updates, deletion, and comprehensive error handling
  */
-const BugList = () => {
+const BugList = ({ currentUser, onSelectBug }) => {
   // State management
   const [bugs, setBugs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [projects, setProjects] = useState([]);
   const [filters, setFilters] = useState({
+    project: '',
     status: '',
     priority: '',
     source: '',
-    assignedTo: ''
+    assignedTo: '',
+    labels: '',
+    labelMatch: 'any',
+    slaBreached: ''
   });
   const [sortBy, setSortBy] = useState('createdAt');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [collapsedIds, setCollapsedIds] = useState(new Set());
+  const [bulkLabel, setBulkLabel] = useState('');
 
   /**
    * Fetch bugs from API
@@ -105,6 +125,56 @@ const BugList = () => {
     }
   };
 
+  /**
+   * Toggle a bug in the bulk selection
+   * @param {string} bugId - Bug ID
+   */
+  const toggleSelected = (bugId) => {
+    setSelectedIds(prev => (
+      prev.includes(bugId) ? prev.filter(id => id !== bugId) : [...prev, bugId]
+    ));
+  };
+
+  /**
+   * Show or hide the sub-tasks listed under a parent bug
+   * @param {string} bugId - Parent bug ID
+   */
+  const toggleCollapsed = (bugId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(bugId)) {
+        next.delete(bugId);
+      } else {
+        next.add(bugId);
+      }
+      return next;
+    });
+  };
+
+  /**
+   * Add or remove the bulk label on every selected bug
+   * @param {'add'|'remove'} action - Whether to add or remove the label
+   */
+  const handleBulkLabels = async (action) => {
+    const names = parseLabelNames(bulkLabel);
+    if (names.length === 0 || selectedIds.length === 0) return;
+
+    console.log(`🏷️ Bulk ${action} labels:`, names, selectedIds);
+
+    try {
+      const response = await bugAPI.bulkUpdateLabels(selectedIds, { [action]: names });
+      const updated = response.data || [];
+
+      setBugs(prevBugs => prevBugs.map(bug => updated.find(entry => entry._id === bug._id) || bug));
+      setSelectedIds([]);
+      setBulkLabel('');
+    } catch (err) {
+      console.error('❌ Error updating labels:', err);
+      const errorMessage = handleAPIError(err);
+      alert(`Failed to update labels: ${errorMessage}`);
+    }
+  };
+
   /**
    * Handle filter changes
    * @param {Event} e - Change event
@@ -154,24 +224,6 @@ const BugList = () => {
     }
   };
 
-  /**
-   * Get status badge styling
-   * @param {string} status - Status value
-   * @returns {string} CSS class name
-   */
-  const getStatusBadgeClass = (status) => {
-    switch (status) {
-      case 'Open':
-        return 'status-open';
-      case 'In Progress':
-        return 'status-progress';
-      case 'Resolved':
-        return 'status-resolved';
-      default:
-        return 'status-open';
-    }
-  };
-
   /**
    * Format date for display
    * @param {string} dateString - ISO date string
@@ -187,11 +239,26 @@ const BugList = () => {
     });
   };
 
+  // Load projects once for the project switcher
+  useEffect(() => {
+    projectAPI.getProjects()
+      .then(response => setProjects(response.data || []))
+      .catch(err => console.error('❌ Error fetching projects:', err));
+  }, []);
+
   // Fetch bugs on component mount and when filters/sort change
   useEffect(() => {
     fetchBugs();
   }, [filters, sortBy, sortOrder]);
 
+  // Status filter options come from the workflows of the loaded projects
+  const projectWorkflows = projects
+    .map(project => project.workflow)
+    .filter(workflow => workflow?.statuses?.length);
+  const statusNames = getAllStatusNames(
+    projectWorkflows.length > 0 ? projectWorkflows : [DEFAULT_WORKFLOW]
+  );
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -223,6 +290,24 @@ const BugList = () => {
 
       {/* Filters */}
       <div className="filters-section">
+        <div className="filter-group">
+          <label htmlFor="project-filter">Project:</label>
+          <select
+            id="project-filter"
+            name="project"
+            value={filters.project}
+            onChange={handleFilterChange}
+            className="filter-select"
+          >
+            <option value="">All Projects</option>
+            {projects.map(project => (
+              <option key={project._id} value={project.key}>
+                {project.key} – {project.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
         <div className="filter-group">
           <label htmlFor="status-filter">Status:</label>
           <select
@@ -233,9 +318,9 @@ const BugList = () => {
             className="filter-select"
           >
             <option value="">All Statuses</option>
-            <option value="Open">Open</option>
-            <option value="In Progress">In Progress</option>
-            <option value="Resolved">Resolved</option>
+            {statusNames.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
           </select>
         </div>
 
@@ -270,6 +355,21 @@ const BugList = () => {
           </select>
         </div>
 
+        <div className="filter-group">
+          <label htmlFor="sla-filter">SLA:</label>
+          <select
+            id="sla-filter"
+            name="slaBreached"
+            value={filters.slaBreached}
+            onChange={handleFilterChange}
+            className="filter-select"
+          >
+            <option value="">Any</option>
+            <option value="true">Breached</option>
+            <option value="false">Within SLA</option>
+          </select>
+        </div>
+
         <div className="filter-group">
           <label htmlFor="assignee-filter">Assignee:</label>
           <input
@@ -282,11 +382,53 @@ const BugList = () => {
           />
         </div>
 
+        <div className="filter-group">
+          <label htmlFor="labels-filter">Labels:</label>
+          <input
+            id="labels-filter"
+            name="labels"
+            value={filters.labels}
+            onChange={handleFilterChange}
+            className="filter-select"
+            placeholder="e.g. ui, regression"
+          />
+          <select
+            id="label-match-filter"
+            name="labelMatch"
+            value={filters.labelMatch}
+            onChange={handleFilterChange}
+            className="filter-select"
+            aria-label="Label match"
+          >
+            <option value="any">Any label</option>
+            <option value="all">All labels</option>
+          </select>
+        </div>
+
         <button onClick={fetchBugs} className="refresh-button">
           🔄 Refresh
         </button>
       </div>
 
+      {selectedIds.length > 0 && can(currentUser, 'bugs:edit') && (
+        <div className="bulk-bar">
+          <span>{selectedIds.length} selected</span>
+          <input
+            value={bulkLabel}
+            onChange={(e) => setBulkLabel(e.target.value)}
+            className="filter-select"
+            placeholder="Label"
+            aria-label="Bulk label"
+          />
+          <button onClick={() => handleBulkLabels('add')} className="refresh-button">
+            🏷️ Add label
+          </button>
+          <button onClick={() => handleBulkLabels('remove')} className="refresh-button">
+            Remove label
+          </button>
+        </div>
+      )}
+
       {/* Bugs Table */}
       {bugs.length === 0 ? (
         <div className="empty-state">
@@ -299,6 +441,10 @@ const BugList = () => {
           <table className="bugs-table">
             <thead>
               <tr>
+                <th aria-label="Select"></th>
+                <th onClick={() => handleSort('number')} className="sortable">
+                  Key {sortBy === 'number' && (sortOrder === 'asc' ? '↑' : '↓')}
+                </th>
                 <th onClick={() => handleSort('title')} className="sortable">
                   Title {sortBy === 'title' && (sortOrder === 'asc' ? '↑' : '↓')}
                 </th>
@@ -306,12 +452,14 @@ const BugList = () => {
                 <th onClick={() => handleSort('priority')} className="sortable">
                   Priority {sortBy === 'priority' && (sortOrder === 'asc' ? '↑' : '↓')}
                 </th>
+                <th>Severity</th>
                 <th onClick={() => handleSort('status')} className="sortable">
                   Status {sortBy === 'status' && (sortOrder === 'asc' ? '↑' : '↓')}
                 </th>
                 <th>Reporter</th>
                 <th>Assignee</th>
                 <th>Source</th>
+                <th>SLA</th>
                 <th onClick={() => handleSort('createdAt')} className="sortable">
                   Created {sortBy === 'createdAt' && (sortOrder === 'asc' ? '↑' : '↓')}
                 </th>
@@ -319,46 +467,114 @@ const BugList = () => {
               </tr>
             </thead>
             <tbody>
-              {bugs.map(bug => (
-                <tr key={bug._id} className="bug-row">
-                  <td className="bug-title">{bug.title}</td>
-                  <td className="bug-description">
-                    {bug.description.length > 100 
-                      ? `${bug.description.substring(0, 100)}...` 
-                      : bug.description
-                    }
-                  </td>
-                  <td>
-                    <span className={`priority-badge ${getPriorityBadgeClass(bug.priority)}`}>
-                      {bug.priority}
-                    </span>
-                  </td>
-                  <td>
-                    <select
-                      value={bug.status}
-                      onChange={(e) => handleStatusUpdate(bug._id, e.target.value)}
-                      className={`status-select ${getStatusBadgeClass(bug.status)}`}
-                    >
-                      <option value="Open">Open</option>
-                      <option value="In Progress">In Progress</option>
-                      <option value="Resolved">Resolved</option>
-                    </select>
-                  </td>
-                  <td className="bug-reporter">{bug.reportedBy}</td>
-                  <td>{bug.assignedTo || '-'}</td>
-                  <td>{bug.source === 'customer' ? 'Customer' : 'Internal'}</td>
-                  <td className="bug-date">{formatDate(bug.createdAt)}</td>
-                  <td className="bug-actions">
-                    <button
-                      onClick={() => handleDeleteBug(bug._id)}
-                      className="delete-button"
-                      title="Delete bug"
-                    >
-                      🗑️
-                    </button>
-                  </td>
-                </tr>
-              ))}
+              {nestBugs(bugs, collapsedIds).map(({ bug, depth, hasChildren }) => {
+                const workflow = getWorkflowForBug(bug, projects);
+
+                return (
+                  <tr key={bug._id} className={`bug-row ${depth > 0 ? 'subtask-row' : ''}`}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(bug._id)}
+                        onChange={() => toggleSelected(bug._id)}
+                        aria-label={`Select ${bug.key || bug.title}`}
+                      />
+                    </td>
+                    <td className="bug-key">{bug.key || '-'}</td>
+                    <td className="bug-title" style={depth > 0 ? { paddingLeft: `${1 + depth * 1.5}rem` } : undefined}>
+                      {hasChildren && (
+                        <button
+                          type="button"
+                          className="subtask-toggle"
+                          onClick={() => toggleCollapsed(bug._id)}
+                          aria-label={`${collapsedIds.has(bug._id) ? 'Show' : 'Hide'} sub-tasks of ${bug.key || bug.title}`}
+                        >
+                          {collapsedIds.has(bug._id) ? '▸' : '▾'}
+                        </button>
+                      )}
+                      {depth > 0 && <span className="subtask-marker">↳ </span>}
+                      {onSelectBug ? (
+                        <button type="button" className="bug-title-link" onClick={() => onSelectBug(bug)}>
+                          {bug.title}
+                        </button>
+                      ) : bug.title}
+                      {bug.progress && (
+                        <div className="subtask-progress">
+                          <progress value={bug.progress.done} max={bug.progress.total} />
+                          <span>{formatProgress(bug.progress)}</span>
+                        </div>
+                      )}
+                      {bug.labels?.length > 0 && (
+                        <div className="label-chips">
+                          {bug.labels.map(label => (
+                            <span
+                              key={label._id}
+                              className="label-chip"
+                              style={{ backgroundColor: label.color }}
+                            >
+                              {label.name}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                    <td className="bug-description">
+                      {bug.descriptionHtml ? (
+                        <MarkdownView html={bug.descriptionHtml} className="markdown-preview" />
+                      ) : (
+                        bug.description.length > 100 
+                          ? `${bug.description.substring(0, 100)}...` 
+                          : bug.description
+                      )}
+                    </td>
+                    <td>
+                      <span className={`priority-badge ${getPriorityBadgeClass(bug.priority)}`}>
+                        {bug.priority}
+                      </span>
+                      {bug.priorityComputed && (
+                        <span className="computed-marker" title="Computed from severity × urgency">
+                          🧮
+                        </span>
+                      )}
+                    </td>
+                    <td className={`bug-severity severity-${(bug.severity || '').toLowerCase()}`}>
+                      {bug.severity || '-'}
+                    </td>
+                    <td>
+                      <select
+                        value={bug.status}
+                        onChange={(e) => handleStatusUpdate(bug._id, e.target.value)}
+                        className={`status-select ${getStatusBadgeClass(workflow, bug.status)}`}
+                        disabled={!can(currentUser, 'bugs:status')}
+                      >
+                        {getStatusOptions(workflow, bug.status, currentUser).map(option => (
+                          <option key={option.value} value={option.value} disabled={option.disabled}>
+                            {option.value}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="bug-reporter">{bug.reportedBy}</td>
+                    <td>{bug.assignedTo || '-'}</td>
+                    <td>{bug.source === 'customer' ? 'Customer' : 'Internal'}</td>
+                    <td className="bug-sla">
+                      <SlaBadge sla={bug.sla} />
+                    </td>
+                    <td className="bug-date">{formatDate(bug.createdAt)}</td>
+                    <td className="bug-actions">
+                      {can(currentUser, 'bugs:delete') && (
+                        <button
+                          onClick={() => handleDeleteBug(bug._id)}
+                          className="delete-button"
+                          title="Delete bug"
+                        >
+                          🗑️
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
           </table>
         </div>
@@ -495,17 +711,104 @@ const BugList = () => {
           background: #f7fafc;
         }
 
+        .bug-key {
+          font-family: monospace;
+          font-weight: 600;
+          color: #4a5568;
+          white-space: nowrap;
+        }
+
         .bug-title {
           font-weight: 600;
           color: #2d3748;
           max-width: 200px;
         }
 
+        .bug-title-link {
+          background: none;
+          border: none;
+          padding: 0;
+          font: inherit;
+          color: inherit;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .bug-title-link:hover {
+          color: #4299e1;
+          text-decoration: underline;
+        }
+
+        .subtask-row {
+          background: #f7fafc;
+        }
+
+        .subtask-toggle {
+          background: none;
+          border: none;
+          cursor: pointer;
+          padding: 0 0.25rem 0 0;
+          color: #718096;
+        }
+
+        .subtask-marker {
+          color: #a0aec0;
+        }
+
+        .subtask-progress {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-top: 0.25rem;
+          font-size: 0.75rem;
+          color: #4a5568;
+        }
+
+        .subtask-progress progress {
+          width: 80px;
+        }
+
+        .label-chips {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.25rem;
+          margin-top: 0.25rem;
+        }
+
+        .label-chip {
+          color: white;
+          font-size: 0.7rem;
+          font-weight: 600;
+          padding: 0.1rem 0.5rem;
+          border-radius: 999px;
+        }
+
+        .bulk-bar {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.75rem 1rem;
+          margin-bottom: 1rem;
+          background: #ebf8ff;
+          border-radius: 8px;
+        }
+
         .bug-description {
           max-width: 300px;
           color: #4a5568;
         }
 
+        /* Show the first few lines of a Markdown description */
+        .markdown-preview {
+          max-height: 4.5em;
+          overflow: hidden;
+          font-size: 0.875rem;
+        }
+
+        .markdown-preview img {
+          display: none;
+        }
+
         .bug-reporter {
           color: #718096;
           font-size: 0.875rem;
@@ -540,6 +843,48 @@ const BugList = () => {
           color: #22543d;
         }
 
+        .computed-marker {
+          margin-left: 0.25rem;
+          font-size: 0.75rem;
+        }
+
+        .bug-severity {
+          font-size: 0.875rem;
+          color: #4a5568;
+          white-space: nowrap;
+        }
+
+        .severity-blocker,
+        .severity-critical {
+          color: #c53030;
+          font-weight: 600;
+        }
+
+        .sla-badge {
+          font-size: 0.75rem;
+          white-space: nowrap;
+          padding: 0.125rem 0.5rem;
+          border-radius: 9999px;
+          background: #edf2f7;
+          color: #4a5568;
+        }
+
+        .sla-met {
+          background: #c6f6d5;
+          color: #22543d;
+        }
+
+        .sla-breached,
+        .sla-overdue {
+          background: #fed7d7;
+          color: #742a2a;
+          font-weight: 600;
+        }
+
+        .sla-none {
+          background: none;
+        }
+
         .status-select {
           padding: 0.25rem 0.5rem;
           border: none;
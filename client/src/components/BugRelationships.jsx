@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import { bugAPI } from '../services/api';
+import { can } from '../utils/permissions';
+import { LINK_TYPES, LINK_TYPE_LABELS, groupLinks } from '../utils/links';
+
+/**
+ * BugRelationships Component
+ * Lists a bug's links to other bugs (blocks, duplicates, relates to) and
+ * lets users with edit permission add and remove them
+ */
+const BugRelationships = ({ bug, currentUser, onChange }) => {
+  const [linkType, setLinkType] = useState('relates_to');
+  const [otherBug, setOtherBug] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canEdit = can(currentUser, 'bugs:edit');
+  const groups = groupLinks(bug.links);
+
+  /**
+   * Run a link change and hand the updated bug to the parent
+   * @param {Function} request - API call returning { data: bug }
+   */
+  const saveLinks = async (request) => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const response = await request();
+      onChange?.(response.data);
+      return true;
+    } catch (err) {
+      console.error('❌ Error updating links:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Add the link entered in the form
+   * @param {Event} e - Form submit event
+   */
+  const handleAddLink = async (e) => {
+    e.preventDefault();
+    const key = otherBug.trim().toUpperCase();
+    if (!key) return;
+
+    const added = await saveLinks(() => bugAPI.addLink(bug._id, linkType, key));
+    if (added) setOtherBug('');
+  };
+
+  return (
+    <section className="bug-relationships">
+      <h3>🔗 Relationships</h3>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {groups.length === 0 ? (
+        <p className="relationships-empty">No linked bugs</p>
+      ) : (
+        groups.map(group => (
+          <div key={group.type} className="link-group">
+            <h4>{group.label}</h4>
+            <ul>
+              {group.links.map(link => (
+                <li key={`${group.type}-${link.bug._id}`} className="link-item">
+                  <span className="link-key">{link.bug.key}</span>
+                  <span className="link-title">{link.bug.title}</span>
+                  <span className="link-status">{link.bug.status}</span>
+                  {canEdit && (
+                    <button
+                      type="button"
+                      className="link-remove-button"
+                      onClick={() => saveLinks(() => bugAPI.removeLink(bug._id, group.type, link.bug._id))}
+                      disabled={isSaving}
+                      aria-label={`Remove link to ${link.bug.key}`}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleAddLink} className="link-form">
+          <select
+            value={linkType}
+            onChange={(e) => setLinkType(e.target.value)}
+            className="form-select"
+            aria-label="Link type"
+            disabled={isSaving}
+          >
+            {LINK_TYPES.map(type => (
+              <option key={type} value={type}>{LINK_TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+          <input
+            value={otherBug}
+            onChange={(e) => setOtherBug(e.target.value)}
+            className="form-input"
+            placeholder="e.g. WEB-12"
+            aria-label="Linked bug key"
+            disabled={isSaving}
+          />
+          <button type="submit" className="link-add-button" disabled={isSaving || !otherBug.trim()}>
+            Add link
+          </button>
+        </form>
+      )}
+
+      <style>{`
+        .bug-relationships h4 {
+          margin: 0.75rem 0 0.25rem;
+          font-size: 0.875rem;
+          color: #4a5568;
+        }
+
+        .bug-relationships ul {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        .link-item {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.25rem 0;
+        }
+
+        .link-key {
+          font-family: monospace;
+          color: #4a5568;
+        }
+
+        .link-title {
+          flex: 1;
+        }
+
+        .link-status {
+          font-size: 0.75rem;
+          color: #718096;
+        }
+
+        .link-remove-button {
+          background: none;
+          border: none;
+          cursor: pointer;
+          color: #c53030;
+        }
+
+        .relationships-empty {
+          color: #718096;
+          font-size: 0.875rem;
+        }
+
+        .link-form {
+          display: flex;
+          gap: 0.5rem;
+          margin-top: 1rem;
+        }
+
+        .link-add-button {
+          padding: 0.5rem 1rem;
+          border: none;
+          border-radius: 6px;
+          background: #4299e1;
+          color: white;
+          cursor: pointer;
+        }
+
+        .link-add-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </section>
+  );
+};
+
+export default BugRelationships;
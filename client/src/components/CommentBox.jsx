@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { bugAPI, userAPI } from '../services/api';
+import { findMentionQuery, insertMention } from '../utils/mentions';
+import MarkdownEditor from './MarkdownEditor';
+
+// Wait this long after the last keystroke before searching users
+const SEARCH_DELAY_MS = 200;
+
+/**
+ * CommentBox Component
+ * Adds a comment to a bug. Typing "@" suggests users to mention.
+ *
+ * @param {string} bugId - Bug to comment on
+ * @param {Function} onCommentAdded - Called with the new comment
+ * @param {boolean} canReplyToCustomer - Offer to show the comment on the customer's tracking page
+ */
+const CommentBox = ({ bugId, onCommentAdded, canReplyToCustomer = false }) => {
+  const [message, setMessage] = useState('');
+  const [isPublic, setIsPublic] = useState(false);
+  const [mention, setMention] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const textareaRef = useRef(null);
+  const caretRef = useRef(null);
+
+  // Look up users for the mention being typed
+  useEffect(() => {
+    if (!mention) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await userAPI.search(mention.query);
+        if (!cancelled) {
+          setSuggestions(response.data);
+          setActiveIndex(0);
+        }
+      } catch (err) {
+        console.error('❌ Error searching users:', err);
+        if (!cancelled) setSuggestions([]);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [mention?.query, mention?.start]);
+
+  // Put the caret back after a mention was inserted
+  useEffect(() => {
+    if (caretRef.current === null || !textareaRef.current) return;
+    textareaRef.current.focus();
+    textareaRef.current.setSelectionRange(caretRef.current, caretRef.current);
+    caretRef.current = null;
+  }, [message]);
+
+  const closeSuggestions = () => {
+    setMention(null);
+    setSuggestions([]);
+  };
+
+  const handleChange = (e) => {
+    setMessage(e.target.value);
+    setMention(findMentionQuery(e.target.value, e.target.selectionStart));
+  };
+
+  const selectUser = (user) => {
+    const caret = mention.start + mention.query.length + 1;
+    const result = insertMention(message, mention.start, caret, user.username);
+    caretRef.current = result.caret;
+    setMessage(result.text);
+    closeSuggestions();
+  };
+
+  const handleKeyDown = (e) => {
+    if (!mention || suggestions.length === 0) return;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActiveIndex(index => (index + 1) % suggestions.length);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        setActiveIndex(index => (index - 1 + suggestions.length) % suggestions.length);
+        break;
+      case 'Enter':
+      case 'Tab':
+        e.preventDefault();
+        selectUser(suggestions[activeIndex]);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        closeSuggestions();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!message.trim()) return;
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      // Comments are internal unless marked otherwise
+      const response = await bugAPI.addComment(bugId, isPublic ? { message, visibility: 'public' } : { message });
+      console.log('✅ Comment added');
+      setMessage('');
+      setIsPublic(false);
+      closeSuggestions();
+      onCommentAdded?.(response.data);
+    } catch (err) {
+      console.error('❌ Error adding comment:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="comment-box" onSubmit={handleSubmit}>
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="comment-box-input">
+        <MarkdownEditor
+          ref={textareaRef}
+          id={`new-comment-${bugId}`}
+          name="message"
+          value={message}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={closeSuggestions}
+          className="form-textarea"
+          rows={3}
+          maxLength={2000}
+          disabled={isSubmitting}
+          placeholder="Add a comment. Type @ to mention someone."
+          aria-label="Add a comment"
+          aria-autocomplete="list"
+          aria-expanded={suggestions.length > 0}
+        />
+
+        {mention && suggestions.length > 0 && (
+          <ul className="mention-suggestions" role="listbox" aria-label="Mention suggestions">
+            {suggestions.map((user, index) => (
+              <li
+                key={user._id}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={index === activeIndex ? 'active' : ''}
+                // mousedown fires before the textarea blurs and closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  selectUser(user);
+                }}
+              >
+                <strong>@{user.username}</strong> – {user.name}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {canReplyToCustomer && (
+        <label className="comment-visibility">
+          <input
+            type="checkbox"
+            checked={isPublic}
+            onChange={(e) => setIsPublic(e.target.checked)}
+            disabled={isSubmitting}
+          />
+          Visible to the customer
+        </label>
+      )}
+
+      <button type="submit" className="comment-submit" disabled={isSubmitting || !message.trim()}>
+        {isSubmitting ? 'Posting...' : '💬 Comment'}
+      </button>
+
+      <style>{`
+        .comment-box {
+          margin-top: 1rem;
+        }
+
+        .comment-box-input {
+          position: relative;
+        }
+
+        .mention-suggestions {
+          position: absolute;
+          left: 0;
+          z-index: 10;
+          min-width: 16rem;
+          list-style: none;
+          padding: 0.25rem 0;
+          margin: 0;
+          background: white;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        }
+
+        .mention-suggestions li {
+          padding: 0.25rem 0.75rem;
+          cursor: pointer;
+          font-size: 0.875rem;
+          color: #4a5568;
+        }
+
+        .mention-suggestions li.active {
+          background: #ebf8ff;
+        }
+
+        .comment-visibility {
+          display: flex;
+          align-items: center;
+          gap: 0.375rem;
+          margin-top: 0.5rem;
+          font-size: 0.875rem;
+          color: #4a5568;
+        }
+
+        .comment-submit {
+          margin-top: 0.5rem;
+          background: #4299e1;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          padding: 0.5rem 1rem;
+          cursor: pointer;
+        }
+
+        .comment-submit:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </form>
+  );
+};
+
+export default CommentBox;
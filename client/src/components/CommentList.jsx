@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { bugAPI } from '../services/api';
+import { can } from '../utils/permissions';
+import MarkdownView from './MarkdownView';
+import MarkdownEditor from './MarkdownEditor';
+
+/**
+ * CommentList Component
+ * Shows a bug's comments. Authors can edit and remove their own comments;
+ * moderators can remove any comment and read its edit history.
+ *
+ * @param {string} bugId - Bug the comments belong to
+ * @param {Object[]} comments - Comments from the API
+ * @param {Object} currentUser - Signed-in user
+ * @param {Function} onCommentChange - Called with a comment after it is edited or removed
+ */
+const CommentList = ({ bugId, comments, currentUser, onCommentChange }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [history, setHistory] = useState({});
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canModerate = can(currentUser, 'comments:moderate');
+  const isAuthor = (comment) => Boolean(currentUser?._id) && comment.authorId === currentUser._id;
+
+  const startEditing = (comment) => {
+    setEditingId(comment._id);
+    setDraft(comment.message);
+    setError(null);
+  };
+
+  /**
+   * Run a comment change and hand the updated comment to the parent
+   * @param {Function} request - API call returning { data: comment }
+   */
+  const saveComment = async (request) => {
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const response = await request();
+      onCommentChange?.(response.data);
+      return true;
+    } catch (err) {
+      console.error('❌ Error updating comment:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = async (comment) => {
+    if (!draft.trim()) return;
+
+    const saved = await saveComment(() => bugAPI.updateComment(bugId, comment._id, { message: draft }));
+    if (saved) setEditingId(null);
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Remove this comment?')) {
+      return;
+    }
+    await saveComment(() => bugAPI.deleteComment(bugId, comment._id));
+  };
+
+  const toggleHistory = async (comment) => {
+    if (history[comment._id]) {
+      setHistory(prev => ({ ...prev, [comment._id]: undefined }));
+      return;
+    }
+
+    try {
+      const response = await bugAPI.getCommentRevisions(bugId, comment._id);
+      setHistory(prev => ({ ...prev, [comment._id]: response.data }));
+    } catch (err) {
+      console.error('❌ Error fetching comment history:', err);
+      setError(err.message);
+    }
+  };
+
+  const renderHistory = (comment) => {
+    const entry = history[comment._id];
+    if (!entry) return null;
+
+    return (
+      <div className="comment-history">
+        <h4>Edit history</h4>
+        {entry.revisions.length === 0 && !entry.deletedAt && <p>No earlier versions</p>}
+        <ol>
+          {entry.revisions.map((revision, index) => (
+            <li key={index}>
+              <div className="comment-history-meta">
+                Replaced by {revision.editedBy} on {new Date(revision.editedAt).toLocaleString()}
+              </div>
+              <div className="comment-history-text">{revision.message}</div>
+            </li>
+          ))}
+          {entry.deletedAt && (
+            <li>
+              <div className="comment-history-meta">
+                Removed by {entry.deletedBy} on {new Date(entry.deletedAt).toLocaleString()}
+              </div>
+              <div className="comment-history-text">{entry.message}</div>
+            </li>
+          )}
+        </ol>
+      </div>
+    );
+  };
+
+  if (!comments || comments.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="bug-comments">
+      <h3>💬 Comments</h3>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul>
+        {comments.map(comment => (
+          <li key={comment._id} className={`comment ${comment.deleted ? 'comment-removed' : ''}`}>
+            <div className="comment-meta">
+              <strong>{comment.author}</strong>
+              <span>{new Date(comment.createdAt).toLocaleString()}</span>
+              {comment.editedAt && !comment.deleted && (
+                <span className="comment-edited" title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}>
+                  (edited)
+                </span>
+              )}
+              {comment.visibility === 'public' && (
+                <span className="comment-public" title="Shown on the customer's tracking page">
+                  👁️ Visible to customer
+                </span>
+              )}
+            </div>
+
+            {comment.deleted && <p className="comment-removed-text">🗑️ Comment removed</p>}
+
+            {!comment.deleted && editingId === comment._id && (
+              <div className="comment-editor">
+                <MarkdownEditor
+                  id={`comment-${comment._id}`}
+                  name="message"
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  className="form-textarea"
+                  rows={3}
+                  maxLength={2000}
+                  disabled={isSaving}
+                  aria-label="Edit comment"
+                />
+                <div className="comment-actions">
+                  <button type="button" onClick={() => handleSave(comment)} disabled={isSaving || !draft.trim()}>
+                    Save
+                  </button>
+                  <button type="button" onClick={() => setEditingId(null)} disabled={isSaving}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {!comment.deleted && editingId !== comment._id && (
+              <MarkdownView html={comment.messageHtml} fallback={comment.message} bugId={bugId} />
+            )}
+
+            <div className="comment-actions">
+              {!comment.deleted && isAuthor(comment) && editingId !== comment._id && (
+                <button type="button" onClick={() => startEditing(comment)} disabled={isSaving}>
+                  Edit
+                </button>
+              )}
+              {!comment.deleted && (isAuthor(comment) || canModerate) && (
+                <button type="button" onClick={() => handleDelete(comment)} disabled={isSaving}>
+                  Delete
+                </button>
+              )}
+              {canModerate && (comment.editedAt || comment.deleted) && (
+                <button type="button" onClick={() => toggleHistory(comment)}>
+                  {history[comment._id] ? 'Hide history' : 'History'}
+                </button>
+              )}
+            </div>
+
+            {renderHistory(comment)}
+          </li>
+        ))}
+      </ul>
+
+      <style>{`
+        .bug-comments ul {
+          list-style: none;
+          padding: 0;
+        }
+
+        .comment {
+          border-top: 1px solid #edf2f7;
+          padding: 0.75rem 0;
+        }
+
+        .comment-meta {
+          display: flex;
+          gap: 0.5rem;
+          align-items: baseline;
+          font-size: 0.875rem;
+          color: #718096;
+          margin-bottom: 0.25rem;
+        }
+
+        .comment-meta strong {
+          color: #2d3748;
+        }
+
+        .comment-edited {
+          font-style: italic;
+        }
+
+        .comment-public {
+          color: #2b6cb0;
+          font-size: 0.75rem;
+        }
+
+        .comment-removed-text {
+          color: #a0aec0;
+          font-style: italic;
+        }
+
+        .comment-actions {
+          display: flex;
+          gap: 0.75rem;
+          margin-top: 0.25rem;
+        }
+
+        .comment-actions button {
+          background: none;
+          border: none;
+          color: #4299e1;
+          cursor: pointer;
+          padding: 0;
+          font-size: 0.8rem;
+        }
+
+        .comment-history {
+          background: #f7fafc;
+          border-radius: 6px;
+          padding: 0.5rem 0.75rem;
+          margin-top: 0.5rem;
+          font-size: 0.875rem;
+        }
+
+        .comment-history ol {
+          padding-left: 1.25rem;
+        }
+
+        .comment-history-meta {
+          color: #718096;
+        }
+
+        .comment-history-text {
+          white-space: pre-wrap;
+        }
+      `}</style>
+    </section>
+  );
+};
+
+export default CommentList;
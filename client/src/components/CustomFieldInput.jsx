@@ -0,0 +1,79 @@
+import React from 'react';
+
+/**
+ * CustomFieldInput Component
+ * Renders the input for one project-defined custom field based on its type
+ * (text, number, enum, date or user)
+ */
+const CustomFieldInput = ({ field, value, onChange, error, disabled }) => {
+  const id = `cf-${field.key}`;
+  const className = `${field.type === 'enum' ? 'form-select' : 'form-input'} ${error ? 'error' : ''}`;
+
+  /**
+   * Report the new value for this field
+   * @param {Event} e - Input change event
+   */
+  const handleChange = (e) => {
+    onChange(field.key, e.target.value);
+  };
+
+  const renderInput = () => {
+    switch (field.type) {
+      case 'enum':
+        return (
+          <select id={id} value={value} onChange={handleChange} className={className} disabled={disabled}>
+            <option value="">Select...</option>
+            {field.options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        );
+      case 'number':
+        return (
+          <input type="number" id={id} value={value} onChange={handleChange} className={className} disabled={disabled} />
+        );
+      case 'date':
+        return (
+          <input type="date" id={id} value={value} onChange={handleChange} className={className} disabled={disabled} />
+        );
+      case 'user':
+        return (
+          <input
+            type="text"
+            id={id}
+            value={value}
+            onChange={handleChange}
+            className={className}
+            placeholder="Username"
+            disabled={disabled}
+          />
+        );
+      default:
+        return (
+          <input
+            type="text"
+            id={id}
+            value={value}
+            onChange={handleChange}
+            className={className}
+            maxLength={500}
+            disabled={disabled}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="form-group">
+      <label htmlFor={id} className="form-label">
+        {field.label}{field.required ? ' *' : ''}
+      </label>
+      {renderInput()}
+      {error && (
+        <span className="error-text">{error}</span>
+      )}
+    </div>
+  );
+};
+
+export default CustomFieldInput;
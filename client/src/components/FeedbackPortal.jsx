@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { portalAPI } from '../services/api';
+
+/**
+ * FeedbackPortal Component
+ * Public page where customers report a problem without an account.
+ * After sending, the customer gets a secret tracking link; it is only
+ * shown once, so the page asks them to keep it.
+ *
+ * The form carries a token from the server (used to reject forms sent
+ * too quickly) and a hidden honeypot field that only bots fill in.
+ */
+const FeedbackPortal = () => {
+  const [form, setForm] = useState(null);
+  const [formData, setFormData] = useState({ name: '', email: '', title: '', description: '' });
+  const [honeypot, setHoneypot] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [receipt, setReceipt] = useState(null);
+
+  useEffect(() => {
+    portalAPI.startForm()
+      .then(response => setForm(response.data))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (Object.values(formData).some(value => !value.trim())) {
+      setError('Please fill in every field');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await portalAPI.submitFeedback({
+        ...formData,
+        formToken: form.formToken,
+        [form.honeypotField]: honeypot
+      });
+      console.log('✅ Feedback sent as', response.data.key);
+      setReceipt(response.data);
+    } catch (err) {
+      console.error('❌ Error sending feedback:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="feedback-portal">
+      {receipt ? (
+        <>
+          <div className="form-header">
+            <h2>✅ Thanks, we got your report</h2>
+            <p>Your reference is <strong>{receipt.key}</strong>.</p>
+          </div>
+
+          <p>
+            Follow your report and add more information with this link. Keep it somewhere safe:
+            anyone with the link can see the report, and we cannot send it to you again.
+          </p>
+          <p className="tracking-link">
+            <a href={receipt.trackingUrl}>{receipt.trackingUrl}</a>
+          </p>
+        </>
+      ) : (
+        <>
+          <div className="form-header">
+            <h2>📣 Report a problem</h2>
+            <p>Tell us what went wrong and we will look into it.</p>
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+
+          <form onSubmit={handleSubmit} className="feedback-form">
+            <div className="form-group">
+              <label htmlFor="feedback-name" className="form-label">Your name</label>
+              <input
+                type="text"
+                id="feedback-name"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                className="form-input"
+                maxLength={100}
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="feedback-email" className="form-label">Email</label>
+              <input
+                type="email"
+                id="feedback-email"
+                name="email"
+                value={formData.email}
+                onChange={handleInputChange}
+                className="form-input"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="feedback-title" className="form-label">What went wrong?</label>
+              <input
+                type="text"
+                id="feedback-title"
+                name="title"
+                value={formData.title}
+                onChange={handleInputChange}
+                className="form-input"
+                maxLength={100}
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="feedback-description" className="form-label">Details</label>
+              <textarea
+                id="feedback-description"
+                name="description"
+                value={formData.description}
+                onChange={handleInputChange}
+                className="form-textarea"
+                rows={6}
+                maxLength={1000}
+                placeholder="What were you doing, and what happened?"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            {/* Honeypot: hidden from people, so anything typed here came from a bot */}
+            {form && (
+              <div className="feedback-honeypot" aria-hidden="true">
+                <label htmlFor="feedback-honeypot">Leave this empty</label>
+                <input
+                  type="text"
+                  id="feedback-honeypot"
+                  name={form.honeypotField}
+                  value={honeypot}
+                  onChange={(e) => setHoneypot(e.target.value)}
+                  tabIndex={-1}
+                  autoComplete="off"
+                />
+              </div>
+            )}
+
+            <button type="submit" className="submit-button" disabled={isSubmitting || !form}>
+              {isSubmitting ? '🔄 Sending...' : '📨 Send report'}
+            </button>
+          </form>
+        </>
+      )}
+
+      <style>{`
+        .feedback-portal {
+          background: white;
+          border-radius: 12px;
+          padding: 2rem;
+          box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+          max-width: 560px;
+          margin: 2rem auto;
+          color: #2d3748;
+        }
+
+        .feedback-portal .form-header {
+          text-align: center;
+          margin-bottom: 1.5rem;
+        }
+
+        .feedback-portal .form-header p {
+          color: #718096;
+          margin: 0.5rem 0 0;
+        }
+
+        .feedback-portal .error-message {
+          background: #fed7d7;
+          color: #742a2a;
+          padding: 1rem;
+          border-radius: 8px;
+          margin-bottom: 1rem;
+          text-align: center;
+          font-weight: 600;
+        }
+
+        .feedback-form {
+          display: flex;
+          flex-direction: column;
+          gap: 1rem;
+        }
+
+        .feedback-portal .form-label {
+          display: block;
+          font-weight: 600;
+          margin-bottom: 0.25rem;
+        }
+
+        .feedback-portal .form-input,
+        .feedback-portal .form-textarea {
+          width: 100%;
+          padding: 0.75rem;
+          border: 2px solid #e2e8f0;
+          border-radius: 8px;
+          font-size: 1rem;
+          font-family: inherit;
+          box-sizing: border-box;
+        }
+
+        .feedback-honeypot {
+          position: absolute;
+          left: -10000px;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+        }
+
+        .feedback-portal .submit-button {
+          background: #4299e1;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          padding: 0.75rem 1.5rem;
+          font-size: 1rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .feedback-portal .submit-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .tracking-link {
+          background: #ebf8ff;
+          padding: 1rem;
+          border-radius: 8px;
+          word-break: break-all;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default FeedbackPortal;
@@ -1,11 +1,12 @@
 import React from 'react';
+import NotificationBell from './NotificationBell';
 
 /**
  * Layout Component
  * Provides consistent layout structure with header navigation
  * Includes responsive design and modern styling
  */
-const Layout = ({ children }) => {
+const Layout = ({ children, currentUser, onLogout, onOpenBug }) => {
   return (
     <div className="layout">
       <header className="header">
@@ -25,6 +26,15 @@ const Layout = ({ children }) => {
             <a href="/about" className="nav-link">
               ℹ️ About
             </a>
+            {currentUser && (
+              <div className="user-menu">
+                <NotificationBell onOpenBug={onOpenBug} />
+                <span className="user-name">👤 {currentUser.name}</span>
+                <button onClick={onLogout} className="logout-button">
+                  Log out
+                </button>
+              </div>
+            )}
           </nav>
         </div>
       </header>
@@ -111,6 +121,31 @@ const Layout = ({ children }) => {
           transform: translateY(0);
         }
 
+        .user-menu {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+        }
+
+        .user-name {
+          font-weight: 600;
+        }
+
+        .logout-button {
+          background: rgba(255, 255, 255, 0.15);
+          color: white;
+          border: 1px solid rgba(255, 255, 255, 0.4);
+          border-radius: 8px;
+          padding: 0.4rem 0.9rem;
+          cursor: pointer;
+          font-weight: 500;
+          transition: all 0.3s ease;
+        }
+
+        .logout-button:hover {
+          background: rgba(255, 255, 255, 0.25);
+        }
+
         .main-content {
           flex: 1;
           max-width: 1200px;
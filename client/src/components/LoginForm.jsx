@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+
+/**
+ * LoginForm Component
+ * Sign-in and registration form shown to unauthenticated users
+ * Switches between login and register modes
+ */
+const LoginForm = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('login'); // 'login' | 'register'
+  const [formData, setFormData] = useState({
+    name: '',
+    username: '',
+    email: '',
+    password: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const isRegister = mode === 'register';
+
+  /**
+   * Handle input changes
+   * @param {Event} e - Input change event
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  /**
+   * Handle form submission for both modes
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.email.trim() || !formData.password) {
+      setError(isRegister ? 'All fields are required' : 'Email and password are required');
+      return;
+    }
+
+    if (isRegister && (!formData.name.trim() || !formData.username.trim())) {
+      setError('All fields are required');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const user = isRegister
+        ? await authAPI.register(formData)
+        : await authAPI.login({ email: formData.email, password: formData.password });
+
+      console.log('✅ Authenticated as:', user.username);
+
+      if (onAuthenticated) {
+        onAuthenticated(user);
+      }
+    } catch (err) {
+      console.error('❌ Authentication failed:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-form-container">
+      <div className="form-header">
+        <h2>{isRegister ? '👤 Create Account' : '🔑 Sign In'}</h2>
+        <p>{isRegister ? 'Register to start reporting bugs' : 'Sign in to access the bug tracker'}</p>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="login-form">
+        {isRegister && (
+          <>
+            <div className="form-group">
+              <label htmlFor="name" className="form-label">Name</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleInputChange}
+                className="form-input"
+                maxLength={50}
+                disabled={isSubmitting}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="username" className="form-label">Username</label>
+              <input
+                type="text"
+                id="username"
+                name="username"
+                value={formData.username}
+                onChange={handleInputChange}
+                className="form-input"
+                maxLength={30}
+                disabled={isSubmitting}
+              />
+            </div>
+          </>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="email" className="form-label">
+            {isRegister ? 'Email' : 'Email or Username'}
+          </label>
+          <input
+            type={isRegister ? 'email' : 'text'}
+            id="email"
+            name="email"
+            value={formData.email}
+            onChange={handleInputChange}
+            className="form-input"
+            disabled={isSubmitting}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="password" className="form-label">Password</label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleInputChange}
+            className="form-input"
+            minLength={isRegister ? 8 : undefined}
+            disabled={isSubmitting}
+          />
+        </div>
+
+        <button type="submit" className="submit-button" disabled={isSubmitting}>
+          {isSubmitting ? '🔄 Please wait...' : isRegister ? '👤 Register' : '🔑 Sign In'}
+        </button>
+      </form>
+
+      <button
+        type="button"
+        className="mode-toggle"
+        onClick={() => {
+          setMode(isRegister ? 'login' : 'register');
+          setError('');
+        }}
+        disabled={isSubmitting}
+      >
+        {isRegister ? 'Already have an account? Sign in' : 'Need an account? Register'}
+      </button>
+
+      <style>{`
+        .login-form-container {
+          background: white;
+          border-radius: 12px;
+          padding: 2rem;
+          box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+          max-width: 420px;
+          margin: 0 auto;
+        }
+
+        .login-form-container .form-header {
+          text-align: center;
+          margin-bottom: 1.5rem;
+        }
+
+        .login-form-container .form-header h2 {
+          color: #2d3748;
+          margin-bottom: 0.5rem;
+        }
+
+        .login-form-container .form-header p {
+          color: #718096;
+          margin: 0;
+        }
+
+        .login-form-container .error-message {
+          background: #fed7d7;
+          color: #742a2a;
+          padding: 1rem;
+          border-radius: 8px;
+          margin-bottom: 1rem;
+          text-align: center;
+          font-weight: 600;
+        }
+
+        .login-form {
+          display: flex;
+          flex-direction: column;
+          gap: 1rem;
+        }
+
+        .login-form .form-group {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .login-form .form-label {
+          font-weight: 600;
+          color: #2d3748;
+          margin-bottom: 0.5rem;
+        }
+
+        .login-form .form-input {
+          padding: 0.75rem;
+          border: 2px solid #e2e8f0;
+          border-radius: 8px;
+          font-size: 1rem;
+        }
+
+        .login-form .form-input:focus {
+          outline: none;
+          border-color: #4299e1;
+          box-shadow: 0 0 0 3px rgba(66, 153, 225, 0.1);
+        }
+
+        .login-form .submit-button {
+          padding: 0.75rem 1.5rem;
+          background: #4299e1;
+          color: white;
+          border: none;
+          border-radius: 8px;
+          font-size: 1rem;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .login-form .submit-button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .mode-toggle {
+          display: block;
+          margin: 1rem auto 0;
+          background: none;
+          border: none;
+          color: #4299e1;
+          cursor: pointer;
+          font-weight: 600;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default LoginForm;
@@ -0,0 +1,135 @@
+import React, { useState, forwardRef } from 'react';
+import { markdownAPI } from '../services/api';
+import MarkdownView from './MarkdownView';
+
+/**
+ * MarkdownEditor Component
+ * Textarea with Write and Preview tabs. The preview is rendered by the
+ * server so it matches exactly what will be stored.
+ * Takes the same props as the textarea it wraps (id, name, value, onChange, ...);
+ * a ref is passed on to the textarea.
+ */
+const MarkdownEditor = forwardRef(({ id, name, value, onChange, className = '', disabled, ...textareaProps }, ref) => {
+  const [mode, setMode] = useState('write');
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [previewError, setPreviewError] = useState(null);
+  const [isRendering, setIsRendering] = useState(false);
+
+  const showPreview = async () => {
+    setMode('preview');
+    setPreviewError(null);
+
+    if (!value.trim()) {
+      setPreviewHtml('');
+      return;
+    }
+
+    setIsRendering(true);
+    try {
+      const response = await markdownAPI.preview(value);
+      setPreviewHtml(response.data.html);
+    } catch (err) {
+      console.error('❌ Error rendering preview:', err);
+      setPreviewError(err.message);
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const renderPreview = () => {
+    if (isRendering) return <p className="markdown-placeholder">Rendering preview...</p>;
+    if (previewError) return <p className="error-text">{previewError}</p>;
+    if (!previewHtml) return <p className="markdown-placeholder">Nothing to preview</p>;
+    return <MarkdownView html={previewHtml} />;
+  };
+
+  return (
+    <div className="markdown-editor">
+      <div className="markdown-tabs" role="tablist">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'write'}
+          className={mode === 'write' ? 'active' : ''}
+          onClick={() => setMode('write')}
+          disabled={disabled}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          role="tab"
+          aria-selected={mode === 'preview'}
+          className={mode === 'preview' ? 'active' : ''}
+          onClick={showPreview}
+          disabled={disabled}
+        >
+          Preview
+        </button>
+      </div>
+
+      {mode === 'write' ? (
+        <textarea
+          ref={ref}
+          id={id}
+          name={name}
+          value={value}
+          onChange={onChange}
+          className={className}
+          disabled={disabled}
+          {...textareaProps}
+        />
+      ) : (
+        <div className="markdown-preview-pane" role="tabpanel">
+          {renderPreview()}
+        </div>
+      )}
+
+      <div className="markdown-hint">
+        Markdown supported: **bold**, `code`, ``` code blocks ```, lists and links
+      </div>
+
+      <style>{`
+        .markdown-tabs {
+          display: flex;
+          gap: 0.25rem;
+          margin-bottom: 0.25rem;
+        }
+
+        .markdown-tabs button {
+          background: none;
+          border: 1px solid transparent;
+          border-radius: 6px 6px 0 0;
+          padding: 0.25rem 0.75rem;
+          color: #718096;
+          cursor: pointer;
+        }
+
+        .markdown-tabs button.active {
+          border-color: #e2e8f0;
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .markdown-preview-pane {
+          min-height: 6rem;
+          border: 2px solid #e2e8f0;
+          border-radius: 8px;
+          padding: 0.75rem;
+        }
+
+        .markdown-placeholder {
+          color: #a0aec0;
+        }
+
+        .markdown-hint {
+          color: #a0aec0;
+          font-size: 0.75rem;
+          margin-top: 0.25rem;
+        }
+      `}</style>
+    </div>
+  );
+});
+
+export default MarkdownEditor;
@@ -0,0 +1,59 @@
+import React, { useEffect, useRef } from 'react';
+import { bugAPI } from '../services/api';
+
+/**
+ * MarkdownView Component
+ * Shows Markdown the server has already rendered and sanitized
+ * (server/services/markdown.js). Inline images reference the bug's
+ * attachments, which need the auth header, so they are fetched here.
+ *
+ * @param {string} html - Sanitized HTML from the API
+ * @param {string} fallback - Plain text shown for content saved before Markdown
+ * @param {string} bugId - Bug whose attachments inline images point at
+ * @param {string} className - Extra class names
+ */
+const MarkdownView = ({ html, fallback = '', bugId, className = '' }) => {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!html || !bugId || !container) return undefined;
+
+    let cancelled = false;
+    const objectUrls = [];
+
+    container.querySelectorAll('img[data-attachment]').forEach(async (img) => {
+      try {
+        const blob = await bugAPI.getAttachmentBlob(bugId, img.dataset.attachment);
+        if (cancelled) return;
+
+        const url = URL.createObjectURL(blob);
+        objectUrls.push(url);
+        img.src = url;
+      } catch (err) {
+        console.error('❌ Error loading inline image:', err);
+        img.classList.add('markdown-image-missing');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      objectUrls.forEach(url => URL.revokeObjectURL(url));
+    };
+  }, [html, bugId]);
+
+  if (!html) {
+    return <div className={`markdown-body plain ${className}`}>{fallback}</div>;
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`markdown-body ${className}`}
+      // Sanitized on the server against an allow-list of tags and attributes
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownView;
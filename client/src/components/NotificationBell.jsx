@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { notificationAPI } from '../services/api';
+import { NOTIFICATION_ICONS, formatBadgeCount } from '../utils/notifications';
+
+// How often the unread badge is refreshed
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Notifications shown in the panel
+const PANEL_LIMIT = 10;
+
+/**
+ * NotificationBell Component
+ * Header bell with an unread badge. Opening it lists recent notifications;
+ * choosing one marks it read and opens its bug.
+ *
+ * @param {Function} onOpenBug - Called with the bug key (or ID) to open
+ */
+const NotificationBell = ({ onOpenBug }) => {
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const containerRef = useRef(null);
+
+  const refreshCount = useCallback(async () => {
+    try {
+      const response = await notificationAPI.getUnreadCount();
+      setUnreadCount(response.data.count);
+    } catch (err) {
+      console.error('❌ Error refreshing unread notifications:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshCount();
+    const timer = setInterval(refreshCount, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [refreshCount]);
+
+  // Close the panel on clicks outside it
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const loadNotifications = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await notificationAPI.list({ limit: PANEL_LIMIT });
+      setNotifications(response.data);
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('❌ Error loading notifications:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const togglePanel = () => {
+    if (!isOpen) loadNotifications();
+    setIsOpen(!isOpen);
+  };
+
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+    onOpenBug?.(notification.bugKey || notification.bug);
+
+    if (!notification.read) {
+      setNotifications(prev => prev.map(entry => (
+        entry._id === notification._id ? { ...entry, read: true } : entry
+      )));
+      setUnreadCount(count => Math.max(0, count - 1));
+
+      try {
+        await notificationAPI.markRead(notification._id);
+      } catch (err) {
+        console.error('❌ Error marking notification read:', err);
+      }
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationAPI.markAllRead();
+      setNotifications(prev => prev.map(entry => ({ ...entry, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('❌ Error marking notifications read:', err);
+      setError(err.message);
+    }
+  };
+
+  const badge = formatBadgeCount(unreadCount);
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        type="button"
+        className="notification-bell-button"
+        onClick={togglePanel}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        aria-label={unreadCount ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+      >
+        🔔
+        {badge && <span className="notification-badge">{badge}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="notification-panel" role="dialog" aria-label="Notifications">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            <button type="button" onClick={handleMarkAllRead} disabled={!unreadCount}>
+              Mark all read
+            </button>
+          </div>
+
+          {error && <p className="notification-panel-message">{error}</p>}
+          {loading && <p className="notification-panel-message">Loading...</p>}
+          {!loading && !error && notifications.length === 0 && (
+            <p className="notification-panel-message">You're all caught up</p>
+          )}
+
+          <ul>
+            {notifications.map(notification => (
+              <li key={notification._id}>
+                <button
+                  type="button"
+                  className={`notification-item ${notification.read ? '' : 'unread'}`}
+                  onClick={() => handleOpen(notification)}
+                >
+                  <span className="notification-icon" aria-hidden="true">
+                    {NOTIFICATION_ICONS[notification.type] || '🔔'}
+                  </span>
+                  <span className="notification-text">
+                    {notification.message}
+                    <span className="notification-time">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <style>{`
+        .notification-bell {
+          position: relative;
+        }
+
+        .notification-bell-button {
+          position: relative;
+          background: rgba(255, 255, 255, 0.15);
+          border: none;
+          border-radius: 50%;
+          width: 2.25rem;
+          height: 2.25rem;
+          cursor: pointer;
+          font-size: 1.1rem;
+        }
+
+        .notification-badge {
+          position: absolute;
+          top: -0.25rem;
+          right: -0.375rem;
+          background: #e53e3e;
+          color: white;
+          border-radius: 999px;
+          padding: 0 0.375rem;
+          font-size: 0.7rem;
+          font-weight: 700;
+          line-height: 1.2rem;
+          min-width: 1.2rem;
+        }
+
+        .notification-panel {
+          position: absolute;
+          right: 0;
+          top: calc(100% + 0.5rem);
+          width: 22rem;
+          max-height: 28rem;
+          overflow-y: auto;
+          background: white;
+          color: #2d3748;
+          border-radius: 8px;
+          box-shadow: 0 10px 25px rgba(0, 0, 0, 0.15);
+          z-index: 200;
+        }
+
+        .notification-panel-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 0.75rem 1rem;
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .notification-panel-header button {
+          background: none;
+          border: none;
+          color: #4299e1;
+          cursor: pointer;
+          font-size: 0.8rem;
+        }
+
+        .notification-panel-header button:disabled {
+          color: #a0aec0;
+          cursor: default;
+        }
+
+        .notification-panel-message {
+          padding: 1rem;
+          color: #718096;
+          text-align: center;
+        }
+
+        .notification-panel ul {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+        }
+
+        .notification-item {
+          display: flex;
+          gap: 0.5rem;
+          width: 100%;
+          text-align: left;
+          background: none;
+          border: none;
+          border-bottom: 1px solid #edf2f7;
+          padding: 0.625rem 1rem;
+          cursor: pointer;
+          font-size: 0.875rem;
+          color: #4a5568;
+        }
+
+        .notification-item:hover {
+          background: #f7fafc;
+        }
+
+        .notification-item.unread {
+          background: #ebf8ff;
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .notification-text {
+          display: flex;
+          flex-direction: column;
+        }
+
+        .notification-time {
+          font-size: 0.75rem;
+          font-weight: 400;
+          color: #a0aec0;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { userAPI } from '../services/api';
+import { NOTIFICATION_TYPES } from '../utils/notifications';
+
+/**
+ * NotificationPreferences Component
+ * Lets users choose which notifications they receive. Each checkbox is
+ * saved as soon as it changes.
+ */
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState(null);
+  const [savingType, setSavingType] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    userAPI.getNotificationPreferences()
+      .then(response => {
+        if (!cancelled) setPreferences(response.data);
+      })
+      .catch(err => {
+        console.error('❌ Error loading notification preferences:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleToggle = async (type, enabled) => {
+    setSavingType(type);
+    setError(null);
+
+    try {
+      const response = await userAPI.updateNotificationPreferences({ [type]: enabled });
+      setPreferences(response.data);
+    } catch (err) {
+      console.error('❌ Error saving notification preferences:', err);
+      setError(err.message);
+    } finally {
+      setSavingType(null);
+    }
+  };
+
+  return (
+    <section className="notification-preferences">
+      <h2>🔔 Notifications</h2>
+      <p className="notification-preferences-hint">
+        You watch the bugs you report or are assigned to. Choose what you want to hear about.
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!preferences && !error && <p>Loading preferences...</p>}
+
+      {preferences && (
+        <ul>
+          {NOTIFICATION_TYPES.map(({ type, label }) => (
+            <li key={type}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={preferences[type] !== false}
+                  onChange={(e) => handleToggle(type, e.target.checked)}
+                  disabled={savingType !== null}
+                />
+                {label}
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style>{`
+        .notification-preferences {
+          background: white;
+          border-radius: 12px;
+          padding: 1.5rem 2rem;
+          box-shadow: 0 4px 6px rgba(0, 0, 0, 0.05);
+        }
+
+        .notification-preferences-hint {
+          color: #718096;
+          margin: 0.5rem 0 1rem;
+        }
+
+        .notification-preferences ul {
+          list-style: none;
+          padding: 0;
+        }
+
+        .notification-preferences li {
+          padding: 0.375rem 0;
+        }
+
+        .notification-preferences label {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          cursor: pointer;
+        }
+      `}</style>
+    </section>
+  );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { portalAPI } from '../services/api';
+import MarkdownView from './MarkdownView';
+
+// How each workflow category is described to customers
+const PROGRESS_LABELS = {
+  open: '📥 Received',
+  in_progress: '🔧 Being worked on',
+  done: '✅ Resolved'
+};
+
+/**
+ * ReportTracker Component
+ * Public page behind a report's secret tracking link. Shows the report's
+ * status and the replies staff chose to share, and lets the customer add
+ * more information. Internal comments never reach this page.
+ *
+ * @param {string} token - Tracking token from the link
+ */
+const ReportTracker = ({ token }) => {
+  const [report, setReport] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(false);
+
+  useEffect(() => {
+    portalAPI.getReport(token)
+      .then(response => setReport(response.data))
+      .catch(err => setLoadError(err.message));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!message.trim()) return;
+
+    setIsSubmitting(true);
+    setError('');
+    setSent(false);
+
+    try {
+      const response = await portalAPI.addComment(token, message);
+      setReport(response.data);
+      setMessage('');
+      setSent(true);
+    } catch (err) {
+      console.error('❌ Error adding to report:', err);
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="report-tracker">
+        <h2>Report not found</h2>
+        <p>Check that you copied the whole link from when you sent your report.</p>
+      </div>
+    );
+  }
+
+  if (!report) {
+    return <div className="report-tracker">Loading your report...</div>;
+  }
+
+  return (
+    <div className="report-tracker">
+      <div className="report-header">
+        <span className="report-key">{report.key}</span>
+        <h2>{report.title}</h2>
+        <div className="report-status">
+          <span className={`report-progress progress-${report.statusCategory}`}>
+            {PROGRESS_LABELS[report.statusCategory] || report.status}
+          </span>
+          <span className="report-status-name">{report.status}</span>
+        </div>
+        <p className="report-dates">
+          Sent {new Date(report.createdAt).toLocaleString()} · Last updated {new Date(report.updatedAt).toLocaleString()}
+        </p>
+      </div>
+
+      <MarkdownView html={report.descriptionHtml} fallback={report.description} className="report-description" />
+
+      <section className="report-comments">
+        <h3>Updates</h3>
+        {report.comments.length === 0 ? (
+          <p className="report-empty">No updates yet. We will post here when there is news.</p>
+        ) : (
+          <ul>
+            {report.comments.map(comment => (
+              <li key={comment._id} className={comment.fromCustomer ? 'from-customer' : 'from-support'}>
+                <div className="report-comment-meta">
+                  <strong>{comment.author}</strong>
+                  <span>{new Date(comment.createdAt).toLocaleString()}</span>
+                </div>
+                <MarkdownView html={comment.messageHtml} fallback={comment.message} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <form onSubmit={handleSubmit} className="report-comment-form">
+        <label htmlFor="report-message">Add more information</label>
+        {error && <div className="error-message">{error}</div>}
+        {sent && <div className="success-message">Thanks, we have added this to your report.</div>}
+        <textarea
+          id="report-message"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          rows={4}
+          maxLength={2000}
+          disabled={isSubmitting}
+        />
+        <button type="submit" disabled={isSubmitting || !message.trim()}>
+          {isSubmitting ? 'Sending...' : '📨 Send'}
+        </button>
+      </form>
+
+      <style>{`
+        .report-tracker {
+          background: white;
+          border-radius: 12px;
+          padding: 2rem;
+          box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+          max-width: 720px;
+          margin: 2rem auto;
+          color: #2d3748;
+        }
+
+        .report-key {
+          color: #718096;
+          font-weight: 600;
+        }
+
+        .report-header h2 {
+          margin: 0.25rem 0 0.75rem;
+        }
+
+        .report-status {
+          display: flex;
+          gap: 0.75rem;
+          align-items: center;
+        }
+
+        .report-progress {
+          padding: 0.25rem 0.75rem;
+          border-radius: 999px;
+          font-weight: 600;
+          background: #edf2f7;
+        }
+
+        .report-progress.progress-in_progress {
+          background: #fefcbf;
+          color: #744210;
+        }
+
+        .report-progress.progress-done {
+          background: #c6f6d5;
+          color: #22543d;
+        }
+
+        .report-status-name,
+        .report-dates,
+        .report-empty,
+        .report-comment-meta {
+          color: #718096;
+          font-size: 0.875rem;
+        }
+
+        .report-comments ul {
+          list-style: none;
+          padding: 0;
+        }
+
+        .report-comments li {
+          border-left: 3px solid #e2e8f0;
+          padding: 0.5rem 0.75rem;
+          margin-bottom: 0.75rem;
+        }
+
+        .report-comments li.from-support {
+          border-left-color: #4299e1;
+        }
+
+        .report-comment-meta {
+          display: flex;
+          gap: 0.5rem;
+        }
+
+        .report-comment-meta strong {
+          color: #2d3748;
+        }
+
+        .report-comment-form {
+          display: flex;
+          flex-direction: column;
+          gap: 0.5rem;
+        }
+
+        .report-comment-form label {
+          font-weight: 600;
+        }
+
+        .report-comment-form textarea {
+          padding: 0.75rem;
+          border: 2px solid #e2e8f0;
+          border-radius: 8px;
+          font-family: inherit;
+          font-size: 1rem;
+        }
+
+        .report-comment-form button {
+          align-self: flex-start;
+          background: #4299e1;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          padding: 0.5rem 1rem;
+          cursor: pointer;
+        }
+
+        .report-comment-form button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .report-tracker .error-message {
+          background: #fed7d7;
+          color: #742a2a;
+          padding: 0.75rem;
+          border-radius: 8px;
+        }
+
+        .report-tracker .success-message {
+          background: #c6f6d5;
+          color: #22543d;
+          padding: 0.75rem;
+          border-radius: 8px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ReportTracker;
@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { getSlaState, formatDuration } from '../utils/sla';
+
+// How often the countdown refreshes
+const TICK_MS = 60 * 1000;
+
+/**
+ * SlaBadge Component
+ * Shows a live countdown to a customer bug's next SLA deadline,
+ * or whether the SLA was met, breached or is paused
+ */
+const SlaBadge = ({ sla }) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    if (!sla?.policy || sla.resolvedAt) {
+      return undefined;
+    }
+
+    const timer = setInterval(() => setNow(new Date()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [sla]);
+
+  const slaState = getSlaState(sla, now);
+
+  if (!slaState) {
+    return <span className="sla-badge sla-none">-</span>;
+  }
+
+  const { state, target, remainingMs } = slaState;
+  const breachedClass = sla.breachedAt ? 'sla-breached' : '';
+
+  switch (state) {
+    case 'met':
+      return <span className="sla-badge sla-met">✓ SLA met</span>;
+    case 'breached':
+      return <span className="sla-badge sla-breached">SLA breached</span>;
+    case 'paused':
+      return <span className={`sla-badge sla-paused ${breachedClass}`}>⏸ SLA paused</span>;
+    case 'overdue':
+      return (
+        <span className="sla-badge sla-overdue sla-breached" title={`${target} deadline missed`}>
+          ⏰ Overdue by {formatDuration(remainingMs)}
+        </span>
+      );
+    default:
+      return (
+        <span className={`sla-badge sla-due ${breachedClass}`}>
+          {target === 'response' ? 'Response' : 'Resolution'} due in {formatDuration(remainingMs)}
+        </span>
+      );
+  }
+};
+
+export default SlaBadge;
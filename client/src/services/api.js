@@ -29,9 +29,34 @@ const api = axios.create({
   },
 });
 
-// Request interceptor for logging and debugging
+/**
+ * Token storage helpers
+ * Access and refresh tokens are persisted in localStorage between sessions
+ */
+const ACCESS_TOKEN_KEY = 'bugTracker.accessToken';
+const REFRESH_TOKEN_KEY = 'bugTracker.refreshToken';
+
+export const tokenStorage = {
+  getAccessToken: () => localStorage.getItem(ACCESS_TOKEN_KEY),
+  getRefreshToken: () => localStorage.getItem(REFRESH_TOKEN_KEY),
+  setTokens: ({ accessToken, refreshToken }) => {
+    if (accessToken) localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  },
+  clear: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  },
+};
+
+// Request interceptor for logging, debugging and attaching the access token
 api.interceptors.request.use(
   (config) => {
+    const accessToken = tokenStorage.getAccessToken();
+    if (accessToken && !config.headers.Authorization) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+
     console.log('🚀 API Request:', {
       method: config.method?.toUpperCase(),
       url: config.url,
@@ -46,7 +71,25 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for logging and error handling
+// Shared in-flight refresh so parallel 401s only trigger one refresh call
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = async () => {
+  const refreshToken = tokenStorage.getRefreshToken();
+  if (!refreshToken) {
+    throw new Error('No refresh token available');
+  }
+
+  const response = await axios.post(`${getApiBaseURL()}/auth/refresh`, { refreshToken });
+  tokenStorage.setTokens(response.data.data);
+  return response.data.data.accessToken;
+};
+
+// Response interceptor for logging, error handling and token refresh
 api.interceptors.response.use(
   (response) => {
     console.log('✅ API Response:', {
@@ -56,17 +99,113 @@ api.interceptors.response.use(
     });
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('❌ Response Error:', {
       status: error.response?.status,
       message: error.response?.data?.message || error.message,
       url: error.config?.url,
       data: error.response?.data,
     });
+
+    const originalRequest = error.config;
+    const isAuthCall = /^\/auth\/(login|register|refresh)/.test(originalRequest?.url || '');
+
+    // Retry once with a fresh access token when the current one has expired
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthCall) {
+      originalRequest._retry = true;
+
+      try {
+        refreshPromise = refreshPromise || refreshAccessToken();
+        const accessToken = await refreshPromise;
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        console.warn('🔒 Session expired, clearing tokens');
+        tokenStorage.clear();
+      } finally {
+        refreshPromise = null;
+      }
+    }
+
     return Promise.reject(error);
   }
 );
 
+/**
+ * Auth API methods
+ * Registration, login and session management
+ */
+
+export const authAPI = {
+  /**
+   * Register a new account and store the issued tokens
+   * @param {Object} userData - { name, username, email, password }
+   * @returns {Promise<Object>} Registered user
+   */
+  register: async (userData) => {
+    try {
+      console.log('👤 Registering user:', userData.username);
+      const response = await api.post('/auth/register', userData);
+      tokenStorage.setTokens(response.data.data);
+      return response.data.data.user;
+    } catch (error) {
+      console.error('❌ Error registering:', error);
+      throw new Error(error.response?.data?.message || 'Failed to register');
+    }
+  },
+
+  /**
+   * Log in and store the issued tokens
+   * @param {Object} credentials - { email, password } (email may also be a username)
+   * @returns {Promise<Object>} Logged-in user
+   */
+  login: async (credentials) => {
+    try {
+      console.log('🔑 Logging in:', credentials.email);
+      const response = await api.post('/auth/login', credentials);
+      tokenStorage.setTokens(response.data.data);
+      return response.data.data.user;
+    } catch (error) {
+      console.error('❌ Error logging in:', error);
+      throw new Error(error.response?.data?.message || 'Failed to log in');
+    }
+  },
+
+  /**
+   * Get the currently authenticated user
+   * @returns {Promise<Object>} User object
+   */
+  getCurrentUser: async () => {
+    try {
+      const response = await api.get('/auth/me');
+      return response.data.data;
+    } catch (error) {
+      console.error('❌ Error fetching current user:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch current user');
+    }
+  },
+
+  /**
+   * Log out, revoking refresh tokens on the server and clearing local tokens
+   */
+  logout: async () => {
+    try {
+      console.log('👋 Logging out');
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('❌ Error logging out:', error);
+    } finally {
+      tokenStorage.clear();
+    }
+  },
+
+  /**
+   * Whether a session token is stored locally
+   * @returns {boolean}
+   */
+  hasSession: () => Boolean(tokenStorage.getAccessToken() || tokenStorage.getRefreshToken()),
+};
+
 /**
  * Bug API methods
  * All CRUD operations for bugs with proper error handling
@@ -90,8 +229,8 @@ export const bugAPI = {
   },
 
   /**
-   * Get a single bug by ID
-   * @param {string} id - Bug ID
+   * Get a single bug by ID or key
+   * @param {string} id - Bug ID or key (e.g. "WEB-42")
    * @returns {Promise<Object>} Bug object
    */
   getBugById: async (id) => {
@@ -189,7 +328,7 @@ export const bugAPI = {
   /**
    * Add a comment to a bug
    * @param {string} id - Bug ID
-   * @param {Object} comment - { author, message }
+   * @param {Object} comment - { message, visibility } (visibility 'public' shows it to the customer)
    */
   addComment: async (id, comment) => {
     try {
@@ -201,6 +340,463 @@ export const bugAPI = {
       throw new Error(error.response?.data?.message || 'Failed to add comment');
     }
   },
+
+  /**
+   * Edit one of your comments
+   * @param {string} id - Bug ID
+   * @param {string} commentId - Comment ID
+   * @param {Object} comment - { message }
+   * @returns {Promise<Object>} Response with the updated comment
+   */
+  updateComment: async (id, commentId, comment) => {
+    try {
+      console.log('✏️ Editing comment:', id, commentId);
+      const response = await api.put(`/bugs/${id}/comments/${commentId}`, comment);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error editing comment:', error);
+      throw new Error(error.response?.data?.message || 'Failed to edit comment');
+    }
+  },
+
+  /**
+   * Remove a comment; it stays in the thread as "comment removed"
+   * @param {string} id - Bug ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>} Response with the removed comment
+   */
+  deleteComment: async (id, commentId) => {
+    try {
+      console.log('🗑️ Removing comment:', id, commentId);
+      const response = await api.delete(`/bugs/${id}/comments/${commentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error removing comment:', error);
+      throw new Error(error.response?.data?.message || 'Failed to remove comment');
+    }
+  },
+
+  /**
+   * Get a comment's edit history (moderators only)
+   * @param {string} id - Bug ID
+   * @param {string} commentId - Comment ID
+   * @returns {Promise<Object>} Response with { message, revisions, deletedAt, deletedBy }
+   */
+  getCommentRevisions: async (id, commentId) => {
+    try {
+      const response = await api.get(`/bugs/${id}/comments/${commentId}/revisions`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching comment history:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch comment history');
+    }
+  },
+
+  /**
+   * Watch a bug to be notified when it changes
+   * @param {string} id - Bug ID or key
+   * @returns {Promise<Object>} Response with { watching, watchers }
+   */
+  watchBug: async (id) => {
+    try {
+      console.log('👁️ Watching bug:', id);
+      const response = await api.post(`/bugs/${id}/watch`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error watching bug:', error);
+      throw new Error(error.response?.data?.message || 'Failed to watch bug');
+    }
+  },
+
+  /**
+   * Stop watching a bug
+   * @param {string} id - Bug ID or key
+   * @returns {Promise<Object>} Response with { watching, watchers }
+   */
+  unwatchBug: async (id) => {
+    try {
+      console.log('🙈 Unwatching bug:', id);
+      const response = await api.delete(`/bugs/${id}/watch`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error unwatching bug:', error);
+      throw new Error(error.response?.data?.message || 'Failed to unwatch bug');
+    }
+  },
+
+  /**
+   * Add and remove labels on several bugs at once
+   * @param {string[]} bugIds - Bug IDs or keys
+   * @param {Object} changes - { add: [label names], remove: [label names] }
+   * @returns {Promise<Object>} Response with the updated bugs
+   */
+  bulkUpdateLabels: async (bugIds, { add = [], remove = [] }) => {
+    try {
+      console.log('🏷️ Bulk updating labels:', bugIds, { add, remove });
+      const response = await api.post('/bugs/bulk/labels', { bugs: bugIds, add, remove });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error updating labels:', error);
+      throw new Error(error.response?.data?.message || 'Failed to update labels');
+    }
+  },
+
+  /**
+   * Find open bugs similar to a report before it is filed
+   * @param {Object} report - { title, description, project }
+   * @returns {Promise<Object>} Response with matches ({ _id, key, title, status, score })
+   */
+  checkDuplicates: async (report) => {
+    try {
+      const response = await api.post('/bugs/duplicates/check', report);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error checking for duplicates:', error);
+      throw new Error(error.response?.data?.message || 'Failed to check for duplicates');
+    }
+  },
+
+  /**
+   * Link a bug to another bug
+   * @param {string} id - Bug ID or key
+   * @param {string} type - blocks, blocked_by, duplicates, duplicated_by or relates_to
+   * @param {string} otherBug - ID or key of the other bug
+   * @returns {Promise<Object>} Response with the bug and its links
+   */
+  addLink: async (id, type, otherBug) => {
+    try {
+      console.log('🔗 Linking bugs:', { id, type, otherBug });
+      const response = await api.post(`/bugs/${id}/links`, { type, bug: otherBug });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error linking bugs:', error);
+      throw new Error(error.response?.data?.message || 'Failed to link bugs');
+    }
+  },
+
+  /**
+   * Remove a link between two bugs
+   * @param {string} id - Bug ID or key
+   * @param {string} type - Link type as seen from this bug
+   * @param {string} otherBug - ID or key of the other bug
+   * @returns {Promise<Object>} Response with the bug and its remaining links
+   */
+  removeLink: async (id, type, otherBug) => {
+    try {
+      console.log('✂️ Unlinking bugs:', { id, type, otherBug });
+      const response = await api.delete(`/bugs/${id}/links/${type}/${otherBug}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error unlinking bugs:', error);
+      throw new Error(error.response?.data?.message || 'Failed to remove link');
+    }
+  },
+
+  /**
+   * Upload a file to a bug
+   * @param {string} id - Bug ID or key
+   * @param {File} file - File to upload
+   * @param {Object} [options] - { comment: comment ID, onProgress: called with 0-100 }
+   * @returns {Promise<Object>} Response with the created attachments
+   */
+  uploadAttachment: async (id, file, { comment, onProgress } = {}) => {
+    try {
+      console.log('📎 Uploading attachment:', { id, name: file.name, size: file.size });
+
+      const formData = new FormData();
+      formData.append('files', file);
+      if (comment) formData.append('comment', comment);
+
+      const response = await api.post(`/bugs/${id}/attachments`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        // Large files take longer than the default request timeout
+        timeout: 0,
+        onUploadProgress: (event) => {
+          if (onProgress && event.total) {
+            onProgress(Math.round((event.loaded / event.total) * 100));
+          }
+        },
+      });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error uploading attachment:', error);
+      throw new Error(error.response?.data?.message || 'Failed to upload attachment');
+    }
+  },
+
+  /**
+   * Download an attachment's contents, e.g. to show an inline image
+   * @param {string} id - Bug ID or key
+   * @param {string} attachmentId - Attachment ID
+   * @returns {Promise<Blob>} File contents
+   */
+  getAttachmentBlob: async (id, attachmentId) => {
+    try {
+      const response = await api.get(`/bugs/${id}/attachments/${attachmentId}`, { responseType: 'blob' });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error downloading attachment:', error);
+      throw new Error('Failed to download attachment');
+    }
+  },
+};
+
+/**
+ * Markdown API methods
+ */
+
+export const markdownAPI = {
+  /**
+   * Render Markdown the way the server will store it
+   * @param {string} text - Markdown source
+   * @returns {Promise<Object>} Response with { html }
+   */
+  preview: async (text) => {
+    try {
+      const response = await api.post('/markdown/preview', { text });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error rendering preview:', error);
+      throw new Error(error.response?.data?.message || 'Failed to render preview');
+    }
+  },
+};
+
+/**
+ * Project API methods
+ */
+
+export const projectAPI = {
+  /**
+   * Get all projects
+   * @returns {Promise<Object>} Response with an array of projects
+   */
+  getProjects: async () => {
+    try {
+      console.log('📁 Fetching projects');
+      const response = await api.get('/projects');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching projects:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch projects');
+    }
+  },
+
+  /**
+   * Get a single project by ID or key
+   * @param {string} idOrKey - Project ID or key (e.g. "WEB")
+   * @returns {Promise<Object>} Project response
+   */
+  getProject: async (idOrKey) => {
+    try {
+      console.log('📁 Fetching project:', idOrKey);
+      const response = await api.get(`/projects/${idOrKey}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching project:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch project');
+    }
+  },
+
+  /**
+   * Get a project's status workflow
+   * @param {string} idOrKey - Project ID or key
+   * @returns {Promise<Object>} Workflow response ({ initialStatus, statuses, transitions })
+   */
+  getWorkflow: async (idOrKey) => {
+    try {
+      console.log('🔀 Fetching workflow for project:', idOrKey);
+      const response = await api.get(`/projects/${idOrKey}/workflow`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching workflow:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch workflow');
+    }
+  },
+};
+
+/**
+ * User directory API methods
+ */
+
+export const userAPI = {
+  /**
+   * Find users by username or name prefix, e.g. to autocomplete @mentions
+   * @param {string} query - Start of a username or name
+   * @returns {Promise<Object>} Response with users ({ _id, name, username })
+   */
+  search: async (query) => {
+    try {
+      const response = await api.get('/users/search', { params: { q: query } });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error searching users:', error);
+      throw new Error(error.response?.data?.message || 'Failed to search users');
+    }
+  },
+
+  /**
+   * Get which notification types the signed-in user receives
+   * @returns {Promise<Object>} Response with { [type]: boolean }
+   */
+  getNotificationPreferences: async () => {
+    try {
+      const response = await api.get('/users/me/notification-preferences');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching notification preferences:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch notification preferences');
+    }
+  },
+
+  /**
+   * Switch notification types on or off
+   * @param {Object} preferences - { [type]: boolean }
+   * @returns {Promise<Object>} Response with the saved preferences
+   */
+  updateNotificationPreferences: async (preferences) => {
+    try {
+      console.log('🔔 Updating notification preferences:', preferences);
+      const response = await api.put('/users/me/notification-preferences', preferences);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error updating notification preferences:', error);
+      throw new Error(error.response?.data?.message || 'Failed to update notification preferences');
+    }
+  },
+};
+
+/**
+ * Notification center API methods
+ */
+
+export const notificationAPI = {
+  /**
+   * Get the signed-in user's notifications, newest first
+   * @param {Object} params - { unread, limit }
+   * @returns {Promise<Object>} Response with notifications and unreadCount
+   */
+  list: async (params = {}) => {
+    try {
+      const response = await api.get('/notifications', { params });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching notifications:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch notifications');
+    }
+  },
+
+  /**
+   * Get the number of unread notifications
+   * @returns {Promise<Object>} Response with { count }
+   */
+  getUnreadCount: async () => {
+    try {
+      const response = await api.get('/notifications/unread-count');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching unread notifications:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch unread notifications');
+    }
+  },
+
+  /**
+   * Mark one notification as read
+   * @param {string} id - Notification ID
+   * @returns {Promise<Object>} Response with the notification
+   */
+  markRead: async (id) => {
+    try {
+      const response = await api.patch(`/notifications/${id}/read`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error marking notification read:', error);
+      throw new Error(error.response?.data?.message || 'Failed to mark notification as read');
+    }
+  },
+
+  /**
+   * Mark every notification as read
+   * @returns {Promise<Object>} Response with { updated }
+   */
+  markAllRead: async () => {
+    try {
+      console.log('📭 Marking all notifications read');
+      const response = await api.patch('/notifications/read-all');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error marking notifications read:', error);
+      throw new Error(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  },
+};
+
+/**
+ * Public feedback portal API methods
+ * Used by the customer-facing pages, which work without a login
+ */
+
+export const portalAPI = {
+  /**
+   * Start a feedback form
+   * @returns {Promise<Object>} Response with { formToken, honeypotField }
+   */
+  startForm: async () => {
+    try {
+      const response = await api.get('/public/feedback/form');
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error starting feedback form:', error);
+      throw new Error(error.response?.data?.message || 'Failed to load the feedback form');
+    }
+  },
+
+  /**
+   * Send a report
+   * @param {Object} report - { name, email, title, description, formToken } plus the honeypot field
+   * @returns {Promise<Object>} Response with { key, trackingToken, trackingUrl }
+   */
+  submitFeedback: async (report) => {
+    try {
+      console.log('📣 Sending feedback report');
+      const response = await api.post('/public/feedback', report);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error sending feedback:', error);
+      throw new Error(error.response?.data?.message || 'Failed to send your report');
+    }
+  },
+
+  /**
+   * Get a report by its tracking token
+   * @param {string} token - Token from the tracking link
+   * @returns {Promise<Object>} Response with the report's status and public comments
+   */
+  getReport: async (token) => {
+    try {
+      const response = await api.get(`/public/track/${encodeURIComponent(token)}`);
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error fetching report:', error);
+      throw new Error(error.response?.data?.message || 'Failed to load your report');
+    }
+  },
+
+  /**
+   * Add more information to a report
+   * @param {string} token - Token from the tracking link
+   * @param {string} message - Text to add
+   * @returns {Promise<Object>} Response with the updated report
+   */
+  addComment: async (token, message) => {
+    try {
+      const response = await api.post(`/public/track/${encodeURIComponent(token)}/comments`, { message });
+      return response.data;
+    } catch (error) {
+      console.error('❌ Error adding to report:', error);
+      throw new Error(error.response?.data?.message || 'Failed to add to your report');
+    }
+  },
 };
 
 /**
@@ -0,0 +1,438 @@
+/**
+ * Integration tests for BugDetail component
+ * Tests loading a bug and managing its relationships
+ */
+
+import React from 'react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import BugDetail from '../../components/BugDetail';
+import { bugAPI, userAPI } from '../../services/api';
+
+// Mock the API service
+jest.mock('../../services/api', () => ({
+  bugAPI: {
+    getBugById: jest.fn(),
+    addLink: jest.fn(),
+    removeLink: jest.fn(),
+    getAttachmentBlob: jest.fn(),
+    updateComment: jest.fn(),
+    deleteComment: jest.fn(),
+    getCommentRevisions: jest.fn(),
+    addComment: jest.fn(),
+    watchBug: jest.fn(),
+    unwatchBug: jest.fn(),
+  },
+  userAPI: {
+    search: jest.fn(),
+  },
+  handleAPIError: jest.fn(() => 'Resource not found')
+}));
+
+describe('BugDetail Integration Tests', () => {
+  const editor = { _id: 'user-1', name: 'Dev User', role: 'developer', permissions: ['bugs:read', 'bugs:edit'] };
+  const reader = { _id: 'user-2', name: 'Viewer', role: 'reporter', permissions: ['bugs:read'] };
+
+  const blocker = { _id: 'bug-12', key: 'WEB-12', title: 'Payment API times out', status: 'Open' };
+  const duplicate = { _id: 'bug-40', key: 'WEB-40', title: 'Checkout broken', status: 'Resolved' };
+
+  const mockBug = {
+    _id: 'bug-7',
+    key: 'WEB-7',
+    title: 'Checkout fails',
+    description: 'Payment step returns an error',
+    status: 'Open',
+    priority: 'High',
+    severity: 'Major',
+    reportedBy: 'John Doe',
+    links: [
+      { type: 'blocked_by', bug: blocker },
+      { type: 'duplicated_by', bug: duplicate }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log('🧪 Setting up BugDetail integration test...');
+  });
+
+  it('should show the bug with its links grouped by type', async () => {
+    bugAPI.getBugById.mockResolvedValue({ success: true, data: mockBug });
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    expect(await screen.findByText('Checkout fails')).toBeInTheDocument();
+    expect(bugAPI.getBugById).toHaveBeenCalledWith('WEB-7');
+    expect(screen.getByRole('heading', { name: 'Blocked by' })).toBeInTheDocument();
+    expect(screen.getByText('WEB-12')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Duplicated by' })).toBeInTheDocument();
+    expect(screen.getByText('WEB-40')).toBeInTheDocument();
+  });
+
+  it('should add a link', async () => {
+    console.log('🧪 Testing adding a link...');
+
+    bugAPI.getBugById.mockResolvedValue({ success: true, data: { ...mockBug, links: [] } });
+    bugAPI.addLink.mockResolvedValue({
+      success: true,
+      data: { ...mockBug, links: [{ type: 'blocks', bug: blocker }] }
+    });
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    expect(await screen.findByText('No linked bugs')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Link type'), { target: { value: 'blocks' } });
+    fireEvent.change(screen.getByLabelText('Linked bug key'), { target: { value: 'web-12' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add link' }));
+
+    await waitFor(() => {
+      expect(bugAPI.addLink).toHaveBeenCalledWith('bug-7', 'blocks', 'WEB-12');
+    });
+    expect(await screen.findByText('Payment API times out')).toBeInTheDocument();
+    expect(screen.getByLabelText('Linked bug key')).toHaveValue('');
+
+    console.log('✅ Adding a link test passed');
+  });
+
+  it('should show why a link was rejected', async () => {
+    bugAPI.getBugById.mockResolvedValue({ success: true, data: mockBug });
+    bugAPI.addLink.mockRejectedValue(new Error('Linking WEB-7 blocks WEB-12 would create a cycle'));
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    fireEvent.change(await screen.findByLabelText('Linked bug key'), { target: { value: 'WEB-12' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add link' }));
+
+    expect(await screen.findByText(/would create a cycle/)).toBeInTheDocument();
+  });
+
+  it('should remove a link', async () => {
+    bugAPI.getBugById.mockResolvedValue({ success: true, data: mockBug });
+    bugAPI.removeLink.mockResolvedValue({
+      success: true,
+      data: { ...mockBug, links: [{ type: 'duplicated_by', bug: duplicate }] }
+    });
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Remove link to WEB-12' }));
+
+    await waitFor(() => {
+      expect(bugAPI.removeLink).toHaveBeenCalledWith('bug-7', 'blocked_by', 'bug-12');
+    });
+    await waitFor(() => expect(screen.queryByText('WEB-12')).not.toBeInTheDocument());
+  });
+
+  it('should show the parent and sub-task progress', async () => {
+    bugAPI.getBugById.mockResolvedValue({
+      success: true,
+      data: {
+        ...mockBug,
+        parent: { _id: 'bug-1', key: 'WEB-1', title: 'Rebuild checkout' },
+        subtasks: [
+          { _id: 'bug-8', key: 'WEB-8', title: 'Update cart API', status: 'Resolved' },
+          { _id: 'bug-9', key: 'WEB-9', title: 'Redesign payment step', status: 'Open' }
+        ],
+        progress: { total: 2, done: 1 }
+      }
+    });
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    expect(await screen.findByText('WEB-1 Rebuild checkout')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Sub-tasks' })).toBeInTheDocument();
+    expect(screen.getByText('Redesign payment step')).toBeInTheDocument();
+    expect(screen.getByText('1/2 resolved')).toBeInTheDocument();
+  });
+
+  it('should list linked commits and pull requests', async () => {
+    bugAPI.getBugById.mockResolvedValue({
+      success: true,
+      data: {
+        ...mockBug,
+        codeLinks: [
+          { _id: 'code-1', kind: 'commit', ref: '4a7d2c9e1b3f5a6d', title: 'Fix payment step', url: 'https://github.com/acme/web/commit/4a7d2c9e1b3f5a6d' },
+          { _id: 'code-2', kind: 'pull_request', repository: 'acme/web', ref: '7', title: 'Checkout fixes', url: 'https://github.com/acme/web/pull/7', state: 'merged' }
+        ]
+      }
+    });
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    expect(await screen.findByRole('heading', { name: 'Code' })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: '4a7d2c9' })).toHaveAttribute('href', 'https://github.com/acme/web/commit/4a7d2c9e1b3f5a6d');
+    expect(screen.getByRole('link', { name: 'acme/web#7' })).toBeInTheDocument();
+    expect(screen.getByText('merged')).toBeInTheDocument();
+  });
+
+  it('should render the Markdown description, inline images and comments', async () => {
+    console.log('🧪 Testing Markdown rendering...');
+
+    URL.createObjectURL = jest.fn(() => 'blob:checkout');
+    URL.revokeObjectURL = jest.fn();
+    bugAPI.getAttachmentBlob.mockResolvedValue(new Blob(['png']));
+    bugAPI.getBugById.mockResolvedValue({
+      success: true,
+      data: {
+        ...mockBug,
+        descriptionHtml: '<p>Fails with</p><pre><code>TypeError: total is undefined</code></pre>'
+          + '<p><img alt="checkout screen" data-attachment="64b7f0c2a1b2c3d4e5f60718" /></p>',
+        comments: [{
+          _id: 'comment-1',
+          author: 'Dev User',
+          message: 'Fixed in `cart.js`',
+          messageHtml: '<p>Fixed in <code>cart.js</code></p>',
+          createdAt: '2024-01-15T10:30:00.000Z'
+        }]
+      }
+    });
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    expect(await screen.findByText('TypeError: total is undefined')).toBeInTheDocument();
+    expect(screen.getByText('TypeError: total is undefined').tagName).toBe('CODE');
+    expect(screen.getByText('cart.js').tagName).toBe('CODE');
+
+    await waitFor(() => {
+      expect(screen.getByAltText('checkout screen')).toHaveAttribute('src', 'blob:checkout');
+    });
+    expect(bugAPI.getAttachmentBlob).toHaveBeenCalledWith('bug-7', '64b7f0c2a1b2c3d4e5f60718');
+
+    console.log('✅ Markdown rendering test passed');
+  });
+
+  it('should show descriptions saved before Markdown as plain text', async () => {
+    bugAPI.getBugById.mockResolvedValue({ success: true, data: mockBug });
+
+    render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+    expect(await screen.findByText('Payment step returns an error')).toHaveClass('plain');
+  });
+
+  it('should hide link editing from users without edit permission', async () => {
+    bugAPI.getBugById.mockResolvedValue({ success: true, data: mockBug });
+
+    render(<BugDetail bugId="WEB-7" currentUser={reader} onBack={jest.fn()} />);
+
+    expect(await screen.findByText('WEB-12')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Add link' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Remove link/ })).not.toBeInTheDocument();
+  });
+
+  describe('Watching', () => {
+    it('should let users watch and unwatch a bug', async () => {
+      console.log('🧪 Testing watch toggle...');
+
+      bugAPI.getBugById.mockResolvedValue({ success: true, data: { ...mockBug, watchers: ['user-3'] } });
+      bugAPI.watchBug.mockResolvedValue({ success: true, data: { watching: true, watchers: 2 } });
+      bugAPI.unwatchBug.mockResolvedValue({ success: true, data: { watching: false, watchers: 1 } });
+
+      render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+      fireEvent.click(await screen.findByRole('button', { name: /Watch/ }));
+
+      const unwatch = await screen.findByRole('button', { name: /Unwatch/ });
+      expect(bugAPI.watchBug).toHaveBeenCalledWith('bug-7');
+      expect(unwatch).toHaveTextContent('2');
+
+      fireEvent.click(unwatch);
+
+      expect(await screen.findByRole('button', { name: /Watch/ })).toHaveTextContent('1');
+      expect(bugAPI.unwatchBug).toHaveBeenCalledWith('bug-7');
+
+      console.log('✅ Watch toggle test passed');
+    });
+  });
+
+  describe('Comments', () => {
+    const admin = { _id: 'user-9', name: 'Admin', role: 'admin', permissions: ['bugs:read', 'bugs:edit', 'comments:moderate'] };
+
+    const ownComment = {
+      _id: 'comment-1',
+      author: 'Dev User',
+      authorId: 'user-1',
+      message: 'Token is sk_live_123',
+      messageHtml: '<p>Token is sk_live_123</p>',
+      createdAt: '2024-01-15T10:30:00.000Z'
+    };
+    const otherComment = {
+      _id: 'comment-2',
+      author: 'Viewer',
+      authorId: 'user-2',
+      message: 'Same here',
+      messageHtml: '<p>Same here</p>',
+      createdAt: '2024-01-15T11:30:00.000Z'
+    };
+
+    beforeEach(() => {
+      bugAPI.getBugById.mockResolvedValue({ success: true, data: { ...mockBug, comments: [ownComment, otherComment] } });
+    });
+
+    it('should let authors edit their own comments', async () => {
+      console.log('🧪 Testing comment editing...');
+
+      bugAPI.updateComment.mockResolvedValue({
+        success: true,
+        data: { ...ownComment, message: 'Token is in the vault', messageHtml: '<p>Token is in the vault</p>', editedAt: '2024-01-16T09:00:00.000Z' }
+      });
+
+      render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+      await screen.findByText('Token is sk_live_123');
+      expect(screen.getAllByRole('button', { name: 'Edit' })).toHaveLength(1);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Edit' }));
+      fireEvent.change(screen.getByLabelText('Edit comment'), { target: { value: 'Token is in the vault' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+      await waitFor(() => {
+        expect(bugAPI.updateComment).toHaveBeenCalledWith('bug-7', 'comment-1', { message: 'Token is in the vault' });
+      });
+      expect(await screen.findByText('(edited)')).toBeInTheDocument();
+      expect(screen.getByText('Token is in the vault')).toBeInTheDocument();
+      expect(screen.queryByLabelText('Edit comment')).not.toBeInTheDocument();
+      expect(screen.queryByText('Token is sk_live_123')).not.toBeInTheDocument();
+
+      console.log('✅ Comment editing test passed');
+    });
+
+    it('should show removed comments as removed', async () => {
+      window.confirm = jest.fn(() => true);
+      bugAPI.deleteComment.mockResolvedValue({
+        success: true,
+        data: { ...ownComment, message: '', messageHtml: '', deleted: true, deletedAt: '2024-01-16T09:00:00.000Z' }
+      });
+
+      render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+      await screen.findByText('Token is sk_live_123');
+      fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+      expect(await screen.findByText('🗑️ Comment removed')).toBeInTheDocument();
+      expect(bugAPI.deleteComment).toHaveBeenCalledWith('bug-7', 'comment-1');
+      expect(screen.queryByText('Token is sk_live_123')).not.toBeInTheDocument();
+    });
+
+    it('should let moderators remove any comment and read the history', async () => {
+      bugAPI.getBugById.mockResolvedValue({
+        success: true,
+        data: {
+          ...mockBug,
+          comments: [{ ...ownComment, message: 'Token is in the vault', messageHtml: '<p>Token is in the vault</p>', editedAt: '2024-01-16T09:00:00.000Z' }]
+        }
+      });
+      bugAPI.getCommentRevisions.mockResolvedValue({
+        success: true,
+        data: {
+          _id: 'comment-1',
+          message: 'Token is in the vault',
+          revisions: [{ message: 'Token is sk_live_123', editedBy: 'Dev User', editedAt: '2024-01-16T09:00:00.000Z' }]
+        }
+      });
+
+      render(<BugDetail bugId="WEB-7" currentUser={admin} onBack={jest.fn()} />);
+
+      await screen.findByText('Token is in the vault');
+      expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Delete' })).toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'History' }));
+
+      expect(await screen.findByText('Token is sk_live_123')).toBeInTheDocument();
+      expect(bugAPI.getCommentRevisions).toHaveBeenCalledWith('bug-7', 'comment-1');
+    });
+
+    it('should not offer history to other users', async () => {
+      bugAPI.getBugById.mockResolvedValue({
+        success: true,
+        data: { ...mockBug, comments: [{ ...otherComment, editedAt: '2024-01-16T09:00:00.000Z' }] }
+      });
+
+      render(<BugDetail bugId="WEB-7" currentUser={editor} onBack={jest.fn()} />);
+
+      await screen.findByText('Same here');
+      expect(screen.getByText('(edited)')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'History' })).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Mentions', () => {
+    const commenter = { _id: 'user-1', name: 'Dev User', role: 'developer', permissions: ['bugs:read', 'bugs:comment'] };
+    const alice = { _id: 'user-5', name: 'Alice Able', username: 'alice' };
+
+    beforeEach(() => {
+      bugAPI.getBugById.mockResolvedValue({ success: true, data: { ...mockBug, comments: [] } });
+      userAPI.search.mockResolvedValue({ success: true, data: [alice] });
+    });
+
+    const typeComment = (value) => {
+      const box = screen.getByLabelText('Add a comment');
+      fireEvent.change(box, { target: { value, selectionStart: value.length, selectionEnd: value.length } });
+      return box;
+    };
+
+    it('should suggest users after @ and insert the chosen one', async () => {
+      console.log('🧪 Testing mention autocomplete...');
+
+      render(<BugDetail bugId="WEB-7" currentUser={commenter} onBack={jest.fn()} />);
+      await screen.findByLabelText('Add a comment');
+
+      const box = typeComment('Ping @al');
+
+      const option = await screen.findByRole('option', { name: /@alice/ });
+      expect(userAPI.search).toHaveBeenCalledWith('al');
+
+      fireEvent.mouseDown(option);
+
+      expect(box).toHaveValue('Ping @alice ');
+      expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+
+      console.log('✅ Mention autocomplete test passed');
+    });
+
+    it('should complete the mention with the keyboard', async () => {
+      render(<BugDetail bugId="WEB-7" currentUser={commenter} onBack={jest.fn()} />);
+      await screen.findByLabelText('Add a comment');
+
+      const box = typeComment('@a');
+      await screen.findByRole('listbox');
+
+      fireEvent.keyDown(box, { key: 'Enter' });
+
+      expect(box).toHaveValue('@alice ');
+    });
+
+    it('should post the comment and show it', async () => {
+      bugAPI.addComment.mockResolvedValue({
+        success: true,
+        data: {
+          _id: 'comment-3',
+          author: 'Dev User',
+          authorId: 'user-1',
+          message: '@alice can you check this?',
+          messageHtml: '<p>@alice can you check this?</p>',
+          mentions: [{ user: 'user-5', username: 'alice' }],
+          createdAt: '2024-01-16T09:00:00.000Z'
+        }
+      });
+
+      render(<BugDetail bugId="WEB-7" currentUser={commenter} onBack={jest.fn()} />);
+      await screen.findByLabelText('Add a comment');
+
+      typeComment('@alice can you check this?');
+      fireEvent.click(screen.getByRole('button', { name: /Comment/ }));
+
+      expect(await screen.findByText('@alice can you check this?')).toBeInTheDocument();
+      expect(bugAPI.addComment).toHaveBeenCalledWith('bug-7', { message: '@alice can you check this?' });
+      await waitFor(() => expect(screen.getByLabelText('Add a comment')).toHaveValue(''));
+    });
+
+    it('should hide the comment box without permission', async () => {
+      render(<BugDetail bugId="WEB-7" currentUser={reader} onBack={jest.fn()} />);
+
+      await screen.findByText('Checkout fails');
+      expect(screen.queryByLabelText('Add a comment')).not.toBeInTheDocument();
+    });
+  });
+});
@@ -7,7 +7,7 @@ import React from 'react';
 import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import BugList from '../../components/BugList';
-import { bugAPI } from '../../services/api';
+import { bugAPI, projectAPI } from '../../services/api';
 
 // Mock the API service
 jest.mock('../../services/api', () => ({
@@ -15,11 +15,23 @@ jest.mock('../../services/api', () => ({
     getAllBugs: jest.fn(),
     updateBugStatus: jest.fn(),
     deleteBug: jest.fn(),
+    bulkUpdateLabels: jest.fn(),
+  },
+  projectAPI: {
+    getProjects: jest.fn(() => Promise.resolve({ success: true, data: [] })),
   },
   handleAPIError: jest.fn()
 }));
 
 describe('BugList Integration Tests', () => {
+  // Admins hold every permission, so all row actions are rendered
+  const adminUser = {
+    _id: 'admin-1',
+    name: 'Admin User',
+    role: 'admin',
+    permissions: ['bugs:read', 'bugs:edit', 'bugs:status', 'bugs:assign', 'bugs:prioritize', 'bugs:delete']
+  };
+
   const mockBugs = [
     {
       _id: '1',
@@ -66,7 +78,7 @@ describe('BugList Integration Tests', () => {
         data: mockBugs
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Check loading state
       expect(screen.getByText('Loading bugs...')).toBeInTheDocument();
@@ -99,7 +111,7 @@ describe('BugList Integration Tests', () => {
       const mockError = new Error('Network error');
       bugAPI.getAllBugs.mockRejectedValue(mockError);
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for error to be displayed
       await waitFor(() => {
@@ -123,7 +135,7 @@ describe('BugList Integration Tests', () => {
         data: []
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       await waitFor(() => {
         expect(screen.getByText('No bugs found')).toBeInTheDocument();
@@ -147,7 +159,7 @@ describe('BugList Integration Tests', () => {
         data: mockBugs
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -183,7 +195,7 @@ describe('BugList Integration Tests', () => {
         data: mockBugs
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -221,7 +233,7 @@ describe('BugList Integration Tests', () => {
         data: mockBugs
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -257,7 +269,7 @@ describe('BugList Integration Tests', () => {
         data: mockBugs
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -311,7 +323,7 @@ describe('BugList Integration Tests', () => {
         data: { ...mockBugs[0], status: 'In Progress' }
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -347,7 +359,7 @@ describe('BugList Integration Tests', () => {
       // Mock window.alert
       const mockAlert = jest.spyOn(window, 'alert').mockImplementation(() => {});
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -390,7 +402,7 @@ describe('BugList Integration Tests', () => {
       // Mock window.confirm
       const mockConfirm = jest.spyOn(window, 'confirm').mockImplementation(() => true);
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -429,7 +441,7 @@ describe('BugList Integration Tests', () => {
       // Mock window.confirm to return false
       const mockConfirm = jest.spyOn(window, 'confirm').mockImplementation(() => false);
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -452,6 +464,233 @@ describe('BugList Integration Tests', () => {
     });
   });
 
+  describe('Permissions', () => {
+    it('should hide the delete action from users without permission', async () => {
+      console.log('🧪 Testing permission-based action hiding...');
+
+      bugAPI.getAllBugs.mockResolvedValue({
+        success: true,
+        count: 1,
+        data: [mockBugs[0]]
+      });
+
+      const reporter = { _id: 'reporter-1', name: 'Reporter', role: 'reporter', permissions: ['bugs:read', 'bugs:status'] };
+
+      render(<BugList currentUser={reporter} />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Login Button Not Working')).toBeInTheDocument();
+      });
+
+      expect(screen.queryByRole('button', { name: /🗑️/ })).not.toBeInTheDocument();
+      // The first "Resolved" option belongs to the status filter, the second to the row;
+      // the default workflow only lets developers resolve an open bug
+      const resolvedOptions = screen.getAllByRole('option', { name: 'Resolved' });
+      expect(resolvedOptions[resolvedOptions.length - 1]).toBeDisabled();
+
+      console.log('✅ Permission-based hiding test passed');
+    });
+  });
+
+  describe('Labels', () => {
+    const labelledBug = {
+      ...mockBugs[0],
+      labels: [{ _id: 'label-1', name: 'ui', color: '#3182ce' }]
+    };
+
+    it('should show label chips on each bug', async () => {
+      bugAPI.getAllBugs.mockResolvedValue({ success: true, count: 1, data: [labelledBug] });
+
+      render(<BugList currentUser={adminUser} />);
+
+      const chip = await screen.findByText('ui');
+      expect(chip).toHaveClass('label-chip');
+      expect(chip).toHaveStyle({ backgroundColor: '#3182ce' });
+    });
+
+    it('should add a label to the selected bugs', async () => {
+      console.log('🧪 Testing bulk tagging...');
+
+      bugAPI.getAllBugs.mockResolvedValue({ success: true, count: 2, data: mockBugs.slice(0, 2) });
+      bugAPI.bulkUpdateLabels.mockResolvedValue({ success: true, data: [labelledBug] });
+
+      render(<BugList currentUser={adminUser} />);
+
+      fireEvent.click(await screen.findByLabelText('Select Login Button Not Working'));
+      fireEvent.change(screen.getByLabelText('Bulk label'), { target: { value: 'ui' } });
+      fireEvent.click(screen.getByRole('button', { name: /Add label/ }));
+
+      await waitFor(() => {
+        expect(bugAPI.bulkUpdateLabels).toHaveBeenCalledWith(['1'], { add: ['ui'] });
+      });
+      expect(await screen.findByText('ui')).toHaveClass('label-chip');
+
+      console.log('✅ Bulk tagging test passed');
+    });
+  });
+
+  describe('SLA', () => {
+    const customerBug = (sla) => ({ ...mockBugs[0], source: 'customer', sla });
+    const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+    it('should count down to the next SLA deadline', async () => {
+      bugAPI.getAllBugs.mockResolvedValue({
+        success: true,
+        count: 1,
+        data: [customerBug({ policy: 'policy-1', firstResponseDueAt: inMinutes(90.5), resolutionDueAt: inMinutes(600) })]
+      });
+
+      render(<BugList currentUser={adminUser} />);
+
+      expect(await screen.findByText('Response due in 1h 30m')).toHaveClass('sla-due');
+    });
+
+    it('should show overdue, paused and met SLAs', async () => {
+      console.log('🧪 Testing SLA badges...');
+
+      bugAPI.getAllBugs.mockResolvedValue({
+        success: true,
+        count: 3,
+        data: [
+          customerBug({
+            policy: 'policy-1',
+            firstResponseDueAt: inMinutes(-60),
+            firstRespondedAt: inMinutes(-90),
+            resolutionDueAt: inMinutes(-30.5),
+            breachedAt: inMinutes(-30.5)
+          }),
+          { ...customerBug({ policy: 'policy-1', pausedSince: inMinutes(-5) }), _id: '2' },
+          { ...customerBug({ policy: 'policy-1', resolvedAt: inMinutes(-5) }), _id: '3' }
+        ]
+      });
+
+      render(<BugList currentUser={adminUser} />);
+
+      expect(await screen.findByText('⏰ Overdue by 30m')).toHaveClass('sla-breached');
+      expect(screen.getByText('⏸ SLA paused')).toBeInTheDocument();
+      expect(screen.getByText('✓ SLA met')).toBeInTheDocument();
+
+      console.log('✅ SLA badges test passed');
+    });
+
+    it('should filter by SLA breach', async () => {
+      render(<BugList currentUser={adminUser} />);
+
+      fireEvent.change(await screen.findByLabelText('SLA:'), { target: { value: 'true' } });
+
+      await waitFor(() => {
+        expect(bugAPI.getAllBugs).toHaveBeenLastCalledWith(expect.objectContaining({ slaBreached: 'true' }));
+      });
+    });
+  });
+
+  describe('Markdown', () => {
+    it('should show rendered Markdown in the description preview', async () => {
+      bugAPI.getAllBugs.mockResolvedValue({
+        success: true,
+        count: 1,
+        data: [{
+          ...mockBugs[0],
+          description: 'Clicking **Login** does nothing',
+          descriptionHtml: '<p>Clicking <strong>Login</strong> does nothing</p>'
+        }]
+      });
+
+      render(<BugList currentUser={adminUser} />);
+
+      expect(await screen.findByText('Login')).toHaveProperty('tagName', 'STRONG');
+      expect(screen.queryByText(/\*\*Login\*\*/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Sub-tasks', () => {
+    const nestedBugs = [
+      { ...mockBugs[0], key: 'WEB-1', progress: { total: 2, done: 1 } },
+      { ...mockBugs[1], key: 'WEB-2' },
+      { ...mockBugs[2], key: 'WEB-3', parent: '1' }
+    ];
+
+    it('should nest sub-tasks under their parent with roll-up progress', async () => {
+      console.log('🧪 Testing nested sub-tasks...');
+
+      bugAPI.getAllBugs.mockResolvedValue({ success: true, count: 3, data: nestedBugs });
+
+      render(<BugList currentUser={adminUser} />);
+
+      expect(await screen.findByText('1/2 resolved')).toBeInTheDocument();
+
+      const rows = screen.getAllByRole('row').slice(1);
+      expect(rows[0]).toHaveTextContent('Login Button Not Working');
+      expect(rows[1]).toHaveTextContent('Minor UI Glitch');
+      expect(rows[1]).toHaveClass('subtask-row');
+      expect(rows[2]).toHaveTextContent('Slow Page Loading');
+
+      console.log('✅ Nested sub-tasks test passed');
+    });
+
+    it('should collapse and expand sub-tasks', async () => {
+      bugAPI.getAllBugs.mockResolvedValue({ success: true, count: 3, data: nestedBugs });
+
+      render(<BugList currentUser={adminUser} />);
+
+      fireEvent.click(await screen.findByRole('button', { name: 'Hide sub-tasks of WEB-1' }));
+      expect(screen.queryByText('Minor UI Glitch')).not.toBeInTheDocument();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show sub-tasks of WEB-1' }));
+      expect(screen.getByText('Minor UI Glitch')).toBeInTheDocument();
+    });
+  });
+
+  describe('Workflows', () => {
+    const project = {
+      _id: 'project-1',
+      key: 'WEB',
+      name: 'Website',
+      workflow: {
+        initialStatus: 'New',
+        statuses: [
+          { name: 'New', category: 'open' },
+          { name: 'Doing', category: 'in_progress' },
+          { name: 'Done', category: 'done' }
+        ],
+        transitions: [
+          { from: 'New', to: 'Doing', roles: [] },
+          { from: 'Doing', to: 'Done', roles: ['developer'] }
+        ]
+      }
+    };
+
+    it('should build status options from the project workflow', async () => {
+      console.log('🧪 Testing workflow-driven status options...');
+
+      projectAPI.getProjects.mockResolvedValueOnce({ success: true, data: [project] });
+      bugAPI.getAllBugs.mockResolvedValue({
+        success: true,
+        count: 1,
+        data: [{ ...mockBugs[0], project: 'project-1', status: 'New' }]
+      });
+
+      render(<BugList currentUser={adminUser} />);
+
+      await waitFor(() => {
+        expect(screen.getByDisplayValue('New')).toBeInTheDocument();
+        expect(screen.getAllByRole('option', { name: 'Doing' })).toHaveLength(2);
+      });
+
+      // Only the current status and its transitions are offered on the row
+      const rowSelect = screen.getByDisplayValue('New');
+      const rowOptions = Array.from(rowSelect.options).map(option => option.value);
+      expect(rowOptions).toEqual(['New', 'Doing']);
+
+      // The filter lists every status in the project's workflow
+      const statusFilter = screen.getByLabelText(/Status:/);
+      expect(Array.from(statusFilter.options).map(option => option.value))
+        .toEqual(['', 'New', 'Doing', 'Done']);
+
+      console.log('✅ Workflow-driven status options test passed');
+    });
+  });
+
   describe('Refresh Functionality', () => {
     it('should refresh data when refresh button is clicked', async () => {
       console.log('🧪 Testing refresh functionality...');
@@ -465,7 +704,7 @@ describe('BugList Integration Tests', () => {
         data: mockBugs
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for initial load
       await waitFor(() => {
@@ -496,7 +735,7 @@ describe('BugList Integration Tests', () => {
         data: [mockBugs[0]]
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for data to load
       await waitFor(() => {
@@ -528,7 +767,7 @@ describe('BugList Integration Tests', () => {
         data: [longDescriptionBug]
       });
 
-      render(<BugList />);
+      render(<BugList currentUser={adminUser} />);
 
       // Wait for data to load
       await waitFor(() => {
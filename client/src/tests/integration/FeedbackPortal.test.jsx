@@ -0,0 +1,144 @@
+/**
+ * Integration tests for the public feedback portal
+ * Tests sending a report and following it with the tracking link
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FeedbackPortal from '../../components/FeedbackPortal';
+import ReportTracker from '../../components/ReportTracker';
+import { portalAPI } from '../../services/api';
+
+// Mock the API service
+jest.mock('../../services/api', () => ({
+  portalAPI: {
+    startForm: jest.fn(),
+    submitFeedback: jest.fn(),
+    getReport: jest.fn(),
+    addComment: jest.fn(),
+  },
+  bugAPI: {
+    getAttachmentBlob: jest.fn(),
+  }
+}));
+
+describe('Feedback Portal Integration Tests', () => {
+  const report = {
+    key: 'BUG-12',
+    title: 'Checkout keeps failing',
+    description: 'Card payments fail',
+    descriptionHtml: '<p>Card payments fail</p>',
+    status: 'In Progress',
+    statusCategory: 'in_progress',
+    createdAt: '2026-10-01T09:20:00.000Z',
+    updatedAt: '2026-10-02T10:00:00.000Z',
+    comments: [
+      {
+        _id: 'c-1',
+        author: 'Support team',
+        fromCustomer: false,
+        message: 'We are looking into it',
+        messageHtml: '<p>We are looking into it</p>',
+        createdAt: '2026-10-02T10:00:00.000Z'
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log('🧪 Setting up feedback portal test...');
+
+    portalAPI.startForm.mockResolvedValue({ success: true, data: { formToken: '1791000000.abc', honeypotField: 'website' } });
+  });
+
+  const fillIn = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+  it('should send a report with the form token and show the tracking link', async () => {
+    portalAPI.submitFeedback.mockResolvedValue({
+      success: true,
+      data: { key: 'BUG-12', trackingToken: 'secret-token', trackingUrl: 'http://localhost:3000/track/secret-token' }
+    });
+
+    render(<FeedbackPortal />);
+    await waitFor(() => expect(screen.getByRole('button', { name: /send report/i })).not.toBeDisabled());
+
+    fillIn('Your name', 'Carol Customer');
+    fillIn('Email', 'carol@example.com');
+    fillIn('What went wrong?', 'Checkout keeps failing');
+    fillIn('Details', 'Card payments fail');
+    fireEvent.click(screen.getByRole('button', { name: /send report/i }));
+
+    await waitFor(() => expect(screen.getByText(/we got your report/i)).toBeInTheDocument());
+
+    expect(portalAPI.submitFeedback).toHaveBeenCalledWith({
+      name: 'Carol Customer',
+      email: 'carol@example.com',
+      title: 'Checkout keeps failing',
+      description: 'Card payments fail',
+      formToken: '1791000000.abc',
+      website: ''
+    });
+    expect(screen.getByRole('link', { name: 'http://localhost:3000/track/secret-token' })).toBeInTheDocument();
+
+    console.log('✅ Feedback portal submission test passed');
+  });
+
+  it('should show why a report was not accepted', async () => {
+    portalAPI.submitFeedback.mockRejectedValue(new Error('That was quick! Please check your report and send it again'));
+
+    render(<FeedbackPortal />);
+    await waitFor(() => expect(screen.getByRole('button', { name: /send report/i })).not.toBeDisabled());
+
+    fireEvent.click(screen.getByRole('button', { name: /send report/i }));
+    expect(screen.getByText('Please fill in every field')).toBeInTheDocument();
+
+    fillIn('Your name', 'Carol Customer');
+    fillIn('Email', 'carol@example.com');
+    fillIn('What went wrong?', 'Checkout keeps failing');
+    fillIn('Details', 'Card payments fail');
+    fireEvent.click(screen.getByRole('button', { name: /send report/i }));
+
+    await waitFor(() => expect(screen.getByText(/That was quick!/)).toBeInTheDocument());
+  });
+
+  it('should show the report status and public updates on the tracking page', async () => {
+    portalAPI.getReport.mockResolvedValue({ success: true, data: report });
+
+    render(<ReportTracker token="secret-token" />);
+
+    await waitFor(() => expect(screen.getByText('Checkout keeps failing')).toBeInTheDocument());
+    expect(portalAPI.getReport).toHaveBeenCalledWith('secret-token');
+    expect(screen.getByText('🔧 Being worked on')).toBeInTheDocument();
+    expect(screen.getByText('We are looking into it')).toBeInTheDocument();
+  });
+
+  it('should let the customer add more information', async () => {
+    portalAPI.getReport.mockResolvedValue({ success: true, data: { ...report, comments: [] } });
+    portalAPI.addComment.mockResolvedValue({
+      success: true,
+      data: {
+        ...report,
+        comments: [{ _id: 'c-2', author: 'Carol Customer', fromCustomer: true, message: 'PayPal too', createdAt: report.updatedAt }]
+      }
+    });
+
+    render(<ReportTracker token="secret-token" />);
+    await waitFor(() => expect(screen.getByText(/No updates yet/)).toBeInTheDocument());
+
+    fillIn('Add more information', 'PayPal too');
+    fireEvent.click(screen.getByRole('button', { name: /send/i }));
+
+    await waitFor(() => expect(screen.getByText(/we have added this to your report/i)).toBeInTheDocument());
+    expect(portalAPI.addComment).toHaveBeenCalledWith('secret-token', 'PayPal too');
+    expect(screen.getByText('Carol Customer')).toBeInTheDocument();
+    expect(screen.getByLabelText('Add more information')).toHaveValue('');
+  });
+
+  it('should explain when a tracking link is not valid', async () => {
+    portalAPI.getReport.mockRejectedValue(new Error('Report not found'));
+
+    render(<ReportTracker token="wrong" />);
+
+    await waitFor(() => expect(screen.getByText('Report not found')).toBeInTheDocument());
+  });
+});
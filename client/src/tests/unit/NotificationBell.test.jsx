@@ -0,0 +1,125 @@
+/**
+ * Unit tests for NotificationBell component
+ * Tests the unread badge, the notification panel and marking notifications read
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import NotificationBell from '../../components/NotificationBell';
+import { notificationAPI } from '../../services/api';
+
+// Mock the API service
+jest.mock('../../services/api', () => ({
+  notificationAPI: {
+    list: jest.fn(),
+    getUnreadCount: jest.fn(),
+    markRead: jest.fn(),
+    markAllRead: jest.fn(),
+  }
+}));
+
+describe('NotificationBell Component', () => {
+  const notifications = [
+    {
+      _id: 'n-2',
+      type: 'status_change',
+      bug: 'bug-7',
+      bugKey: 'WEB-7',
+      message: 'Tom Triager moved WEB-7 from Open to In Progress',
+      read: false,
+      createdAt: '2024-01-16T09:00:00.000Z'
+    },
+    {
+      _id: 'n-1',
+      type: 'assignment',
+      bug: 'bug-7',
+      bugKey: 'WEB-7',
+      message: 'Tom Triager assigned WEB-7 to dana',
+      read: true,
+      createdAt: '2024-01-15T09:00:00.000Z'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log('🧪 Setting up NotificationBell test...');
+
+    notificationAPI.getUnreadCount.mockResolvedValue({ success: true, data: { count: 1 } });
+    notificationAPI.list.mockResolvedValue({ success: true, unreadCount: 1, data: notifications });
+    notificationAPI.markRead.mockResolvedValue({ success: true, data: { ...notifications[0], read: true } });
+    notificationAPI.markAllRead.mockResolvedValue({ success: true, data: { updated: 1 } });
+  });
+
+  it('should show the unread count', async () => {
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+
+    expect(await screen.findByRole('button', { name: 'Notifications, 1 unread' })).toHaveTextContent('1');
+  });
+
+  it('should hide the badge when everything is read', async () => {
+    notificationAPI.getUnreadCount.mockResolvedValue({ success: true, data: { count: 0 } });
+
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+
+    await waitFor(() => expect(notificationAPI.getUnreadCount).toHaveBeenCalled());
+    expect(screen.getByRole('button', { name: 'Notifications' })).toHaveTextContent(/^🔔$/);
+  });
+
+  it('should list notifications and open the bug of the one chosen', async () => {
+    console.log('🧪 Testing notification panel...');
+    const onOpenBug = jest.fn();
+
+    render(<NotificationBell onOpenBug={onOpenBug} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Notifications, 1 unread' }));
+
+    expect(await screen.findByText('Tom Triager moved WEB-7 from Open to In Progress')).toBeInTheDocument();
+    expect(screen.getByText('Tom Triager assigned WEB-7 to dana')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Tom Triager moved WEB-7 from Open to In Progress'));
+
+    expect(onOpenBug).toHaveBeenCalledWith('WEB-7');
+    expect(notificationAPI.markRead).toHaveBeenCalledWith('n-2');
+    expect(await screen.findByRole('button', { name: 'Notifications' })).not.toHaveTextContent('1');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    console.log('✅ Notification panel test passed');
+  });
+
+  it('should not mark read notifications again', async () => {
+    const onOpenBug = jest.fn();
+
+    render(<NotificationBell onOpenBug={onOpenBug} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /Notifications/ }));
+    fireEvent.click(await screen.findByText('Tom Triager assigned WEB-7 to dana'));
+
+    expect(onOpenBug).toHaveBeenCalledWith('WEB-7');
+    expect(notificationAPI.markRead).not.toHaveBeenCalled();
+  });
+
+  it('should mark all notifications read', async () => {
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Notifications, 1 unread' }));
+    await screen.findByText('Tom Triager moved WEB-7 from Open to In Progress');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Mark all read' }));
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Mark all read' })).toBeDisabled();
+    });
+    expect(notificationAPI.markAllRead).toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: 'Notifications' })).toBeInTheDocument();
+  });
+
+  it('should say when there is nothing new', async () => {
+    notificationAPI.list.mockResolvedValue({ success: true, unreadCount: 0, data: [] });
+
+    render(<NotificationBell onOpenBug={jest.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Notifications/ }));
+
+    expect(await screen.findByText("You're all caught up")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Attachment helpers
+ * Mirror the upload limits in server/config/attachments.js so files can be
+ * refused before they are sent
+ */
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+export const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+export const ALLOWED_MIME_TYPES = [
+  ...IMAGE_MIME_TYPES,
+  'application/pdf',
+  'application/json',
+  'application/zip',
+  'application/gzip',
+  'text/plain',
+  'text/csv',
+  'text/x-log',
+  'video/mp4',
+  'video/webm'
+];
+
+/**
+ * Format a byte count, e.g. "1.2 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Check a file against the upload limits
+ * @param {File} file - File to upload
+ * @returns {string|null} Why the file cannot be uploaded, or null
+ */
+export const validateFile = (file) => {
+  if (!ALLOWED_MIME_TYPES.includes(file.type)) {
+    return `${file.name}: ${file.type || 'this file type'} is not allowed`;
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    return `${file.name}: files cannot exceed ${formatFileSize(MAX_FILE_SIZE)}`;
+  }
+  return null;
+};
+
+/**
+ * Pull pasted files out of a paste event
+ * Browsers name every pasted screenshot "image.png", so those get a timestamped name
+ * @param {ClipboardEvent} event - Paste event
+ * @returns {File[]}
+ */
+export const filesFromClipboard = (event) => {
+  const files = Array.from(event.clipboardData?.files || []);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return files.map((file, index) => {
+    if (file.name && file.name !== 'image.png') return file;
+
+    const extension = file.type.split('/')[1] || 'png';
+    const suffix = files.length > 1 ? `-${index + 1}` : '';
+    return new File([file], `screenshot-${stamp}${suffix}.${extension}`, { type: file.type });
+  });
+};
+
+/**
+ * Check whether a file can be previewed as an image
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+export const isImage = (file) => IMAGE_MIME_TYPES.includes(file.type);
@@ -0,0 +1,23 @@
+/**
+ * Label helpers
+ */
+
+/**
+ * Split comma-separated label input into unique, trimmed names
+ * @param {string} text - e.g. "ui, regression"
+ * @returns {string[]}
+ */
+export const parseLabelNames = (text) => {
+  const names = [];
+
+  String(text || '').split(',').forEach(part => {
+    const name = part.trim();
+    if (name && !names.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      names.push(name);
+    }
+  });
+
+  return names;
+};
+
+export default parseLabelNames;
@@ -0,0 +1,32 @@
+/**
+ * Bug relationship helpers
+ * Mirrors server/config/links.js
+ */
+
+// Display label for each link type, as read from the bug being viewed
+export const LINK_TYPE_LABELS = {
+  blocks: 'Blocks',
+  blocked_by: 'Blocked by',
+  duplicates: 'Duplicate of',
+  duplicated_by: 'Duplicated by',
+  relates_to: 'Relates to'
+};
+
+export const LINK_TYPES = Object.keys(LINK_TYPE_LABELS);
+
+/**
+ * Group a bug's links by type, keeping the LINK_TYPES order
+ * @param {Array} links - Bug links ({ type, bug })
+ * @returns {Array<{ type: string, label: string, links: Array }>} Non-empty groups
+ */
+export const groupLinks = (links = []) => (
+  LINK_TYPES
+    .map(type => ({
+      type,
+      label: LINK_TYPE_LABELS[type],
+      links: links.filter(link => link.type === type)
+    }))
+    .filter(group => group.links.length > 0)
+);
+
+export default groupLinks;
@@ -0,0 +1,38 @@
+/**
+ * Mention helpers
+ * Find the @name being typed at the caret and complete it. The server
+ * decides which names are real mentions (server/services/mentions.js).
+ */
+
+// "@" at the start of the text or after whitespace, then the partial username up to the caret
+const MENTION_QUERY_PATTERN = /(^|\s)@([a-z0-9_.-]{0,30})$/i;
+
+/**
+ * Find the mention being typed at the caret
+ * @param {string} text - Comment text
+ * @param {number} caret - Caret position
+ * @returns {{ query: string, start: number }|null} The partial username and
+ *   the index of its "@", or null when the caret is not in a mention
+ */
+export const findMentionQuery = (text, caret) => {
+  const match = MENTION_QUERY_PATTERN.exec(text.slice(0, caret));
+  if (!match) return null;
+
+  return { query: match[2], start: caret - match[2].length - 1 };
+};
+
+/**
+ * Replace the mention being typed with a full username
+ * @param {string} text - Comment text
+ * @param {number} start - Index of the "@"
+ * @param {number} caret - Caret position
+ * @param {string} username - Chosen username
+ * @returns {{ text: string, caret: number }} New text and caret position
+ */
+export const insertMention = (text, start, caret, username) => {
+  const mention = `@${username} `;
+  return {
+    text: text.slice(0, start) + mention + text.slice(caret),
+    caret: start + mention.length
+  };
+};
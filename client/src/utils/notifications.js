@@ -0,0 +1,34 @@
+/**
+ * Notification helpers
+ * Mirrors the notification types in server/config/notifications.js
+ */
+
+// Each notification type with the label shown in the notification preferences
+export const NOTIFICATION_TYPES = [
+  { type: 'mention', label: 'Someone @mentions me in a comment' },
+  { type: 'new_bug', label: 'A bug is filed in one of my projects' },
+  { type: 'status_change', label: 'A bug I watch changes status' },
+  { type: 'comment', label: 'Someone comments on a bug I watch' },
+  { type: 'assignment', label: 'A bug I watch is reassigned' },
+  { type: 'priority_change', label: 'A bug I watch changes priority' }
+];
+
+// Icon shown next to each notification type in the notification panel
+export const NOTIFICATION_ICONS = {
+  mention: '💬',
+  new_bug: '🐛',
+  status_change: '🔄',
+  comment: '🗨️',
+  assignment: '👤',
+  priority_change: '⚡'
+};
+
+/**
+ * Format the unread count for the header badge
+ * @param {number} count - Unread notifications
+ * @returns {string} e.g. "3" or "99+"; empty when there are none
+ */
+export const formatBadgeCount = (count) => {
+  if (!count) return '';
+  return count > 99 ? '99+' : String(count);
+};
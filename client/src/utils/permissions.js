@@ -0,0 +1,15 @@
+/**
+ * Permission helpers
+ * The server sends each user's effective permissions, so the client only
+ * needs to look them up to decide which actions to show
+ */
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object|null} user - Current user (with a `permissions` array)
+ * @param {string} permission - Permission key, e.g. 'bugs:delete'
+ * @returns {boolean}
+ */
+export const can = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+export default can;
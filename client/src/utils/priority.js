@@ -0,0 +1,34 @@
+/**
+ * Priority helpers
+ * Mirrors server/config/priority.js; the server computes and stores the
+ * final priority, these helpers only preview it in the form
+ */
+
+export const PRIORITIES = ['Low', 'Medium', 'High'];
+
+export const SEVERITIES = ['Blocker', 'Critical', 'Major', 'Minor', 'Trivial'];
+
+export const URGENCIES = ['Low', 'Medium', 'High'];
+
+export const DEFAULT_SEVERITY = 'Major';
+
+/**
+ * Look up the priority a project's matrix gives a severity and urgency
+ * @param {Object} matrix - Project priorityMatrix ({ enabled, cells })
+ * @param {string} severity - Bug severity
+ * @param {string} urgency - Bug urgency
+ * @returns {string|null} Suggested priority, or null when the matrix does not apply
+ */
+export const suggestPriority = (matrix, severity, urgency) => {
+  if (!matrix?.enabled || !severity || !urgency) {
+    return null;
+  }
+
+  const cell = matrix.cells?.find(
+    entry => entry.severity === severity && entry.urgency === urgency
+  );
+
+  return cell ? cell.priority : null;
+};
+
+export default suggestPriority;
@@ -0,0 +1,57 @@
+/**
+ * SLA helpers
+ * The server computes deadlines and breach flags (server/services/sla.js);
+ * these helpers turn them into the state shown on a bug
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Format a duration as a short human string, e.g. "2d 4h" or "35m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.max(0, Math.floor(Math.abs(ms) / MINUTE));
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
+
+/**
+ * Work out what a bug's SLA badge should show
+ * @param {Object} sla - Bug sla block from the API
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} { state: 'met'|'breached'|'paused'|'due'|'overdue', target, remainingMs }
+ *   or null when the bug is not tracked
+ */
+export const getSlaState = (sla, now = new Date()) => {
+  if (!sla?.policy) {
+    return null;
+  }
+
+  if (sla.resolvedAt) {
+    return { state: sla.breachedAt ? 'breached' : 'met' };
+  }
+
+  if (sla.pausedSince) {
+    return { state: 'paused' };
+  }
+
+  // Count down to whichever deadline comes next
+  const target = sla.firstRespondedAt ? 'resolution' : 'response';
+  const dueAt = new Date(target === 'response' ? sla.firstResponseDueAt : sla.resolutionDueAt);
+  const remainingMs = dueAt - now;
+
+  return {
+    state: remainingMs < 0 ? 'overdue' : 'due',
+    target,
+    remainingMs
+  };
+};
+
+export default getSlaState;
@@ -0,0 +1,47 @@
+/**
+ * Sub-task helpers
+ * The server adds roll-up progress ({ total, done }) to bugs with sub-tasks
+ */
+
+/**
+ * Arrange a flat bug list so sub-tasks follow their parent
+ * Sub-tasks whose parent is not in the list are shown at the top level
+ * @param {Array} bugs - Bugs in display order
+ * @param {Set<string>} [collapsed] - IDs of parents whose sub-tasks are hidden
+ * @returns {Array<{ bug: Object, depth: number, hasChildren: boolean }>}
+ */
+export const nestBugs = (bugs, collapsed = new Set()) => {
+  const ids = new Set(bugs.map(bug => bug._id));
+  const childrenOf = new Map();
+  const roots = [];
+
+  bugs.forEach(bug => {
+    if (bug.parent && ids.has(bug.parent)) {
+      childrenOf.set(bug.parent, [...(childrenOf.get(bug.parent) || []), bug]);
+    } else {
+      roots.push(bug);
+    }
+  });
+
+  const rows = [];
+  const visit = (bug, depth) => {
+    const children = childrenOf.get(bug._id) || [];
+    rows.push({ bug, depth, hasChildren: children.length > 0 });
+
+    if (!collapsed.has(bug._id)) {
+      children.forEach(child => visit(child, depth + 1));
+    }
+  };
+
+  roots.forEach(bug => visit(bug, 0));
+  return rows;
+};
+
+/**
+ * Describe roll-up progress, e.g. "3/5 resolved"
+ * @param {Object} progress - { total, done }
+ * @returns {string}
+ */
+export const formatProgress = ({ total, done }) => `${done}/${total} resolved`;
+
+export default nestBugs;
@@ -0,0 +1,121 @@
+/**
+ * Workflow helpers
+ * Each project defines its own statuses and allowed transitions on the server;
+ * these helpers turn that definition into dropdown options for the current user
+ */
+
+/**
+ * Default workflow, used until a bug's project (and its workflow) has loaded
+ * Mirrors server/config/workflow.js; the server remains the source of truth
+ */
+const DEVELOPERS = ['developer', 'triager', 'admin'];
+const TRIAGERS = ['triager', 'admin'];
+const QA = ['qa', 'admin'];
+
+export const DEFAULT_WORKFLOW = {
+  initialStatus: 'Open',
+  statuses: [
+    { name: 'Triage', category: 'open' },
+    { name: 'Open', category: 'open' },
+    { name: 'In Progress', category: 'in_progress' },
+    { name: 'In Review', category: 'in_progress' },
+    { name: 'Resolved', category: 'done' },
+    { name: 'Verified', category: 'done' },
+    { name: 'Closed', category: 'done' },
+    { name: "Won't Fix", category: 'done' }
+  ],
+  transitions: [
+    { from: 'Triage', to: 'Open', roles: TRIAGERS },
+    { from: 'Triage', to: "Won't Fix", roles: TRIAGERS },
+    { from: 'Open', to: 'Triage', roles: TRIAGERS },
+    { from: 'Open', to: 'In Progress' },
+    { from: 'Open', to: 'Resolved', roles: DEVELOPERS },
+    { from: 'Open', to: "Won't Fix", roles: TRIAGERS },
+    { from: 'In Progress', to: 'Open' },
+    { from: 'In Progress', to: 'In Review', roles: DEVELOPERS },
+    { from: 'In Progress', to: 'Resolved', roles: DEVELOPERS },
+    { from: 'In Review', to: 'In Progress', roles: DEVELOPERS },
+    { from: 'In Review', to: 'Resolved', roles: DEVELOPERS },
+    { from: 'Resolved', to: 'Verified', roles: QA },
+    { from: 'Resolved', to: 'In Progress', roles: DEVELOPERS },
+    { from: 'Resolved', to: 'Open' },
+    { from: 'Verified', to: 'Closed', roles: ['qa', 'triager', 'admin'] },
+    { from: 'Verified', to: 'Open', roles: QA },
+    { from: 'Closed', to: 'Open', roles: TRIAGERS },
+    { from: "Won't Fix", to: 'Open', roles: TRIAGERS }
+  ]
+};
+
+/**
+ * Look up the workflow governing a bug
+ * @param {Object} bug - Bug with a `project` id
+ * @param {Array} projects - Loaded projects (each with a `workflow`)
+ * @returns {Object} Workflow definition
+ */
+export const getWorkflowForBug = (bug, projects = []) => {
+  const project = projects.find(entry => entry._id === bug.project);
+  return project?.workflow?.statuses?.length ? project.workflow : DEFAULT_WORKFLOW;
+};
+
+/**
+ * Build status dropdown options for a bug: its current status plus every
+ * status the workflow lets it move to, disabled when the user's role may not
+ * @param {Object} workflow - Workflow definition
+ * @param {string} currentStatus - Bug's current status
+ * @param {Object|null} user - Current user (with a `role`)
+ * @returns {Array<{ value: string, disabled: boolean }>}
+ */
+export const getStatusOptions = (workflow, currentStatus, user) => {
+  const options = [{ value: currentStatus, disabled: false }];
+
+  workflow.transitions
+    .filter(transition => transition.from === currentStatus)
+    .forEach(transition => {
+      const allowed = !transition.roles?.length || transition.roles.includes(user?.role);
+      const existing = options.find(option => option.value === transition.to);
+
+      if (existing) {
+        existing.disabled = existing.disabled && !allowed;
+      } else {
+        options.push({ value: transition.to, disabled: !allowed });
+      }
+    });
+
+  return options;
+};
+
+/**
+ * Collect every status name across workflows, in definition order
+ * @param {Array} workflows - Workflow definitions
+ * @returns {string[]}
+ */
+export const getAllStatusNames = (workflows) => {
+  const names = [];
+
+  workflows.forEach(workflow => {
+    workflow.statuses.forEach(status => {
+      if (!names.includes(status.name)) names.push(status.name);
+    });
+  });
+
+  return names;
+};
+
+/**
+ * Map a status to its badge class via the workflow category
+ * @param {Object} workflow - Workflow definition
+ * @param {string} status - Status name
+ * @returns {string} CSS class name
+ */
+export const getStatusBadgeClass = (workflow, status) => {
+  const category = workflow.statuses.find(entry => entry.name === status)?.category;
+
+  switch (category) {
+    case 'in_progress':
+      return 'status-progress';
+    case 'done':
+      return 'status-resolved';
+    default:
+      return 'status-open';
+  }
+};
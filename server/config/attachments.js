@@ -0,0 +1,53 @@
+const path = require('path');
+
+/**
+ * Attachment configuration
+ * Uploads are checked against these limits before they reach the storage
+ * backend. Images get a thumbnail; everything else is served as a download.
+ */
+
+const MAX_FILE_SIZE = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+const MAX_FILES_PER_UPLOAD = 5;
+
+// SVG is left out on purpose: it can carry script and would be served from our origin
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// What each allowed type looks like: the file extensions it may be uploaded
+// with, and either the bytes the file starts with (`signatures`, any one
+// matching, at `offset`) or `text` for types that must not contain binary data.
+// The type the client claims is only trusted when the file matches.
+const FILE_TYPES = {
+  'image/png': { extensions: ['.png'], signatures: [{ bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] }] },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], signatures: [{ bytes: [0xff, 0xd8, 0xff] }] },
+  'image/gif': { extensions: ['.gif'], signatures: [{ bytes: 'GIF87a' }, { bytes: 'GIF89a' }] },
+  'image/webp': { extensions: ['.webp'], signatures: [{ offset: 8, bytes: 'WEBP' }] },
+  'application/pdf': { extensions: ['.pdf'], signatures: [{ bytes: '%PDF-' }] },
+  'application/json': { extensions: ['.json'], text: true },
+  'application/zip': { extensions: ['.zip'], signatures: [{ bytes: 'PK\x03\x04' }, { bytes: 'PK\x05\x06' }] },
+  'application/gzip': { extensions: ['.gz', '.tgz'], signatures: [{ bytes: [0x1f, 0x8b] }] },
+  'text/plain': { extensions: ['.txt', '.log', '.md'], text: true },
+  'text/csv': { extensions: ['.csv'], text: true },
+  'text/x-log': { extensions: ['.log'], text: true },
+  'video/mp4': { extensions: ['.mp4', '.m4v'], signatures: [{ offset: 4, bytes: 'ftyp' }] },
+  'video/webm': { extensions: ['.webm'], signatures: [{ bytes: [0x1a, 0x45, 0xdf, 0xa3] }] }
+};
+
+const ALLOWED_MIME_TYPES = Object.keys(FILE_TYPES);
+
+const THUMBNAIL_SIZE = 200;
+
+const STORAGE_DRIVER = process.env.ATTACHMENT_STORAGE || 'local';
+
+const STORAGE_DIR = process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '..', 'uploads');
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES_PER_UPLOAD,
+  IMAGE_MIME_TYPES,
+  FILE_TYPES,
+  ALLOWED_MIME_TYPES,
+  THUMBNAIL_SIZE,
+  STORAGE_DRIVER,
+  STORAGE_DIR
+};
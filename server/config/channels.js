@@ -0,0 +1,62 @@
+/**
+ * Notification channel configuration
+ * Channels deliver bug events outside the app (chat, webhooks, e-mail).
+ * Messages go through a persisted outbox and are retried with exponential
+ * backoff; see services/outbox.js.
+ */
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+const CHANNEL_TYPES = ['slack', 'webhook', 'email', 'teams', 'discord'];
+
+// Delivery attempts before a message is marked failed
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 5;
+
+// Retry delays double from the base delay up to the maximum
+const OUTBOX_BASE_DELAY_MS = 30 * SECOND;
+const OUTBOX_MAX_DELAY_MS = 60 * MINUTE;
+
+// How often the outbox worker looks for due messages
+const OUTBOX_POLL_INTERVAL_MS = 15 * SECOND;
+
+// A message stuck in "sending" this long (e.g. the server restarted mid-send) is retried
+const OUTBOX_LOCK_TIMEOUT_MS = 5 * MINUTE;
+
+// Give up on a channel request after this long
+const CHANNEL_TIMEOUT_MS = 10 * SECOND;
+
+// Sender address for e-mail notifications; SMTP_URL configures the mail server
+const EMAIL_FROM = process.env.EMAIL_FROM || 'MERN Bug Tracker <bugs@localhost>';
+
+/**
+ * Rules configured through the environment rather than the admin API
+ * SLACK_WEBHOOK_URL keeps posting new bugs to Slack as it always has
+ * @returns {Object[]} Rules shaped like NotificationRule documents
+ */
+const getEnvironmentRules = () => {
+  if (!process.env.SLACK_WEBHOOK_URL) return [];
+
+  return [{
+    name: 'Slack (SLACK_WEBHOOK_URL)',
+    channel: 'slack',
+    target: process.env.SLACK_WEBHOOK_URL,
+    events: ['bug.created'],
+    projects: [],
+    priorities: [],
+    sources: [],
+    active: true
+  }];
+};
+
+module.exports = {
+  CHANNEL_TYPES,
+  OUTBOX_MAX_ATTEMPTS,
+  OUTBOX_BASE_DELAY_MS,
+  OUTBOX_MAX_DELAY_MS,
+  OUTBOX_POLL_INTERVAL_MS,
+  OUTBOX_LOCK_TIMEOUT_MS,
+  CHANNEL_TIMEOUT_MS,
+  EMAIL_FROM,
+  getEnvironmentRules
+};
@@ -0,0 +1,62 @@
+/**
+ * Inbound integration configuration
+ * Secrets are read when a request arrives, so they can be changed without
+ * reloading modules (and set per test).
+ */
+
+// Status a bug moves to when a commit fixes it or someone presses "Resolve" in Slack;
+// bugs whose workflow has no move there from their current status stay where they are
+const RESOLVED_STATUS = 'Resolved';
+
+// Words that resolve the bug they precede ("Fixes WEB-42"); other keywords only link it
+const CLOSING_KEYWORDS = ['close', 'closes', 'closed', 'fix', 'fixes', 'fixed', 'resolve', 'resolves', 'resolved'];
+const REFERENCE_KEYWORDS = ['ref', 'refs', 'references', 'see'];
+
+/**
+ * Get the secret a source control provider signs its webhooks with
+ * GitHub signs the body with GITHUB_WEBHOOK_SECRET; GitLab sends GITLAB_WEBHOOK_TOKEN as-is
+ * @param {string} provider - 'github' or 'gitlab'
+ * @returns {string|undefined}
+ */
+const getSourceControlSecret = (provider) => ({
+  github: process.env.GITHUB_WEBHOOK_SECRET,
+  gitlab: process.env.GITLAB_WEBHOOK_TOKEN
+}[provider]);
+
+// Slack signs the request timestamp too; older requests are treated as replays
+const SLACK_REQUEST_MAX_AGE_SECONDS = 5 * 60;
+
+// action_id of the buttons on Slack messages about a bug
+const SLACK_ACTIONS = {
+  take: 'bug_take',
+  resolve: 'bug_resolve'
+};
+
+/**
+ * Get the Slack app's signing secret
+ * Without it the Slack endpoints are off and notifications carry no buttons
+ * @returns {string|undefined}
+ */
+const getSlackSigningSecret = () => process.env.SLACK_SIGNING_SECRET;
+
+// Largest raw e-mail (headers, body and attachments) accepted for ingestion
+const EMAIL_MAX_BYTES = Number(process.env.EMAIL_INGEST_MAX_BYTES) || 25 * 1024 * 1024;
+
+/**
+ * Get the project new bugs from e-mail are filed in (ID or key)
+ * Without EMAIL_INGEST_PROJECT they go to the default project
+ * @returns {string|undefined}
+ */
+const getEmailIngestProject = () => process.env.EMAIL_INGEST_PROJECT;
+
+module.exports = {
+  RESOLVED_STATUS,
+  CLOSING_KEYWORDS,
+  REFERENCE_KEYWORDS,
+  getSourceControlSecret,
+  SLACK_REQUEST_MAX_AGE_SECONDS,
+  SLACK_ACTIONS,
+  getSlackSigningSecret,
+  EMAIL_MAX_BYTES,
+  getEmailIngestProject
+};
@@ -0,0 +1,34 @@
+/**
+ * Bug relationship types
+ * Every link is stored on both bugs; each type maps to the type recorded on
+ * the other side (relates_to is its own inverse).
+ */
+
+const LINK_TYPES = {
+  blocks: 'blocked_by',
+  blocked_by: 'blocks',
+  duplicates: 'duplicated_by',
+  duplicated_by: 'duplicates',
+  relates_to: 'relates_to'
+};
+
+/**
+ * Check whether a value is a known link type
+ * Only own keys count, so inherited names like "constructor" are rejected
+ * @param {string} type - Link type
+ * @returns {boolean}
+ */
+const isLinkType = (type) => Object.prototype.hasOwnProperty.call(LINK_TYPES, type);
+
+/**
+ * Get the type recorded on the other bug of a link
+ * @param {string} type - Link type
+ * @returns {string|undefined}
+ */
+const inverseLinkType = (type) => (isLinkType(type) ? LINK_TYPES[type] : undefined);
+
+module.exports = {
+  LINK_TYPES,
+  isLinkType,
+  inverseLinkType
+};
@@ -0,0 +1,21 @@
+/**
+ * Notification types
+ * Each type is something a user can be told about and can switch off in
+ * their notification preferences; every type is on by default.
+ */
+
+const NOTIFICATION_TYPES = [
+  // Someone @mentioned the user in a comment
+  'mention',
+  // A bug was filed in a project the user is a member of
+  'new_bug',
+  // Activity on bugs the user watches
+  'status_change',
+  'comment',
+  'assignment',
+  'priority_change'
+];
+
+module.exports = {
+  NOTIFICATION_TYPES
+};
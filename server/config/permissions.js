@@ -0,0 +1,98 @@
+/**
+ * Role-based permission configuration
+ * Maps each permission to the roles allowed to perform it
+ */
+
+const ROLES = ['reporter', 'developer', 'qa', 'triager', 'admin'];
+
+const PERMISSIONS = {
+  // Everyone who can sign in may read, file and discuss bugs
+  'bugs:read': ['reporter', 'developer', 'qa', 'triager', 'admin'],
+  'bugs:create': ['reporter', 'developer', 'qa', 'triager', 'admin'],
+  'bugs:edit': ['reporter', 'developer', 'qa', 'triager', 'admin'],
+  'bugs:comment': ['reporter', 'developer', 'qa', 'triager', 'admin'],
+  // Which status moves a role may make is decided by the project workflow
+  'bugs:status': ['reporter', 'developer', 'qa', 'triager', 'admin'],
+  'feedback:create': ['reporter', 'developer', 'qa', 'triager', 'admin'],
+
+  // Restricted bug actions
+  'bugs:assign': ['developer', 'qa', 'triager', 'admin'],
+  'bugs:prioritize': ['triager', 'admin'],
+  'bugs:delete': ['admin'],
+  'labels:manage': ['triager', 'admin'],
+  // Remove anyone's comments and read their edit history
+  'comments:moderate': ['admin'],
+
+  // Administration
+  'users:manage': ['admin'],
+  'projects:manage': ['admin'],
+  'workflows:manage': ['admin'],
+  'sla:manage': ['admin'],
+  'apikeys:manage': ['admin'],
+  // Channel rules (Slack, webhooks, e-mail, ...) and the delivery outbox
+  'notifications:manage': ['admin'],
+  // Outbound webhook subscriptions and their delivery logs
+  'webhooks:manage': ['admin']
+};
+
+/**
+ * Scopes that can be granted to API keys, and the permissions each unlocks
+ */
+const API_KEY_SCOPES = {
+  'bugs:read': ['bugs:read'],
+  'bugs:write': ['bugs:create', 'bugs:comment'],
+  'feedback:write': ['feedback:create']
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  return Boolean(allowed && allowed.includes(role));
+};
+
+/**
+ * Check whether a set of API key scopes grants a permission
+ * @param {string[]} scopes - Scopes on the key
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+const scopeAllows = (scopes = [], permission) => (
+  scopes.some(scope => (API_KEY_SCOPES[scope] || []).includes(permission))
+);
+
+/**
+ * Check whether an authenticated principal (user or API key actor) holds a permission
+ * @param {Object} principal - req.user
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+const principalCan = (principal, permission) => {
+  if (!principal) return false;
+  return principal.apiKey
+    ? scopeAllows(principal.scopes, permission)
+    : hasPermission(principal.role, permission);
+};
+
+/**
+ * List every permission granted to a role
+ * @param {string} role - User role
+ * @returns {string[]} Permission keys
+ */
+const permissionsForRole = (role) => (
+  Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission))
+);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  scopeAllows,
+  principalCan,
+  permissionsForRole
+};
@@ -0,0 +1,47 @@
+/**
+ * Public feedback portal configuration
+ * The portal needs no login, so every submission goes through the spam
+ * checks below. Limits are read per request so they can be tuned without
+ * a restart (and set per test).
+ */
+
+// A form submitted faster than this after it was loaded was filled in by a bot
+const PORTAL_MIN_SUBMIT_SECONDS = 3;
+
+// Forms older than this must be reloaded before they can be submitted
+const PORTAL_FORM_MAX_AGE_SECONDS = 2 * 60 * 60;
+
+// Hidden form field people never see; anything typed into it is a bot
+const PORTAL_HONEYPOT_FIELD = 'website';
+
+const PORTAL_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Get the number of reports and follow-ups one IP address may send per window
+ * @returns {number}
+ */
+const getPortalRateLimit = () => Number(process.env.FEEDBACK_PORTAL_RATE_LIMIT) || 10;
+
+/**
+ * Get the secret form tokens are signed with
+ * Falls back to JWT_SECRET so the portal works without extra setup
+ * @returns {string}
+ */
+const getPortalSecret = () => process.env.FEEDBACK_PORTAL_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Get the project portal reports are filed in (ID or key)
+ * Without FEEDBACK_PORTAL_PROJECT they go to the default project
+ * @returns {string|undefined}
+ */
+const getPortalProject = () => process.env.FEEDBACK_PORTAL_PROJECT;
+
+module.exports = {
+  PORTAL_MIN_SUBMIT_SECONDS,
+  PORTAL_FORM_MAX_AGE_SECONDS,
+  PORTAL_HONEYPOT_FIELD,
+  PORTAL_RATE_LIMIT_WINDOW_MS,
+  getPortalRateLimit,
+  getPortalSecret,
+  getPortalProject
+};
@@ -0,0 +1,42 @@
+/**
+ * Priority configuration
+ * Severity describes the technical impact of a bug, urgency how soon the
+ * business needs it fixed. Projects can derive priority from the two using
+ * an impact × urgency matrix.
+ */
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+const SEVERITIES = ['Blocker', 'Critical', 'Major', 'Minor', 'Trivial'];
+
+const URGENCIES = ['Low', 'Medium', 'High'];
+
+const DEFAULT_SEVERITY = 'Major';
+
+// Rows are severities, columns are urgencies (High, Medium, Low)
+const DEFAULT_MATRIX_ROWS = {
+  Blocker: ['High', 'High', 'Medium'],
+  Critical: ['High', 'High', 'Medium'],
+  Major: ['High', 'Medium', 'Low'],
+  Minor: ['Medium', 'Low', 'Low'],
+  Trivial: ['Low', 'Low', 'Low']
+};
+
+const DEFAULT_PRIORITY_MATRIX = {
+  enabled: false,
+  cells: SEVERITIES.flatMap(severity => (
+    ['High', 'Medium', 'Low'].map((urgency, index) => ({
+      severity,
+      urgency,
+      priority: DEFAULT_MATRIX_ROWS[severity][index]
+    }))
+  ))
+};
+
+module.exports = {
+  PRIORITIES,
+  SEVERITIES,
+  URGENCIES,
+  DEFAULT_SEVERITY,
+  DEFAULT_PRIORITY_MATRIX
+};
@@ -0,0 +1,41 @@
+/**
+ * Outbound webhook configuration
+ * Admins subscribe URLs to bug events; each delivery is signed with the
+ * subscription's secret and retried with exponential backoff (see
+ * services/webhooks.js).
+ */
+
+const SECOND = 1000;
+
+// Delivery attempts before a delivery is marked failed
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+
+// Failed attempts in a row, across deliveries, after which a subscription is disabled
+const WEBHOOK_DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 20;
+
+// Give up on a webhook request after this long
+const WEBHOOK_TIMEOUT_MS = 10 * SECOND;
+
+// Longest response body kept in the delivery log
+const WEBHOOK_RESPONSE_EXCERPT_LENGTH = 1000;
+
+// Let webhooks reach loopback, link-local and private network addresses.
+// Off unless WEBHOOK_ALLOW_PRIVATE_TARGETS=true, so a webhook cannot be used
+// to read internal services through the delivery log.
+const getAllowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+// Request headers sent with every delivery
+const WEBHOOK_HEADERS = {
+  event: 'X-BugTracker-Event',
+  delivery: 'X-BugTracker-Delivery',
+  signature: 'X-BugTracker-Signature-256'
+};
+
+module.exports = {
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_DISABLE_AFTER_FAILURES,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_RESPONSE_EXCERPT_LENGTH,
+  WEBHOOK_HEADERS,
+  getAllowPrivateTargets
+};
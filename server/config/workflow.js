@@ -0,0 +1,56 @@
+/**
+ * Default bug workflow
+ * New projects start with this definition; admins can replace it per project.
+ *
+ * Each status belongs to a category used across the app:
+ *   open        - waiting to be worked on
+ *   in_progress - being worked on
+ *   done        - no further work expected (resolved, closed, rejected)
+ *
+ * A transition without `roles` is open to anyone holding `bugs:status`.
+ */
+
+const STATUS_CATEGORIES = ['open', 'in_progress', 'done'];
+
+const DEVELOPERS = ['developer', 'triager', 'admin'];
+const TRIAGERS = ['triager', 'admin'];
+const QA = ['qa', 'admin'];
+
+const DEFAULT_WORKFLOW = {
+  initialStatus: 'Open',
+  statuses: [
+    { name: 'Triage', category: 'open' },
+    { name: 'Open', category: 'open' },
+    { name: 'In Progress', category: 'in_progress' },
+    { name: 'In Review', category: 'in_progress' },
+    { name: 'Resolved', category: 'done' },
+    { name: 'Verified', category: 'done' },
+    { name: 'Closed', category: 'done' },
+    { name: "Won't Fix", category: 'done' }
+  ],
+  transitions: [
+    { from: 'Triage', to: 'Open', roles: TRIAGERS },
+    { from: 'Triage', to: "Won't Fix", roles: TRIAGERS },
+    { from: 'Open', to: 'Triage', roles: TRIAGERS },
+    { from: 'Open', to: 'In Progress' },
+    { from: 'Open', to: 'Resolved', roles: DEVELOPERS },
+    { from: 'Open', to: "Won't Fix", roles: TRIAGERS },
+    { from: 'In Progress', to: 'Open' },
+    { from: 'In Progress', to: 'In Review', roles: DEVELOPERS },
+    { from: 'In Progress', to: 'Resolved', roles: DEVELOPERS },
+    { from: 'In Review', to: 'In Progress', roles: DEVELOPERS },
+    { from: 'In Review', to: 'Resolved', roles: DEVELOPERS },
+    { from: 'Resolved', to: 'Verified', roles: QA },
+    { from: 'Resolved', to: 'In Progress', roles: DEVELOPERS },
+    { from: 'Resolved', to: 'Open' },
+    { from: 'Verified', to: 'Closed', roles: ['qa', 'triager', 'admin'] },
+    { from: 'Verified', to: 'Open', roles: QA },
+    { from: 'Closed', to: 'Open', roles: TRIAGERS },
+    { from: "Won't Fix", to: 'Open', roles: TRIAGERS }
+  ]
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW
+};
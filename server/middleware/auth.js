@@ -0,0 +1,151 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { ApiError } = require('./errorHandler');
+const { principalCan } = require('../config/permissions');
+
+/**
+ * Authentication middleware
+ * Verifies user access tokens or API keys and attaches the caller as req.user
+ */
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token or null when absent
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+/**
+ * Extract an API key from the Authorization header
+ * Accepts `ApiKey <key>`, or `Bearer <key>` for clients that only speak bearer auth
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw key or null when absent
+ */
+const getApiKey = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!token) return null;
+  if (scheme === 'ApiKey') return token;
+  if (scheme === 'Bearer' && token.startsWith(ApiKey.KEY_PREFIX)) return token;
+
+  return null;
+};
+
+/**
+ * Authenticate a request made with an API key
+ * The key's actor stands in for req.user; permissions come from its scopes
+ */
+const authenticateApiKey = async (req, rawKey) => {
+  const apiKey = await ApiKey.findActiveByKey(rawKey);
+
+  if (!apiKey) {
+    console.log('🔒 Unknown, revoked or expired API key');
+    throw new ApiError('Invalid API key', 401);
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+
+  req.apiKey = apiKey;
+  req.user = apiKey.toActor();
+};
+
+/**
+ * Require a valid access token or API key
+ * JWT verification errors fall through to the error handler, which maps
+ * JsonWebTokenError/TokenExpiredError to 401 responses
+ */
+const protect = async (req, res, next) => {
+  try {
+    const rawKey = getApiKey(req);
+
+    if (rawKey) {
+      await authenticateApiKey(req, rawKey);
+      return next();
+    }
+
+    const token = getBearerToken(req);
+
+    if (!token) {
+      console.log('🔒 Missing bearer token');
+      return next(new ApiError('Not authorized, no token provided', 401));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'access') {
+      return next(new ApiError('Invalid token', 401));
+    }
+
+    const user = await User.findById(decoded.sub);
+
+    if (!user) {
+      console.log('🔒 Token user no longer exists');
+      return next(new ApiError('Not authorized, user not found', 401));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Throw a 403 ApiError unless the user holds every listed permission
+ * Used directly by handlers whose required permissions depend on the payload
+ * @param {Object} user - Authenticated user
+ * @param {string[]} permissions - Permission keys from config/permissions
+ */
+const assertPermissions = (user, permissions) => {
+  const missing = permissions.find(permission => !principalCan(user, permission));
+
+  if (missing) {
+    console.log(`⛔ ${user && user.username} lacks permission: ${missing}`);
+    throw new ApiError(`You do not have permission to perform this action (${missing})`, 403);
+  }
+};
+
+/**
+ * Require every listed permission for the authenticated user or API key
+ * Must run after `protect`
+ * @param {...string} permissions - Permission keys from config/permissions
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  try {
+    assertPermissions(req.user, permissions);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a signed-in user rather than an API key
+ * For features tied to an account, such as watching bugs and notifications.
+ * Must run after `protect`
+ */
+const requireUser = (req, res, next) => {
+  if (!req.user || !req.user._id) {
+    return next(new ApiError('This action needs a user account, not an API key', 400));
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  authorize,
+  requireUser,
+  assertPermissions,
+  getBearerToken
+};
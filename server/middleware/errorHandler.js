@@ -1,3 +1,5 @@
+const { redactSensitive } = require('../utils/redact');
+
 /**
  * Error handling middleware for Express
  * Provides centralized error handling with detailed logging for debugging
@@ -33,7 +35,7 @@ const errorHandler = (err, req, res, next) => {
   console.error('📝 Error message:', err.message);
   console.error('📊 Error stack:', err.stack);
   console.error('🆔 Error name:', err.name);
-  console.error('📋 Request body:', req.body);
+  console.error('📋 Request body:', redactSensitive(req.body));
   console.error('🔍 Query params:', req.query);
 
   // Mongoose bad ObjectId
@@ -73,6 +75,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     error: message,
+    message,
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -0,0 +1,58 @@
+const multer = require('multer');
+const { ApiError } = require('./errorHandler');
+const { MAX_FILE_SIZE, MAX_FILES_PER_UPLOAD, ALLOWED_MIME_TYPES } = require('../config/attachments');
+
+/**
+ * Multipart upload middleware
+ * Files are held in memory (bounded by MAX_FILE_SIZE) and handed to the
+ * attachment storage by the route, so the JSON body limit never applies.
+ */
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send UTF-8 filenames without saying so; the default would read them as latin1
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new ApiError(`File type ${file.mimetype} is not allowed`, 415));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Turn multer's errors into API errors with useful status codes
+ * @param {Error} error - Error from multer
+ * @returns {Error}
+ */
+const toApiError = (error) => {
+  if (!(error instanceof multer.MulterError)) return error;
+
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new ApiError(`Files cannot exceed ${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB`, 413);
+    case 'LIMIT_FILE_COUNT':
+      return new ApiError(`Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`, 400);
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new ApiError('Files must be sent in the "files" field', 400);
+    default:
+      return new ApiError(error.message, 400);
+  }
+};
+
+/**
+ * Accept up to MAX_FILES_PER_UPLOAD files in the "files" field
+ */
+const uploadFiles = (req, res, next) => {
+  upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    next(error ? toApiError(error) : undefined);
+  });
+};
+
+module.exports = {
+  uploadFiles
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+const KEY_PREFIX = 'btk_';
+
+/**
+ * Hash a raw API key for storage and lookup
+ * Keys are high-entropy random strings, so a fast SHA-256 digest is sufficient
+ * @param {string} rawKey - Key as presented by the client
+ * @returns {string} Hex digest
+ */
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+/**
+ * ApiKey Schema - Machine credentials for CI and partner integrations
+ * Only a hash of the key is stored; the plain key is shown once on creation
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [40, 'API key name cannot exceed 40 characters']
+  },
+  // First characters of the key, kept so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: Object.keys(API_KEY_SCOPES),
+        message: `Scope must be one of: ${Object.keys(API_KEY_SCOPES).join(', ')}`
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Virtual field telling whether the key can still be used
+ */
+apiKeySchema.virtual('active').get(function() {
+  if (this.revokedAt) return false;
+  return !(this.expiresAt && this.expiresAt <= new Date());
+});
+
+/**
+ * Instance method returning the actor recorded on bugs and comments
+ * Mirrors the fields route handlers read from a user document
+ */
+apiKeySchema.methods.toActor = function() {
+  return {
+    _id: undefined,
+    name: `${this.name} (API key)`,
+    username: `apikey:${this.prefix}`,
+    role: null,
+    apiKey: true,
+    scopes: this.scopes
+  };
+};
+
+/**
+ * Static method to create a key and return the plain value once
+ * @param {Object} attrs - { name, scopes, expiresAt, createdBy }
+ * @returns {Promise<{ apiKey: Object, rawKey: string }>}
+ */
+apiKeySchema.statics.issue = async function(attrs) {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await this.create({
+    ...attrs,
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(rawKey)
+  });
+
+  console.log(`🔑 API key issued: ${apiKey.name} (${apiKey.prefix}…)`);
+  return { apiKey, rawKey };
+};
+
+/**
+ * Static method to look up an active key from its plain value
+ * @param {string} rawKey - Key as presented by the client
+ * @returns {Promise<Object|null>} Key document or null
+ */
+apiKeySchema.statics.findActiveByKey = async function(rawKey) {
+  const apiKey = await this.findOne({ keyHash: hashKey(rawKey), revokedAt: null });
+  return apiKey && apiKey.active ? apiKey : null;
+};
+
+apiKeySchema.statics.KEY_PREFIX = KEY_PREFIX;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Attachment Schema - A file uploaded to a bug or one of its comments
+ * The bytes live in attachment storage (see services/storage.js); this
+ * document keeps the metadata and the storage keys.
+ */
+const attachmentSchema = new mongoose.Schema({
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: [true, 'Bug is required'],
+    index: true
+  },
+  // Set when the file belongs to a comment rather than the bug itself
+  comment: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  filename: {
+    type: String,
+    required: [true, 'Filename is required'],
+    trim: true,
+    maxlength: [255, 'Filename cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String
+  },
+  uploadedBy: {
+    type: String,
+    trim: true
+  },
+  uploadedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      // Storage layout is an implementation detail
+      delete ret.storageKey;
+      delete ret.thumbnailKey;
+      ret.hasThumbnail = Boolean(doc.thumbnailKey);
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
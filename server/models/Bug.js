@@ -1,10 +1,96 @@
 const mongoose = require('mongoose');
+const Project = require('./Project');
+const { applySla } = require('../services/sla');
+const { renderMarkdown } = require('../services/markdown');
+const { addAutomaticWatchers } = require('../services/watchers');
+const { DEFAULT_WORKFLOW } = require('../config/workflow');
+const { LINK_TYPES } = require('../config/links');
+const {
+  PRIORITIES, SEVERITIES, URGENCIES, DEFAULT_SEVERITY
+} = require('../config/priority');
+
+// Human-readable bug keys look like WEB-42
+const BUG_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}-\d+$/;
+
+// Internal comments are only shown to staff; public ones also appear on the customer's tracking page
+const COMMENT_VISIBILITIES = ['internal', 'public'];
+
+/**
+ * Comment Schema - A comment on a bug
+ * Edits keep the replaced text in `revisions` and deletes only mark the
+ * comment, so moderators can still see what was said. Neither is part of
+ * the comment's JSON; moderators read them from the revisions endpoint.
+ */
+const commentSchema = new mongoose.Schema({
+  author: { type: String, required: true, trim: true },
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  message: { type: String, required: true, trim: true, maxlength: 2000 },
+  messageHtml: { type: String },
+  visibility: {
+    type: String,
+    enum: {
+      values: COMMENT_VISIBILITIES,
+      message: `Comment visibility must be ${COMMENT_VISIBILITIES.join(' or ')}`
+    },
+    default: 'internal'
+  },
+  // Users @mentioned in the message (see services/mentions.js)
+  mentions: [
+    {
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: { type: String }
+    }
+  ],
+  createdAt: { type: Date, default: Date.now },
+  editedAt: { type: Date },
+  // Earlier versions of the message, oldest first; each records who replaced it and when
+  revisions: [
+    {
+      _id: false,
+      message: { type: String, required: true },
+      editedBy: { type: String, trim: true },
+      editedAt: { type: Date, default: Date.now }
+    }
+  ],
+  deletedAt: { type: Date },
+  deletedBy: { type: String, trim: true }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.revisions;
+      ret.deleted = Boolean(ret.deletedAt);
+      if (ret.deleted) {
+        ret.message = '';
+        ret.messageHtml = '';
+        ret.mentions = [];
+      }
+      return ret;
+    }
+  }
+});
 
 /**
  * Bug Schema - Defines the structure for bug documents in MongoDB
  * Includes validation, defaults, and timestamps for tracking
  */
 const bugSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  // Assigned once from the project counter, e.g. WEB-42
+  key: {
+    type: String,
+    unique: true,
+    sparse: true,
+    immutable: true
+  },
+  number: {
+    type: Number,
+    immutable: true
+  },
   title: {
     type: String,
     required: [true, 'Bug title is required'],
@@ -17,23 +103,46 @@ const bugSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Sanitized HTML rendered from the Markdown description on save
+  descriptionHtml: {
+    type: String
+  },
   priority: {
     type: String,
     required: [true, 'Priority is required'],
     enum: {
-      values: ['Low', 'Medium', 'High'],
-      message: 'Priority must be Low, Medium, or High'
+      values: PRIORITIES,
+      message: `Priority must be ${PRIORITIES.join(', ')}`
     },
     default: 'Medium'
   },
-  status: {
+  // Technical impact, independent of business priority
+  severity: {
     type: String,
-    required: [true, 'Status is required'],
     enum: {
-      values: ['Open', 'In Progress', 'Resolved'],
-      message: 'Status must be Open, In Progress, or Resolved'
+      values: SEVERITIES,
+      message: `Severity must be ${SEVERITIES.join(', ')}`
     },
-    default: 'Open'
+    default: DEFAULT_SEVERITY
+  },
+  // How soon the business needs a fix; feeds the project's priority matrix
+  urgency: {
+    type: String,
+    enum: {
+      values: URGENCIES,
+      message: `Urgency must be ${URGENCIES.join(', ')}`
+    }
+  },
+  // True while the priority is the one computed from the matrix
+  priorityComputed: {
+    type: Boolean,
+    default: false
+  },
+  // Allowed values come from the project workflow (see pre-validate below)
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    trim: true
   },
   reportedBy: {
     type: String,
@@ -41,6 +150,11 @@ const bugSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Reporter name cannot exceed 50 characters']
   },
+  // Account that filed the bug; reportedBy keeps the display name
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   assignedTo: {
     type: String,
     trim: true,
@@ -57,20 +171,114 @@ const bugSchema = new mongoose.Schema({
   customer: {
     name: { type: String, trim: true },
     email: { type: String, trim: true },
-    id: { type: String, trim: true }
+    id: { type: String, trim: true },
+    // Support tier used to pick the SLA policy, e.g. enterprise
+    tier: { type: String, trim: true, lowercase: true }
+  },
+  // Deadlines from the matching SLA policy (customer bugs only, see services/sla.js)
+  sla: {
+    policy: { type: mongoose.Schema.Types.ObjectId, ref: 'SlaPolicy' },
+    firstResponseDueAt: { type: Date },
+    resolutionDueAt: { type: Date },
+    firstRespondedAt: { type: Date },
+    resolvedAt: { type: Date },
+    pausedSince: { type: Date },
+    firstResponseBreached: { type: Boolean },
+    resolutionBreached: { type: Boolean },
+    breachedAt: { type: Date }
+  },
+  labels: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Label'
+    }
+  ],
+  // Values for the project's custom fields, keyed by field key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: () => new Map()
+  },
+  comments: [commentSchema],
+  // Accounts notified about changes; reporters and assignees are added automatically (see services/watchers.js)
+  watchers: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  // Set on sub-tasks; the parent shows their roll-up progress (see services/subtasks.js)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    index: true
   },
-  comments: [
+  // Relationships to other bugs; each link is mirrored on the other bug (see services/links.js)
+  links: [
     {
-      author: { type: String, required: true, trim: true },
-      message: { type: String, required: true, trim: true, maxlength: 2000 },
+      type: {
+        type: String,
+        required: true,
+        enum: {
+          values: Object.keys(LINK_TYPES),
+          message: `Link type must be ${Object.keys(LINK_TYPES).join(', ')}`
+        }
+      },
+      bug: { type: mongoose.Schema.Types.ObjectId, ref: 'Bug', required: true },
+      createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       createdAt: { type: Date, default: Date.now }
     }
   ],
+  // Commits and pull/merge requests that mention the bug (see services/sourceControl.js)
+  codeLinks: [
+    {
+      provider: { type: String, required: true, enum: ['github', 'gitlab'] },
+      kind: { type: String, required: true, enum: ['commit', 'pull_request'] },
+      repository: { type: String, trim: true },
+      // Commit SHA or pull request number
+      ref: { type: String, required: true },
+      title: { type: String, trim: true },
+      url: { type: String, trim: true },
+      author: { type: String, trim: true },
+      // Pull requests only: open, merged or closed
+      state: { type: String },
+      linkedAt: { type: Date, default: Date.now }
+    }
+  ],
+  // SHA-256 of the secret link the customer follows to track a portal report (see services/portal.js)
+  trackingTokenHash: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
+  // Message-IDs of the e-mails filed on this bug, used to thread replies (see services/emailIngestion.js)
+  emailMessageIds: {
+    type: [String],
+    index: true
+  },
+  // Later reports of the same problem, attached instead of filed as new bugs
+  duplicateReports: [
+    {
+      title: { type: String, trim: true, maxlength: 100 },
+      description: { type: String, trim: true, maxlength: 1000 },
+      reportedBy: { type: String, trim: true },
+      reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      source: { type: String, enum: ['internal', 'customer'], default: 'internal' },
+      customer: {
+        name: { type: String, trim: true },
+        email: { type: String, trim: true },
+        id: { type: String, trim: true },
+        tier: { type: String, trim: true, lowercase: true }
+      },
+      at: { type: Date, default: Date.now }
+    }
+  ],
   statusHistory: [
     {
       from: { type: String },
       to: { type: String, required: true },
       by: { type: String, trim: true },
+      byUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
       at: { type: Date, default: Date.now },
       reason: { type: String, trim: true, maxlength: 500 }
     }
@@ -89,6 +297,15 @@ const bugSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+/**
+ * Resolve the display name recorded for an actor
+ * Accepts a user document, a plain name, or nothing (system changes)
+ */
+const actorName = (actor) => {
+  if (!actor) return 'system';
+  return typeof actor === 'string' ? actor : actor.name;
+};
+
 /**
  * Virtual field for formatted creation date
  * Useful for display purposes
@@ -103,22 +320,40 @@ bugSchema.virtual('formattedCreatedAt').get(function() {
   });
 });
 
+/**
+ * Record the first response to a customer bug
+ * Only a person other than the reporter counts; API keys and system changes do not
+ * @param {Object} [actor] - User document making the change
+ */
+bugSchema.methods.markFirstResponse = function(actor) {
+  if (!this.sla || !this.sla.policy || this.sla.firstRespondedAt) return;
+  if (!actor || !actor._id || (this.reporter && this.reporter.equals(actor._id))) return;
+
+  this.sla.firstRespondedAt = new Date();
+};
+
 /**
  * Instance method to update bug status
- * Includes validation and logging for debugging
+ * Records the history entry; callers check the workflow first (services/workflow.js)
+ * @param {string} newStatus - Status to move to
+ * @param {Object} [actor] - User document (or display name) making the change
+ * @param {string} [reason] - Optional reason recorded in the history
  */
-bugSchema.methods.updateStatus = function(newStatus) {
+bugSchema.methods.updateStatus = function(newStatus, actor, reason) {
   console.log(`🔄 Updating bug ${this._id} status from ${this.status} to ${newStatus}`);
   
-  if (!['Open', 'In Progress', 'Resolved'].includes(newStatus)) {
-    throw new Error('Invalid status value');
-  }
-  
   const previousStatus = this.status;
   this.status = newStatus;
   this.updatedAt = new Date();
   // Record status change in history
-  this.statusHistory.push({ from: previousStatus, to: newStatus, by: 'system' });
+  this.statusHistory.push({
+    from: previousStatus,
+    to: newStatus,
+    by: actorName(actor),
+    byUser: actor && actor._id,
+    reason
+  });
+  this.markFirstResponse(actor);
   
   console.log(`✅ Bug status updated successfully`);
   return this.save();
@@ -126,14 +361,124 @@ bugSchema.methods.updateStatus = function(newStatus) {
 
 /**
  * Instance method to add a comment
+ * @param {Object|string} author - User document (or display name) writing the comment
+ * @param {string} message - Comment text
+ * @param {Array} [mentions] - Users mentioned in the text ({ user, username })
+ * @param {string} [visibility] - 'internal' (default) or 'public' to show it to the customer
+ */
+bugSchema.methods.addComment = function(author, message, mentions = [], visibility = 'internal') {
+  console.log(`💬 Adding ${visibility} comment to bug ${this._id} by ${actorName(author)}`);
+  this.comments.push({ author: actorName(author), authorId: author && author._id, message, mentions, visibility });
+  this.markFirstResponse(author);
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Instance method to change a comment's text, keeping the old text as a revision
+ * @param {Object} comment - Comment subdocument of this bug
+ * @param {Object} editor - User making the edit
+ * @param {string} message - New comment text
+ * @param {Array} [mentions] - Users mentioned in the new text ({ user, username })
+ */
+bugSchema.methods.editComment = function(comment, editor, message, mentions = []) {
+  console.log(`✏️ Editing comment ${comment._id} on bug ${this._id} by ${actorName(editor)}`);
+  if (message.trim() === comment.message) {
+    return Promise.resolve(this);
+  }
+
+  comment.revisions.push({ message: comment.message, editedBy: actorName(editor) });
+  comment.message = message;
+  comment.mentions = mentions;
+  comment.editedAt = new Date();
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Instance method to soft-delete a comment
+ * @param {Object} comment - Comment subdocument of this bug
+ * @param {Object} actor - User removing the comment
+ */
+bugSchema.methods.removeComment = function(comment, actor) {
+  console.log(`🗑️ Removing comment ${comment._id} on bug ${this._id} by ${actorName(actor)}`);
+  comment.deletedAt = new Date();
+  comment.deletedBy = actorName(actor);
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Instance method to add a watcher (does not save)
+ * @param {Object} userId - User ObjectId
+ * @returns {boolean} Whether the user was not watching yet
+ */
+bugSchema.methods.addWatcher = function(userId) {
+  if (this.watchers.some(watcher => watcher.equals(userId))) return false;
+  this.watchers.push(userId);
+  return true;
+};
+
+/**
+ * Instance method to remove a watcher (does not save)
+ * @param {Object} userId - User ObjectId
+ * @returns {boolean} Whether the user was watching
+ */
+bugSchema.methods.removeWatcher = function(userId) {
+  const before = this.watchers.length;
+  this.watchers.pull(userId);
+  return this.watchers.length !== before;
+};
+
+/**
+ * Check whether a user watches this bug
+ * @param {Object} userId - User ObjectId
+ * @returns {boolean}
  */
-bugSchema.methods.addComment = function(author, message) {
-  console.log(`💬 Adding comment to bug ${this._id} by ${author}`);
-  this.comments.push({ author, message });
+bugSchema.methods.isWatchedBy = function(userId) {
+  return Boolean(userId) && this.watchers.some(watcher => watcher.equals(userId));
+};
+
+/**
+ * Instance method to attach a duplicate report to this bug
+ * @param {Object} report - { title, description, reportedBy, reporter, source, customer }
+ */
+bugSchema.methods.attachReport = function(report) {
+  console.log(`📎 Attaching duplicate report "${report.title}" to bug ${this.key}`);
+  this.duplicateReports.push(report);
   this.updatedAt = new Date();
   return this.save();
 };
 
+/**
+ * Instance method to record a commit or pull request that mentions this bug
+ * Links are matched on provider, kind, repository and ref, so replayed
+ * events do not add them twice; a pull request's state is kept up to date
+ * @param {Object} link - { provider, kind, repository, ref, title, url, author, state }
+ * @returns {string|null} 'added', 'updated' (state changed) or null when nothing changed
+ */
+bugSchema.methods.linkCode = function(link) {
+  const existing = this.codeLinks.find(entry => (
+    entry.provider === link.provider &&
+    entry.kind === link.kind &&
+    entry.repository === link.repository &&
+    entry.ref === String(link.ref)
+  ));
+
+  if (!existing) {
+    this.codeLinks.push({ ...link, ref: String(link.ref) });
+    return 'added';
+  }
+
+  if (link.state && existing.state !== link.state) {
+    existing.state = link.state;
+    existing.title = link.title || existing.title;
+    return 'updated';
+  }
+
+  return null;
+};
+
 /**
  * Static method to find bugs by priority
  * Useful for filtering and reporting
@@ -143,6 +488,85 @@ bugSchema.statics.findByPriority = function(priority) {
   return this.find({ priority });
 };
 
+/**
+ * Static method to find a bug by ObjectId or human-readable key
+ * Anything that is neither falls through to findById so callers still get a CastError
+ * @param {string} idOrKey - Bug ID or key such as WEB-42
+ */
+bugSchema.statics.findByIdOrKey = function(idOrKey) {
+  const value = String(idOrKey).toUpperCase();
+
+  if (BUG_KEY_PATTERN.test(value)) {
+    return this.findOne({ key: value });
+  }
+
+  return this.findById(idOrKey);
+};
+
+/**
+ * Pre-validate middleware assigning the project, initial status and key of new bugs
+ * Bugs created without a project land in the default project (as do bugs
+ * filed before projects existed, on their next save), every status
+ * must exist in the project's workflow, and priority is recomputed from the
+ * project's priority matrix whenever severity or urgency change
+ */
+bugSchema.pre('validate', async function(next) {
+  try {
+    const statusChanged = this.isNew || this.isModified('status');
+    const impactChanged = this.isNew || this.isModified('severity') || this.isModified('urgency');
+
+    // A priority set by hand stays until severity or urgency change again
+    if (this.isModified('priority') && !impactChanged) {
+      this.priorityComputed = false;
+    }
+
+    const missingProject = !this.project || !this.key;
+
+    if (!statusChanged && !impactChanged && !missingProject) {
+      return next();
+    }
+
+    let project = this.project ? await Project.findById(this.project) : null;
+
+    if (!this.project) {
+      project = await Project.getDefault();
+      this.project = project._id;
+    }
+
+    if (impactChanged && project) {
+      const suggested = project.suggestPriority(this.severity, this.urgency);
+      if (suggested) {
+        this.priority = suggested;
+        this.priorityComputed = true;
+      }
+    }
+
+    const workflow = project ? project.getWorkflow() : DEFAULT_WORKFLOW;
+    const statusNames = workflow.statuses.map(status => status.name);
+
+    if (this.isNew && !this.status) {
+      this.status = workflow.initialStatus;
+    }
+
+    if (this.status && !statusNames.includes(this.status)) {
+      this.invalidate('status', `Status must be one of: ${statusNames.join(', ')}`, this.status);
+      return next();
+    }
+
+    // Reserve a key last so rejected bugs do not leave gaps in the sequence
+    // Key and number are immutable, so older bugs only get theirs through overwriteImmutable
+    if (!this.key && project) {
+      const { key, number } = await Project.nextBugNumber(project._id);
+      this.$set('number', number, undefined, { overwriteImmutable: true });
+      this.$set('key', `${key}-${number}`, undefined, { overwriteImmutable: true });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Pre-save middleware for additional validation
  * Logs important changes for debugging
@@ -151,6 +575,7 @@ bugSchema.pre('save', function(next) {
   console.log(`💾 Saving bug: ${this.title}`);
   console.log(`📊 Bug details:`, {
     id: this._id,
+    key: this.key,
     title: this.title,
     priority: this.priority,
     status: this.status,
@@ -159,4 +584,49 @@ bugSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Pre-save middleware rendering Markdown to sanitized HTML whenever the source changes
+ * HTML set any other way is rendered over, so it cannot be injected
+ */
+bugSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('description') || this.isModified('descriptionHtml')) {
+    this.descriptionHtml = renderMarkdown(this.description);
+  }
+
+  this.comments.forEach(comment => {
+    if (!comment.messageHtml || comment.isModified('message') || comment.isModified('messageHtml')) {
+      comment.messageHtml = renderMarkdown(comment.message);
+    }
+  });
+
+  next();
+});
+
+/**
+ * Pre-save middleware making reporters and new assignees watch the bug
+ */
+bugSchema.pre('save', async function(next) {
+  try {
+    await addAutomaticWatchers(this);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pre-save middleware keeping SLA deadlines and breach flags current
+ */
+bugSchema.pre('save', async function(next) {
+  try {
+    await applySla(this);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+bugSchema.statics.BUG_KEY_PATTERN = BUG_KEY_PATTERN;
+bugSchema.statics.COMMENT_VISIBILITIES = COMMENT_VISIBILITIES;
+
 module.exports = mongoose.model('Bug', bugSchema); 
\ No newline at end of file
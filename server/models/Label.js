@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LABEL_COLOR = '#718096';
+
+/**
+ * Normalize a label name for case-insensitive matching
+ * @param {string} name - Label name as typed
+ * @returns {string}
+ */
+const toNameKey = (name) => String(name).trim().toLowerCase();
+
+/**
+ * Label Schema - Color-coded tags managed per project
+ * Bugs reference labels by id, so renames and merges carry over to every bug
+ */
+const labelSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [30, 'Label name cannot exceed 30 characters'],
+    // The bug list takes label filters as a comma-separated list
+    match: [/^[^,]*$/, 'Label name cannot contain commas']
+  },
+  // Lowercased name used to keep names unique within a project
+  nameKey: {
+    type: String,
+    required: true
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value such as #e53e3e'],
+    default: DEFAULT_LABEL_COLOR
+  },
+  // Renames and merges, so old names can still be traced
+  history: [
+    {
+      _id: false,
+      action: { type: String, enum: ['renamed', 'merged'], required: true },
+      from: { type: String, required: true },
+      by: { type: String, trim: true },
+      at: { type: Date, default: Date.now }
+    }
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+labelSchema.index({ project: 1, nameKey: 1 }, { unique: true });
+
+/**
+ * Keep nameKey in step with name
+ */
+labelSchema.pre('validate', function(next) {
+  if (this.name) {
+    this.nameKey = toNameKey(this.name);
+  }
+  next();
+});
+
+/**
+ * Instance method to rename a label, recording the old name
+ * @param {string} name - New name
+ * @param {Object} [actor] - User making the change
+ */
+labelSchema.methods.rename = function(name, actor) {
+  if (String(name).trim() !== this.name) {
+    this.history.push({ action: 'renamed', from: this.name, by: actor && actor.name });
+    this.name = name;
+  }
+  return this.save();
+};
+
+labelSchema.statics.toNameKey = toNameKey;
+labelSchema.statics.DEFAULT_LABEL_COLOR = DEFAULT_LABEL_COLOR;
+
+module.exports = mongoose.model('Label', labelSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+/**
+ * Notification Schema - Something a user should know about a bug
+ * Created by the server (e.g. when someone is @mentioned or a watched bug
+ * changes) and read in the app
+ */
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: `Notification type must be ${NOTIFICATION_TYPES.join(', ')}`
+    }
+  },
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug',
+    required: true
+  },
+  // Bug key at the time, so the notification reads well without a lookup
+  bugKey: {
+    type: String
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  actor: {
+    type: String,
+    trim: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+/**
+ * Virtual field telling whether the recipient has read the notification
+ */
+notificationSchema.virtual('read').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { CHANNEL_TYPES } = require('../config/channels');
+const { PRIORITIES } = require('../config/priority');
+const { BUG_EVENT_TYPES } = require('../services/bugEvents');
+
+const SOURCES = ['internal', 'customer'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * NotificationRule Schema - Sends matching bug events to an outside channel
+ * A rule names the events it forwards and can be narrowed to projects,
+ * priorities and sources; empty lists match everything. Each rule may
+ * override the default message template (see services/notificationTemplates.js).
+ */
+const notificationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [60, 'Rule name cannot exceed 60 characters']
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required'],
+    enum: {
+      values: CHANNEL_TYPES,
+      message: `Channel must be ${CHANNEL_TYPES.join(', ')}`
+    }
+  },
+  // Webhook URL, or comma-separated addresses for e-mail
+  target: {
+    type: String,
+    required: [true, 'Target is required'],
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: BUG_EVENT_TYPES,
+        message: `Events must be ${BUG_EVENT_TYPES.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  projects: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Project' }],
+  priorities: [{
+    type: String,
+    enum: {
+      values: PRIORITIES,
+      message: `Priorities must be ${PRIORITIES.join(', ')}`
+    }
+  }],
+  sources: [{
+    type: String,
+    enum: {
+      values: SOURCES,
+      message: `Sources must be ${SOURCES.join(', ')}`
+    }
+  }],
+  // Optional overrides of the default template; {{placeholders}} as in the defaults
+  template: {
+    title: { type: String, trim: true, maxlength: 200 },
+    text: { type: String, trim: true, maxlength: 2000 }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Pre-validate middleware checking the target fits the channel
+ */
+notificationRuleSchema.pre('validate', function(next) {
+  if (!this.target) return next();
+
+  if (this.channel === 'email') {
+    const invalid = this.target.split(',').map(address => address.trim()).filter(address => !EMAIL_PATTERN.test(address));
+    if (invalid.length > 0) {
+      this.invalidate('target', `Invalid e-mail addresses: ${invalid.join(', ')}`, this.target);
+    }
+    return next();
+  }
+
+  let url = null;
+  try {
+    url = new URL(this.target);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    this.invalidate('target', 'Target must be an http(s) URL', this.target);
+  }
+
+  next();
+});
+
+notificationRuleSchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model('NotificationRule', notificationRuleSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { CHANNEL_TYPES, OUTBOX_MAX_ATTEMPTS } = require('../config/channels');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+/**
+ * OutboxMessage Schema - A channel message waiting to be (or already) delivered
+ * Messages are rendered when the event happens and delivered by the outbox
+ * worker, which retries failures with backoff (see services/outbox.js)
+ */
+const outboxMessageSchema = new mongoose.Schema({
+  // Missing for rules configured through the environment
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationRule'
+  },
+  ruleName: {
+    type: String,
+    trim: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: CHANNEL_TYPES
+  },
+  target: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug'
+  },
+  bugKey: {
+    type: String
+  },
+  // Rendered message: { title, text } plus the event data for structured channels
+  payload: {
+    title: { type: String, required: true },
+    text: { type: String, default: '' },
+    data: { type: mongoose.Schema.Types.Mixed }
+  },
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: OUTBOX_MAX_ATTEMPTS
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      // Webhook URLs carry their own credentials
+      delete ret.target;
+      return ret;
+    }
+  }
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+outboxMessageSchema.statics.OUTBOX_STATUSES = OUTBOX_STATUSES;
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const { STATUS_CATEGORIES, DEFAULT_WORKFLOW } = require('../config/workflow');
+const { CUSTOM_FIELD_TYPES } = require('../services/customFields');
+const {
+  PRIORITIES, SEVERITIES, URGENCIES, DEFAULT_PRIORITY_MATRIX
+} = require('../config/priority');
+
+const DEFAULT_PROJECT_KEY = 'BUG';
+
+/**
+ * Workflow sub-schema - Statuses a bug can be in and the allowed moves between them
+ * See config/workflow.js for the default definition
+ */
+const workflowSchema = new mongoose.Schema({
+  initialStatus: {
+    type: String,
+    required: true
+  },
+  statuses: [
+    {
+      _id: false,
+      name: { type: String, required: true, trim: true, maxlength: 30 },
+      category: { type: String, required: true, enum: STATUS_CATEGORIES }
+    }
+  ],
+  transitions: [
+    {
+      _id: false,
+      from: { type: String, required: true },
+      to: { type: String, required: true },
+      // Empty means anyone allowed to change status may make this move
+      roles: [{ type: String }]
+    }
+  ]
+}, { _id: false });
+
+/**
+ * Custom field sub-schema - Extra typed values recorded on each bug in the project
+ * Values are checked by services/customFields.js
+ */
+const customFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]{0,29}$/
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: CUSTOM_FIELD_TYPES
+  },
+  // Allowed values for enum fields
+  options: [{ type: String, trim: true }],
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+/**
+ * Priority matrix sub-schema - Maps severity (impact) × urgency to a priority
+ * When enabled, bugs with an urgency get their priority computed on save
+ */
+const priorityMatrixSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  cells: [
+    {
+      _id: false,
+      severity: { type: String, required: true, enum: SEVERITIES },
+      urgency: { type: String, required: true, enum: URGENCIES },
+      priority: { type: String, required: true, enum: PRIORITIES }
+    }
+  ]
+}, { _id: false });
+
+/**
+ * Project Schema - Groups bugs and owns the counter behind human-readable keys
+ * A bug in project WEB gets keys like WEB-1, WEB-2, ...
+ */
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  key: {
+    type: String,
+    required: [true, 'Project key is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[A-Z][A-Z0-9]{1,9}$/, 'Project key must be 2-10 letters or digits, starting with a letter']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  members: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  ],
+  workflow: {
+    type: workflowSchema,
+    default: () => DEFAULT_WORKFLOW
+  },
+  customFields: [customFieldSchema],
+  priorityMatrix: {
+    type: priorityMatrixSchema,
+    default: () => DEFAULT_PRIORITY_MATRIX
+  },
+  // When true, a parent bug cannot move to a done status while any sub-task is open
+  requireSubtasksResolved: {
+    type: Boolean,
+    default: false
+  },
+  // Last number handed out; incremented atomically for each new bug
+  bugCounter: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Instance method returning the workflow in force for this project
+ * Falls back to the default for projects created before workflows existed
+ */
+projectSchema.methods.getWorkflow = function() {
+  if (this.workflow && this.workflow.statuses && this.workflow.statuses.length > 0) {
+    return this.workflow;
+  }
+
+  return DEFAULT_WORKFLOW;
+};
+
+/**
+ * Instance method returning the matrix priority for a severity and urgency
+ * @param {string} severity - Bug severity (impact)
+ * @param {string} urgency - Bug urgency
+ * @returns {string|null} Priority, or null when the matrix is off or has no cell
+ */
+projectSchema.methods.suggestPriority = function(severity, urgency) {
+  if (!this.priorityMatrix || !this.priorityMatrix.enabled || !severity || !urgency) {
+    return null;
+  }
+
+  const cell = this.priorityMatrix.cells.find(
+    entry => entry.severity === severity && entry.urgency === urgency
+  );
+
+  return cell ? cell.priority : null;
+};
+
+/**
+ * Static method to atomically reserve the next bug number for a project
+ * @param {ObjectId} projectId - Project ID
+ * @returns {Promise<{ key: string, number: number }>} Project key and reserved number
+ */
+projectSchema.statics.nextBugNumber = async function(projectId) {
+  const project = await this.findByIdAndUpdate(
+    projectId,
+    { $inc: { bugCounter: 1 } },
+    { new: true }
+  );
+
+  if (!project) {
+    throw new Error('Project not found');
+  }
+
+  console.log(`🔢 Reserved ${project.key}-${project.bugCounter}`);
+  return { key: project.key, number: project.bugCounter };
+};
+
+/**
+ * Static method returning the fallback project for bugs filed without one
+ * Created on first use so existing clients keep working
+ */
+projectSchema.statics.getDefault = function() {
+  return this.findOneAndUpdate(
+    { key: DEFAULT_PROJECT_KEY },
+    { $setOnInsert: { key: DEFAULT_PROJECT_KEY, name: 'General' } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Static method to find a project by ObjectId or by key (e.g. "WEB")
+ * @param {string} idOrKey - Project ID or key
+ */
+projectSchema.statics.findByIdOrKey = function(idOrKey) {
+  if (mongoose.Types.ObjectId.isValid(idOrKey) && String(idOrKey).length === 24) {
+    return this.findById(idOrKey);
+  }
+
+  return this.findOne({ key: String(idOrKey).toUpperCase() });
+};
+
+projectSchema.statics.DEFAULT_PROJECT_KEY = DEFAULT_PROJECT_KEY;
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { PRIORITIES } = require('../config/priority');
+
+/**
+ * SlaPolicy Schema - Contractual response and resolution times for customer bugs
+ * A policy applies to one priority, optionally narrowed to a project and/or a
+ * customer tier; the most specific active policy wins
+ */
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [60, 'Policy name cannot exceed 60 characters']
+  },
+  // Empty means the policy applies to every project
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  priority: {
+    type: String,
+    required: [true, 'Priority is required'],
+    enum: {
+      values: PRIORITIES,
+      message: `Priority must be ${PRIORITIES.join(', ')}`
+    }
+  },
+  // Empty means the policy applies to every customer tier
+  customerTier: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  firstResponseMinutes: {
+    type: Number,
+    required: [true, 'firstResponseMinutes is required'],
+    min: [1, 'firstResponseMinutes must be at least 1']
+  },
+  resolutionMinutes: {
+    type: Number,
+    required: [true, 'resolutionMinutes is required'],
+    min: [1, 'resolutionMinutes must be at least 1']
+  },
+  // Time spent in these statuses (e.g. waiting on the customer) does not count
+  pauseStatuses: [{ type: String, trim: true }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Static method to find the policy that applies to a bug
+ * Prefers project-specific over global, and tier-specific over any-tier
+ * @param {Object} criteria - { project, priority, customerTier }
+ * @returns {Promise<Object|null>} Matching policy
+ */
+slaPolicySchema.statics.findForBug = async function({ project, priority, customerTier }) {
+  const tier = customerTier ? String(customerTier).toLowerCase() : null;
+
+  const candidates = await this.find({
+    active: true,
+    priority,
+    project: { $in: [project, null] },
+    customerTier: { $in: tier ? [tier, null] : [null] }
+  });
+
+  const score = (policy) => (policy.project ? 2 : 0) + (policy.customerTier ? 1 : 0);
+
+  return candidates.sort((a, b) => score(b) - score(a))[0] || null;
+};
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
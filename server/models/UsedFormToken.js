@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { PORTAL_FORM_MAX_AGE_SECONDS } = require('../config/portal');
+
+/**
+ * UsedFormToken Schema - A feedback form that was already sent
+ * Keyed by the nonce in the form token, so each form can only file one
+ * report (see services/portal.js). Records expire once the form would have
+ * expired anyway.
+ */
+const usedFormTokenSchema = new mongoose.Schema({
+  // The token's nonce; _id is unique without waiting for an index build
+  _id: {
+    type: String,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: Date.now,
+    expires: PORTAL_FORM_MAX_AGE_SECONDS
+  }
+});
+
+module.exports = mongoose.model('UsedFormToken', usedFormTokenSchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { ROLES, permissionsForRole } = require('../config/permissions');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+/**
+ * User Schema - Defines the structure for user accounts in MongoDB
+ * Passwords are stored as bcrypt hashes and never returned by default
+ */
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_.-]{2,30}$/, 'Username may only contain letters, numbers, dots, dashes and underscores (2-30 characters)']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    },
+    default: 'reporter'
+  },
+  // Incremented on logout/password change to invalidate outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  // Slack member ID, linked the first time the user runs a Slack command (see services/slack.js)
+  slackUserId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Which notification types the user receives (all on by default)
+  notificationPreferences: NOTIFICATION_TYPES.reduce((fields, type) => ({
+    ...fields,
+    [type]: { type: Boolean, default: true }
+  }), {})
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.tokenVersion;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Virtual field listing the permissions granted by the user's role
+ * Lets the client decide which actions to show without duplicating the role map
+ */
+userSchema.virtual('permissions').get(function() {
+  return permissionsForRole(this.role);
+});
+
+/**
+ * Instance method checking whether the user wants a type of notification
+ * @param {string} type - Notification type (see config/notifications.js)
+ * @returns {boolean}
+ */
+userSchema.methods.wantsNotification = function(type) {
+  return !this.notificationPreferences || this.notificationPreferences[type] !== false;
+};
+
+/**
+ * Pre-save middleware to hash the password whenever it changes
+ */
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  console.log(`🔐 Hashing password for user: ${this.username}`);
+  this.password = await bcrypt.hash(this.password, 10);
+  next();
+});
+
+/**
+ * Instance method to compare a plain-text password with the stored hash
+ * Requires the document to have been loaded with `+password`
+ */
+userSchema.methods.matchPassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+/**
+ * Instance method to sign a short-lived access token
+ */
+userSchema.methods.getAccessToken = function() {
+  return jwt.sign(
+    { sub: this._id.toString(), type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '1h' }
+  );
+};
+
+/**
+ * Instance method to sign a long-lived refresh token
+ * The token version lets us revoke every refresh token for a user at once
+ */
+userSchema.methods.getRefreshToken = function() {
+  return jwt.sign(
+    { sub: this._id.toString(), type: 'refresh', ver: this.tokenVersion || 0 },
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
+  );
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { BUG_EVENT_TYPES } = require('../services/bugEvents');
+const { getAllowPrivateTargets } = require('../config/webhooks');
+const { isPrivateHost } = require('../utils/network');
+
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Webhook Schema - An outside service subscribed to bug events
+ * Deliveries are signed with the secret (HMAC-SHA256) so the receiver can
+ * check they came from us. The secret is shown once, when the webhook is
+ * created or its secret replaced.
+ */
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [60, 'Webhook name cannot exceed 60 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  secret: {
+    type: String,
+    required: true,
+    minlength: [MIN_SECRET_LENGTH, `Secret must be at least ${MIN_SECRET_LENGTH} characters`],
+    select: false
+  },
+  // Empty means every event
+  events: [{
+    type: String,
+    enum: {
+      values: BUG_EVENT_TYPES,
+      message: `Events must be ${BUG_EVENT_TYPES.join(', ')}`
+    }
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Failed attempts since the last successful one; too many disables the webhook
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: {
+    type: Date
+  },
+  disabledReason: {
+    type: String
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastResponseStatus: {
+    type: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Pre-validate middleware checking the URL is http(s) and not obviously internal
+ * Hostnames are checked again when each delivery is sent (see services/webhooks.js)
+ */
+webhookSchema.pre('validate', function(next) {
+  if (!this.url) return next();
+
+  let url = null;
+  try {
+    url = new URL(this.url);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    this.invalidate('url', 'Webhook URL must be an http(s) URL', this.url);
+  } else if (this.isModified('url') && isPrivateHost(url) && !getAllowPrivateTargets()) {
+    this.invalidate('url', 'Webhook URL cannot point to a private network address', this.url);
+  }
+
+  next();
+});
+
+/**
+ * Instance method telling whether the webhook wants an event
+ * @param {string} type - Bug event type
+ * @returns {boolean}
+ */
+webhookSchema.methods.listensTo = function(type) {
+  return this.active && (this.events.length === 0 || this.events.includes(type));
+};
+
+/**
+ * Static method creating a random signing secret
+ * @returns {string}
+ */
+webhookSchema.statics.generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_MAX_ATTEMPTS } = require('../config/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'succeeded', 'failed'];
+
+/**
+ * One request made for a delivery, as shown in the delivery log
+ */
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  // HTTP status of the response; missing when no response came back
+  responseStatus: { type: Number },
+  // Start of the response body
+  responseBody: { type: String },
+  error: { type: String },
+  durationMs: { type: Number }
+}, { _id: false });
+
+/**
+ * WebhookDelivery Schema - A bug event sent (or to be sent) to a webhook
+ * The body is serialized once, when the event happens, so retries and
+ * redeliveries send exactly the same signed payload.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  bug: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bug'
+  },
+  bugKey: {
+    type: String
+  },
+  // JSON request body, exactly as signed and sent
+  body: {
+    type: String,
+    required: true
+  },
+  // Set on deliveries an admin asked to send again
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  maxAttempts: {
+    type: Number,
+    default: WEBHOOK_MAX_ATTEMPTS
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+/**
+ * Virtual field with the status code of the latest attempt
+ */
+webhookDeliverySchema.virtual('responseStatus').get(function() {
+  const last = this.attempts && this.attempts[this.attempts.length - 1];
+  return last ? last.responseStatus : undefined;
+});
+
+webhookDeliverySchema.statics.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,103 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// API keys are managed by admins signed in with a user account
+router.use(protect, authorize('apikeys:manage'));
+
+/**
+ * GET /api/api-keys - List API keys
+ * Hashes are never returned; the prefix identifies each key
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    console.log('🔑 Fetching API keys...');
+
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'name username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    console.error('❌ Error fetching API keys:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/api-keys - Issue a new API key
+ * The plain key is included in this response only
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    console.log(`🔑 Issuing API key "${name}" with scopes:`, scopes);
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and a non-empty scopes array are required'
+      });
+    }
+
+    const { apiKey, rawKey } = await ApiKey.issue({
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey.toJSON(), key: rawKey },
+      message: 'API key created. Store the key now; it will not be shown again'
+    });
+  } catch (error) {
+    console.error('❌ Error issuing API key:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id - Revoke an API key
+ * The record is kept (with revokedAt set) for auditing
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    console.log(`🚫 Revoking API key: ${id}`);
+
+    const apiKey = await ApiKey.findById(id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const Bug = require('../models/Bug');
+const Attachment = require('../models/Attachment');
+const { authorize, assertPermissions } = require('../middleware/auth');
+const { uploadFiles } = require('../middleware/upload');
+const { getStorage } = require('../services/storage');
+const {
+  THUMBNAIL_MIME_TYPE,
+  saveAttachments,
+  deleteAttachment,
+  contentDisposition
+} = require('../services/attachments');
+const { IMAGE_MIME_TYPES } = require('../config/attachments');
+
+// Mounted by bugsRouter under /api/bugs/:id/attachments, after `protect`
+const router = express.Router({ mergeParams: true });
+
+// Types the browser may show in place; everything else is always downloaded
+const INLINE_MIME_TYPES = [...IMAGE_MIME_TYPES, 'application/pdf', 'video/mp4', 'video/webm'];
+
+/**
+ * Load the bug from the :id param and one of its attachments
+ * @returns {Promise<Object>} { bug, attachment } (either may be null)
+ */
+const findAttachment = async (bugId, attachmentId) => {
+  const bug = await Bug.findByIdOrKey(bugId);
+  const attachment = bug ? await Attachment.findOne({ _id: attachmentId, bug: bug._id }) : null;
+  return { bug, attachment };
+};
+
+/**
+ * Stream a stored file to the client
+ * @param {Object} res - Express response
+ * @param {string} key - Storage key
+ * @param {Object} headers - Response headers
+ * @param {Function} next - Express next
+ */
+const streamFile = (res, key, headers, next) => {
+  const stream = getStorage().createReadStream(key);
+
+  stream.once('error', (error) => {
+    console.error('❌ Error reading attachment:', error.message);
+    if (res.headersSent) return res.destroy(error);
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, message: 'Attachment file is missing' });
+    }
+    next(error);
+  });
+
+  stream.once('open', () => {
+    res.set({ ...headers, 'Cache-Control': 'private, max-age=3600' });
+  });
+
+  stream.pipe(res);
+};
+
+/**
+ * POST /api/bugs/:id/attachments - Upload files to a bug
+ * multipart/form-data with up to 5 files in "files"; send "comment" with a
+ * comment ID to attach them to that comment
+ */
+router.post('/', authorize('bugs:comment'), uploadFiles, async (req, res, next) => {
+  try {
+    const files = req.files || [];
+
+    console.log(`📎 Uploading ${files.length} file(s) to bug ${req.params.id}`);
+
+    if (files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' });
+    }
+
+    const bug = await Bug.findByIdOrKey(req.params.id);
+    if (!bug) {
+      return res.status(404).json({ success: false, message: 'Bug not found' });
+    }
+
+    const { comment } = req.body;
+    if (comment && !bug.comments.id(comment)) {
+      return res.status(400).json({ success: false, message: `Comment ${comment} not found on ${bug.key}` });
+    }
+
+    const attachments = await saveAttachments(bug, files, req.user, comment || undefined);
+
+    console.log('✅ Attachments saved:', attachments.map(attachment => attachment.filename).join(', '));
+
+    res.status(201).json({
+      success: true,
+      data: attachments,
+      message: `${attachments.length} file(s) attached`
+    });
+  } catch (error) {
+    console.error('❌ Error uploading attachments:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bugs/:id/attachments - List a bug's attachments
+ * Query: comment (only that comment's files)
+ */
+router.get('/', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    const bug = await Bug.findByIdOrKey(req.params.id);
+    if (!bug) {
+      return res.status(404).json({ success: false, message: 'Bug not found' });
+    }
+
+    const filter = { bug: bug._id };
+    if (req.query.comment) filter.comment = req.query.comment;
+
+    const attachments = await Attachment.find(filter).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bugs/:id/attachments/:attachmentId - Download an attachment
+ * Images, PDFs and videos open in the browser unless ?download=true
+ */
+router.get('/:attachmentId', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    const { attachment } = await findAttachment(req.params.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    const inline = INLINE_MIME_TYPES.includes(attachment.mimeType) && req.query.download !== 'true';
+
+    streamFile(res, attachment.storageKey, {
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(attachment.filename, inline)
+    }, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bugs/:id/attachments/:attachmentId/thumbnail - Image thumbnail
+ */
+router.get('/:attachmentId/thumbnail', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    const { attachment } = await findAttachment(req.params.id, req.params.attachmentId);
+    if (!attachment || !attachment.thumbnailKey) {
+      return res.status(404).json({ success: false, message: 'Thumbnail not found' });
+    }
+
+    streamFile(res, attachment.thumbnailKey, { 'Content-Type': THUMBNAIL_MIME_TYPE }, next);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/bugs/:id/attachments/:attachmentId - Delete an attachment
+ * Uploaders may delete their own files; anyone else needs bugs:delete
+ */
+router.delete('/:attachmentId', authorize('bugs:comment'), async (req, res, next) => {
+  try {
+    const { attachment } = await findAttachment(req.params.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    const isUploader = req.user._id && attachment.uploadedById && attachment.uploadedById.equals(req.user._id);
+    if (!isUploader) {
+      assertPermissions(req.user, ['bugs:delete']);
+    }
+
+    await deleteAttachment(attachment);
+
+    console.log('🗑️ Attachment deleted:', attachment.filename);
+
+    res.json({
+      success: true,
+      data: attachment,
+      message: 'Attachment deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
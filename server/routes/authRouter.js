@@ -0,0 +1,205 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Build the token payload returned by register/login/refresh
+ * @param {Object} user - User document
+ * @returns {Object} User plus access and refresh tokens
+ */
+const buildAuthResponse = (user) => ({
+  user,
+  accessToken: user.getAccessToken(),
+  refreshToken: user.getRefreshToken()
+});
+
+/**
+ * Check that every given credential field is a string
+ * JSON bodies can carry numbers or objects, which must not reach queries or bcrypt
+ * @param {...*} values - Field values; undefined counts as absent
+ * @returns {boolean}
+ */
+const areStrings = (...values) => values.every(value => value === undefined || typeof value === 'string');
+
+/**
+ * POST /api/auth/register - Create a new user account
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    console.log('👤 Registering new user...');
+
+    const { name, username, email, password } = req.body;
+
+    if (!name || !username || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, username, email, and password are required fields'
+      });
+    }
+
+    if (!areStrings(name, username, email, password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, username, email, and password must be text'
+      });
+    }
+
+    const existing = await User.findOne({
+      $or: [{ email: email.toLowerCase() }, { username: username.toLowerCase() }]
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with that email or username already exists'
+      });
+    }
+
+    // The very first account bootstraps the installation as its admin
+    const isFirstUser = (await User.estimatedDocumentCount()) === 0;
+
+    const user = await User.create({
+      name,
+      username,
+      email,
+      password,
+      role: isFirstUser ? 'admin' : 'reporter'
+    });
+
+    console.log('✅ User registered successfully:', user._id);
+
+    res.status(201).json({
+      success: true,
+      data: buildAuthResponse(user),
+      message: 'User registered successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error registering user:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/login - Exchange credentials for tokens
+ * Accepts either an email or a username as the login identifier
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const { email, username, password } = req.body;
+
+    if (!areStrings(email, username, password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, username, and password must be text'
+      });
+    }
+
+    const identifier = (email || username || '').toLowerCase().trim();
+
+    console.log(`🔑 Login attempt for: ${identifier}`);
+
+    if (!identifier || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email (or username) and password are required'
+      });
+    }
+
+    const user = await User.findOne({
+      $or: [{ email: identifier }, { username: identifier }]
+    }).select('+password +tokenVersion');
+
+    if (!user || !(await user.matchPassword(password))) {
+      console.log('❌ Invalid credentials');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    console.log('✅ User logged in:', user.username);
+
+    res.json({
+      success: true,
+      data: buildAuthResponse(user),
+      message: 'Logged in successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error logging in:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/refresh - Issue a new token pair from a refresh token
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const decoded = jwt.verify(
+      refreshToken,
+      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+    );
+
+    const user = decoded.type === 'refresh'
+      ? await User.findById(decoded.sub).select('+tokenVersion')
+      : null;
+
+    if (!user || (user.tokenVersion || 0) !== decoded.ver) {
+      console.log('❌ Refresh token rejected');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    console.log('🔄 Tokens refreshed for:', user.username);
+
+    res.json({
+      success: true,
+      data: buildAuthResponse(user),
+      message: 'Tokens refreshed successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error refreshing token:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout - Revoke all refresh tokens for the current user
+ */
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+
+    console.log('👋 User logged out:', req.user.username);
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/me - Get the authenticated user
+ */
+router.get('/me', protect, (req, res) => {
+  res.json({ success: true, data: req.user });
+});
+
+module.exports = router;
@@ -1,53 +1,249 @@
 const express = require('express');
 const Bug = require('../models/Bug');
-const axios = require('axios');
+const Project = require('../models/Project');
+const { protect, authorize, assertPermissions, requireUser } = require('../middleware/auth');
+const { transitionBug } = require('../services/workflow');
+const {
+  normalizeCustomFields,
+  applyCustomFields,
+  buildCustomFieldFilter,
+  buildCrossProjectCustomFieldFilter
+} = require('../services/customFields');
+const { resolveLabels, buildLabelFilter } = require('../services/labels');
+const { findSimilarBugs } = require('../services/similarity');
+const { addLink, removeLink, removeAllLinks } = require('../services/links');
+const { resolveParent, getSubtaskProgress, detachSubtasks } = require('../services/subtasks');
+const { deleteBugAttachments } = require('../services/attachments');
+const { resolveMentions } = require('../services/mentions');
+const { notifyMentions } = require('../services/notifications');
+const { publish } = require('../services/bugEvents');
+const { createFeedbackBug } = require('../services/feedback');
+const attachmentsRouter = require('./attachmentsRouter');
+
+// Label fields included wherever bugs are returned with their labels
+const LABEL_FIELDS = 'name color';
+
+// Fields of linked bugs included when a single bug is returned
+const LINKED_BUG_FIELDS = 'key title status priority';
+
+// Upper bound on bugs changed by a single bulk request
+const MAX_BULK_BUGS = 200;
 
 const router = express.Router();
 
+// Every bug endpoint requires an authenticated user
+router.use(protect);
+
+/**
+ * Work out which restricted permissions a set of field changes needs
+ * Which status moves a role may make is decided by the project workflow
+ * @param {Object} changes - Incoming field values
+ * @param {Object} existing - Current bug (empty for new bugs)
+ * @param {Object} [project] - The bug's project, needed to check severity changes
+ * @returns {string[]} Permission keys
+ */
+const permissionsForChanges = (changes, existing = {}, project = null) => {
+  const required = [];
+
+  if (changes.priority !== undefined && existing.priority !== undefined && changes.priority !== existing.priority) {
+    required.push('bugs:prioritize');
+  }
+
+  // Urgency drives the priority matrix, so changing it counts as prioritizing
+  if (changes.urgency !== undefined && existing.urgency !== undefined && changes.urgency !== existing.urgency) {
+    required.push('bugs:prioritize');
+  }
+
+  // Severity feeds the priority matrix too, but only counts as prioritizing when it would move the priority
+  if (project && changes.severity !== undefined && changes.severity !== existing.severity) {
+    const suggested = project.suggestPriority(changes.severity, changes.urgency || existing.urgency);
+    if (suggested && suggested !== existing.priority) {
+      required.push('bugs:prioritize');
+    }
+  }
+
+  // Clearing the assignee is an assignment change too; blank and missing both mean unassigned
+  if (changes.assignedTo !== undefined && (changes.assignedTo || '') !== (existing.assignedTo || '')) {
+    required.push('bugs:assign');
+  }
+
+  if (changes.status !== undefined && changes.status !== existing.status) {
+    required.push('bugs:status');
+  }
+
+  return required;
+};
+
+/**
+ * Resolve the project a new bug is filed under
+ * @param {string} [idOrKey] - Project ID or key from the request
+ * @returns {Promise<Object|null>} Project, the default project when none was given,
+ *   or null when the requested project does not exist
+ */
+const resolveTargetProject = (idOrKey) => (
+  idOrKey ? Project.findByIdOrKey(idOrKey) : Project.getDefault()
+);
+
+/**
+ * Respond with the custom field validation errors for a request
+ */
+const sendCustomFieldErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Invalid custom fields',
+  errors
+});
+
+/**
+ * Add roll-up progress ({ total, done }) to bugs that have sub-tasks
+ * @param {Array<Object>} bugs - Bug documents
+ * @returns {Promise<Array<Object>>} Bugs ready to send
+ */
+const withSubtaskProgress = async (bugs) => {
+  const progress = await getSubtaskProgress(bugs.map(bug => bug._id));
+
+  return bugs.map(bug => (
+    progress.has(String(bug._id))
+      ? { ...bug.toJSON(), progress: progress.get(String(bug._id)) }
+      : bug
+  ));
+};
+
+/**
+ * Publish the assignment and priority changes made by a save
+ * Status changes are published by the workflow service
+ * @param {Object} before - { assignedTo, priority } before the change
+ * @param {Object} bug - Saved bug document
+ * @param {Object} actor - User who made the change
+ */
+const publishFieldChanges = async (before, bug, actor) => {
+  if ((before.assignedTo || '') !== (bug.assignedTo || '')) {
+    await publish('bug.assigned', { bug, actor, from: before.assignedTo || '', to: bug.assignedTo || '' });
+  }
+
+  if (before.priority !== bug.priority) {
+    await publish('bug.priority_changed', { bug, actor, from: before.priority, to: bug.priority });
+  }
+};
+
+/**
+ * Attach a report to an existing bug instead of filing a new one
+ * @param {Object} res - Express response
+ * @param {string} attachTo - ID or key of the bug the report duplicates
+ * @param {Object} report - Report fields (see Bug duplicateReports)
+ */
+const attachReport = async (res, attachTo, report) => {
+  // Anything but a string could be a query operator matching some other bug
+  if (typeof attachTo !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'attachTo must be a bug ID or key'
+    });
+  }
+
+  const bug = await Bug.findByIdOrKey(attachTo);
+
+  if (!bug) {
+    return res.status(404).json({
+      success: false,
+      message: `Bug ${attachTo} not found`
+    });
+  }
+
+  await bug.attachReport(report);
+  await bug.populate('labels', LABEL_FIELDS);
+
+  return res.json({
+    success: true,
+    attached: true,
+    data: bug,
+    message: `Report attached to ${bug.key}`
+  });
+};
+
 /**
  * POST /api/bugs - Create a new bug
  * Creates a new bug entry in the database
  */
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('bugs:create'), async (req, res, next) => {
   try {
     console.log('🐛 Creating new bug...');
     console.log('📝 Request body:', req.body);
     
-    const { title, description, priority, reportedBy, assignedTo, source, customer } = req.body;
+    const {
+      title, description, priority, severity, urgency, assignedTo, source, customer, project,
+      customFields, labels, attachTo, parent
+    } = req.body;
     
     // Validate required fields
-    if (!title || !description || !reportedBy) {
+    if (!title || !description) {
       console.log('❌ Missing required fields');
       return res.status(400).json({
         success: false,
-        message: 'Title, description, and reportedBy are required fields'
+        message: 'Title and description are required fields'
       });
     }
+
+    // The reporter chose an existing bug this report duplicates
+    if (attachTo) {
+      return attachReport(res, attachTo, {
+        title,
+        description,
+        reportedBy: req.user.name,
+        reporter: req.user._id,
+        source: source || 'internal',
+        customer: source === 'customer' ? customer : undefined
+      });
+    }
+
+    // Reporters may suggest a priority, but assigning requires the assign permission
+    assertPermissions(req.user, permissionsForChanges({ assignedTo }));
+
+    const targetProject = await resolveTargetProject(project);
+    if (!targetProject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const customFieldResult = await normalizeCustomFields(targetProject.customFields, customFields);
+    if (customFieldResult.errors.length > 0) {
+      return sendCustomFieldErrors(res, customFieldResult.errors);
+    }
     
-    // Create new bug
+    // Create new bug; the reporter is always the authenticated user
     const newBug = new Bug({
+      project: targetProject._id,
       title,
       description,
       priority: priority || 'Medium',
-      reportedBy,
+      severity,
+      urgency,
+      reportedBy: req.user.name,
+      reporter: req.user._id,
       assignedTo: assignedTo || '',
       source: source || 'internal',
       customer: source === 'customer' ? (customer || {}) : undefined
     });
+    applyCustomFields(newBug, customFieldResult.values);
+
+    if (labels !== undefined) {
+      newBug.labels = await resolveLabels(targetProject._id, labels, { actor: req.user });
+    }
+
+    if (parent) {
+      newBug.parent = await resolveParent(newBug, parent);
+    }
     
     const savedBug = await newBug.save();
+    await savedBug.populate('labels', LABEL_FIELDS);
     
-    console.log('✅ Bug created successfully:', savedBug._id);
-    
-    // Send Slack notification if configured
-    if (process.env.SLACK_WEBHOOK_URL) {
-      try {
-        await axios.post(process.env.SLACK_WEBHOOK_URL, {
-          text: `🐛 New Bug: *${savedBug.title}*\nPriority: ${savedBug.priority}\nReported by: ${savedBug.reportedBy}\nSource: ${savedBug.source}${savedBug.assignedTo ? `\nAssigned to: ${savedBug.assignedTo}` : ''}`
-        });
-      } catch (notifyErr) {
-        console.error('⚠️ Slack notification failed:', notifyErr.message);
-      }
+    console.log('✅ Bug created successfully:', savedBug.key);
+
+    // Watchers and channels (Slack, webhooks, ...) hear about it through bug events
+    await publish('bug.created', { bug: savedBug, actor: req.user });
+    if (savedBug.assignedTo) {
+      await publish('bug.assigned', { bug: savedBug, actor: req.user, from: '', to: savedBug.assignedTo });
     }
 
     res.status(201).json({
@@ -65,18 +261,65 @@ router.post('/', async (req, res, next) => {
 /**
  * GET /api/bugs - Get all bugs
  * Retrieves all bugs with optional filtering and sorting
+ * Custom fields filter as cf.<key>=value (number and date fields also take
+ * cf.<key>[gte]=...&cf.<key>[lte]=...)
+ * Labels filter as labels=ui,regression with labelMatch=any (default) or all
+ * slaBreached=true|false limits results to customer bugs that did or did not breach their SLA
+ * parent=<id or key> lists the sub-tasks of a bug; bugs with sub-tasks include
+ * their roll-up progress as { total, done }
  */
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('bugs:read'), async (req, res, next) => {
   try {
     console.log('🔍 Fetching all bugs...');
     console.log('📋 Query parameters:', req.query);
     
-    const { status, priority, sortBy = 'createdAt', order = 'desc' } = req.query;
+    const {
+      status, priority, severity, project, labels, labelMatch, slaBreached, parent,
+      sortBy = 'createdAt', order = 'desc'
+    } = req.query;
     
     // Build filter object
     const filter = {};
     if (status) filter.status = status;
     if (priority) filter.priority = priority;
+    if (severity) filter.severity = severity;
+    if (slaBreached === 'true' || slaBreached === 'false') {
+      filter['sla.policy'] = { $exists: true };
+      filter['sla.breachedAt'] = slaBreached === 'true' ? { $ne: null } : null;
+    }
+
+    const targetProject = project ? await Project.findByIdOrKey(project) : null;
+    if (project) {
+      if (!targetProject) {
+        return res.status(400).json({
+          success: false,
+          message: 'Project not found'
+        });
+      }
+      filter.project = targetProject._id;
+    }
+
+    if (Object.keys(req.query).some(param => param.startsWith('cf.'))) {
+      // Without a project, each project's bugs are matched using its own definitions
+      Object.assign(filter, targetProject
+        ? await buildCustomFieldFilter(targetProject.customFields, req.query)
+        : await buildCrossProjectCustomFieldFilter(await Project.find({}, 'customFields'), req.query));
+    }
+
+    if (labels) {
+      Object.assign(filter, await buildLabelFilter(labels, labelMatch, targetProject && targetProject._id));
+    }
+
+    if (parent) {
+      const parentBug = typeof parent === 'string' ? await Bug.findByIdOrKey(parent) : null;
+      if (!parentBug) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent bug not found'
+        });
+      }
+      filter.parent = parentBug._id;
+    }
     
     // Build sort object
     const sort = {};
@@ -85,14 +328,16 @@ router.get('/', async (req, res, next) => {
     console.log('🔧 Filter:', filter);
     console.log('📊 Sort:', sort);
     
-    const bugs = await Bug.find(filter).sort(sort);
+    const bugs = await Bug.find(filter)
+      .populate('labels', LABEL_FIELDS)
+      .sort(sort);
     
     console.log(`✅ Found ${bugs.length} bugs`);
     
     res.json({
       success: true,
       count: bugs.length,
-      data: bugs
+      data: await withSubtaskProgress(bugs)
     });
     
   } catch (error) {
@@ -102,16 +347,20 @@ router.get('/', async (req, res, next) => {
 });
 
 /**
- * GET /api/bugs/:id - Get a specific bug by ID
- * Retrieves a single bug by its MongoDB ObjectId
+ * GET /api/bugs/:id - Get a specific bug by ID or key
+ * Retrieves a single bug by its MongoDB ObjectId or its key (e.g. WEB-42),
+ * with its links, parent and sub-tasks
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorize('bugs:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
     console.log(`🔍 Fetching bug with ID: ${id}`);
     
-    const bug = await Bug.findById(id);
+    const bug = await Bug.findByIdOrKey(id)
+      .populate('labels', LABEL_FIELDS)
+      .populate('links.bug', LINKED_BUG_FIELDS)
+      .populate('parent', LINKED_BUG_FIELDS);
     
     if (!bug) {
       console.log('❌ Bug not found');
@@ -122,10 +371,13 @@ router.get('/:id', async (req, res, next) => {
     }
     
     console.log('✅ Bug found:', bug.title);
+
+    const subtasks = await Bug.find({ parent: bug._id }, LINKED_BUG_FIELDS).sort({ number: 1 });
+    const progress = await getSubtaskProgress([bug._id]);
     
     res.json({
       success: true,
-      data: bug
+      data: { ...bug.toJSON(), subtasks, progress: progress.get(String(bug._id)) }
     });
     
   } catch (error) {
@@ -147,42 +399,74 @@ router.get('/:id', async (req, res, next) => {
  * PUT /api/bugs/:id - Update a bug
  * Updates an existing bug with new data
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authorize('bugs:edit'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    // Reporter, project key, history, SLA, rendered HTML, watchers, linked code, e-mail thread IDs, tracking links and computed flags are server-managed and cannot be overwritten
+    const {
+      reportedBy, reporter, statusHistory, comments, updatedBy, project, key, number,
+      priorityComputed, sla, duplicateReports, links, customFields, labels, parent, descriptionHtml, watchers, codeLinks,
+      emailMessageIds, trackingTokenHash,
+      ...updateData
+    } = req.body;
     
     console.log(`🔄 Updating bug with ID: ${id}`);
     console.log('📝 Update data:', updateData);
     
-    // If status is changing, add statusHistory entry
-    const existing = await Bug.findById(id);
+    const existing = await Bug.findByIdOrKey(id);
     if (!existing) {
       return res.status(404).json({ success: false, message: 'Bug not found' });
     }
 
+    const existingProject = updateData.severity !== undefined ? await Project.findById(existing.project) : null;
+    assertPermissions(req.user, permissionsForChanges(updateData, existing, existingProject));
+    const before = { assignedTo: existing.assignedTo, priority: existing.priority };
+
+    // Only the custom fields present in the request are checked and changed
+    let customFieldValues = {};
+    if (customFields !== undefined) {
+      const bugProject = await Project.findById(existing.project);
+      const customFieldResult = await normalizeCustomFields(
+        bugProject ? bugProject.customFields : [],
+        customFields,
+        { partial: true }
+      );
+
+      if (customFieldResult.errors.length > 0) {
+        return sendCustomFieldErrors(res, customFieldResult.errors);
+      }
+      customFieldValues = customFieldResult.values;
+    }
+
+    // Labels are replaced as a whole; unknown names become new project labels
+    if (labels !== undefined) {
+      updateData.labels = await resolveLabels(existing.project, labels, { actor: req.user });
+    }
+
+    // A null or empty parent turns a sub-task back into a top-level bug
+    if (parent !== undefined) {
+      updateData.parent = await resolveParent(existing, parent);
+    }
+
+    // Status changes go through the project workflow, which records the history entry
     if (updateData.status && updateData.status !== existing.status) {
-      existing.statusHistory.push({ from: existing.status, to: updateData.status, by: updateData.updatedBy || 'system' });
-      existing.set(updateData);
-      const saved = await existing.save();
+      const { status, ...otherChanges } = updateData;
+      existing.set(otherChanges);
+      applyCustomFields(existing, customFieldValues);
+      const saved = await transitionBug(existing, status, req.user);
+      await publishFieldChanges(before, saved, req.user);
+      await saved.populate('labels', LABEL_FIELDS);
       console.log('✅ Bug updated with status history');
       return res.json({ success: true, data: saved, message: 'Bug updated successfully' });
     }
 
-    // Use validators when updating to enforce schema rules
-    const updatedBug = await Bug.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
-    
-    if (!updatedBug) {
-      console.log('❌ Bug not found for update');
-      return res.status(404).json({
-        success: false,
-        message: 'Bug not found'
-      });
-    }
+    // Save through the document so schema validation and model hooks run,
+    // including the priority matrix when severity or urgency change
+    existing.set(updateData);
+    applyCustomFields(existing, customFieldValues);
+    const updatedBug = await existing.save();
+    await publishFieldChanges(before, updatedBug, req.user);
+    await updatedBug.populate('labels', LABEL_FIELDS);
     
     console.log('✅ Bug updated successfully:', updatedBug.title);
     
@@ -218,13 +502,13 @@ router.put('/:id', async (req, res, next) => {
  * DELETE /api/bugs/:id - Delete a bug
  * Removes a bug from the database
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('bugs:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
     console.log(`🗑️ Deleting bug with ID: ${id}`);
     
-    const deletedBug = await Bug.findByIdAndDelete(id);
+    const deletedBug = await Bug.findByIdOrKey(id);
     
     if (!deletedBug) {
       console.log('❌ Bug not found for deletion');
@@ -233,6 +517,11 @@ router.delete('/:id', async (req, res, next) => {
         message: 'Bug not found'
       });
     }
+
+    await deletedBug.deleteOne();
+    await removeAllLinks(deletedBug);
+    await detachSubtasks(deletedBug);
+    await deleteBugAttachments(deletedBug);
     
     console.log('✅ Bug deleted successfully:', deletedBug.title);
     
@@ -260,10 +549,10 @@ router.delete('/:id', async (req, res, next) => {
  * PATCH /api/bugs/:id/status - Update bug status specifically
  * Convenience endpoint for updating just the status
  */
-router.patch('/:id/status', async (req, res, next) => {
+router.patch('/:id/status', authorize('bugs:status'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status, reason, by } = req.body;
+    const { status, reason } = req.body;
     
     console.log(`🔄 Updating status for bug ${id} to ${status}`);
     
@@ -274,7 +563,7 @@ router.patch('/:id/status', async (req, res, next) => {
       });
     }
     
-    const bug = await Bug.findById(id);
+    const bug = await Bug.findByIdOrKey(id);
     
     if (!bug) {
       return res.status(404).json({
@@ -282,12 +571,11 @@ router.patch('/:id/status', async (req, res, next) => {
         message: 'Bug not found'
       });
     }
+
+    assertPermissions(req.user, permissionsForChanges({ status }, bug));
     
-    // Use the instance method for status update and push history with reason/by
-    const previousStatus = bug.status;
-    await bug.updateStatus(status);
-    bug.statusHistory.push({ from: previousStatus, to: status, by: by || 'system', reason });
-    await bug.save();
+    // Enforce the project workflow; this also records the history entry
+    await transitionBug(bug, status, req.user, reason);
     
     console.log('✅ Bug status updated successfully');
     
@@ -303,66 +591,458 @@ router.patch('/:id/status', async (req, res, next) => {
   }
 });
 
+/**
+ * Notify mentioned users without failing the request that saved the comment
+ */
+const notifyMentionsSafely = async (bug, comment, actor, mentions) => {
+  try {
+    await notifyMentions(bug, comment, actor, mentions);
+  } catch (error) {
+    console.error('❌ Error notifying mentioned users:', error.message);
+  }
+};
+
 /**
  * POST /api/bugs/:id/comments - Add a comment to a bug
+ * @mentions of existing users are stored on the comment and notify those users;
+ * other watchers are told about the new comment.
+ * Body: { message, visibility } - visibility 'public' shows the comment on the
+ * customer's tracking page; comments are internal by default
  */
-router.post('/:id/comments', async (req, res, next) => {
+router.post('/:id/comments', authorize('bugs:comment'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { author, message } = req.body;
+    const { message, visibility } = req.body;
 
-    if (!author || !message) {
-      return res.status(400).json({ success: false, message: 'author and message are required' });
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ success: false, message: 'message is required' });
     }
 
-    const bug = await Bug.findById(id);
+    const bug = await Bug.findByIdOrKey(id);
     if (!bug) {
       return res.status(404).json({ success: false, message: 'Bug not found' });
     }
 
-    await bug.addComment(author, message);
-    res.status(201).json({ success: true, data: bug.comments[bug.comments.length - 1], message: 'Comment added' });
+    const mentions = await resolveMentions(message);
+    await bug.addComment(req.user, message, mentions, visibility);
+
+    const comment = bug.comments[bug.comments.length - 1];
+    await notifyMentionsSafely(bug, comment, req.user, mentions);
+    await publish('comment.added', { bug, actor: req.user, comment });
+
+    res.status(201).json({ success: true, data: comment, message: 'Comment added' });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * Load a bug and one of its comments from the request params
+ * @returns {Promise<Object>} { bug, comment } (either may be null)
+ */
+const findComment = async (bugId, commentId) => {
+  const bug = await Bug.findByIdOrKey(bugId);
+  const comment = bug ? bug.comments.id(commentId) : null;
+  return { bug, comment };
+};
+
+/**
+ * Check whether the requester wrote a comment
+ */
+const isCommentAuthor = (comment, user) => Boolean(
+  user._id && comment.authorId && comment.authorId.equals(user._id)
+);
+
+/**
+ * PUT /api/bugs/:id/comments/:commentId - Edit a comment
+ * Only the author may edit; the previous text is kept as a revision
+ */
+router.put('/:id/comments/:commentId', authorize('bugs:comment'), async (req, res, next) => {
+  try {
+    const { message } = req.body;
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ success: false, message: 'message is required' });
+    }
+
+    const { bug, comment } = await findComment(req.params.id, req.params.commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    if (!isCommentAuthor(comment, req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the author can edit a comment' });
+    }
+
+    // Only people newly mentioned by the edit are notified
+    const previouslyMentioned = comment.mentions.map(mention => String(mention.user));
+    const mentions = await resolveMentions(message);
+
+    await bug.editComment(comment, req.user, message, mentions);
+    await notifyMentionsSafely(
+      bug,
+      comment,
+      req.user,
+      mentions.filter(mention => !previouslyMentioned.includes(String(mention.user)))
+    );
+
+    console.log('✅ Comment edited:', comment._id);
+    res.json({ success: true, data: comment, message: 'Comment updated' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/bugs/:id/comments/:commentId - Remove a comment
+ * Authors may remove their own comments, moderators anyone's. The comment
+ * stays in place as "comment removed" and its text remains in the history.
+ */
+router.delete('/:id/comments/:commentId', authorize('bugs:comment'), async (req, res, next) => {
+  try {
+    const { bug, comment } = await findComment(req.params.id, req.params.commentId);
+    if (!comment || comment.deletedAt) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    if (!isCommentAuthor(comment, req.user)) {
+      assertPermissions(req.user, ['comments:moderate']);
+    }
+
+    await bug.removeComment(comment, req.user);
+
+    console.log('✅ Comment removed:', comment._id);
+    res.json({ success: true, data: comment, message: 'Comment removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/bugs/:id/comments/:commentId/revisions - Edit history of a comment
+ * Includes the text of removed comments
+ */
+router.get('/:id/comments/:commentId/revisions', authorize('comments:moderate'), async (req, res, next) => {
+  try {
+    const { comment } = await findComment(req.params.id, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: comment._id,
+        author: comment.author,
+        message: comment.message,
+        editedAt: comment.editedAt,
+        deletedAt: comment.deletedAt,
+        deletedBy: comment.deletedBy,
+        revisions: comment.revisions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Respond with whether the requester watches a bug, and how many people do
+ */
+const sendWatchState = (res, bug, user, message) => res.json({
+  success: true,
+  data: { watching: bug.isWatchedBy(user._id), watchers: bug.watchers.length },
+  message
+});
+
+/**
+ * POST /api/bugs/:id/watch - Watch a bug
+ * Watchers are notified about status changes, comments, reassignment and priority changes
+ */
+router.post('/:id/watch', authorize('bugs:read'), requireUser, async (req, res, next) => {
+  try {
+    const bug = await Bug.findByIdOrKey(req.params.id);
+    if (!bug) {
+      return res.status(404).json({ success: false, message: 'Bug not found' });
+    }
+
+    if (bug.addWatcher(req.user._id)) {
+      await bug.save();
+      console.log(`👁️ ${req.user.username} is watching ${bug.key}`);
+    }
+
+    sendWatchState(res, bug, req.user, `Watching ${bug.key}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/bugs/:id/watch - Stop watching a bug
+ */
+router.delete('/:id/watch', authorize('bugs:read'), requireUser, async (req, res, next) => {
+  try {
+    const bug = await Bug.findByIdOrKey(req.params.id);
+    if (!bug) {
+      return res.status(404).json({ success: false, message: 'Bug not found' });
+    }
+
+    if (bug.removeWatcher(req.user._id)) {
+      await bug.save();
+      console.log(`🙈 ${req.user.username} stopped watching ${bug.key}`);
+    }
+
+    sendWatchState(res, bug, req.user, `Stopped watching ${bug.key}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// File uploads: /api/bugs/:id/attachments
+router.use('/:id/attachments', attachmentsRouter);
+
+/**
+ * Load both bugs of a link request
+ * @returns {Promise<Object>} { source, target } (either may be null)
+ */
+const findLinkedPair = async (sourceId, targetId) => ({
+  source: await Bug.findByIdOrKey(sourceId),
+  target: targetId ? await Bug.findByIdOrKey(targetId) : null
+});
+
+/**
+ * Respond with a bug and its populated links after a link change
+ */
+const sendLinks = async (res, bugId, status, message) => {
+  const bug = await Bug.findById(bugId).populate('links.bug', LINKED_BUG_FIELDS);
+  return res.status(status).json({ success: true, data: bug, message });
+};
+
+/**
+ * POST /api/bugs/:id/links - Link this bug to another
+ * Body: { type, bug } where type is blocks, blocked_by, duplicates, duplicated_by
+ * or relates_to and bug is the other bug's ID or key; the inverse link is added
+ * to the other bug
+ */
+router.post('/:id/links', authorize('bugs:edit'), async (req, res, next) => {
+  try {
+    const { type, bug: targetId } = req.body;
+
+    if (!type || !targetId) {
+      return res.status(400).json({ success: false, message: 'type and bug are required' });
+    }
+
+    // Anything but a string could be a query operator matching some other bug
+    if (typeof type !== 'string' || typeof targetId !== 'string') {
+      return res.status(400).json({ success: false, message: 'type and bug must be strings' });
+    }
+
+    const { source, target } = await findLinkedPair(req.params.id, targetId);
+
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Bug not found' });
+    }
+    if (!target) {
+      return res.status(400).json({ success: false, message: `Bug ${targetId} not found` });
+    }
+
+    await addLink(source, type, target, req.user);
+
+    return sendLinks(res, source._id, 201, 'Link added');
+  } catch (error) {
+    console.error('❌ Error linking bugs:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/bugs/:id/links/:type/:bugId - Remove a link (and its inverse)
+ */
+router.delete('/:id/links/:type/:bugId', authorize('bugs:edit'), async (req, res, next) => {
+  try {
+    const { source, target } = await findLinkedPair(req.params.id, req.params.bugId);
+
+    if (!source || !target || !(await removeLink(source, req.params.type, target))) {
+      return res.status(404).json({ success: false, message: 'Link not found' });
+    }
+
+    return sendLinks(res, source._id, 200, 'Link removed');
+  } catch (error) {
+    console.error('❌ Error unlinking bugs:', error.message);
+    next(error);
+  }
+});
+
 /**
  * POST /api/feedback - Create a bug from customer feedback
  * Treat customer feedback as a bug with source=customer
  */
-router.post('/feedback', async (req, res, next) => {
+router.post('/feedback', authorize('feedback:create'), async (req, res, next) => {
   try {
-    const { title, description, customerName, customerEmail, customerId, priority } = req.body;
+    const {
+      title, description, customerName, customerEmail, customerId, customerTier, priority, project, customFields,
+      attachTo
+    } = req.body;
 
     if (!title || !description || !customerName) {
       return res.status(400).json({ success: false, message: 'title, description, and customerName are required' });
     }
 
-    const bug = new Bug({
+    if (attachTo) {
+      return attachReport(res, attachTo, {
+        title,
+        description,
+        reportedBy: customerName,
+        reporter: req.user._id,
+        source: 'customer',
+        customer: { name: customerName, email: customerEmail, id: customerId, tier: customerTier }
+      });
+    }
+
+    const { bug, errors } = await createFeedbackBug({
       title,
       description,
-      priority: priority || 'Medium',
-      reportedBy: customerName,
-      source: 'customer',
-      customer: { name: customerName, email: customerEmail, id: customerId }
+      priority,
+      project,
+      customFields,
+      customer: { name: customerName, email: customerEmail, id: customerId, tier: customerTier }
+    }, req.user);
+
+    if (errors) {
+      return sendCustomFieldErrors(res, errors);
+    }
+
+    res.status(201).json({ success: true, data: bug, message: 'Feedback captured as bug' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bugs/duplicates/check - Find open bugs similar to a report before filing it
+ * Body: { title, description, project }; without a project every project is searched
+ * Returns matches sorted by similarity score (0..1)
+ */
+router.post('/duplicates/check', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    const { title, description, project } = req.body;
+
+    if (!title && !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'title or description is required'
+      });
+    }
+
+    const targetProject = project ? await Project.findByIdOrKey(project) : null;
+    if (project && !targetProject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const matches = await findSimilarBugs(
+      { title, description },
+      { project: targetProject && targetProject._id }
+    );
+
+    console.log(`🔎 Found ${matches.length} possible duplicates for "${title || ''}"`);
+
+    res.json({
+      success: true,
+      count: matches.length,
+      data: matches.map(({ bug, score }) => ({
+        _id: bug._id,
+        key: bug.key,
+        title: bug.title,
+        status: bug.status,
+        priority: bug.priority,
+        score
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error checking for duplicates:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/bugs/bulk/labels - Add and remove labels on many bugs at once
+ * Body: { bugs: [id or key], add: [label], remove: [label] }
+ * Labels are matched per bug project; unknown names in `add` become new labels
+ * for triagers and admins (labels:manage) and are rejected for everyone else
+ */
+router.post('/bulk/labels', authorize('bugs:edit'), async (req, res, next) => {
+  try {
+    const { bugs: bugIds, add = [], remove = [] } = req.body;
+
+    console.log(`🏷️ Bulk labelling ${Array.isArray(bugIds) ? bugIds.length : 0} bugs`);
+
+    // Entries that are not strings could be query operators matching other bugs
+    if (!Array.isArray(bugIds) || bugIds.length === 0 || bugIds.length > MAX_BULK_BUGS ||
+      bugIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: `bugs must be an array of 1 to ${MAX_BULK_BUGS} bug IDs or keys`
+      });
+    }
+
+    if (!Array.isArray(add) || !Array.isArray(remove) || add.length + remove.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide labels to add or remove'
+      });
+    }
+
+    const found = await Promise.all(bugIds.map(id => Bug.findByIdOrKey(id)));
+    const missing = bugIds.filter((id, index) => !found[index]);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Bugs not found: ${missing.join(', ')}`
+      });
+    }
+
+    // Labels belong to projects, so apply the change project by project
+    const bugsByProject = new Map();
+    found.forEach(bug => {
+      const projectId = bug.project.toString();
+      bugsByProject.set(projectId, [...(bugsByProject.get(projectId) || []), bug._id]);
     });
 
-    const saved = await bug.save();
+    for (const [projectId, ids] of bugsByProject) {
+      const addIds = await resolveLabels(projectId, add, { actor: req.user });
+      const removeIds = await resolveLabels(projectId, remove, { ignoreUnknown: true });
 
-    // Slack notification
-    if (process.env.SLACK_WEBHOOK_URL) {
-      try {
-        await axios.post(process.env.SLACK_WEBHOOK_URL, {
-          text: `📣 Customer Feedback → Bug\n*${saved.title}*\nPriority: ${saved.priority}\nCustomer: ${customerName} (${customerEmail || 'n/a'})`
-        });
-      } catch (err) {
-        console.error('⚠️ Slack notification failed:', err.message);
+      if (addIds.length > 0) {
+        await Bug.updateMany({ _id: { $in: ids } }, { $addToSet: { labels: { $each: addIds } } });
+      }
+      if (removeIds.length > 0) {
+        await Bug.updateMany({ _id: { $in: ids } }, { $pull: { labels: { $in: removeIds } } });
       }
     }
 
-    res.status(201).json({ success: true, data: saved, message: 'Feedback captured as bug' });
+    const updated = await Bug.find({ _id: { $in: found.map(bug => bug._id) } })
+      .populate('labels', LABEL_FIELDS);
+
+    res.json({
+      success: true,
+      count: updated.length,
+      data: updated,
+      message: 'Labels updated'
+    });
   } catch (error) {
+    console.error('❌ Error bulk labelling bugs:', error.message);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid bug ID format'
+      });
+    }
+
     next(error);
   }
 });
@@ -0,0 +1,152 @@
+const express = require('express');
+const {
+  PROVIDER_NAMES,
+  verifySourceControlRequest,
+  readSourceControlEvent,
+  applyCodeEvent
+} = require('../services/sourceControl');
+const {
+  verifySlackRequest,
+  runSlashCommand,
+  handleSlackAction,
+  respondToSlack
+} = require('../services/slack');
+const { ingestEmail } = require('../services/emailIngestion');
+const { protect, authorize } = require('../middleware/auth');
+const { EMAIL_MAX_BYTES } = require('../config/integrations');
+
+const router = express.Router();
+
+// Header naming the event type, per provider
+const EVENT_HEADERS = {
+  github: 'X-GitHub-Event',
+  gitlab: 'X-Gitlab-Event'
+};
+
+/**
+ * Handle a source control webhook
+ * Requests are authenticated by the provider's signature rather than a user token;
+ * payloads must be sent as JSON (content type application/json)
+ */
+const handleSourceControlEvent = (provider) => async (req, res, next) => {
+  try {
+    verifySourceControlRequest(provider, req);
+
+    const eventName = req.get(EVENT_HEADERS[provider]);
+    console.log(`📥 ${PROVIDER_NAMES[provider]} ${eventName} event received`);
+
+    const items = readSourceControlEvent(provider, eventName, req.body);
+    if (!items) {
+      return res.json({ success: true, data: { event: eventName, references: [] }, message: `Ignored ${eventName} event` });
+    }
+
+    const references = await applyCodeEvent(items);
+
+    res.json({
+      success: true,
+      data: { event: eventName, references },
+      message: `${references.length} bug reference(s) processed`
+    });
+  } catch (error) {
+    console.error(`❌ Error handling ${PROVIDER_NAMES[provider]} webhook:`, error.message);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/integrations/github - GitHub push and pull_request webhooks
+ * Signed with GITHUB_WEBHOOK_SECRET (X-Hub-Signature-256)
+ */
+router.post('/github', handleSourceControlEvent('github'));
+
+/**
+ * POST /api/integrations/gitlab - GitLab push and merge request webhooks
+ * Authenticated with GITLAB_WEBHOOK_TOKEN (X-Gitlab-Token)
+ */
+router.post('/gitlab', handleSourceControlEvent('gitlab'));
+
+/**
+ * POST /api/integrations/slack/commands - The /bug slash command
+ * Signed with SLACK_SIGNING_SECRET; the reply is shown in Slack, so problems
+ * the user can fix are answered with 200 and a message only they see
+ */
+router.post('/slack/commands', async (req, res, next) => {
+  try {
+    verifySlackRequest(req);
+    res.json(await runSlashCommand(req.body));
+  } catch (error) {
+    console.error('❌ Error handling Slack command:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/integrations/slack/actions - Button presses on bug messages
+ * Slack sends the interaction as a JSON `payload` form field; the outcome is
+ * posted back to the interaction's response_url
+ */
+router.post('/slack/actions', async (req, res, next) => {
+  try {
+    verifySlackRequest(req);
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body.payload);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'Invalid Slack payload' });
+    }
+
+    const message = await handleSlackAction(payload);
+    if (message && payload.response_url) {
+      await respondToSlack(payload.response_url, message);
+    }
+
+    // Slack only needs an empty 200
+    res.status(200).end();
+  } catch (error) {
+    console.error('❌ Error handling Slack action:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/integrations/email - File a raw e-mail as a customer bug
+ * Body: the MIME message (.eml) sent as message/rfc822 or text/plain; typically
+ * called by a mail server hook with a feedback:write API key. Replies to a
+ * bug's e-mails are added to it as comments instead of filing a new bug.
+ */
+router.post(
+  '/email',
+  protect,
+  authorize('feedback:create'),
+  express.raw({ type: ['message/rfc822', 'text/plain'], limit: EMAIL_MAX_BYTES }),
+  async (req, res, next) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Send the raw e-mail with Content-Type message/rfc822'
+        });
+      }
+
+      const { outcome, bug, attachments, skipped } = await ingestEmail(req.body, req.user);
+
+      const messages = {
+        created: 'E-mail filed as bug',
+        commented: 'E-mail added as a comment',
+        duplicate: 'E-mail was already ingested'
+      };
+
+      res.status(outcome === 'created' ? 201 : 200).json({
+        success: true,
+        data: { outcome, bug, attachments, skipped },
+        message: messages[outcome]
+      });
+    } catch (error) {
+      console.error('❌ Error ingesting e-mail:', error.message);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
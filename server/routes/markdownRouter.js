@@ -0,0 +1,36 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { renderMarkdown } = require('../services/markdown');
+
+const router = express.Router();
+
+// Longest source that can be previewed; comments allow 2000 characters
+const MAX_PREVIEW_LENGTH = 10000;
+
+router.use(protect);
+
+/**
+ * POST /api/markdown/preview - Render Markdown the way it will be stored
+ * Body: { text }
+ */
+router.post('/preview', (req, res) => {
+  const { text = '' } = req.body;
+
+  if (typeof text !== 'string') {
+    return res.status(400).json({ success: false, message: 'text must be a string' });
+  }
+
+  if (text.length > MAX_PREVIEW_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `text cannot exceed ${MAX_PREVIEW_LENGTH} characters`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { html: renderMarkdown(text) }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const NotificationRule = require('../models/NotificationRule');
+const OutboxMessage = require('../models/OutboxMessage');
+const Project = require('../models/Project');
+const { protect, authorize } = require('../middleware/auth');
+const { sendToChannel } = require('../services/channels');
+const { retryMessage } = require('../services/outbox');
+
+const router = express.Router();
+
+// Fields an admin may set on a rule
+const RULE_FIELDS = ['name', 'channel', 'target', 'events', 'priorities', 'sources', 'template', 'active'];
+
+// Outbox entries listed when no limit is given, and the most one request may ask for
+const DEFAULT_OUTBOX_LIMIT = 50;
+const MAX_OUTBOX_LIMIT = 200;
+
+router.use(protect, authorize('notifications:manage'));
+
+/**
+ * Pick the editable rule fields from a request body
+ * Projects may be given by ID or key; an empty list means every project
+ * @returns {Promise<Object|null>} Rule fields, or null when a project does not exist
+ */
+const readRuleFields = async (body) => {
+  const fields = {};
+
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (body.projects !== undefined) {
+    const projects = await Promise.all([].concat(body.projects || []).map(idOrKey => Project.findByIdOrKey(idOrKey)));
+    if (projects.some(project => !project)) return null;
+    fields.projects = projects.map(project => project._id);
+  }
+
+  return fields;
+};
+
+/**
+ * GET /api/notification-channels/rules - List channel rules
+ */
+router.get('/rules', async (req, res, next) => {
+  try {
+    const rules = await NotificationRule.find()
+      .populate('projects', 'key name')
+      .sort({ createdAt: 1 });
+
+    res.json({ success: true, count: rules.length, data: rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notification-channels/rules - Create a channel rule
+ * Body: { name, channel, target, events, projects, priorities, sources, template: { title, text }, active }
+ */
+router.post('/rules', async (req, res, next) => {
+  try {
+    console.log(`📡 Creating notification rule "${req.body.name}"`);
+
+    const fields = await readRuleFields(req.body);
+    if (!fields) {
+      return res.status(400).json({ success: false, message: 'Project not found' });
+    }
+
+    const rule = await NotificationRule.create({ ...fields, createdBy: req.user._id });
+
+    res.status(201).json({ success: true, data: rule, message: 'Notification rule created' });
+  } catch (error) {
+    console.error('❌ Error creating notification rule:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/notification-channels/rules/:id - Update a channel rule
+ */
+router.put('/rules/:id', async (req, res, next) => {
+  try {
+    const rule = await NotificationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Notification rule not found' });
+    }
+
+    const fields = await readRuleFields(req.body);
+    if (!fields) {
+      return res.status(400).json({ success: false, message: 'Project not found' });
+    }
+
+    rule.set(fields);
+    await rule.save();
+
+    console.log(`✅ Notification rule "${rule.name}" updated`);
+    res.json({ success: true, data: rule, message: 'Notification rule updated' });
+  } catch (error) {
+    console.error('❌ Error updating notification rule:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/notification-channels/rules/:id - Delete a channel rule
+ * Messages already in the outbox are still delivered
+ */
+router.delete('/rules/:id', async (req, res, next) => {
+  try {
+    const rule = await NotificationRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Notification rule not found' });
+    }
+
+    console.log(`🗑️ Notification rule "${rule.name}" deleted`);
+    res.json({ success: true, data: rule, message: 'Notification rule deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notification-channels/rules/:id/test - Send a test message through a rule's channel
+ * Delivered right away rather than through the outbox, so the result is reported back
+ */
+router.post('/rules/:id/test', async (req, res, next) => {
+  try {
+    const rule = await NotificationRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Notification rule not found' });
+    }
+
+    try {
+      await sendToChannel(rule.channel, rule.target, {
+        title: '🧪 Test notification',
+        text: `This is a test of the "${rule.name}" rule from MERN Bug Tracker.`,
+        data: { event: 'test', rule: rule.name }
+      });
+    } catch (error) {
+      return res.status(502).json({ success: false, message: error.message });
+    }
+
+    res.json({ success: true, message: `Test message sent via ${rule.channel}` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/notification-channels/outbox - Recent channel messages, newest first
+ * Query: status (pending, sending, sent, failed), limit (default 50, max 200)
+ */
+router.get('/outbox', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_OUTBOX_LIMIT, 1), MAX_OUTBOX_LIMIT);
+
+    if (status && !OutboxMessage.OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be ${OutboxMessage.OUTBOX_STATUSES.join(', ')}`
+      });
+    }
+
+    const messages = await OutboxMessage.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, count: messages.length, data: messages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/notification-channels/outbox/:id/retry - Queue a failed message again
+ */
+router.post('/outbox/:id/retry', async (req, res, next) => {
+  try {
+    const message = await OutboxMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ success: false, message: 'Outbox message not found' });
+    }
+
+    if (message.status !== 'failed') {
+      return res.status(400).json({ success: false, message: 'Only failed messages can be retried' });
+    }
+
+    await retryMessage(message);
+
+    console.log(`🔁 Outbox message ${message._id} queued again`);
+    res.json({ success: true, data: message, message: 'Message queued for delivery' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
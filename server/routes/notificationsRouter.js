@@ -0,0 +1,108 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { protect, requireUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Notifications returned when no limit is given, and the most one request may ask for
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Notifications are personal, so every endpoint needs a signed-in user
+router.use(protect, requireUser);
+
+/**
+ * Count the user's unread notifications
+ */
+const countUnread = (user) => Notification.countDocuments({ recipient: user._id, readAt: null });
+
+/**
+ * GET /api/notifications - The user's notifications, newest first
+ * Query: unread=true to list only unread ones, limit (default 20, max 50)
+ * The response includes the unread count for the badge
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const { unread } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const filter = { recipient: req.user._id };
+    if (unread === 'true') filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      unreadCount: await countUnread(req.user),
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count - Number of unread notifications
+ * Cheap enough for the client to poll
+ */
+router.get('/unread-count', async (req, res, next) => {
+  try {
+    res.json({ success: true, data: { count: await countUnread(req.user) } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/notifications/read-all - Mark every notification as read
+ */
+router.patch('/read-all', async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    console.log(`📭 Marked ${result.modifiedCount} notification(s) read for ${req.user.username}`);
+
+    res.json({
+      success: true,
+      data: { updated: result.modifiedCount },
+      message: 'All notifications marked as read'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/notifications/:id/read - Mark one notification as read
+ * Other users' notifications are reported as not found
+ */
+router.patch('/:id/read', async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({ success: true, data: notification, message: 'Notification marked as read' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
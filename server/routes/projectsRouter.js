@@ -0,0 +1,510 @@
+const express = require('express');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Bug = require('../models/Bug');
+const Label = require('../models/Label');
+const { protect, authorize } = require('../middleware/auth');
+const { validateWorkflowDefinition } = require('../services/workflow');
+const { validateCustomFieldDefinitions } = require('../services/customFields');
+const { mergeLabels, deleteLabel } = require('../services/labels');
+const { PRIORITIES, SEVERITIES, URGENCIES } = require('../config/priority');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * Load the project named by :id (ObjectId or key) onto req.project
+ */
+router.param('id', async (req, res, next, id) => {
+  try {
+    const project = await Project.findByIdOrKey(id);
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    req.project = project;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects - List projects
+ */
+router.get('/', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    console.log('📁 Fetching projects...');
+
+    const projects = await Project.find()
+      .populate('members', 'name username')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: projects.length,
+      data: projects
+    });
+  } catch (error) {
+    console.error('❌ Error fetching projects:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects - Create a project
+ * Admin only; the creator becomes the first member
+ */
+router.post('/', authorize('projects:manage'), async (req, res, next) => {
+  try {
+    const { name, key, description } = req.body;
+
+    console.log(`📁 Creating project ${key}: ${name}`);
+
+    if (!name || !key) {
+      return res.status(400).json({
+        success: false,
+        message: 'name and key are required fields'
+      });
+    }
+
+    const project = await Project.create({
+      name,
+      key,
+      description,
+      members: [req.user._id],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: project,
+      message: 'Project created successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating project:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id - Get a project by ID or key
+ */
+router.get('/:id', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    await req.project.populate('members', 'name username');
+
+    res.json({
+      success: true,
+      data: req.project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/projects/:id - Update a project's name, description or settings
+ * The key is immutable because it is baked into existing bug keys
+ */
+router.put('/:id', authorize('projects:manage'), async (req, res, next) => {
+  try {
+    const { name, description, requireSubtasksResolved } = req.body;
+
+    if (name !== undefined) req.project.name = name;
+    if (description !== undefined) req.project.description = description;
+    if (requireSubtasksResolved !== undefined) req.project.requireSubtasksResolved = requireSubtasksResolved;
+
+    const saved = await req.project.save();
+
+    res.json({
+      success: true,
+      data: saved,
+      message: 'Project updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating project:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/workflow - Get the project's status workflow
+ * Clients use this to build status dropdowns
+ */
+router.get('/:id/workflow', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: req.project.getWorkflow()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/projects/:id/workflow - Replace the project's status workflow
+ * Statuses still used by bugs in the project cannot be removed
+ */
+router.put('/:id/workflow', authorize('workflows:manage'), async (req, res, next) => {
+  try {
+    const { initialStatus, statuses, transitions } = req.body;
+    const definition = { initialStatus, statuses, transitions: transitions || [] };
+
+    console.log(`🔀 Updating workflow for ${req.project.key}`);
+
+    const errors = validateWorkflowDefinition(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid workflow',
+        errors
+      });
+    }
+
+    const statusNames = statuses.map(status => status.name);
+    const usedStatuses = await Bug.distinct('status', { project: req.project._id });
+    const orphaned = usedStatuses.filter(status => !statusNames.includes(status));
+
+    if (orphaned.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Statuses still used by bugs in this project cannot be removed: ${orphaned.join(', ')}`
+      });
+    }
+
+    req.project.workflow = definition;
+    const saved = await req.project.save();
+
+    res.json({
+      success: true,
+      data: saved.getWorkflow(),
+      message: 'Workflow updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating workflow:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/fields - List the project's custom field definitions
+ */
+router.get('/:id/fields', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      count: req.project.customFields.length,
+      data: req.project.customFields
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/projects/:id/fields - Replace the project's custom field definitions
+ * Values already stored on bugs are kept even if their field is removed
+ */
+router.put('/:id/fields', authorize('projects:manage'), async (req, res, next) => {
+  try {
+    const { fields } = req.body;
+
+    console.log(`🧩 Updating custom fields for ${req.project.key}`);
+
+    const errors = validateCustomFieldDefinitions(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid custom fields',
+        errors
+      });
+    }
+
+    req.project.customFields = fields.map(({ key, label, type, options, required }) => ({
+      key,
+      label,
+      type,
+      options: type === 'enum' ? options : [],
+      required: Boolean(required)
+    }));
+    const saved = await req.project.save();
+
+    res.json({
+      success: true,
+      count: saved.customFields.length,
+      data: saved.customFields,
+      message: 'Custom fields updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating custom fields:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/projects/:id/priority-matrix - Configure severity × urgency priorities
+ * Body: { enabled, cells: [{ severity, urgency, priority }] }. Every severity and
+ * urgency pair needs a cell; existing bugs pick up the matrix on their next change
+ */
+router.put('/:id/priority-matrix', authorize('projects:manage'), async (req, res, next) => {
+  try {
+    const { enabled, cells } = req.body;
+
+    console.log(`🧮 Updating priority matrix for ${req.project.key}`);
+
+    const matrix = req.project.priorityMatrix;
+    const nextCells = cells || matrix.cells;
+    const errors = [];
+
+    if (!Array.isArray(nextCells)) {
+      errors.push('cells must be an array');
+    } else {
+      SEVERITIES.forEach(severity => URGENCIES.forEach(urgency => {
+        const cell = nextCells.find(entry => entry.severity === severity && entry.urgency === urgency);
+        if (!cell || !PRIORITIES.includes(cell.priority)) {
+          errors.push(`${severity} × ${urgency} needs a priority of ${PRIORITIES.join(', ')}`);
+        }
+      }));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid priority matrix',
+        errors
+      });
+    }
+
+    req.project.priorityMatrix = {
+      enabled: enabled !== undefined ? Boolean(enabled) : matrix.enabled,
+      cells: SEVERITIES.flatMap(severity => URGENCIES.map(urgency => ({
+        severity,
+        urgency,
+        priority: nextCells.find(entry => entry.severity === severity && entry.urgency === urgency).priority
+      })))
+    };
+    const saved = await req.project.save();
+
+    res.json({
+      success: true,
+      data: saved.priorityMatrix,
+      message: 'Priority matrix updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating priority matrix:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * Load the label named by :labelId, which must belong to req.project
+ */
+router.param('labelId', async (req, res, next, labelId) => {
+  try {
+    const label = await Label.findOne({ _id: labelId, project: req.project._id });
+
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: 'Label not found'
+      });
+    }
+
+    req.label = label;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/projects/:id/labels - List the project's labels with usage counts
+ */
+router.get('/:id/labels', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    const labels = await Label.find({ project: req.project._id }).sort({ nameKey: 1 });
+
+    const counts = await Bug.aggregate([
+      { $match: { project: req.project._id } },
+      { $unwind: '$labels' },
+      { $group: { _id: '$labels', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      count: labels.length,
+      data: labels.map(label => ({
+        ...label.toJSON(),
+        bugCount: (counts.find(entry => entry._id.equals(label._id)) || { count: 0 }).count
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/labels - Create a label
+ */
+router.post('/:id/labels', authorize('labels:manage'), async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    console.log(`🏷️ Creating label "${name}" in ${req.project.key}`);
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'name is required'
+      });
+    }
+
+    const label = await Label.create({
+      project: req.project._id,
+      name,
+      color,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: label,
+      message: 'Label created successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error creating label:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/projects/:id/labels/:labelId - Rename or recolor a label
+ * Bugs reference the label, so the new name shows on every tagged bug
+ */
+router.put('/:id/labels/:labelId', authorize('labels:manage'), async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    if (color !== undefined) req.label.color = color;
+
+    const saved = name ? await req.label.rename(name, req.user) : await req.label.save();
+
+    res.json({
+      success: true,
+      data: saved,
+      message: 'Label updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating label:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/labels/:labelId/merge - Merge a label into another
+ * Body: { into: labelId }. Bugs tagged with either label end up with the target
+ */
+router.post('/:id/labels/:labelId/merge', authorize('labels:manage'), async (req, res, next) => {
+  try {
+    const { into } = req.body;
+
+    const target = into ? await Label.findOne({ _id: into, project: req.project._id }) : null;
+
+    if (!target || target._id.equals(req.label._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'into must be another label in this project'
+      });
+    }
+
+    const merged = await mergeLabels(req.label, target, req.user);
+
+    res.json({
+      success: true,
+      data: merged,
+      message: `Merged "${req.label.name}" into "${merged.name}"`
+    });
+  } catch (error) {
+    console.error('❌ Error merging labels:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/labels/:labelId - Delete a label and untag its bugs
+ */
+router.delete('/:id/labels/:labelId', authorize('labels:manage'), async (req, res, next) => {
+  try {
+    await deleteLabel(req.label);
+
+    console.log(`🏷️ Deleted label "${req.label.name}" from ${req.project.key}`);
+
+    res.json({
+      success: true,
+      data: req.label,
+      message: 'Label deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/projects/:id/members - Add a member to a project
+ */
+router.post('/:id/members', authorize('projects:manage'), async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid userId is required'
+      });
+    }
+
+    req.project.members.addToSet(user._id);
+    const saved = await req.project.save();
+
+    console.log(`👥 Added ${user.username} to ${saved.key}`);
+
+    res.json({
+      success: true,
+      data: saved,
+      message: 'Member added'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/projects/:id/members/:userId - Remove a member from a project
+ */
+router.delete('/:id/members/:userId', authorize('projects:manage'), async (req, res, next) => {
+  try {
+    req.project.members.pull(req.params.userId);
+    const saved = await req.project.save();
+
+    console.log(`👥 Removed ${req.params.userId} from ${saved.key}`);
+
+    res.json({
+      success: true,
+      data: saved,
+      message: 'Member removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  issueFormToken,
+  redeemFormToken,
+  releaseFormToken,
+  submitPortalReport,
+  findTrackedBug,
+  toPublicReport,
+  addCustomerComment
+} = require('../services/portal');
+const {
+  PORTAL_HONEYPOT_FIELD,
+  PORTAL_RATE_LIMIT_WINDOW_MS,
+  getPortalRateLimit
+} = require('../config/portal');
+
+/**
+ * Public feedback portal API
+ * None of these routes need a login; submissions are rate limited per IP
+ * (see TRUST_PROXY in server.js) and go through the honeypot and form
+ * token checks
+ */
+const router = express.Router();
+
+const submissionLimiter = rateLimit({
+  windowMs: PORTAL_RATE_LIMIT_WINDOW_MS,
+  max: () => getPortalRateLimit(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many submissions, please try again later' }
+});
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Reject submissions that filled in the hidden honeypot field
+ */
+const rejectHoneypot = (req, res, next) => {
+  if (req.body && req.body[PORTAL_HONEYPOT_FIELD]) {
+    console.log(`🍯 Portal honeypot triggered from ${req.ip}`);
+    return res.status(400).json({ success: false, message: 'Submission rejected' });
+  }
+  next();
+};
+
+/**
+ * GET /api/public/feedback/form - Start a feedback form
+ * Returns the form token the form must send back with the report
+ */
+router.get('/feedback/form', (req, res) => {
+  res.json({
+    success: true,
+    data: { formToken: issueFormToken(), honeypotField: PORTAL_HONEYPOT_FIELD }
+  });
+});
+
+/**
+ * POST /api/public/feedback - File a report from the public portal
+ * Body: { name, email, title, description, formToken }
+ * Returns the secret tracking link; it is shown once and cannot be recovered
+ */
+router.post('/feedback', submissionLimiter, rejectHoneypot, async (req, res, next) => {
+  try {
+    const { name, email, title, description, formToken } = req.body;
+
+    if (!name || !email || !title || !description) {
+      return res.status(400).json({ success: false, message: 'name, email, title, and description are required' });
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, message: 'Please provide a valid email address' });
+    }
+
+    const formNonce = await redeemFormToken(formToken);
+
+    // Until a report is filed, the customer may fix it and send the same form again
+    let filed;
+    try {
+      filed = await submitPortalReport({ name, email, title, description });
+    } finally {
+      if (!filed || filed.errors) await releaseFormToken(formNonce);
+    }
+
+    const { bug, trackingToken, errors } = filed;
+    if (errors) {
+      return res.status(400).json({ success: false, message: 'This report could not be filed', errors });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        key: bug.key,
+        trackingToken,
+        trackingUrl: `${FRONTEND_URL}/track/${trackingToken}`
+      },
+      message: 'Thanks! Your report has been received'
+    });
+  } catch (error) {
+    console.error('❌ Error filing portal report:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/public/track/:token - Status and public comments of a report
+ */
+router.get('/track/:token', async (req, res, next) => {
+  try {
+    const bug = await findTrackedBug(req.params.token);
+    res.json({ success: true, data: await toPublicReport(bug) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/public/track/:token/comments - Add more information to a report
+ * Body: { message }
+ */
+router.post('/track/:token/comments', submissionLimiter, rejectHoneypot, async (req, res, next) => {
+  try {
+    const { message } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({ success: false, message: 'message is required' });
+    }
+
+    const bug = await findTrackedBug(req.params.token);
+    await addCustomerComment(bug, message);
+
+    res.status(201).json({ success: true, data: await toPublicReport(bug), message: 'Thanks, we have added this to your report' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const SlaPolicy = require('../models/SlaPolicy');
+const Project = require('../models/Project');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Fields an admin may set on a policy
+const POLICY_FIELDS = [
+  'name', 'priority', 'customerTier', 'firstResponseMinutes', 'resolutionMinutes', 'pauseStatuses', 'active'
+];
+
+router.use(protect);
+
+/**
+ * Pick the editable policy fields from a request body
+ * An empty project or customer tier makes the policy apply to all of them
+ * @returns {Promise<Object|null>} Policy fields, or null when the project does not exist
+ */
+const readPolicyFields = async (body) => {
+  const fields = {};
+
+  POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.customerTier === '' || fields.customerTier === null) {
+    fields.customerTier = undefined;
+  }
+
+  if (body.project !== undefined) {
+    if (!body.project) {
+      fields.project = undefined;
+    } else {
+      const project = await Project.findByIdOrKey(body.project);
+      if (!project) return null;
+      fields.project = project._id;
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * GET /api/sla-policies - List SLA policies
+ * Readable by everyone so the UI can explain deadlines
+ */
+router.get('/', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    console.log('⏰ Fetching SLA policies...');
+
+    const policies = await SlaPolicy.find()
+      .populate('project', 'key name')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: policies.length,
+      data: policies
+    });
+  } catch (error) {
+    console.error('❌ Error fetching SLA policies:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/sla-policies - Create an SLA policy
+ */
+router.post('/', authorize('sla:manage'), async (req, res, next) => {
+  try {
+    console.log(`⏰ Creating SLA policy "${req.body.name}"`);
+
+    const fields = await readPolicyFields(req.body);
+    if (!fields) {
+      return res.status(400).json({ success: false, message: 'Project not found' });
+    }
+
+    const policy = await SlaPolicy.create({ ...fields, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+      message: 'SLA policy created'
+    });
+  } catch (error) {
+    console.error('❌ Error creating SLA policy:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/sla-policies/:id - Update an SLA policy
+ * Deadlines on open bugs are recomputed the next time each bug is saved
+ */
+router.put('/:id', authorize('sla:manage'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'SLA policy not found' });
+    }
+
+    const fields = await readPolicyFields(req.body);
+    if (!fields) {
+      return res.status(400).json({ success: false, message: 'Project not found' });
+    }
+
+    policy.set(fields);
+    await policy.save();
+
+    console.log(`✅ SLA policy "${policy.name}" updated`);
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'SLA policy updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating SLA policy:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/sla-policies/:id - Delete an SLA policy
+ * Bugs tracked under it drop their deadlines the next time they are saved
+ */
+router.delete('/:id', authorize('sla:manage'), async (req, res, next) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'SLA policy not found' });
+    }
+
+    console.log(`🗑️ SLA policy "${policy.name}" deleted`);
+
+    res.json({
+      success: true,
+      data: policy,
+      message: 'SLA policy deleted'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting SLA policy:', error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
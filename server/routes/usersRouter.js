@@ -0,0 +1,157 @@
+const express = require('express');
+const User = require('../models/User');
+const { protect, authorize, requireUser } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * GET /api/users - List user accounts
+ * Admin only
+ */
+router.get('/', authorize('users:manage'), async (req, res, next) => {
+  try {
+    console.log('👥 Fetching users...');
+
+    const users = await User.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('❌ Error fetching users:', error.message);
+    next(error);
+  }
+});
+
+// Most users returned by a directory search
+const SEARCH_LIMIT = 8;
+
+/**
+ * GET /api/users/search - Find users by username or name prefix
+ * Used to autocomplete @mentions; returns only public profile fields
+ * Query: q (at least one character)
+ */
+router.get('/search', authorize('bugs:read'), async (req, res, next) => {
+  try {
+    const q = String(req.query.q || '').trim();
+
+    if (!q) {
+      return res.json({ success: true, count: 0, data: [] });
+    }
+
+    const prefix = new RegExp(`^${q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
+    const users = await User.find(
+      { $or: [{ username: prefix }, { name: prefix }] },
+      'name username'
+    )
+      .sort({ username: 1 })
+      .limit(SEARCH_LIMIT);
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users.map(user => ({ _id: user._id, name: user.name, username: user.username }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/users/me/notification-preferences - Which notification types the user receives
+ */
+router.get('/me/notification-preferences', requireUser, (req, res) => {
+  res.json({ success: true, data: req.user.notificationPreferences });
+});
+
+/**
+ * PUT /api/users/me/notification-preferences - Switch notification types on or off
+ * Body: { mention, status_change, comment, assignment, priority_change } (booleans, all optional)
+ */
+router.put('/me/notification-preferences', requireUser, async (req, res, next) => {
+  try {
+    const changes = req.body || {};
+    const unknown = Object.keys(changes).filter(type => !NOTIFICATION_TYPES.includes(type));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown notification types: ${unknown.join(', ')}. Valid types: ${NOTIFICATION_TYPES.join(', ')}`
+      });
+    }
+
+    if (Object.values(changes).some(value => typeof value !== 'boolean')) {
+      return res.status(400).json({ success: false, message: 'Preferences must be true or false' });
+    }
+
+    Object.entries(changes).forEach(([type, enabled]) => {
+      req.user.notificationPreferences[type] = enabled;
+    });
+    await req.user.save();
+
+    console.log('🔔 Notification preferences updated for:', req.user.username);
+
+    res.json({
+      success: true,
+      data: req.user.notificationPreferences,
+      message: 'Notification preferences updated'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/users/:id/role - Change a user's role
+ * Admin only
+ */
+router.patch('/:id/role', authorize('users:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    console.log(`🎭 Changing role for user ${id} to ${role}`);
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (id === req.user._id.toString() && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { role }, { new: true, runValidators: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log('✅ Role updated:', user.username, role);
+
+    res.json({
+      success: true,
+      data: user,
+      message: 'User role updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error updating role:', error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { protect, authorize } = require('../middleware/auth');
+const { redeliver } = require('../services/webhooks');
+
+const router = express.Router();
+
+// Fields an admin may set on a webhook
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'active'];
+
+// Deliveries listed when no limit is given, and the most one request may ask for
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+router.use(protect, authorize('webhooks:manage'));
+
+/**
+ * Load the webhook named in the URL, or answer 404
+ */
+const findWebhook = async (req, res) => {
+  const webhook = mongoose.isValidObjectId(req.params.id) ? await Webhook.findById(req.params.id) : null;
+  if (!webhook) {
+    res.status(404).json({ success: false, message: 'Webhook not found' });
+  }
+  return webhook;
+};
+
+/**
+ * GET /api/webhooks - List webhooks
+ * Secrets are never returned
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 });
+
+    res.json({ success: true, count: webhooks.length, data: webhooks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks - Register a webhook
+ * Body: { name, url, events, secret }; a secret is generated when none is given
+ * The secret is included in this response only
+ */
+router.post('/', async (req, res, next) => {
+  try {
+    console.log(`🪝 Registering webhook "${req.body.name}" for ${req.body.url}`);
+
+    const fields = {};
+    WEBHOOK_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const secret = req.body.secret || Webhook.generateSecret();
+    const webhook = await Webhook.create({ ...fields, secret, createdBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      data: { ...webhook.toJSON(), secret },
+      message: 'Webhook created. Store the secret now; it will not be shown again'
+    });
+  } catch (error) {
+    console.error('❌ Error registering webhook:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id - Get a webhook
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({ success: true, data: webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id - Update a webhook
+ * Body may include { secret } to replace the secret, or { rotateSecret: true } for a new random one
+ * Setting active: true re-enables a webhook that was disabled after failures
+ */
+router.put('/:id', async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    WEBHOOK_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    });
+
+    if (req.body.active === true) {
+      webhook.consecutiveFailures = 0;
+      webhook.disabledAt = undefined;
+      webhook.disabledReason = undefined;
+    }
+
+    let secret;
+    if (req.body.secret || req.body.rotateSecret) {
+      secret = req.body.secret || Webhook.generateSecret();
+      webhook.secret = secret;
+    }
+
+    await webhook.save();
+
+    console.log(`✅ Webhook "${webhook.name}" updated`);
+    res.json({
+      success: true,
+      data: secret ? { ...webhook.toJSON(), secret } : webhook,
+      message: 'Webhook updated'
+    });
+  } catch (error) {
+    console.error('❌ Error updating webhook:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+ */
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    await webhook.deleteOne();
+
+    console.log(`🗑️ Webhook "${webhook.name}" deleted`);
+    res.json({ success: true, data: webhook, message: 'Webhook deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - Delivery log, newest first
+ * Query: status (pending, sending, succeeded, failed), limit (default 50, max 200)
+ * Each delivery lists its attempts with response codes; bodies are left out
+ */
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const { status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_DELIVERY_LIMIT, 1), MAX_DELIVERY_LIMIT);
+
+    if (status && !WebhookDelivery.DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be ${WebhookDelivery.DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const deliveries = await WebhookDelivery.find({ webhook: webhook._id, ...(status ? { status } : {}) })
+      .select('-body')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ success: true, count: deliveries.length, data: deliveries });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries/:deliveryId - One delivery, including the body that was sent
+ */
+router.get('/:id/deliveries/:deliveryId', async (req, res, next) => {
+  try {
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again
+ * Queues a new delivery with the same body; the webhook must be active
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    if (!webhook.active) {
+      return res.status(400).json({ success: false, message: 'Webhook is disabled; enable it before redelivering' });
+    }
+
+    const copy = await redeliver(delivery);
+
+    console.log(`🔁 Webhook delivery ${delivery._id} queued again as ${copy._id}`);
+    res.status(201).json({ success: true, data: copy, message: 'Delivery queued' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
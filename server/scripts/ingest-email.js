@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * File a raw e-mail as a customer bug
+ * Reads one MIME message (.eml) from stdin, e.g. from a mail server pipe:
+ *
+ *   npm run ingest-email < message.eml
+ *
+ * Replies to a bug's e-mails are added to it as comments. Notifications and
+ * webhook deliveries are queued for the running server's workers to send.
+ * Exits with 1 when the e-mail could not be ingested.
+ */
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { ingestEmail } = require('../services/emailIngestion');
+const { subscribeToBugEvents } = require('../services/notifications');
+const { routeBugEventsToChannels } = require('../services/channelNotifications');
+const { routeBugEventsToWebhooks } = require('../services/webhooks');
+
+// Bugs filed from the command line have no reporting account
+const CLI_ACTOR = { name: 'E-mail ingestion' };
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const main = async () => {
+  const raw = await readStdin();
+  if (raw.length === 0) {
+    console.error('❌ No e-mail on stdin. Usage: npm run ingest-email < message.eml');
+    return 1;
+  }
+
+  await connectDB();
+  subscribeToBugEvents();
+  routeBugEventsToChannels();
+  routeBugEventsToWebhooks();
+
+  try {
+    const { outcome, bug, attachments, skipped } = await ingestEmail(raw, CLI_ACTOR);
+    console.log(`✅ ${outcome} ${bug.key} (${attachments.length} attachment(s) stored, ${skipped.length} skipped)`);
+    return 0;
+  } catch (error) {
+    console.error('❌ Error ingesting e-mail:', error.message);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => process.exit(code));
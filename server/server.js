@@ -7,10 +7,39 @@ require('dotenv').config();
 const connectDB = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const bugsRouter = require('./routes/bugsRouter');
+const authRouter = require('./routes/authRouter');
+const usersRouter = require('./routes/usersRouter');
+const apiKeysRouter = require('./routes/apiKeysRouter');
+const projectsRouter = require('./routes/projectsRouter');
+const slaPoliciesRouter = require('./routes/slaPoliciesRouter');
+const markdownRouter = require('./routes/markdownRouter');
+const notificationsRouter = require('./routes/notificationsRouter');
+const notificationChannelsRouter = require('./routes/notificationChannelsRouter');
+const webhooksRouter = require('./routes/webhooksRouter');
+const integrationsRouter = require('./routes/integrationsRouter');
+const publicRouter = require('./routes/publicRouter');
+const Bug = require('./models/Bug');
+const { startSlaMonitor } = require('./services/sla');
+const { subscribeToBugEvents } = require('./services/notifications');
+const { routeBugEventsToChannels } = require('./services/channelNotifications');
+const { startOutboxWorker } = require('./services/outbox');
+const { routeBugEventsToWebhooks, startWebhookWorker } = require('./services/webhooks');
+const { redactSensitive } = require('./utils/redact');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, req.ip (and so the per-IP rate limits) would be the
+// proxy's address. TRUST_PROXY takes a hop count, true, or proxy addresses;
+// it is off by default because trusting X-Forwarded-For without a proxy lets
+// clients pick their own IP.
+const trustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+
 // Connect to MongoDB
 connectDB();
 
@@ -26,8 +55,12 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// The raw body is kept so integrations can check request signatures
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
@@ -41,9 +74,9 @@ if (process.env.NODE_ENV === 'development') {
 // Request logging middleware for debugging
 app.use((req, res, next) => {
   console.log(`📨 ${req.method} ${req.originalUrl}`);
-  console.log('📋 Headers:', req.headers);
+  console.log('📋 Headers:', redactSensitive(req.headers));
   if (req.body && Object.keys(req.body).length > 0) {
-    console.log('📝 Request body:', req.body);
+    console.log('📝 Request body:', redactSensitive(req.body));
   }
   next();
 });
@@ -68,14 +101,41 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
+      users: '/api/users',
+      apiKeys: '/api/api-keys',
+      projects: '/api/projects',
+      slaPolicies: '/api/sla-policies',
       bugs: '/api/bugs',
+      markdown: '/api/markdown',
+      notifications: '/api/notifications',
+      notificationChannels: '/api/notification-channels',
+      webhooks: '/api/webhooks',
+      integrations: '/api/integrations',
+      public: '/api/public',
       docs: 'Check README for API documentation'
     }
   });
 });
 
 // API routes
+app.use('/api/auth', authRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/api-keys', apiKeysRouter);
+app.use('/api/projects', projectsRouter);
+app.use('/api/sla-policies', slaPoliciesRouter);
 app.use('/api/bugs', bugsRouter);
+app.use('/api/markdown', markdownRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/notification-channels', notificationChannelsRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/integrations', integrationsRouter);
+app.use('/api/public', publicRouter);
+
+// Notify watchers about bug activity and forward it to channels and webhooks
+subscribeToBugEvents();
+routeBugEventsToChannels();
+routeBugEventsToWebhooks();
 
 // 404 handler for undefined routes
 app.use(notFound);
@@ -115,6 +175,12 @@ const server = app.listen(PORT, () => {
   console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
   console.log(`📊 Process ID: ${process.pid}`);
   console.log(`⏰ Started at: ${new Date().toISOString()}`);
+
+  if (process.env.NODE_ENV !== 'test') {
+    startSlaMonitor(Bug);
+    startOutboxWorker();
+    startWebhookWorker();
+  }
 });
 
 module.exports = server; 
\ No newline at end of file
@@ -0,0 +1,169 @@
+const path = require('path');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const { ApiError } = require('../middleware/errorHandler');
+const { getStorage, createStorageKey } = require('./storage');
+const { IMAGE_MIME_TYPES, FILE_TYPES, THUMBNAIL_SIZE } = require('../config/attachments');
+
+/**
+ * Attachments service
+ * Stores uploaded files for bugs and comments, with thumbnails for images
+ */
+
+const THUMBNAIL_MIME_TYPE = 'image/webp';
+
+// Bytes of a text file looked at for binary content
+const TEXT_SNIFF_LENGTH = 8192;
+
+/**
+ * Check an upload is what its type says, by extension and content
+ * The type comes from the client, so e.g. an executable sent as text/plain
+ * or a PDF named .png is refused.
+ * @param {Object} file - Multer file
+ * @throws {ApiError} 415 when the file does not match its type
+ */
+const checkFileType = (file) => {
+  const fileType = FILE_TYPES[file.mimetype];
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (!fileType || !fileType.extensions.includes(extension)) {
+    throw new ApiError(`${file.originalname} needs a ${fileType ? fileType.extensions.join(', ') : 'known'} extension for ${file.mimetype}`, 415);
+  }
+
+  const matches = fileType.text
+    ? !file.buffer.subarray(0, TEXT_SNIFF_LENGTH).includes(0)
+    : fileType.signatures.some(({ offset = 0, bytes }) => {
+      const expected = Buffer.from(bytes);
+      return file.buffer.subarray(offset, offset + expected.length).equals(expected);
+    });
+
+  if (!matches) {
+    throw new ApiError(`${file.originalname} is not a valid ${file.mimetype} file`, 415);
+  }
+};
+
+/**
+ * Render a thumbnail for an image upload
+ * Doubles as a content check: a file that claims to be an image but cannot
+ * be decoded is refused.
+ * @param {Object} file - Multer file
+ * @returns {Promise<Buffer>}
+ * @throws {ApiError} 415 when the image cannot be read
+ */
+const createThumbnail = async (file) => {
+  try {
+    return await sharp(file.buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+  } catch (error) {
+    throw new ApiError(`${file.originalname} is not a valid ${file.mimetype} image`, 415);
+  }
+};
+
+/**
+ * Store uploaded files and record them against a bug
+ * Files already written are removed again if a later one fails
+ * @param {Object} bug - Bug document
+ * @param {Object[]} files - Multer files
+ * @param {Object} actor - Uploading user or API key actor
+ * @param {ObjectId} [commentId] - Comment the files belong to
+ * @returns {Promise<Object[]>} Attachment documents
+ */
+const saveAttachments = async (bug, files, actor, commentId) => {
+  const storage = getStorage();
+  const written = [];
+
+  try {
+    const attachments = [];
+
+    for (const file of files) {
+      checkFileType(file);
+
+      const storageKey = createStorageKey(String(bug._id));
+      let thumbnailKey;
+
+      const thumbnail = IMAGE_MIME_TYPES.includes(file.mimetype) ? await createThumbnail(file) : null;
+
+      await storage.save(storageKey, file.buffer);
+      written.push(storageKey);
+
+      if (thumbnail) {
+        thumbnailKey = `${storageKey}-thumb`;
+        await storage.save(thumbnailKey, thumbnail);
+        written.push(thumbnailKey);
+      }
+
+      attachments.push({
+        bug: bug._id,
+        comment: commentId,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey,
+        thumbnailKey,
+        uploadedBy: actor && actor.name,
+        uploadedById: actor && actor._id
+      });
+    }
+
+    return await Attachment.insertMany(attachments);
+  } catch (error) {
+    await Promise.all(written.map(key => storage.remove(key)));
+    throw error;
+  }
+};
+
+/**
+ * Delete an attachment and its stored files
+ * @param {Object} attachment - Attachment document
+ */
+const deleteAttachment = async (attachment) => {
+  const storage = getStorage();
+
+  await storage.remove(attachment.storageKey);
+  if (attachment.thumbnailKey) {
+    await storage.remove(attachment.thumbnailKey);
+  }
+  await attachment.deleteOne();
+};
+
+/**
+ * Delete every attachment of a bug that is being deleted
+ * @param {Object} bug - Bug document
+ * @returns {Promise<number>} Number of attachments removed
+ */
+const deleteBugAttachments = async (bug) => {
+  const attachments = await Attachment.find({ bug: bug._id });
+
+  for (const attachment of attachments) {
+    await deleteAttachment(attachment);
+  }
+
+  if (attachments.length > 0) {
+    console.log(`🗑️ Removed ${attachments.length} attachment(s) of ${bug.key || bug._id}`);
+  }
+  return attachments.length;
+};
+
+/**
+ * Build a Content-Disposition header that survives non-ASCII filenames
+ * @param {string} filename - Original filename
+ * @param {boolean} inline - Show in the browser instead of downloading
+ * @returns {string}
+ */
+const contentDisposition = (filename, inline) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const type = inline ? 'inline' : 'attachment';
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = {
+  THUMBNAIL_MIME_TYPE,
+  saveAttachments,
+  deleteAttachment,
+  deleteBugAttachments,
+  contentDisposition
+};
@@ -0,0 +1,74 @@
+/**
+ * Bug events
+ * A small in-process event bus for bug activity. Routes and services publish
+ * what happened; notifications (and later integrations) subscribe to it, so
+ * the code that changes a bug does not need to know who is listening.
+ *
+ * Every event carries { type, bug, actor, at } plus type-specific fields:
+ *   bug.created          -
+ *   bug.status_changed   from, to, reason
+ *   bug.assigned         from, to
+ *   bug.priority_changed from, to
+ *   comment.added        comment
+ */
+
+const BUG_EVENT_TYPES = [
+  'bug.created',
+  'bug.status_changed',
+  'bug.assigned',
+  'bug.priority_changed',
+  'comment.added'
+];
+
+// Event type -> handlers, in the order they subscribed
+const subscribers = new Map(BUG_EVENT_TYPES.map(type => [type, []]));
+
+/**
+ * Run a handler whenever an event of the given type is published
+ * @param {string} type - Event type
+ * @param {Function} handler - Called with the event; may return a promise
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribe = (type, handler) => {
+  if (!subscribers.has(type)) {
+    throw new Error(`Unknown bug event type "${type}"`);
+  }
+
+  subscribers.get(type).push(handler);
+  return () => {
+    const handlers = subscribers.get(type);
+    const index = handlers.indexOf(handler);
+    if (index !== -1) handlers.splice(index, 1);
+  };
+};
+
+/**
+ * Publish an event to its subscribers
+ * Handlers run in parallel and a failing handler is logged, never thrown, so
+ * a listener cannot fail the change that was already saved
+ * @param {string} type - Event type
+ * @param {Object} details - { bug, actor, ... } (see above)
+ * @returns {Promise<void>} Resolves once every handler finished
+ */
+const publish = async (type, details) => {
+  const handlers = subscribers.get(type);
+  if (!handlers) {
+    throw new Error(`Unknown bug event type "${type}"`);
+  }
+
+  const event = { type, at: new Date(), ...details };
+
+  await Promise.all(handlers.map(async (handler) => {
+    try {
+      await handler(event);
+    } catch (error) {
+      console.error(`❌ Bug event handler for ${type} failed:`, error.message);
+    }
+  }));
+};
+
+module.exports = {
+  BUG_EVENT_TYPES,
+  subscribe,
+  publish
+};
@@ -0,0 +1,86 @@
+const NotificationRule = require('../models/NotificationRule');
+const { getEnvironmentRules } = require('../config/channels');
+const { BUG_EVENT_TYPES, subscribe } = require('./bugEvents');
+const { renderMessage } = require('./notificationTemplates');
+const { enqueueMessages } = require('./outbox');
+
+/**
+ * Channel notifications
+ * Routes bug events to outside channels: every active notification rule
+ * (plus rules from the environment) that matches the event gets a rendered
+ * message in the outbox.
+ */
+
+/**
+ * Whether a rule forwards an event
+ * Empty project, priority and source lists match every bug
+ * @param {Object} rule - NotificationRule document or plain rule
+ * @param {Object} event - Bug event
+ * @returns {boolean}
+ */
+const ruleMatches = (rule, event) => {
+  const { bug } = event;
+
+  if (rule.active === false || !rule.events.includes(event.type)) return false;
+  if (rule.projects.length > 0 && !rule.projects.some(project => String(project) === String(bug.project))) return false;
+  if (rule.priorities.length > 0 && !rule.priorities.includes(bug.priority)) return false;
+  if (rule.sources.length > 0 && !rule.sources.includes(bug.source)) return false;
+
+  return true;
+};
+
+/**
+ * Find the rules that forward an event
+ * @param {Object} event - Bug event
+ * @returns {Promise<Object[]>} Matching rules
+ */
+const findMatchingRules = async (event) => {
+  const stored = await NotificationRule.find({ active: true, events: event.type });
+  return [...stored, ...getEnvironmentRules()].filter(rule => ruleMatches(rule, event));
+};
+
+/**
+ * Build the outbox message a rule sends for an event
+ * @param {Object} rule - Matching rule
+ * @param {Object} event - Bug event
+ * @returns {Object} OutboxMessage fields
+ */
+const buildOutboxMessage = (rule, event) => ({
+  rule: rule._id,
+  ruleName: rule.name,
+  channel: rule.channel,
+  target: rule.target,
+  event: event.type,
+  bug: event.bug._id,
+  bugKey: event.bug.key,
+  payload: renderMessage(event, rule.template)
+});
+
+/**
+ * Queue channel messages for a bug event
+ * @param {Object} event - Bug event
+ * @returns {Promise<Object[]>} Queued messages
+ */
+const queueChannelMessages = async (event) => {
+  const rules = await findMatchingRules(event);
+  return enqueueMessages(rules.map(rule => buildOutboxMessage(rule, event)));
+};
+
+let subscribed = false;
+
+/**
+ * Start routing bug events to channels
+ * Safe to call more than once
+ */
+const routeBugEventsToChannels = () => {
+  if (subscribed) return;
+  subscribed = true;
+
+  BUG_EVENT_TYPES.forEach(type => subscribe(type, queueChannelMessages));
+};
+
+module.exports = {
+  ruleMatches,
+  queueChannelMessages,
+  routeBugEventsToChannels
+};
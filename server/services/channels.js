@@ -0,0 +1,133 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { CHANNEL_TIMEOUT_MS, EMAIL_FROM } = require('../config/channels');
+const { getSlackSigningSecret } = require('../config/integrations');
+const { bugActionBlocks } = require('./slack');
+
+/**
+ * Notification channels
+ * Each channel adapter delivers a rendered message ({ title, text, data })
+ * to a target and throws when delivery fails, so the outbox can retry.
+ * Further channels can be added with registerChannel().
+ */
+
+// Discord rejects messages longer than this
+const DISCORD_MAX_LENGTH = 2000;
+
+/**
+ * POST a JSON body to a channel URL
+ * Non-2xx responses and timeouts throw with a short reason
+ */
+const postJson = async (url, body, headers = {}) => {
+  try {
+    await axios.post(url, body, { timeout: CHANNEL_TIMEOUT_MS, headers });
+  } catch (error) {
+    const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+    throw new Error(`Channel request failed: ${reason}`);
+  }
+};
+
+let mailTransport = null;
+
+/**
+ * Get the SMTP transport configured by SMTP_URL
+ * @returns {Object} Nodemailer transport
+ */
+const getMailTransport = () => {
+  if (!mailTransport) {
+    if (!process.env.SMTP_URL) {
+      throw new Error('E-mail is not configured (set SMTP_URL)');
+    }
+    mailTransport = nodemailer.createTransport(process.env.SMTP_URL);
+  }
+  return mailTransport;
+};
+
+/**
+ * Replace the mail transport, e.g. with a JSON transport in tests
+ * @param {Object|null} transport - Nodemailer transport; null goes back to SMTP_URL
+ */
+const setMailTransport = (transport) => {
+  mailTransport = transport;
+};
+
+const channels = {
+  // With the Slack app set up, messages about a bug get "Take it" and "Resolve" buttons
+  slack: {
+    send: (target, message) => {
+      const text = `*${message.title}*\n${message.text}`;
+      const bug = message.data && message.data.bug;
+
+      return postJson(target, getSlackSigningSecret() && bug
+        ? { text, blocks: bugActionBlocks(text, bug.id) }
+        : { text });
+    }
+  },
+
+  discord: {
+    send: (target, message) => postJson(target, {
+      content: `**${message.title}**\n${message.text}`.slice(0, DISCORD_MAX_LENGTH)
+    })
+  },
+
+  // Microsoft Teams incoming webhooks take legacy MessageCards
+  teams: {
+    send: (target, message) => postJson(target, {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: message.title,
+      title: message.title,
+      text: message.text.replace(/\n/g, '<br>')
+    })
+  },
+
+  // Generic webhooks get the structured event as well as the rendered text
+  webhook: {
+    send: (target, message) => postJson(target, {
+      event: message.data && message.data.event,
+      title: message.title,
+      text: message.text,
+      data: message.data
+    })
+  },
+
+  email: {
+    send: async (target, message) => {
+      await getMailTransport().sendMail({
+        from: EMAIL_FROM,
+        to: target.split(',').map(address => address.trim()),
+        subject: message.title,
+        text: message.text
+      });
+    }
+  }
+};
+
+/**
+ * Add or replace a channel adapter
+ * @param {string} type - Channel type
+ * @param {Object} adapter - { send(target, message) }
+ */
+const registerChannel = (type, adapter) => {
+  channels[type] = adapter;
+};
+
+/**
+ * Deliver a message through a channel
+ * @param {string} type - Channel type
+ * @param {string} target - Webhook URL or e-mail addresses
+ * @param {Object} message - { title, text, data }
+ */
+const sendToChannel = async (type, target, message) => {
+  const channel = channels[type];
+  if (!channel) {
+    throw new Error(`Unknown notification channel: ${type}`);
+  }
+  await channel.send(target, message);
+};
+
+module.exports = {
+  registerChannel,
+  sendToChannel,
+  setMailTransport
+};
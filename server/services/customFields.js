@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Custom fields service
+ * Projects define typed fields (see Project.customFields); this service checks
+ * and converts the values submitted for them on bugs
+ */
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'enum', 'date', 'user'];
+
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Validate the custom field definitions submitted by an admin
+ * @param {Array} definitions - [{ key, label, type, options, required }]
+ * @returns {string[]} Validation error messages (empty when valid)
+ */
+const validateCustomFieldDefinitions = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    return ['fields must be an array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  definitions.forEach((definition, index) => {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      errors.push(`Field ${index + 1} must be an object with a key, label and type`);
+      return;
+    }
+
+    const { key, label, type, options } = definition;
+
+    if (!key || !CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+      errors.push(`Field key "${key}" must be lowercase letters, digits or underscores, starting with a letter`);
+    } else if (seen.has(key)) {
+      errors.push(`Duplicate field key "${key}"`);
+    }
+    seen.add(key);
+
+    if (!label) {
+      errors.push(`Field "${key}" needs a label`);
+    }
+
+    if (!CUSTOM_FIELD_TYPES.includes(type)) {
+      errors.push(`Field "${key}" must have a type of ${CUSTOM_FIELD_TYPES.join(', ')}`);
+    }
+
+    if (type === 'enum' && (!Array.isArray(options) || options.length === 0)) {
+      errors.push(`Enum field "${key}" needs at least one option`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Find a user by ObjectId or username for user-typed fields
+ * @param {string} value - User ID or username
+ * @returns {Promise<Object|null>}
+ */
+const findUser = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    return User.findById(value);
+  }
+
+  return User.findOne({ username: String(value).toLowerCase() });
+};
+
+/**
+ * Convert a submitted value to the field's stored type
+ * @param {Object} definition - Field definition
+ * @param {*} value - Submitted value (never empty)
+ * @returns {Promise<*>} Stored value
+ * @throws {ApiError} 400 when the value does not fit the type
+ */
+const coerceValue = async (definition, value) => {
+  const { key, type, options = [] } = definition;
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        throw new ApiError(`${key} must be a number`, 400);
+      }
+      return number;
+    }
+    case 'enum':
+      if (!options.includes(String(value))) {
+        throw new ApiError(`${key} must be one of: ${options.join(', ')}`, 400);
+      }
+      return String(value);
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new ApiError(`${key} must be a valid date`, 400);
+      }
+      return date;
+    }
+    case 'user': {
+      const user = await findUser(value);
+      if (!user) {
+        throw new ApiError(`${key} must be an existing user`, 400);
+      }
+      return user._id;
+    }
+    default: {
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        throw new ApiError(`${key} cannot exceed ${MAX_TEXT_LENGTH} characters`, 400);
+      }
+      return text;
+    }
+  }
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Check and convert submitted custom field values against a project's definitions
+ * @param {Array} definitions - Project custom field definitions
+ * @param {Object} values - Submitted { key: value } pairs
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Update mode: only submitted keys are checked
+ * @returns {Promise<{ values: Object, errors: string[] }>} Converted values
+ *   (null marks a value to clear) and validation errors
+ */
+const normalizeCustomFields = async (definitions, values = {}, { partial = false } = {}) => {
+  const errors = [];
+  const normalized = {};
+
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+    return { values: normalized, errors: ['customFields must be an object'] };
+  }
+
+  Object.keys(values)
+    .filter(key => !definitions.some(definition => definition.key === key))
+    .forEach(key => errors.push(`Unknown custom field "${key}"`));
+
+  for (const definition of definitions) {
+    const submitted = Object.prototype.hasOwnProperty.call(values, definition.key);
+    const value = values[definition.key];
+
+    if (isEmpty(value)) {
+      if (definition.required && (!partial || submitted)) {
+        errors.push(`${definition.label || definition.key} is required`);
+      } else if (submitted) {
+        normalized[definition.key] = null;
+      }
+      continue;
+    }
+
+    try {
+      normalized[definition.key] = await coerceValue(definition, value);
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      errors.push(error.message);
+    }
+  }
+
+  return { values: normalized, errors };
+};
+
+/**
+ * Apply normalized values to a bug document
+ * @param {Object} bug - Bug document
+ * @param {Object} values - Output of normalizeCustomFields (null clears a value)
+ */
+const applyCustomFields = (bug, values) => {
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === null) {
+      bug.customFields.delete(key);
+    } else {
+      bug.customFields.set(key, value);
+    }
+  });
+};
+
+/**
+ * Build a MongoDB filter from `cf.<key>` query parameters
+ * Repeating a parameter matches any of its values; number and date fields also
+ * accept ranges: cf.build[gte]=100&cf.build[lte]=200
+ * @param {Array} definitions - Custom field definitions to interpret values with
+ * @param {Object} query - Express query object
+ * @returns {Promise<Object>} Filter on customFields.<key> paths
+ * @throws {ApiError} 400 for unknown fields or bad values
+ */
+const buildCustomFieldFilter = async (definitions, query) => {
+  const filter = {};
+
+  for (const [param, raw] of Object.entries(query)) {
+    if (!param.startsWith('cf.')) continue;
+
+    const key = param.slice(3);
+    const definition = definitions.find(entry => entry.key === key);
+
+    if (!definition) {
+      throw new ApiError(`Unknown custom field "${key}"`, 400);
+    }
+
+    const path = `customFields.${key}`;
+
+    if (Array.isArray(raw)) {
+      filter[path] = { $in: await Promise.all(raw.map(value => coerceValue(definition, value))) };
+    } else if (raw && typeof raw === 'object') {
+      if (!['number', 'date'].includes(definition.type)) {
+        throw new ApiError('Range filters are only supported on number and date fields', 400);
+      }
+
+      filter[path] = {};
+      for (const operator of ['gt', 'gte', 'lt', 'lte']) {
+        if (raw[operator] !== undefined) {
+          filter[path][`$${operator}`] = await coerceValue(definition, raw[operator]);
+        }
+      }
+    } else {
+      filter[path] = await coerceValue(definition, raw);
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Build a custom field filter over every project
+ * Each project's bugs are matched using that project's own definitions, since
+ * the same key may be a number in one project and an enum in another;
+ * projects that do not define the fields, or cannot take the values, are left out
+ * @param {Array} projects - Projects with their customFields
+ * @param {Object} query - Express query object
+ * @returns {Promise<Object>} Filter matching bugs in any of the projects
+ * @throws {ApiError} 400 when no project can interpret the filter
+ */
+const buildCrossProjectCustomFieldFilter = async (projects, query) => {
+  const branches = [];
+  let firstError = null;
+
+  for (const project of projects) {
+    try {
+      const filter = await buildCustomFieldFilter(project.customFields, query);
+      branches.push({ project: project._id, ...filter });
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      firstError = firstError || error;
+    }
+  }
+
+  if (branches.length === 0) {
+    throw firstError || new ApiError('No project defines these custom fields', 400);
+  }
+
+  return { $or: branches };
+};
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  validateCustomFieldDefinitions,
+  normalizeCustomFields,
+  applyCustomFields,
+  buildCustomFieldFilter,
+  buildCrossProjectCustomFieldFilter
+};
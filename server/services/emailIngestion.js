@@ -0,0 +1,200 @@
+const { simpleParser } = require('mailparser');
+const Bug = require('../models/Bug');
+const { ApiError } = require('../middleware/errorHandler');
+const { createFeedbackBug } = require('./feedback');
+const { saveAttachments } = require('./attachments');
+const { publish } = require('./bugEvents');
+const { getEmailIngestProject } = require('../config/integrations');
+const { MAX_FILE_SIZE, MAX_FILES_PER_UPLOAD, ALLOWED_MIME_TYPES } = require('../config/attachments');
+
+/**
+ * E-mail ingestion
+ * Turns customer e-mails into bugs the same way the feedback endpoint does.
+ * Replies are threaded onto the bug they answer as comments: first by the
+ * In-Reply-To/References headers, then by a bug key in the subject
+ * ("Re: [WEB-12] Checkout fails") when the sender is the bug's customer.
+ */
+
+// Bug field limits (see models/Bug.js)
+const TITLE_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 1000;
+const COMMENT_MAX_LENGTH = 2000;
+
+const SUBJECT_KEY_PATTERN = /\b([A-Z][A-Z0-9]{1,9}-\d+)\b/;
+
+// Lines that start the quoted original in a reply
+const QUOTE_HEADER_PATTERNS = [
+  /^On .+wrote:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i
+];
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Drop the quoted original from a reply, keeping only what the sender wrote
+ * @param {string} text - Plain-text body
+ * @returns {string}
+ */
+const stripQuotedReply = (text) => {
+  const kept = [];
+
+  for (const line of String(text || '').split(/\r?\n/)) {
+    if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line.trim()))) break;
+    if (!line.startsWith('>')) kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+};
+
+/**
+ * Message-IDs an e-mail answers, most direct first
+ */
+const repliedToIds = (parsed) => {
+  const references = [].concat(parsed.references || []).reverse();
+  return [...new Set([parsed.inReplyTo, ...references].filter(Boolean))];
+};
+
+/**
+ * Whether an e-mail comes from the customer who reported a bug
+ */
+const isFromCustomer = (bug, sender) => {
+  const customerEmail = bug && bug.customer && bug.customer.email;
+  return Boolean(customerEmail) && customerEmail.toLowerCase() === sender.email;
+};
+
+/**
+ * Find the bug an e-mail replies to
+ * Anyone can copy reply headers or type a key into a subject, so only the
+ * bug's own customer threads onto it; anyone else starts a new bug
+ * @param {Object} parsed - Parsed e-mail
+ * @param {Object} sender - { name, email } with a lowercased address
+ * @returns {Promise<Object|null>}
+ */
+const findThreadBug = async (parsed, sender) => {
+  const ids = repliedToIds(parsed);
+  if (ids.length > 0) {
+    const bug = await Bug.findOne({ emailMessageIds: { $in: ids } });
+    if (bug) return isFromCustomer(bug, sender) ? bug : null;
+  }
+
+  const match = (parsed.subject || '').match(SUBJECT_KEY_PATTERN);
+  if (!match) return null;
+
+  const bug = await Bug.findOne({ key: match[1] });
+  return isFromCustomer(bug, sender) ? bug : null;
+};
+
+/**
+ * Store the e-mail's attachments on a bug
+ * Inline parts (signature logos and the like), disallowed types and oversized
+ * files are skipped, as is any image that fails to process
+ * @returns {Promise<{ saved: Object[], skipped: string[] }>}
+ */
+const storeAttachments = async (bug, parsed, actor, commentId) => {
+  const saved = [];
+  const skipped = [];
+
+  for (const attachment of parsed.attachments || []) {
+    if (attachment.related) continue;
+
+    const filename = attachment.filename || 'attachment';
+    if (
+      saved.length === MAX_FILES_PER_UPLOAD ||
+      !ALLOWED_MIME_TYPES.includes(attachment.contentType) ||
+      attachment.size > MAX_FILE_SIZE
+    ) {
+      skipped.push(filename);
+      continue;
+    }
+
+    try {
+      const file = { originalname: filename, mimetype: attachment.contentType, size: attachment.size, buffer: attachment.content };
+      saved.push(...await saveAttachments(bug, [file], actor, commentId));
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      skipped.push(filename);
+    }
+  }
+
+  if (skipped.length > 0) {
+    console.log(`📎 Skipped e-mail attachments on ${bug.key}: ${skipped.join(', ')}`);
+  }
+
+  return { saved, skipped };
+};
+
+/**
+ * Ingest a raw MIME e-mail
+ * @param {Buffer|string} raw - The message as received (.eml)
+ * @param {Object} actor - User or API key actor the bug is filed by
+ * @returns {Promise<Object>} { outcome: 'created'|'commented'|'duplicate', bug, attachments, skipped }
+ * @throws {ApiError} 400 when the e-mail cannot be read or has no sender
+ */
+const ingestEmail = async (raw, actor) => {
+  let parsed;
+  try {
+    parsed = await simpleParser(raw);
+  } catch (error) {
+    throw new ApiError(`Could not read e-mail: ${error.message}`, 400);
+  }
+
+  const sender = parsed.from && parsed.from.value[0];
+  if (!sender || !sender.address) {
+    throw new ApiError('E-mail has no sender address', 400);
+  }
+
+  const customer = { name: sender.name || sender.address, email: sender.address.toLowerCase() };
+  const messageId = parsed.messageId;
+
+  console.log(`📧 Ingesting e-mail ${messageId || '(no Message-ID)'} from ${customer.email}`);
+
+  if (messageId) {
+    const existing = await Bug.findOne({ emailMessageIds: messageId });
+    if (existing) {
+      console.log(`📧 E-mail ${messageId} was already filed on ${existing.key}`);
+      return { outcome: 'duplicate', bug: existing, attachments: [], skipped: [] };
+    }
+  }
+
+  const threadBug = await findThreadBug(parsed, customer);
+
+  if (threadBug) {
+    const text = stripQuotedReply(parsed.text) || '(no message text)';
+    if (messageId) threadBug.emailMessageIds.push(messageId);
+
+    await threadBug.addComment({ name: customer.name }, truncate(text, COMMENT_MAX_LENGTH), [], 'public');
+    const comment = threadBug.comments[threadBug.comments.length - 1];
+    await publish('comment.added', { bug: threadBug, actor: { name: customer.name }, comment });
+
+    const { saved, skipped } = await storeAttachments(threadBug, parsed, { name: customer.name }, comment._id);
+    console.log(`💬 E-mail from ${customer.email} added as a comment on ${threadBug.key}`);
+
+    return { outcome: 'commented', bug: threadBug, attachments: saved, skipped };
+  }
+
+  const { bug, errors } = await createFeedbackBug({
+    title: truncate((parsed.subject || '').trim() || '(no subject)', TITLE_MAX_LENGTH),
+    description: truncate((parsed.text || '').trim() || '(no message text)', DESCRIPTION_MAX_LENGTH),
+    project: getEmailIngestProject(),
+    customer
+  }, actor);
+
+  if (errors) {
+    throw new ApiError(`Could not file e-mail as a bug: ${errors.join(', ')}`, 400);
+  }
+
+  if (messageId) {
+    bug.emailMessageIds.push(messageId);
+    await bug.save();
+  }
+
+  const { saved, skipped } = await storeAttachments(bug, parsed, { name: customer.name });
+  console.log(`🐛 E-mail from ${customer.email} filed as ${bug.key}`);
+
+  return { outcome: 'created', bug, attachments: saved, skipped };
+};
+
+module.exports = {
+  stripQuotedReply,
+  ingestEmail
+};
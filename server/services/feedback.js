@@ -0,0 +1,71 @@
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const { ApiError } = require('../middleware/errorHandler');
+const { normalizeCustomFields, applyCustomFields } = require('./customFields');
+const { publish } = require('./bugEvents');
+
+/**
+ * Customer feedback
+ * Files customer reports as bugs with source=customer, whether they come
+ * from the feedback endpoint or from e-mail.
+ */
+
+// Longest reporter name a bug accepts (Bug.reportedBy)
+const REPORTER_NAME_MAX_LENGTH = 50;
+
+/**
+ * Name shown as the reporter of a customer bug
+ * Display names from e-mail headers and the portal can be longer than a bug
+ * allows; those fall back to the address, or are shortened when that is too long too
+ * @param {Object} customer - { name, email }
+ * @returns {string}
+ */
+const reporterName = ({ name, email }) => {
+  const display = String(name || '').trim();
+  if (display.length <= REPORTER_NAME_MAX_LENGTH) return display;
+  if (email && email.length <= REPORTER_NAME_MAX_LENGTH) return email;
+  return `${display.slice(0, REPORTER_NAME_MAX_LENGTH - 1)}…`;
+};
+
+/**
+ * Create a bug from customer feedback
+ * @param {Object} feedback - { title, description, priority, customer: { name, email, id, tier }, project, customFields, trackingTokenHash }
+ * @param {Object} actor - User or API key actor filing the feedback
+ * @returns {Promise<{ bug?: Object, errors?: string[] }>} The saved bug, or the custom field errors
+ * @throws {ApiError} 400 when the project does not exist
+ */
+const createFeedbackBug = async (feedback, actor) => {
+  const { title, description, priority, customer, project, customFields, trackingTokenHash } = feedback;
+
+  const targetProject = project ? await Project.findByIdOrKey(project) : await Project.getDefault();
+  if (!targetProject) {
+    throw new ApiError('Project not found', 400);
+  }
+
+  const customFieldResult = await normalizeCustomFields(targetProject.customFields, customFields);
+  if (customFieldResult.errors.length > 0) {
+    return { errors: customFieldResult.errors };
+  }
+
+  const bug = new Bug({
+    project: targetProject._id,
+    title,
+    description,
+    priority: priority || 'Medium',
+    reportedBy: reporterName(customer),
+    reporter: actor && actor._id,
+    source: 'customer',
+    customer,
+    trackingTokenHash
+  });
+  applyCustomFields(bug, customFieldResult.values);
+
+  const saved = await bug.save();
+  await publish('bug.created', { bug: saved, actor });
+
+  return { bug: saved };
+};
+
+module.exports = {
+  createFeedbackBug
+};
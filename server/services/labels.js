@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Bug = require('../models/Bug');
+const Label = require('../models/Label');
+const { ApiError } = require('../middleware/errorHandler');
+const { principalCan } = require('../config/permissions');
+
+/**
+ * Labels service
+ * Resolves label names to per-project Label documents and builds label filters
+ */
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value) && String(value).length === 24;
+
+/**
+ * Resolve label names or ids to Label ids within a project
+ * Unknown names become new labels when the actor may manage labels
+ * @param {ObjectId} projectId - Project the labels belong to
+ * @param {Array<string>} values - Label names or ids
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - User tagging the bug (recorded on new labels)
+ * @param {boolean} [options.ignoreUnknown=false] - Skip unknown names instead of failing
+ * @returns {Promise<ObjectId[]>} Unique label ids
+ * @throws {ApiError} 400 for malformed input, ids from another project and
+ *   unknown names the actor may not create
+ */
+const resolveLabels = async (projectId, values, { actor, ignoreUnknown = false } = {}) => {
+  if (!Array.isArray(values)) {
+    throw new ApiError('labels must be an array of label names or ids', 400);
+  }
+
+  const ids = [];
+  const create = !ignoreUnknown && principalCan(actor, 'labels:manage');
+
+  for (const value of values) {
+    // Accept populated label objects as well as names and ids
+    const text = String((value && value._id) || value || '').trim();
+    if (!text) continue;
+
+    let label;
+
+    if (isObjectId(text)) {
+      label = await Label.findOne({ _id: text, project: projectId });
+      if (!label) {
+        throw new ApiError(`Label ${text} not found in this project`, 400);
+      }
+    } else {
+      label = await Label.findOne({ project: projectId, nameKey: Label.toNameKey(text) });
+
+      if (!label && create) {
+        try {
+          label = await Label.create({ project: projectId, name: text, createdBy: actor && actor._id });
+          console.log(`🏷️ Created label "${label.name}"`);
+        } catch (error) {
+          // Another request created the same label first
+          if (error.code !== 11000) throw error;
+          label = await Label.findOne({ project: projectId, nameKey: Label.toNameKey(text) });
+        }
+      }
+
+      if (!label && !ignoreUnknown) {
+        throw new ApiError(`Label "${text}" does not exist in this project`, 400);
+      }
+    }
+
+    if (label && !ids.some(id => id.equals(label._id))) {
+      ids.push(label._id);
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Build a bug filter from a comma-separated list of label names
+ * @param {string} labelsParam - e.g. "ui,regression"
+ * @param {string} [match='any'] - 'any' matches bugs with at least one label, 'all' with every label
+ * @param {ObjectId} [projectId] - Limit name lookups to one project
+ * @returns {Promise<Object>} Filter on the bug labels path
+ * @throws {ApiError} 400 for an unknown match mode
+ */
+const buildLabelFilter = async (labelsParam, match = 'any', projectId) => {
+  if (!['any', 'all'].includes(match)) {
+    throw new ApiError('labelMatch must be any or all', 400);
+  }
+
+  const nameKeys = [...new Set(
+    String(labelsParam).split(',').map(name => Label.toNameKey(name)).filter(Boolean)
+  )];
+
+  const query = { nameKey: { $in: nameKeys } };
+  if (projectId) query.project = projectId;
+
+  const labels = await Label.find(query, '_id nameKey');
+
+  if (match === 'all') {
+    // Each name may exist in several projects, so match any of its ids
+    return {
+      $and: nameKeys.map(nameKey => ({
+        labels: { $in: labels.filter(label => label.nameKey === nameKey).map(label => label._id) }
+      }))
+    };
+  }
+
+  return { labels: { $in: labels.map(label => label._id) } };
+};
+
+/**
+ * Merge one label into another: bugs keep their tagging and the merged
+ * label's names live on in the target's history
+ * @param {Object} source - Label being merged away
+ * @param {Object} target - Label that remains
+ * @param {Object} [actor] - User making the change
+ * @returns {Promise<Object>} Saved target label
+ */
+const mergeLabels = async (source, target, actor) => {
+  await Bug.updateMany({ labels: source._id }, { $addToSet: { labels: target._id } });
+  await Bug.updateMany({ labels: source._id }, { $pull: { labels: source._id } });
+
+  target.history.push(...source.history, { action: 'merged', from: source.name, by: actor && actor.name });
+  const saved = await target.save();
+  await source.deleteOne();
+
+  console.log(`🏷️ Merged label "${source.name}" into "${target.name}"`);
+  return saved;
+};
+
+/**
+ * Delete a label and remove it from every bug
+ * @param {Object} label - Label document
+ */
+const deleteLabel = async (label) => {
+  await Bug.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+  await label.deleteOne();
+};
+
+module.exports = {
+  resolveLabels,
+  buildLabelFilter,
+  mergeLabels,
+  deleteLabel
+};
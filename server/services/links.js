@@ -0,0 +1,122 @@
+const Bug = require('../models/Bug');
+const { ApiError } = require('../middleware/errorHandler');
+const { LINK_TYPES, isLinkType, inverseLinkType } = require('../config/links');
+
+/**
+ * Links service
+ * Adds and removes typed relationships between bugs, keeping both sides in
+ * step and refusing links that would create a cycle
+ */
+
+// Link types that must not form cycles (A blocks B blocks A)
+const ACYCLIC_TYPES = new Set(['blocks', 'blocked_by', 'duplicates', 'duplicated_by']);
+
+/**
+ * Check whether `from` reaches `to` by following links of one type
+ * @param {ObjectId} from - Bug to start from
+ * @param {ObjectId} to - Bug being looked for
+ * @param {string} type - Link type to follow
+ * @returns {Promise<boolean>}
+ */
+const reaches = async (from, to, type) => {
+  const seen = new Set([String(from)]);
+  let frontier = [from];
+
+  while (frontier.length > 0) {
+    const bugs = await Bug.find({ _id: { $in: frontier } }, 'links');
+    const next = bugs
+      .flatMap(bug => bug.links.filter(link => link.type === type).map(link => link.bug))
+      .filter(id => !seen.has(String(id)));
+
+    if (next.some(id => id.equals(to))) return true;
+
+    next.forEach(id => seen.add(String(id)));
+    frontier = next;
+  }
+
+  return false;
+};
+
+/**
+ * Link two bugs
+ * @param {Object} source - Bug document the link is added from
+ * @param {string} type - Link type as seen from the source (e.g. blocks)
+ * @param {Object} target - Bug document on the other end
+ * @param {Object} [actor] - User adding the link
+ * @throws {ApiError} 400 for unknown types, self links, duplicates and cycles
+ */
+const addLink = async (source, type, target, actor) => {
+  if (!isLinkType(type)) {
+    throw new ApiError(`Unknown link type "${type}". Valid types: ${Object.keys(LINK_TYPES).join(', ')}`, 400);
+  }
+
+  if (source._id.equals(target._id)) {
+    throw new ApiError('A bug cannot be linked to itself', 400);
+  }
+
+  if (source.links.some(link => link.type === type && link.bug.equals(target._id))) {
+    throw new ApiError(`${source.key} already ${type.replace('_', ' ')} ${target.key}`, 400);
+  }
+
+  if (type === 'duplicates' && source.links.some(link => link.type === 'duplicates')) {
+    throw new ApiError(`${source.key} is already marked as a duplicate of another bug`, 400);
+  }
+
+  if (type === 'duplicated_by' && target.links.some(link => link.type === 'duplicates')) {
+    throw new ApiError(`${target.key} is already marked as a duplicate of another bug`, 400);
+  }
+
+  // Adding source → target closes a loop when target already reaches source
+  if (ACYCLIC_TYPES.has(type) && await reaches(target._id, source._id, type)) {
+    throw new ApiError(
+      `Linking ${source.key} ${type.replace('_', ' ')} ${target.key} would create a cycle`,
+      400
+    );
+  }
+
+  const createdBy = actor && actor._id;
+
+  await Bug.updateOne(
+    { _id: source._id },
+    { $push: { links: { type, bug: target._id, createdBy } } }
+  );
+  await Bug.updateOne(
+    { _id: target._id },
+    { $push: { links: { type: inverseLinkType(type), bug: source._id, createdBy } } }
+  );
+
+  console.log(`🔗 Linked ${source.key} ${type} ${target.key}`);
+};
+
+/**
+ * Remove a link from both bugs
+ * @param {Object} source - Bug document the link is removed from
+ * @param {string} type - Link type as seen from the source
+ * @param {Object} target - Bug document on the other end
+ * @returns {Promise<boolean>} False when there was no such link
+ */
+const removeLink = async (source, type, target) => {
+  if (!source.links.some(link => link.type === type && link.bug.equals(target._id))) {
+    return false;
+  }
+
+  await Bug.updateOne({ _id: source._id }, { $pull: { links: { type, bug: target._id } } });
+  await Bug.updateOne({ _id: target._id }, { $pull: { links: { type: inverseLinkType(type), bug: source._id } } });
+
+  console.log(`✂️ Unlinked ${source.key} ${type} ${target.key}`);
+  return true;
+};
+
+/**
+ * Remove every link pointing at a bug (used when the bug is deleted)
+ * @param {Object} bug - Bug document
+ */
+const removeAllLinks = async (bug) => {
+  await Bug.updateMany({ 'links.bug': bug._id }, { $pull: { links: { bug: bug._id } } });
+};
+
+module.exports = {
+  addLink,
+  removeLink,
+  removeAllLinks
+};
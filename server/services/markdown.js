@@ -0,0 +1,61 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Markdown service
+ * Descriptions and comments are written in Markdown and rendered here, on
+ * save, to HTML that is safe to show as-is: anything outside the allow-list
+ * (scripts, event handlers, javascript: links, remote images) is stripped.
+ */
+
+// Images may only point at the bug's own attachments: ![screenshot](attachment:<id>)
+const ATTACHMENT_SRC = /^attachment:([a-f0-9]{24})$/i;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'em', 'del', 'blockquote', 'ul', 'ol', 'li', 'pre', 'code',
+    'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['alt', 'data-attachment'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+    img: (tagName, attribs) => {
+      const match = ATTACHMENT_SRC.exec(attribs.src || '');
+      return {
+        tagName,
+        attribs: match ? { alt: attribs.alt || '', 'data-attachment': match[1].toLowerCase() } : {}
+      };
+    }
+  },
+  // Drop images that did not point at an attachment
+  exclusiveFilter: (frame) => frame.tag === 'img' && !frame.attribs['data-attachment']
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} text - Markdown source
+ * @returns {string} HTML safe to insert into the page
+ */
+const renderMarkdown = (text) => {
+  if (!text) return '';
+
+  const html = marked.parse(String(text), { gfm: true, breaks: true });
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,55 @@
+const User = require('../models/User');
+
+/**
+ * Mentions service
+ * Finds @username mentions in comment text and matches them to users
+ */
+
+// An @ that starts a word (so e-mail addresses are not mentions), then a username
+const MENTION_PATTERN = /(^|[^\w@.-])@([a-z0-9_.-]{2,30})/gi;
+
+// Code is quoted text; an @name inside it is not a mention
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g;
+
+/**
+ * List the usernames mentioned in a text
+ * @param {string} text - Comment text (Markdown)
+ * @returns {string[]} Lowercased usernames, each once, in order of appearance
+ */
+const parseMentions = (text) => {
+  const usernames = [];
+  const withoutCode = String(text || '').replace(CODE_PATTERN, ' ');
+
+  for (const match of withoutCode.matchAll(MENTION_PATTERN)) {
+    // Sentence punctuation after a name ("ask @alice.") is not part of it
+    const username = match[2].toLowerCase().replace(/[.-]+$/, '');
+    if (username.length >= 2 && !usernames.includes(username)) {
+      usernames.push(username);
+    }
+  }
+
+  return usernames;
+};
+
+/**
+ * Resolve the mentions in a text against the user directory
+ * Names that do not belong to a user are ignored
+ * @param {string} text - Comment text
+ * @returns {Promise<Array<{ user: ObjectId, username: string }>>}
+ */
+const resolveMentions = async (text) => {
+  const usernames = parseMentions(text);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames } }, 'username');
+  const byUsername = new Map(users.map(user => [user.username, user]));
+
+  return usernames
+    .filter(username => byUsername.has(username))
+    .map(username => ({ user: byUsername.get(username)._id, username }));
+};
+
+module.exports = {
+  parseMentions,
+  resolveMentions
+};
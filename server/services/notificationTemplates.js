@@ -0,0 +1,119 @@
+/**
+ * Notification templates
+ * Turn a bug event into the { title, text } sent to outside channels.
+ * Templates use {{placeholders}} with dotted paths into the event context,
+ * and {{path|fallback}} for values that may be empty.
+ */
+
+// Longest comment excerpt included in a channel message
+const EXCERPT_LENGTH = 280;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Default templates by event type
+ * "<type>:customer" variants are used for bugs from customer feedback
+ */
+const DEFAULT_TEMPLATES = {
+  'bug.created': {
+    title: '🐛 New Bug {{bug.key}}: {{bug.title}}',
+    text: 'Priority: {{bug.priority}}\nReported by: {{bug.reportedBy}}\nSource: {{bug.source}}\nAssigned to: {{bug.assignedTo|Unassigned}}'
+  },
+  'bug.created:customer': {
+    title: '📣 Customer Feedback → Bug {{bug.key}}',
+    text: '{{bug.title}}\nPriority: {{bug.priority}}\nCustomer: {{customer.name}} ({{customer.email|n/a}})'
+  },
+  'bug.status_changed': {
+    title: '🔄 {{bug.key}} moved to {{to}}',
+    text: '{{bug.title}}\n{{from}} → {{to}} by {{actor}}'
+  },
+  'bug.assigned': {
+    title: '👤 {{bug.key}} assigned to {{to|nobody}}',
+    text: '{{bug.title}}\nAssigned by {{actor}}'
+  },
+  'bug.priority_changed': {
+    title: '⚡ {{bug.key}} priority changed to {{to}}',
+    text: '{{bug.title}}\n{{from}} → {{to}} by {{actor}}'
+  },
+  'comment.added': {
+    title: '💬 New comment on {{bug.key}}',
+    text: '{{bug.title}}\n{{actor}}: {{comment}}'
+  }
+};
+
+/**
+ * Look up a dotted path in an object
+ */
+const lookup = (context, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  context
+);
+
+/**
+ * Fill in a template's placeholders
+ * @param {string} template - Text with {{placeholders}}
+ * @param {Object} context - Values (see buildContext)
+ * @returns {string}
+ */
+const renderTemplate = (template, context) => String(template || '').replace(
+  PLACEHOLDER_PATTERN,
+  (match, path, fallback = '') => {
+    const value = lookup(context, path);
+    return value === undefined || value === null || value === '' ? fallback : String(value);
+  }
+);
+
+/**
+ * Build the values templates can use from a bug event
+ * @param {Object} event - Bug event (see services/bugEvents.js)
+ * @returns {Object} { event, bug, actor, from, to, reason, comment, customer }
+ */
+const buildContext = (event) => {
+  const { bug } = event;
+  const comment = event.comment ? String(event.comment.message).replace(/\s+/g, ' ').trim() : '';
+
+  return {
+    event: event.type,
+    bug: {
+      id: String(bug._id),
+      key: bug.key,
+      title: bug.title,
+      status: bug.status,
+      priority: bug.priority,
+      severity: bug.severity,
+      source: bug.source,
+      reportedBy: bug.reportedBy,
+      assignedTo: bug.assignedTo
+    },
+    actor: (event.actor && event.actor.name) || 'system',
+    from: event.from,
+    to: event.to,
+    reason: event.reason,
+    comment: comment.length > EXCERPT_LENGTH ? `${comment.slice(0, EXCERPT_LENGTH - 1)}…` : comment,
+    customer: bug.customer ? { name: bug.customer.name, email: bug.customer.email, tier: bug.customer.tier } : {}
+  };
+};
+
+/**
+ * Render the message for an event
+ * @param {Object} event - Bug event
+ * @param {Object} [override] - { title, text } from a rule; missing parts use the default
+ * @returns {{ title: string, text: string, data: Object }} Message; data is the context
+ */
+const renderMessage = (event, override = {}) => {
+  const context = buildContext(event);
+  const defaults = DEFAULT_TEMPLATES[`${event.type}:${context.bug.source}`] || DEFAULT_TEMPLATES[event.type];
+
+  return {
+    title: renderTemplate((override && override.title) || defaults.title, context),
+    text: renderTemplate((override && override.text) || defaults.text, context),
+    data: context
+  };
+};
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  renderTemplate,
+  buildContext,
+  renderMessage
+};
@@ -0,0 +1,166 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { subscribe } = require('./bugEvents');
+
+/**
+ * Notifications service
+ * Turns bug activity into notifications for the people involved: users
+ * @mentioned in comments, project members when a bug is filed, and the
+ * watchers of a bug when it changes.
+ * Nobody is notified of their own actions, and users only receive the
+ * types switched on in their notification preferences.
+ */
+
+// Longest comment excerpt quoted in a notification
+const EXCERPT_LENGTH = 140;
+
+/**
+ * Shorten comment text for a notification
+ * @param {string} text - Comment text
+ * @returns {string}
+ */
+const excerpt = (text) => {
+  const flat = String(text).replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+};
+
+/**
+ * Name shown for whoever caused a notification
+ */
+const displayName = (actor) => (actor && actor.name) || 'Someone';
+
+/**
+ * Create one notification per recipient
+ * Drops the actor, duplicates and users who switched this type off
+ * @param {string} type - Notification type (see config/notifications.js)
+ * @param {Array} recipientIds - User ObjectIds
+ * @param {Object} fields - { bug, actor, comment, message }
+ * @returns {Promise<Object[]>} Created notifications
+ */
+const createNotifications = async (type, recipientIds, { bug, actor, comment, message }) => {
+  const ids = [...new Set(recipientIds.map(String))]
+    .filter(id => !(actor && actor._id && String(actor._id) === id));
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids } }, 'notificationPreferences');
+  const recipients = users.filter(user => user.wantsNotification(type));
+  if (recipients.length === 0) return [];
+
+  const notifications = await Notification.insertMany(recipients.map(user => ({
+    recipient: user._id,
+    type,
+    bug: bug._id,
+    bugKey: bug.key,
+    comment: comment && comment._id,
+    actor: displayName(actor),
+    actorId: actor && actor._id,
+    message
+  })));
+
+  console.log(`🔔 Sent ${notifications.length} ${type} notification(s) on ${bug.key}`);
+  return notifications;
+};
+
+/**
+ * Notify the users mentioned in a comment
+ * The author is never notified of their own mention
+ * @param {Object} bug - Bug document
+ * @param {Object} comment - Comment subdocument
+ * @param {Object} actor - User who wrote the comment
+ * @param {Array} mentions - { user, username } entries to notify
+ * @returns {Promise<Object[]>} Created notifications
+ */
+const notifyMentions = (bug, comment, actor, mentions) => createNotifications(
+  'mention',
+  mentions.map(mention => mention.user),
+  {
+    bug,
+    actor,
+    comment,
+    message: `${displayName(actor)} mentioned you on ${bug.key}: "${excerpt(comment.message)}"`
+  }
+);
+
+/**
+ * Notify everyone watching a bug
+ * @param {string} type - Notification type
+ * @param {Object} event - Bug event ({ bug, actor, ... })
+ * @param {string} message - Notification text
+ * @param {Array} [exclude] - User ObjectIds to leave out
+ * @returns {Promise<Object[]>} Created notifications
+ */
+const notifyWatchers = (type, event, message, exclude = []) => {
+  const skip = exclude.map(String);
+  const watchers = (event.bug.watchers || []).filter(id => !skip.includes(String(id)));
+
+  return createNotifications(type, watchers, { bug: event.bug, actor: event.actor, comment: event.comment, message });
+};
+
+/**
+ * Notify the members of a new bug's project
+ * Watchers (the reporter and assignee) are left out; the assignee already
+ * gets an assignment notification for the same bug
+ * @param {Object} event - bug.created event ({ bug, actor })
+ * @returns {Promise<Object[]>} Created notifications
+ */
+const notifyProjectMembers = async (event) => {
+  const { bug, actor } = event;
+  const project = bug.project && await Project.findById(bug.project, 'members');
+  if (!project) return [];
+
+  const watchers = (bug.watchers || []).map(String);
+  const members = project.members.filter(id => !watchers.includes(String(id)));
+
+  return createNotifications('new_bug', members, {
+    bug,
+    actor,
+    message: `${displayName(actor)} filed ${bug.key}: ${bug.title}`
+  });
+};
+
+let subscribed = false;
+
+/**
+ * Start notifying watchers about bug events
+ * Safe to call more than once
+ */
+const subscribeToBugEvents = () => {
+  if (subscribed) return;
+  subscribed = true;
+
+  subscribe('bug.created', notifyProjectMembers);
+
+  subscribe('bug.status_changed', event => notifyWatchers(
+    'status_change',
+    event,
+    `${displayName(event.actor)} moved ${event.bug.key} from ${event.from} to ${event.to}`
+  ));
+
+  subscribe('bug.assigned', event => notifyWatchers(
+    'assignment',
+    event,
+    event.to
+      ? `${displayName(event.actor)} assigned ${event.bug.key} to ${event.to}`
+      : `${displayName(event.actor)} unassigned ${event.bug.key}`
+  ));
+
+  subscribe('bug.priority_changed', event => notifyWatchers(
+    'priority_change',
+    event,
+    `${displayName(event.actor)} changed the priority of ${event.bug.key} from ${event.from} to ${event.to}`
+  ));
+
+  // People @mentioned in the comment already got a mention notification
+  subscribe('comment.added', event => notifyWatchers(
+    'comment',
+    event,
+    `${displayName(event.actor)} commented on ${event.bug.key}: "${excerpt(event.comment.message)}"`,
+    (event.comment.mentions || []).map(mention => mention.user)
+  ));
+};
+
+module.exports = {
+  notifyMentions,
+  subscribeToBugEvents
+};
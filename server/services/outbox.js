@@ -0,0 +1,171 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const { sendToChannel } = require('./channels');
+const {
+  OUTBOX_BASE_DELAY_MS,
+  OUTBOX_MAX_DELAY_MS,
+  OUTBOX_POLL_INTERVAL_MS,
+  OUTBOX_LOCK_TIMEOUT_MS
+} = require('../config/channels');
+
+/**
+ * Outbox service
+ * Channel messages are saved first and delivered afterwards, so a slow or
+ * broken channel never holds up a request and failures are retried with
+ * exponential backoff instead of being dropped.
+ */
+
+// Messages delivered per outbox run
+const BATCH_SIZE = 20;
+
+let workerTimer = null;
+let running = null;
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+const backoffDelay = (attempts) => Math.min(
+  OUTBOX_BASE_DELAY_MS * (2 ** Math.max(0, attempts - 1)),
+  OUTBOX_MAX_DELAY_MS
+);
+
+/**
+ * Claim the next due message so no other run sends it too
+ * Messages left "sending" by a run that died are claimed again after a while
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed message
+ */
+const claimNext = (now) => OutboxMessage.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - OUTBOX_LOCK_TIMEOUT_MS) } }
+    ]
+  },
+  { status: 'sending', lockedAt: now },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+/**
+ * Try to deliver one claimed message and record the outcome
+ * @param {Object} message - OutboxMessage document
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} 'sent', 'retry' or 'failed'
+ */
+const deliver = async (message, now) => {
+  message.attempts += 1;
+  message.lockedAt = undefined;
+
+  try {
+    await sendToChannel(message.channel, message.target, message.payload);
+    message.status = 'sent';
+    message.sentAt = new Date();
+    message.lastError = undefined;
+    await message.save();
+    console.log(`📤 Delivered ${message.event} for ${message.bugKey || 'test'} via ${message.channel}`);
+    return 'sent';
+  } catch (error) {
+    message.lastError = error.message;
+
+    if (message.attempts >= message.maxAttempts) {
+      message.status = 'failed';
+      await message.save();
+      console.error(`❌ Giving up on ${message.channel} message ${message._id} after ${message.attempts} attempts: ${error.message}`);
+      return 'failed';
+    }
+
+    message.status = 'pending';
+    message.nextAttemptAt = new Date(now.getTime() + backoffDelay(message.attempts));
+    await message.save();
+    console.log(`⚠️ ${message.channel} delivery failed (${error.message}); retrying at ${message.nextAttemptAt.toISOString()}`);
+    return 'retry';
+  }
+};
+
+/**
+ * Deliver every message that is due
+ * @param {Object} [options] - { now, limit }
+ * @returns {Promise<Object>} Counts: { sent, retry, failed }
+ */
+const processOutbox = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const results = { sent: 0, retry: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i += 1) {
+    const message = await claimNext(now);
+    if (!message) break;
+
+    const outcome = await deliver(message, now);
+    results[outcome] += 1;
+  }
+
+  return results;
+};
+
+/**
+ * Run the outbox now unless a run is already in progress
+ * Errors are logged; the messages stay due for the next run
+ */
+const runOutbox = () => {
+  if (!running) {
+    running = processOutbox()
+      .catch(error => console.error('❌ Outbox run failed:', error.message))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+};
+
+/**
+ * Save messages to the outbox
+ * With the worker running they are delivered right away, without waiting for the next poll
+ * @param {Object[]} messages - OutboxMessage fields
+ * @returns {Promise<Object[]>} Saved messages
+ */
+const enqueueMessages = async (messages) => {
+  if (messages.length === 0) return [];
+
+  const saved = await OutboxMessage.insertMany(messages);
+  if (workerTimer) setImmediate(runOutbox);
+  return saved;
+};
+
+/**
+ * Move a failed message back into the queue with a fresh set of attempts
+ * @param {Object} message - OutboxMessage document
+ * @returns {Promise<Object>} Saved message
+ */
+const retryMessage = async (message) => {
+  message.status = 'pending';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date();
+  message.lastError = undefined;
+
+  const saved = await message.save();
+  if (workerTimer) setImmediate(runOutbox);
+  return saved;
+};
+
+/**
+ * Periodically deliver due outbox messages
+ * @param {number} [intervalMs] - Poll interval
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startOutboxWorker = (intervalMs = OUTBOX_POLL_INTERVAL_MS) => {
+  console.log(`📬 Outbox worker checking every ${Math.round(intervalMs / 1000)}s`);
+
+  workerTimer = setInterval(runOutbox, intervalMs);
+
+  // Do not keep the process alive just for the worker
+  workerTimer.unref();
+  return workerTimer;
+};
+
+module.exports = {
+  backoffDelay,
+  processOutbox,
+  enqueueMessages,
+  retryMessage,
+  startOutboxWorker
+};
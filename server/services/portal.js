@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const Bug = require('../models/Bug');
+const UsedFormToken = require('../models/UsedFormToken');
+const { ApiError } = require('../middleware/errorHandler');
+const { hmacSha256, safeEqual } = require('../utils/signatures');
+const { createFeedbackBug } = require('./feedback');
+const { publish } = require('./bugEvents');
+const { getWorkflowForBug, getStatusCategory } = require('./workflow');
+const {
+  PORTAL_MIN_SUBMIT_SECONDS,
+  PORTAL_FORM_MAX_AGE_SECONDS,
+  getPortalSecret,
+  getPortalProject
+} = require('../config/portal');
+
+/**
+ * Public feedback portal
+ * Customers file reports without an account and get a secret tracking link.
+ * Only a hash of the link's token is stored; whoever holds the link can see
+ * the report's status and public comments and add more information.
+ */
+
+// Stands in for a user when a report comes from the portal
+const PORTAL_ACTOR = { name: 'Feedback portal' };
+
+const hashTrackingToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const signFormToken = (issuedAt, nonce) => hmacSha256(getPortalSecret(), `feedback-form:${issuedAt}:${nonce}`);
+
+/**
+ * Issue a token for a freshly loaded feedback form
+ * The form sends it back so we can tell how long it took to fill in; the
+ * random nonce lets each form file only one report
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} "<issued at>.<nonce>.<signature>"
+ */
+const issueFormToken = (now = Date.now()) => {
+  const issuedAt = Math.floor(now / 1000);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return `${issuedAt}.${nonce}.${signFormToken(issuedAt, nonce)}`;
+};
+
+/**
+ * Throw an ApiError unless a form token is genuine and the form was filled in at human speed
+ * @param {string} token - Token from issueFormToken
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} The token's nonce
+ */
+const assertFormToken = (token, now = Date.now()) => {
+  const [issuedAt, nonce, signature] = String(token || '').split('.');
+  if (!issuedAt || !nonce || !safeEqual(signature, signFormToken(issuedAt, nonce))) {
+    throw new ApiError('Invalid form token, please reload the page', 400);
+  }
+
+  const age = now / 1000 - Number(issuedAt);
+  if (age < PORTAL_MIN_SUBMIT_SECONDS) {
+    throw new ApiError('That was quick! Please check your report and send it again', 400);
+  }
+  if (age > PORTAL_FORM_MAX_AGE_SECONDS) {
+    throw new ApiError('This form has expired, please reload the page', 400);
+  }
+
+  return nonce;
+};
+
+/**
+ * Check a form token and mark it as used
+ * @param {string} token - Token from issueFormToken
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<string>} The token's nonce, for releaseFormToken
+ * @throws {ApiError} 400 when the token is not valid or was already used
+ */
+const redeemFormToken = async (token, now = Date.now()) => {
+  const nonce = assertFormToken(token, now);
+
+  try {
+    await UsedFormToken.create({ _id: nonce });
+  } catch (error) {
+    // Another request sent this form first
+    if (error.code !== 11000) throw error;
+    throw new ApiError('This form was already sent, please reload the page', 400);
+  }
+
+  return nonce;
+};
+
+/**
+ * Let a form be sent again, e.g. after its report was rejected
+ * @param {string} nonce - Nonce returned by redeemFormToken
+ */
+const releaseFormToken = (nonce) => UsedFormToken.deleteOne({ _id: nonce });
+
+/**
+ * File a report from the portal
+ * @param {Object} report - { name, email, title, description }
+ * @returns {Promise<{ bug?: Object, trackingToken?: string, errors?: string[] }>}
+ */
+const submitPortalReport = async ({ name, email, title, description }) => {
+  // Saved with the bug, so it is trackable as soon as bug.created goes out
+  const trackingToken = crypto.randomBytes(24).toString('base64url');
+
+  const { bug, errors } = await createFeedbackBug({
+    title,
+    description,
+    project: getPortalProject(),
+    customer: { name, email },
+    trackingTokenHash: hashTrackingToken(trackingToken)
+  }, PORTAL_ACTOR);
+
+  if (errors) return { errors };
+
+  console.log(`📣 Portal report filed as ${bug.key}`);
+  return { bug, trackingToken };
+};
+
+/**
+ * Find the report a tracking token belongs to
+ * @param {string} token - Token from the tracking link
+ * @returns {Promise<Object>} Bug
+ * @throws {ApiError} 404 when no report matches
+ */
+const findTrackedBug = async (token) => {
+  const bug = await Bug.findOne({ trackingTokenHash: hashTrackingToken(token) });
+  if (!bug) {
+    throw new ApiError('Report not found', 404);
+  }
+  return bug;
+};
+
+/**
+ * What the customer sees of their report
+ * Internal comments, assignees, history and everything else staff-only are left out
+ * @param {Object} bug - Bug document
+ * @returns {Promise<Object>}
+ */
+const toPublicReport = async (bug) => {
+  const workflow = await getWorkflowForBug(bug);
+
+  return {
+    key: bug.key,
+    title: bug.title,
+    description: bug.description,
+    descriptionHtml: bug.descriptionHtml,
+    status: bug.status,
+    statusCategory: getStatusCategory(workflow, bug.status),
+    createdAt: bug.createdAt,
+    updatedAt: bug.updatedAt,
+    comments: bug.comments
+      .filter(comment => comment.visibility === 'public' && !comment.deletedAt)
+      .map(comment => {
+        // Customer comments have no account behind them
+        const fromCustomer = !comment.authorId;
+        return {
+          _id: comment._id,
+          author: fromCustomer ? comment.author : 'Support team',
+          fromCustomer,
+          message: comment.message,
+          messageHtml: comment.messageHtml,
+          createdAt: comment.createdAt
+        };
+      })
+  };
+};
+
+/**
+ * Add the customer's follow-up to their report as a public comment
+ * @param {Object} bug - Bug document
+ * @param {string} message - Comment text
+ * @returns {Promise<Object>} The comment
+ */
+const addCustomerComment = async (bug, message) => {
+  const author = { name: (bug.customer && bug.customer.name) || bug.reportedBy };
+
+  await bug.addComment(author, message, [], 'public');
+  const comment = bug.comments[bug.comments.length - 1];
+  await publish('comment.added', { bug, actor: author, comment });
+
+  return comment;
+};
+
+module.exports = {
+  issueFormToken,
+  assertFormToken,
+  redeemFormToken,
+  releaseFormToken,
+  submitPortalReport,
+  findTrackedBug,
+  toPublicReport,
+  addCustomerComment
+};
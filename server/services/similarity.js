@@ -0,0 +1,150 @@
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+
+/**
+ * Similarity service
+ * Finds open bugs that look like a new report, using TF-IDF weighted cosine
+ * similarity over titles and descriptions
+ */
+
+// Only the most recent open bugs are compared
+const MAX_CANDIDATES = 500;
+const DEFAULT_LIMIT = 5;
+const DEFAULT_THRESHOLD = 0.3;
+
+// Title words say more about a bug than description words
+const TITLE_WEIGHT = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'cannot', 'do', 'does', 'for',
+  'from', 'has', 'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of',
+  'on', 'or', 'so', 'that', 'the', 'their', 'then', 'there', 'this', 'to', 'was', 'we', 'when',
+  'where', 'which', 'while', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Reduce a word to a rough stem so "crashes", "crashed" and "crashing" match
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+const stem = (word) => {
+  if (word.length <= 4) return word;
+  return word.replace(/(ing|ed|es|s)$/, '');
+};
+
+/**
+ * Split text into normalised terms
+ * @param {string} text - Free text
+ * @returns {string[]}
+ */
+const tokenize = (text) => (
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem)
+);
+
+/**
+ * Count weighted term frequencies for a bug-like object
+ * @param {Object} doc - { title, description }
+ * @returns {Map<string, number>}
+ */
+const termFrequencies = ({ title, description }) => {
+  const terms = new Map();
+
+  tokenize(title).forEach(term => terms.set(term, (terms.get(term) || 0) + TITLE_WEIGHT));
+  tokenize(description).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+
+  return terms;
+};
+
+/**
+ * Cosine similarity between two term maps under shared IDF weights
+ * @returns {number} 0..1
+ */
+const cosine = (a, b, idf) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  a.forEach((count, term) => {
+    const weight = count * idf(term);
+    normA += weight * weight;
+    if (b.has(term)) dot += weight * b.get(term) * idf(term);
+  });
+  b.forEach((count, term) => {
+    const weight = count * idf(term);
+    normB += weight * weight;
+  });
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Score candidate documents against a query
+ * @param {Object} query - { title, description }
+ * @param {Array<Object>} candidates - Documents with title and description
+ * @returns {Array<{ doc: Object, score: number }>} Sorted by score, highest first
+ */
+const rankBySimilarity = (query, candidates) => {
+  const queryTerms = termFrequencies(query);
+  const candidateTerms = candidates.map(termFrequencies);
+
+  // Document frequency across the candidates and the query itself
+  const documentFrequency = new Map();
+  [queryTerms, ...candidateTerms].forEach(terms => {
+    terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const totalDocuments = candidates.length + 1;
+  const idf = (term) => Math.log((totalDocuments + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+  return candidates
+    .map((doc, index) => ({ doc, score: cosine(queryTerms, candidateTerms[index], idf) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Find open bugs that are likely duplicates of a new report
+ * Bugs in a done status of their project's workflow are ignored
+ * @param {Object} report - { title, description }
+ * @param {Object} [options]
+ * @param {ObjectId} [options.project] - Only compare with bugs in this project
+ * @param {number} [options.limit=5] - Maximum number of matches
+ * @param {number} [options.threshold=0.3] - Minimum similarity score (0..1)
+ * @returns {Promise<Array<{ bug: Object, score: number }>>}
+ */
+const findSimilarBugs = async (report, { project, limit = DEFAULT_LIMIT, threshold = DEFAULT_THRESHOLD } = {}) => {
+  if (tokenize(`${report.title} ${report.description}`).length === 0) {
+    return [];
+  }
+
+  const projects = await Project.find(project ? { _id: project } : {});
+  if (projects.length === 0) return [];
+
+  const openInProject = projects.map(entry => ({
+    project: entry._id,
+    status: {
+      $nin: entry.getWorkflow().statuses
+        .filter(status => status.category === 'done')
+        .map(status => status.name)
+    }
+  }));
+
+  const candidates = await Bug.find({ $or: openInProject })
+    .select('key title description status priority project createdAt')
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES);
+
+  return rankBySimilarity(report, candidates)
+    .filter(match => match.score >= threshold)
+    .slice(0, limit)
+    .map(({ doc, score }) => ({ bug: doc, score: Math.round(score * 100) / 100 }));
+};
+
+module.exports = {
+  tokenize,
+  rankBySimilarity,
+  findSimilarBugs
+};
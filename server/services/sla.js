@@ -0,0 +1,206 @@
+const Project = require('../models/Project');
+const SlaPolicy = require('../models/SlaPolicy');
+const { DEFAULT_WORKFLOW } = require('../config/workflow');
+
+/**
+ * SLA service
+ * Works out response/resolution deadlines for customer bugs from their SLA
+ * policy and status history, and flags breaches
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Split a bug's life into status segments using its status history
+ * @param {Object} bug - Bug document
+ * @param {Date} now - End of the last (current) segment
+ * @returns {Array<{ status: string, start: Date, end: Date }>}
+ */
+const getStatusSegments = (bug, now) => {
+  const history = [...bug.statusHistory].sort((a, b) => a.at - b.at);
+  const initialStatus = history.length > 0 ? history[0].from : bug.status;
+
+  const starts = [{ status: initialStatus, start: bug.createdAt }]
+    .concat(history.map(entry => ({ status: entry.to, start: entry.at })));
+
+  return starts.map((segment, index) => ({
+    ...segment,
+    end: index + 1 < starts.length ? starts[index + 1].start : now
+  }));
+};
+
+/**
+ * Total time spent in pause statuses before a cut-off
+ * @param {Array} segments - Output of getStatusSegments
+ * @param {string[]} pauseStatuses - Statuses that stop the clock
+ * @param {Date} until - Stop counting at this time
+ * @returns {number} Milliseconds
+ */
+const pausedTimeUntil = (segments, pauseStatuses, until) => (
+  segments
+    .filter(segment => pauseStatuses.includes(segment.status))
+    .reduce((total, segment) => {
+      const end = Math.min(segment.end, until);
+      return end > segment.start ? total + (end - segment.start) : total;
+    }, 0)
+);
+
+/**
+ * Compute the SLA block for a bug under a policy
+ * @param {Object} bug - Bug document (statusHistory, createdAt, status, sla)
+ * @param {Object} policy - SlaPolicy
+ * @param {Object} workflow - Project workflow (to recognise done statuses)
+ * @param {Date} [now] - Evaluation time
+ * @returns {Object} Values for bug.sla
+ */
+const computeSla = (bug, policy, workflow, now = new Date()) => {
+  const createdAt = bug.createdAt || now;
+  const pauseStatuses = policy.pauseStatuses || [];
+  const doneStatuses = workflow.statuses
+    .filter(status => status.category === 'done')
+    .map(status => status.name);
+
+  const segments = getStatusSegments(bug, now);
+  const current = segments[segments.length - 1];
+
+  const resolvedAt = doneStatuses.includes(bug.status) ? current.start : null;
+  const firstRespondedAt = (bug.sla && bug.sla.firstRespondedAt) || null;
+
+  // Resolving a bug also answers it
+  const responseEnd = firstRespondedAt || resolvedAt || now;
+  const resolutionEnd = resolvedAt || now;
+
+  const firstResponseDueAt = new Date(
+    createdAt.getTime() + policy.firstResponseMinutes * MINUTE +
+    pausedTimeUntil(segments, pauseStatuses, responseEnd)
+  );
+  const resolutionDueAt = new Date(
+    createdAt.getTime() + policy.resolutionMinutes * MINUTE +
+    pausedTimeUntil(segments, pauseStatuses, resolutionEnd)
+  );
+
+  const firstResponseBreached = responseEnd > firstResponseDueAt;
+  const resolutionBreached = resolutionEnd > resolutionDueAt;
+
+  // A breach happens the moment the earliest missed deadline passes
+  const missedDeadlines = [
+    firstResponseBreached && firstResponseDueAt,
+    resolutionBreached && resolutionDueAt
+  ].filter(Boolean);
+  const breachedAt = missedDeadlines.length > 0 ? new Date(Math.min(...missedDeadlines)) : null;
+
+  return {
+    policy: policy._id,
+    firstResponseDueAt,
+    resolutionDueAt,
+    firstRespondedAt,
+    resolvedAt,
+    pausedSince: !resolvedAt && pauseStatuses.includes(current.status) ? current.start : null,
+    firstResponseBreached,
+    resolutionBreached,
+    breachedAt
+  };
+};
+
+/**
+ * Recompute a bug's SLA block in place
+ * Only customer-reported bugs with a matching policy are tracked
+ * @param {Object} bug - Bug document (not saved here)
+ * @param {Date} [now] - Evaluation time
+ */
+const applySla = async (bug, now = new Date()) => {
+  if (bug.source !== 'customer') {
+    if (bug.sla && bug.sla.policy) bug.sla = undefined;
+    return;
+  }
+
+  const policy = await SlaPolicy.findForBug({
+    project: bug.project,
+    priority: bug.priority,
+    customerTier: bug.customer && bug.customer.tier
+  });
+
+  if (!policy) {
+    if (bug.sla && bug.sla.policy) bug.sla = undefined;
+    return;
+  }
+
+  const project = await Project.findById(bug.project);
+  const workflow = project ? project.getWorkflow() : DEFAULT_WORKFLOW;
+  const sla = computeSla(bug, policy, workflow, now);
+
+  if (sla.breachedAt && !(bug.sla && bug.sla.breachedAt)) {
+    console.log(`⏰ SLA breached on ${bug.key}`);
+  }
+
+  bug.sla = sla;
+};
+
+// SLA values the monitor may need to write back
+const SLA_SWEEP_FIELDS = [
+  'firstResponseDueAt', 'resolutionDueAt', 'pausedSince',
+  'firstResponseBreached', 'resolutionBreached', 'breachedAt'
+];
+
+const sameValue = (a, b) => String(a == null ? '' : a) === String(b == null ? '' : b);
+
+/**
+ * Flag breaches on bugs whose stored deadlines have passed, even when nobody
+ * touches the bug. Paused bugs are left alone (their deadlines move with the
+ * pause), and bugs are only written when their SLA actually changed, without
+ * bumping updatedAt.
+ * @param {Object} Bug - Bug model (passed in to avoid a circular require)
+ * @returns {Promise<number>} Number of bugs updated
+ */
+const checkSlaBreaches = async (Bug) => {
+  const now = new Date();
+
+  const overdue = await Bug.find({
+    'sla.policy': { $exists: true },
+    'sla.resolvedAt': null,
+    'sla.pausedSince': null,
+    $or: [
+      { 'sla.firstRespondedAt': null, 'sla.firstResponseBreached': false, 'sla.firstResponseDueAt': { $lte: now } },
+      { 'sla.resolutionBreached': false, 'sla.resolutionDueAt': { $lte: now } }
+    ]
+  });
+
+  let updated = 0;
+  for (const bug of overdue) {
+    const before = bug.sla.toObject();
+    await applySla(bug, now);
+
+    const sla = bug.sla ? bug.sla.toObject() : null;
+    if (sla && SLA_SWEEP_FIELDS.every(field => sameValue(before[field], sla[field]))) continue;
+
+    await Bug.updateOne({ _id: bug._id }, sla ? { $set: { sla } } : { $unset: { sla: 1 } }, { timestamps: false });
+    updated++;
+  }
+
+  return updated;
+};
+
+/**
+ * Periodically check for SLA breaches
+ * @param {Object} Bug - Bug model
+ * @param {number} [intervalMs] - Check interval
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startSlaMonitor = (Bug, intervalMs = MINUTE) => {
+  console.log(`⏰ SLA monitor checking every ${Math.round(intervalMs / 1000)}s`);
+
+  const timer = setInterval(() => {
+    checkSlaBreaches(Bug).catch(error => console.error('❌ SLA check failed:', error.message));
+  }, intervalMs);
+
+  // Do not keep the process alive just for the monitor
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  computeSla,
+  applySla,
+  checkSlaBreaches,
+  startSlaMonitor
+};
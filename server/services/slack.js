@@ -0,0 +1,325 @@
+const axios = require('axios');
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandler');
+const { assertPermissions } = require('../middleware/auth');
+const { hmacSha256, safeEqual } = require('../utils/signatures');
+const { publish } = require('./bugEvents');
+const { getWorkflowForBug, getStatusNames, getStatusCategory, transitionBug } = require('./workflow');
+const {
+  RESOLVED_STATUS,
+  SLACK_REQUEST_MAX_AGE_SECONDS,
+  SLACK_ACTIONS,
+  getSlackSigningSecret
+} = require('../config/integrations');
+
+/**
+ * Slack app
+ * Handles the /bug slash command and the buttons on bug notifications.
+ * Slack users act as the Bug Tracker account with the same e-mail address,
+ * so the usual permissions and workflow rules apply.
+ */
+
+// Bugs listed by "/bug mine"
+const MINE_LIMIT = 10;
+
+const COMMAND_USAGE = [
+  '*Usage*',
+  '`/bug new <title>` - file a bug',
+  '`/bug status <KEY> <status>` - move a bug, e.g. `/bug status WEB-12 Resolved`',
+  '`/bug mine` - your open bugs'
+].join('\n');
+
+/**
+ * Throw an ApiError unless a request was signed by our Slack app
+ * Slack signs "v0:<timestamp>:<raw body>" with the app's signing secret
+ * @param {Object} req - Express request (with rawBody)
+ * @param {number} [now] - Current time in milliseconds
+ */
+const verifySlackRequest = (req, now = Date.now()) => {
+  const secret = getSlackSigningSecret();
+  if (!secret) {
+    throw new ApiError('The Slack integration is not configured', 503);
+  }
+
+  const timestamp = Number(req.get('X-Slack-Request-Timestamp'));
+  if (!timestamp || Math.abs(now / 1000 - timestamp) > SLACK_REQUEST_MAX_AGE_SECONDS) {
+    throw new ApiError('Slack request timestamp is missing or too old', 401);
+  }
+
+  const expected = `v0=${hmacSha256(secret, `v0:${timestamp}:${req.rawBody || ''}`)}`;
+  if (!safeEqual(req.get('X-Slack-Signature'), expected)) {
+    throw new ApiError('Invalid Slack signature', 401);
+  }
+};
+
+/**
+ * Ask Slack for a member's e-mail address
+ * Needs SLACK_BOT_TOKEN with the users:read.email scope
+ * @returns {Promise<string|null>}
+ */
+const lookupSlackEmail = async (slackUserId) => {
+  if (!process.env.SLACK_BOT_TOKEN) return null;
+
+  try {
+    const response = await axios.get('https://slack.com/api/users.info', {
+      params: { user: slackUserId },
+      headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` },
+      timeout: 5000
+    });
+    return response.data.ok ? response.data.user.profile.email : null;
+  } catch (error) {
+    console.error('❌ Slack users.info failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Find the account a Slack member acts as
+ * Members are linked by e-mail on first use and remembered by Slack ID afterwards
+ * @param {string} slackUserId - Slack member ID
+ * @returns {Promise<Object|null>} User, or null when no account matches
+ */
+const findSlackUser = async (slackUserId) => {
+  const linked = await User.findOne({ slackUserId });
+  if (linked) return linked;
+
+  const email = await lookupSlackEmail(slackUserId);
+  if (!email) return null;
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (user) {
+    await User.updateOne({ _id: user._id }, { slackUserId });
+    console.log(`🔗 Linked Slack member ${slackUserId} to ${user.username}`);
+  }
+  return user;
+};
+
+/**
+ * One-line summary of a bug in Slack markup
+ */
+const bugLine = (bug) => `*${bug.key}* ${bug.title} (${bug.status}, ${bug.priority})`;
+
+/**
+ * Block Kit blocks for a message about a bug: the text plus "Take it" and "Resolve" buttons
+ * @param {string} text - Message text (Slack markup)
+ * @param {string} bugId - Bug the buttons act on
+ * @returns {Object[]}
+ */
+const bugActionBlocks = (text, bugId) => [
+  { type: 'section', text: { type: 'mrkdwn', text } },
+  {
+    type: 'actions',
+    elements: [
+      {
+        type: 'button',
+        action_id: SLACK_ACTIONS.take,
+        text: { type: 'plain_text', text: '🙋 Take it' },
+        value: String(bugId)
+      },
+      {
+        type: 'button',
+        action_id: SLACK_ACTIONS.resolve,
+        text: { type: 'plain_text', text: '✅ Resolve' },
+        style: 'primary',
+        value: String(bugId)
+      }
+    ]
+  }
+];
+
+const reply = (text, visibility = 'ephemeral') => ({ response_type: visibility, text });
+
+/**
+ * /bug new <title>
+ */
+const createFromSlack = async (title, user) => {
+  assertPermissions(user, ['bugs:create']);
+  if (!title) return reply(COMMAND_USAGE);
+
+  const project = await Project.getDefault();
+  const bug = await Bug.create({
+    project: project._id,
+    title,
+    description: `Filed from Slack by ${user.name}`,
+    reportedBy: user.name,
+    reporter: user._id
+  });
+
+  await publish('bug.created', { bug, actor: user });
+
+  const text = `🐛 ${user.name} filed ${bugLine(bug)}`;
+  return { ...reply(text, 'in_channel'), blocks: bugActionBlocks(text, bug._id) };
+};
+
+/**
+ * /bug status <KEY> <status>
+ * Status names are matched without regard to case
+ */
+const changeStatusFromSlack = async (args, user) => {
+  const match = args.match(/^(\S+)\s+(.+)$/);
+  if (!match) return reply(COMMAND_USAGE);
+
+  const bug = await Bug.findByIdOrKey(match[1]);
+  if (!bug) return reply(`⚠️ Bug ${match[1]} not found`);
+
+  const workflow = await getWorkflowForBug(bug);
+  const requested = match[2].trim();
+  const status = getStatusNames(workflow).find(name => name.toLowerCase() === requested.toLowerCase()) || requested;
+
+  if (status === bug.status) return reply(`${bug.key} is already ${bug.status}`);
+
+  assertPermissions(user, ['bugs:status']);
+  const from = bug.status;
+  await transitionBug(bug, status, user);
+
+  return reply(`🔄 ${user.name} moved *${bug.key}* ${bug.title} from ${from} to ${status}`, 'in_channel');
+};
+
+/**
+ * /bug mine - open bugs assigned to the user, most recently updated first
+ */
+const listMineForSlack = async (user) => {
+  const assigned = await Bug.find({ assignedTo: { $in: [user.username, user.name] } }).sort({ updatedAt: -1 });
+
+  const open = [];
+  for (const bug of assigned) {
+    if (open.length === MINE_LIMIT) break;
+    const workflow = await getWorkflowForBug(bug);
+    if (getStatusCategory(workflow, bug.status) !== 'done') open.push(bug);
+  }
+
+  if (open.length === 0) return reply('Nothing open is assigned to you 🎉');
+  return reply([`*Your open bugs*`, ...open.map(bug => `• ${bugLine(bug)}`)].join('\n'));
+};
+
+/**
+ * Turn errors a user can fix into a reply only they see
+ * Anything else is a server error and is thrown
+ */
+const replyWithError = (error) => {
+  if (error instanceof ApiError) return reply(`⚠️ ${error.message}`);
+  if (error.name === 'ValidationError') {
+    return reply(`⚠️ ${Object.values(error.errors).map(entry => entry.message).join(', ')}`);
+  }
+  throw error;
+};
+
+/**
+ * Run a /bug slash command
+ * @param {Object} command - Slack command payload ({ user_id, text, ... })
+ * @returns {Promise<Object>} Message to answer Slack with
+ */
+const runSlashCommand = async (command) => {
+  const user = await findSlackUser(command.user_id);
+  if (!user) {
+    return reply('⚠️ Your Slack account is not linked to a Bug Tracker account. Ask an admin to use the same e-mail address in both.');
+  }
+
+  const text = String(command.text || '').trim();
+  const [subcommand = ''] = text.split(/\s+/);
+  const args = text.slice(subcommand.length).trim();
+
+  console.log(`💬 Slack /bug ${subcommand} from ${user.username}`);
+
+  try {
+    switch (subcommand.toLowerCase()) {
+      case 'new':
+        return await createFromSlack(args, user);
+      case 'status':
+        return await changeStatusFromSlack(args, user);
+      case 'mine':
+        return await listMineForSlack(user);
+      default:
+        return reply(COMMAND_USAGE);
+    }
+  } catch (error) {
+    return replyWithError(error);
+  }
+};
+
+/**
+ * "Take it": assign the bug to the user who pressed the button
+ */
+const takeBug = async (bug, user) => {
+  assertPermissions(user, ['bugs:assign']);
+  if (bug.assignedTo === user.username) return reply(`${bug.key} is already yours`);
+
+  const from = bug.assignedTo;
+  bug.assignedTo = user.username;
+  await bug.save();
+  await publish('bug.assigned', { bug, actor: user, from, to: bug.assignedTo });
+
+  return reply(`🙋 ${user.name} took *${bug.key}* ${bug.title}`, 'in_channel');
+};
+
+/**
+ * "Resolve": move the bug to the resolved status through its workflow
+ */
+const resolveBug = async (bug, user) => {
+  assertPermissions(user, ['bugs:status']);
+  if (bug.status === RESOLVED_STATUS) return reply(`${bug.key} is already ${RESOLVED_STATUS}`);
+
+  await transitionBug(bug, RESOLVED_STATUS, user);
+  return reply(`✅ ${user.name} resolved *${bug.key}* ${bug.title}`, 'in_channel');
+};
+
+/**
+ * Handle a button press on a bug message
+ * @param {Object} payload - Slack interaction payload (type block_actions)
+ * @returns {Promise<Object|null>} Message for the channel, or null for unknown actions and malformed payloads
+ */
+const handleSlackAction = async (payload) => {
+  if (!payload || typeof payload !== 'object') return null;
+
+  const action = Array.isArray(payload.actions) ? payload.actions[0] : null;
+  const slackUserId = payload.user && payload.user.id;
+  const handlers = {
+    [SLACK_ACTIONS.take]: takeBug,
+    [SLACK_ACTIONS.resolve]: resolveBug
+  };
+
+  if (payload.type !== 'block_actions' || !action || !handlers[action.action_id]) return null;
+
+  // Malformed payloads are ignored like unknown actions
+  if (typeof slackUserId !== 'string' || typeof action.value !== 'string') return null;
+
+  const user = await findSlackUser(slackUserId);
+  if (!user) {
+    return reply('⚠️ Your Slack account is not linked to a Bug Tracker account.');
+  }
+
+  console.log(`🔘 Slack ${action.action_id} on ${action.value} by ${user.username}`);
+
+  try {
+    const bug = await Bug.findByIdOrKey(action.value);
+    if (!bug) return reply('⚠️ That bug no longer exists');
+
+    return await handlers[action.action_id](bug, user);
+  } catch (error) {
+    return replyWithError(error);
+  }
+};
+
+/**
+ * Post a reply to a Slack response_url
+ * Button presses are answered this way; failures are only logged
+ * @param {string} responseUrl - From the interaction payload
+ * @param {Object} message - Slack message
+ */
+const respondToSlack = async (responseUrl, message) => {
+  try {
+    await axios.post(responseUrl, { replace_original: false, ...message }, { timeout: 5000 });
+  } catch (error) {
+    console.error('❌ Could not reply to Slack:', error.message);
+  }
+};
+
+module.exports = {
+  verifySlackRequest,
+  bugActionBlocks,
+  runSlashCommand,
+  handleSlackAction,
+  respondToSlack
+};
@@ -0,0 +1,324 @@
+const Bug = require('../models/Bug');
+const User = require('../models/User');
+const { ApiError } = require('../middleware/errorHandler');
+const { hmacSha256, safeEqual } = require('../utils/signatures');
+const { publish } = require('./bugEvents');
+const { SYSTEM_ACTOR, getWorkflowForBug, getStatusCategory, transitionBug } = require('./workflow');
+const {
+  RESOLVED_STATUS,
+  CLOSING_KEYWORDS,
+  REFERENCE_KEYWORDS,
+  getSourceControlSecret
+} = require('../config/integrations');
+
+/**
+ * Source control integration
+ * Reads GitHub and GitLab push and pull/merge request webhooks, links the
+ * commits and pull requests to the bugs they mention, comments on those bugs,
+ * and resolves bugs named after a closing keyword ("Fixes WEB-42").
+ *
+ * A bug is referenced by key (WEB-42) or by ID (#<id>). Commits only resolve
+ * bugs once they reach the default branch, pull requests once they are merged.
+ */
+
+const PROVIDER_NAMES = { github: 'GitHub', gitlab: 'GitLab' };
+
+const REF_SOURCE = '(?:[A-Za-z][A-Za-z0-9]{1,9}-\\d+|#[0-9a-fA-F]{24})';
+const REFERENCE_PATTERN = new RegExp(
+  `\\b(${[...CLOSING_KEYWORDS, ...REFERENCE_KEYWORDS].join('|')})\\b:?\\s+` +
+  `(${REF_SOURCE}(?:\\s*(?:,|and|&)\\s*${REF_SOURCE})*)`,
+  'gi'
+);
+
+/**
+ * Find the bug references in a commit message or pull request text
+ * "Fixes WEB-1, WEB-2" resolves both; "Refs #<id>" only links
+ * @param {string} text - Message to scan
+ * @returns {Array<{ ref: string, resolves: boolean }>} Bug keys (uppercased) or IDs, each once
+ */
+const parseReferences = (text) => {
+  const references = new Map();
+
+  for (const match of String(text || '').matchAll(REFERENCE_PATTERN)) {
+    const resolves = CLOSING_KEYWORDS.includes(match[1].toLowerCase());
+
+    for (const [raw] of match[2].matchAll(new RegExp(REF_SOURCE, 'g'))) {
+      const ref = raw.startsWith('#') ? raw.slice(1).toLowerCase() : raw.toUpperCase();
+      references.set(ref, resolves || Boolean(references.get(ref)));
+    }
+  }
+
+  return [...references].map(([ref, resolves]) => ({ ref, resolves }));
+};
+
+/**
+ * Throw an ApiError unless a webhook request really comes from the provider
+ * GitHub sends an HMAC-SHA256 of the raw body; GitLab sends the shared token
+ * @param {string} provider - 'github' or 'gitlab'
+ * @param {Object} req - Express request (with rawBody)
+ */
+const verifySourceControlRequest = (provider, req) => {
+  const secret = getSourceControlSecret(provider);
+  if (!secret) {
+    throw new ApiError(`The ${PROVIDER_NAMES[provider]} integration is not configured`, 503);
+  }
+
+  const valid = provider === 'github'
+    ? safeEqual(req.get('X-Hub-Signature-256'), `sha256=${hmacSha256(secret, req.rawBody || '')}`)
+    : safeEqual(req.get('X-Gitlab-Token'), secret);
+
+  if (!valid) {
+    throw new ApiError('Invalid webhook signature', 401);
+  }
+};
+
+const firstLine = (text) => String(text || '').split('\n')[0].trim();
+
+/**
+ * Whether a push went to the repository's default branch
+ * An unknown default branch never counts, so such pushes only link bugs
+ * @param {string} ref - Pushed ref, e.g. refs/heads/main
+ * @param {Object} [repository] - Repository or project from the payload
+ */
+const isDefaultBranchPush = (ref, repository) => {
+  const defaultBranch = repository && repository.default_branch;
+  return Boolean(defaultBranch) && ref === `refs/heads/${defaultBranch}`;
+};
+
+/**
+ * Author of a pushed commit; GitHub sends a username, GitLab only a name
+ */
+const commitAuthor = (author) => {
+  const { name, username, email } = author || {};
+  return { name: name || username, email };
+};
+
+/**
+ * Commits of a push, skipping malformed entries without an id
+ */
+const pushedCommits = (payload) => (Array.isArray(payload.commits) ? payload.commits : [])
+  .filter(commit => commit && commit.id);
+
+/**
+ * Turn a GitHub webhook into the commits and pull requests it describes
+ * @param {string} eventName - X-GitHub-Event header
+ * @param {Object} payload - Request body
+ * @returns {Object[]|null} Code items, or null for events that are ignored
+ */
+const readGithubEvent = (eventName, payload) => {
+  const repository = payload.repository && payload.repository.full_name;
+
+  if (eventName === 'push') {
+    if (payload.deleted) return [];
+    const onDefaultBranch = isDefaultBranchPush(payload.ref, payload.repository);
+
+    return pushedCommits(payload).map(commit => ({
+      provider: 'github',
+      kind: 'commit',
+      repository,
+      ref: commit.id,
+      title: firstLine(commit.message),
+      text: commit.message,
+      url: commit.url,
+      author: commitAuthor(commit.author),
+      canResolve: onDefaultBranch
+    }));
+  }
+
+  if (eventName === 'pull_request') {
+    const pr = payload.pull_request;
+    if (!pr) return [];
+    let state = pr.state;
+    if (pr.merged) state = 'merged';
+
+    return [{
+      provider: 'github',
+      kind: 'pull_request',
+      repository,
+      ref: String(pr.number),
+      title: pr.title,
+      text: `${pr.title}\n${pr.body || ''}`,
+      url: pr.html_url,
+      author: { name: pr.user && pr.user.login },
+      state,
+      canResolve: Boolean(pr.merged)
+    }];
+  }
+
+  return null;
+};
+
+/**
+ * Turn a GitLab webhook into the commits and merge requests it describes
+ * @param {string} eventName - X-Gitlab-Event header
+ * @param {Object} payload - Request body
+ * @returns {Object[]|null} Code items, or null for events that are ignored
+ */
+const readGitlabEvent = (eventName, payload) => {
+  const repository = payload.project && payload.project.path_with_namespace;
+
+  if (eventName === 'Push Hook') {
+    const onDefaultBranch = isDefaultBranchPush(payload.ref, payload.project);
+
+    return pushedCommits(payload).map(commit => ({
+      provider: 'gitlab',
+      kind: 'commit',
+      repository,
+      ref: commit.id,
+      title: commit.title || firstLine(commit.message),
+      text: commit.message,
+      url: commit.url,
+      author: commitAuthor(commit.author),
+      canResolve: onDefaultBranch
+    }));
+  }
+
+  if (eventName === 'Merge Request Hook') {
+    const mr = payload.object_attributes;
+    if (!mr) return [];
+    const state = mr.state === 'opened' ? 'open' : mr.state;
+
+    return [{
+      provider: 'gitlab',
+      kind: 'pull_request',
+      repository,
+      ref: String(mr.iid),
+      title: mr.title,
+      text: `${mr.title}\n${mr.description || ''}`,
+      url: mr.url,
+      author: { name: payload.user && (payload.user.name || payload.user.username) },
+      state,
+      canResolve: state === 'merged'
+    }];
+  }
+
+  return null;
+};
+
+/**
+ * Read a provider's webhook
+ * @param {string} provider - 'github' or 'gitlab'
+ * @param {string} eventName - Event header value
+ * @param {Object} payload - Request body
+ * @returns {Object[]|null} Code items, or null for events that are ignored
+ */
+const readSourceControlEvent = (provider, eventName, payload) => (
+  provider === 'github' ? readGithubEvent(eventName, payload) : readGitlabEvent(eventName, payload)
+);
+
+/**
+ * Name a commit or pull request, e.g. "commit abc1234" or "pull request acme/web#12"
+ */
+const itemLabel = (item) => {
+  if (item.kind === 'commit') return `commit ${item.ref.slice(0, 7)}`;
+  if (item.provider === 'gitlab') return `merge request ${item.repository}!${item.ref}`;
+  return `pull request ${item.repository}#${item.ref}`;
+};
+
+/**
+ * Markdown link to a commit or pull request
+ */
+const itemLink = (item) => (item.url ? `[${itemLabel(item)}](${item.url})` : itemLabel(item));
+
+/**
+ * The actor recorded for changes made on behalf of a code author
+ * Acts as the system (so workflow roles do not apply) under the author's name,
+ * tied to their account when the commit e-mail matches one
+ */
+const actorFor = async (item) => {
+  const user = item.author.email ? await User.findOne({ email: item.author.email.toLowerCase() }) : null;
+  return { ...SYSTEM_ACTOR, name: item.author.name || PROVIDER_NAMES[item.provider], _id: user ? user._id : undefined };
+};
+
+/**
+ * Move a bug to the resolved status on behalf of a code author
+ * Bugs that are already done, or whose workflow does not allow the move, are left as they are
+ * @returns {Promise<Object>} { resolved, status?, note? }
+ */
+const resolveFromCode = async (bug, item, actor) => {
+  const workflow = await getWorkflowForBug(bug);
+  if (getStatusCategory(workflow, bug.status) === 'done') {
+    return { resolved: false, note: `Already ${bug.status}` };
+  }
+
+  try {
+    await transitionBug(bug, RESOLVED_STATUS, actor, `Fixed in ${itemLabel(item)}`);
+    return { resolved: true, status: RESOLVED_STATUS };
+  } catch (error) {
+    // e.g. the workflow has no such move, or sub-tasks are still open
+    if (!(error instanceof ApiError)) throw error;
+    return { resolved: false, note: error.message };
+  }
+};
+
+/**
+ * Link one commit or pull request to a bug it mentions
+ * Comments when the link is new or a pull request changed state
+ * @returns {Promise<Object>} Outcome reported back to the provider
+ */
+const applyReference = async (item, reference, actor) => {
+  const bug = await Bug.findByIdOrKey(reference.ref);
+
+  if (!bug) {
+    return { ref: reference.ref, found: false };
+  }
+
+  const change = bug.linkCode({
+    provider: item.provider,
+    kind: item.kind,
+    repository: item.repository,
+    ref: item.ref,
+    title: item.title,
+    url: item.url,
+    author: item.author.name,
+    state: item.state
+  });
+
+  if (change) {
+    const message = change === 'added'
+      ? `🔗 Mentioned in ${itemLink(item)} by ${actor.name}: ${item.title}`
+      : `🔀 Linked ${itemLink(item)} was ${item.state}`;
+
+    await bug.addComment(actor, message);
+    await publish('comment.added', { bug, actor, comment: bug.comments[bug.comments.length - 1] });
+  }
+
+  const outcome = { ref: reference.ref, bug: bug.key, found: true, linked: change };
+
+  if (reference.resolves && item.canResolve) {
+    Object.assign(outcome, await resolveFromCode(bug, item, actor));
+  }
+
+  console.log(`🔗 ${bug.key} ${change || 'already linked'} to ${item.provider} ${item.kind} ${item.ref}${outcome.resolved ? ' and resolved' : ''}`);
+  return outcome;
+};
+
+/**
+ * Apply a provider event's commits and pull requests to the bugs they mention
+ * @param {Object[]} items - From readSourceControlEvent
+ * @returns {Promise<Object[]>} One outcome per bug reference
+ */
+const applyCodeEvent = async (items) => {
+  const outcomes = [];
+
+  // One at a time, so several commits naming the same bug see each other's changes
+  for (const item of items) {
+    const references = parseReferences(item.text);
+    if (references.length === 0) continue;
+
+    const actor = await actorFor(item);
+    for (const reference of references) {
+      outcomes.push(await applyReference(item, reference, actor));
+    }
+  }
+
+  return outcomes;
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  parseReferences,
+  verifySourceControlRequest,
+  readSourceControlEvent,
+  applyCodeEvent
+};
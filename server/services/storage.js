@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ApiError } = require('../middleware/errorHandler');
+const { STORAGE_DRIVER, STORAGE_DIR } = require('../config/attachments');
+
+/**
+ * Attachment storage
+ * Files are addressed by an opaque key; a driver decides where the bytes live.
+ * Every driver provides:
+ *   save(key, buffer)      - store a file
+ *   createReadStream(key)  - stream a stored file
+ *   remove(key)            - delete a file; missing files are ignored
+ */
+
+/**
+ * Create a storage key for a new file
+ * Keys never contain the uploaded filename, so it cannot be used for path tricks
+ * @param {string} [prefix] - Folder for the key, e.g. a bug ID
+ * @returns {string}
+ */
+const createStorageKey = (prefix = '') => (
+  path.posix.join(String(prefix), crypto.randomBytes(16).toString('hex'))
+);
+
+/**
+ * Local filesystem driver
+ * @param {string} root - Directory that holds the files
+ * @returns {Object} Storage driver
+ */
+const createLocalStorage = (root) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new ApiError('Invalid storage key', 400);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage(STORAGE_DIR)
+};
+
+let storage = null;
+
+/**
+ * Register another storage driver (e.g. S3)
+ * @param {string} name - Value of ATTACHMENT_STORAGE that selects it
+ * @param {Function} factory - Returns a driver
+ */
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Get the configured storage driver
+ * @returns {Object} Storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    const factory = drivers[STORAGE_DRIVER];
+    if (!factory) {
+      throw new Error(`Unknown attachment storage driver: ${STORAGE_DRIVER}`);
+    }
+    storage = factory();
+    console.log(`📦 Attachment storage: ${STORAGE_DRIVER}`);
+  }
+  return storage;
+};
+
+module.exports = {
+  createStorageKey,
+  createLocalStorage,
+  registerStorageDriver,
+  getStorage
+};
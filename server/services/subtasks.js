@@ -0,0 +1,124 @@
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const { ApiError } = require('../middleware/errorHandler');
+const { DEFAULT_WORKFLOW } = require('../config/workflow');
+
+/**
+ * Sub-tasks service
+ * Manages parent/child bugs and the progress rolled up onto parents
+ */
+
+/**
+ * List the done status names of a workflow
+ * @param {Object} workflow - Workflow definition
+ * @returns {string[]}
+ */
+const doneStatusNames = (workflow) => (
+  workflow.statuses.filter(status => status.category === 'done').map(status => status.name)
+);
+
+/**
+ * Resolve and check the parent requested for a bug
+ * @param {Object} bug - Bug getting the parent (new or existing)
+ * @param {string|null} parentIdOrKey - Parent ID or key; empty detaches the bug
+ * @returns {Promise<ObjectId|null>} Parent ID
+ * @throws {ApiError} 400 for unknown parents, other projects and cycles
+ */
+const resolveParent = async (bug, parentIdOrKey) => {
+  if (!parentIdOrKey) return null;
+
+  // Anything but a string could be a query operator matching some other bug
+  if (typeof parentIdOrKey !== 'string') {
+    throw new ApiError('parent must be a bug ID or key', 400);
+  }
+
+  const parent = await Bug.findByIdOrKey(parentIdOrKey);
+
+  if (!parent) {
+    throw new ApiError(`Parent bug ${parentIdOrKey} not found`, 400);
+  }
+
+  if (!parent.project.equals(bug.project)) {
+    throw new ApiError('A sub-task must be in the same project as its parent', 400);
+  }
+
+  // Walk up from the new parent; meeting the bug itself would make a loop
+  let ancestor = parent;
+  while (ancestor) {
+    if (ancestor._id.equals(bug._id)) {
+      throw new ApiError(`${parent.key} cannot be the parent of ${bug.key || 'this bug'}: it is one of its sub-tasks`, 400);
+    }
+    ancestor = ancestor.parent ? await Bug.findById(ancestor.parent, 'parent') : null;
+  }
+
+  return parent._id;
+};
+
+/**
+ * Count sub-tasks and resolved sub-tasks for a set of bugs
+ * @param {ObjectId[]} parentIds - Bugs that may have sub-tasks
+ * @returns {Promise<Map<string, { total: number, done: number }>>} Keyed by parent ID;
+ *   bugs without sub-tasks are left out
+ */
+const getSubtaskProgress = async (parentIds) => {
+  const children = await Bug.find({ parent: { $in: parentIds } }, 'parent status project');
+  if (children.length === 0) return new Map();
+
+  const projectIds = [...new Set(children.map(child => String(child.project)))];
+  const projects = await Project.find({ _id: { $in: projectIds } });
+  const doneByProject = new Map(
+    projects.map(project => [String(project._id), doneStatusNames(project.getWorkflow())])
+  );
+
+  const progress = new Map();
+
+  children.forEach(child => {
+    const parentId = String(child.parent);
+    const entry = progress.get(parentId) || { total: 0, done: 0 };
+    const done = doneByProject.get(String(child.project)) || doneStatusNames(DEFAULT_WORKFLOW);
+
+    entry.total += 1;
+    if (done.includes(child.status)) entry.done += 1;
+
+    progress.set(parentId, entry);
+  });
+
+  return progress;
+};
+
+/**
+ * Refuse to resolve a parent while its sub-tasks are open, when the project asks for it
+ * @param {Object} bug - Parent bug about to move to a done status
+ * @param {Object|null} project - The bug's project
+ * @throws {ApiError} 400 listing the open sub-tasks
+ */
+const assertSubtasksResolved = async (bug, project) => {
+  if (!project || !project.requireSubtasksResolved) return;
+
+  const openSubtasks = await Bug.find(
+    { parent: bug._id, status: { $nin: doneStatusNames(project.getWorkflow()) } },
+    'key'
+  );
+
+  if (openSubtasks.length > 0) {
+    throw new ApiError(
+      `Cannot resolve ${bug.key} while sub-tasks are open: ${openSubtasks.map(child => child.key).join(', ')}`,
+      400
+    );
+  }
+};
+
+/**
+ * Detach the sub-tasks of a bug that is being deleted
+ * @param {Object} bug - Bug document
+ */
+const detachSubtasks = async (bug) => {
+  await Bug.updateMany({ parent: bug._id }, { $unset: { parent: 1 } });
+};
+
+module.exports = {
+  resolveParent,
+  getSubtaskProgress,
+  assertSubtasksResolved,
+  detachSubtasks
+};
@@ -0,0 +1,43 @@
+const User = require('../models/User');
+
+/**
+ * Watchers service
+ * Works out which accounts follow a bug. Reporters and assignees watch their
+ * bugs automatically; anyone else can watch or unwatch from the bug.
+ */
+
+/**
+ * Find the account a bug is assigned to
+ * assignedTo is free text, so it matches a username first, then a full name
+ * @param {string} assignedTo - Assignee as stored on the bug
+ * @returns {Promise<Object|null>} User, or null when nobody matches
+ */
+const findAssignee = async (assignedTo) => {
+  const value = String(assignedTo || '').trim();
+  if (!value) return null;
+
+  return (await User.findOne({ username: value.toLowerCase() })) ||
+    User.findOne({ name: value });
+};
+
+/**
+ * Add the reporter (new bugs) and assignee (new or reassigned bugs) as watchers
+ * Called before a bug is saved; people who unwatched are only re-added when
+ * the bug is assigned to them again
+ * @param {Object} bug - Bug document
+ */
+const addAutomaticWatchers = async (bug) => {
+  if (bug.isNew && bug.reporter) {
+    bug.addWatcher(bug.reporter);
+  }
+
+  if (bug.isNew || bug.isModified('assignedTo')) {
+    const assignee = await findAssignee(bug.assignedTo);
+    if (assignee) bug.addWatcher(assignee._id);
+  }
+};
+
+module.exports = {
+  findAssignee,
+  addAutomaticWatchers
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { BUG_EVENT_TYPES, subscribe } = require('./bugEvents');
+const { backoffDelay } = require('./outbox');
+const { OUTBOX_POLL_INTERVAL_MS, OUTBOX_LOCK_TIMEOUT_MS } = require('../config/channels');
+const {
+  WEBHOOK_DISABLE_AFTER_FAILURES,
+  WEBHOOK_TIMEOUT_MS,
+  WEBHOOK_RESPONSE_EXCERPT_LENGTH,
+  WEBHOOK_HEADERS,
+  getAllowPrivateTargets
+} = require('../config/webhooks');
+const { isPrivateHost, publicOnlyLookup } = require('../utils/network');
+
+/**
+ * Outbound webhooks
+ * Bug events are saved as deliveries for every subscribed webhook and sent
+ * in the background as signed JSON POSTs. Failures are retried with the same
+ * backoff as the channel outbox, every attempt is kept in the delivery log,
+ * and a webhook that keeps failing is disabled.
+ *
+ * Receivers verify a delivery by computing HMAC-SHA256 of the raw request
+ * body with their secret and comparing it to the X-BugTracker-Signature-256
+ * header ("sha256=<hex>").
+ *
+ * Unless private targets are allowed, a delivery is only sent to a host
+ * that resolves to a public address, checked on every connection, so the
+ * delivery log cannot be used to read internal services.
+ */
+
+// Deliveries sent per run
+const BATCH_SIZE = 20;
+
+// Agents whose DNS lookups refuse private addresses
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+let workerTimer = null;
+let running = null;
+
+/**
+ * Sign a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Build the JSON body sent for a bug event
+ * @param {Object} event - Bug event (see services/bugEvents.js)
+ * @returns {Object} Payload
+ */
+const buildPayload = (event) => {
+  const { bug, actor, comment } = event;
+
+  return {
+    event: event.type,
+    occurredAt: event.at,
+    bug: {
+      id: String(bug._id),
+      key: bug.key,
+      title: bug.title,
+      status: bug.status,
+      priority: bug.priority,
+      severity: bug.severity,
+      source: bug.source,
+      project: bug.project ? String(bug.project._id || bug.project) : null,
+      reportedBy: bug.reportedBy,
+      assignedTo: bug.assignedTo || null,
+      createdAt: bug.createdAt,
+      updatedAt: bug.updatedAt
+    },
+    actor: actor ? { name: actor.name, username: actor.username } : null,
+    from: event.from,
+    to: event.to,
+    reason: event.reason,
+    comment: comment
+      ? { id: String(comment._id), author: comment.author, message: comment.message, createdAt: comment.createdAt }
+      : undefined
+  };
+};
+
+/**
+ * Save a delivery of an event for every webhook that listens to it
+ * @param {Object} event - Bug event
+ * @returns {Promise<Object[]>} Saved deliveries
+ */
+const queueWebhookDeliveries = async (event) => {
+  const webhooks = await Webhook.find({
+    active: true,
+    $or: [{ events: event.type }, { events: { $size: 0 } }]
+  });
+  if (webhooks.length === 0) return [];
+
+  const body = JSON.stringify(buildPayload(event));
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event: event.type,
+    bug: event.bug._id,
+    bugKey: event.bug.key,
+    body
+  })));
+
+  if (workerTimer) setImmediate(runWebhookDeliveries);
+  return deliveries;
+};
+
+/**
+ * POST a delivery to its webhook
+ * @returns {Promise<Object>} Attempt for the delivery log
+ */
+const sendDelivery = async (delivery, webhook, now) => {
+  const attempt = { at: now };
+  const started = Date.now();
+  const allowPrivate = getAllowPrivateTargets();
+
+  try {
+    if (!allowPrivate && isPrivateHost(new URL(webhook.url))) {
+      throw new Error('Webhook URL points to a private network address');
+    }
+
+    const response = await axios.post(webhook.url, delivery.body, {
+      ...(allowPrivate ? {} : publicAgents),
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      // Keep the response as text and judge the status ourselves
+      transformResponse: [data => data],
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MERN-Bug-Tracker-Webhooks',
+        [WEBHOOK_HEADERS.event]: delivery.event,
+        [WEBHOOK_HEADERS.delivery]: String(delivery._id),
+        [WEBHOOK_HEADERS.signature]: signPayload(webhook.secret, delivery.body)
+      }
+    });
+
+    attempt.responseStatus = response.status;
+    attempt.responseBody = String(response.data === undefined || response.data === null ? '' : response.data)
+      .slice(0, WEBHOOK_RESPONSE_EXCERPT_LENGTH);
+
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+};
+
+/**
+ * Count a failed attempt against a webhook and disable it after too many in a row
+ * @param {Object} webhook - Webhook document
+ * @param {Object} attempt - The failed attempt
+ */
+const recordFailure = async (webhook, attempt) => {
+  const updated = await Webhook.findByIdAndUpdate(
+    webhook._id,
+    {
+      $inc: { consecutiveFailures: 1 },
+      lastDeliveryAt: attempt.at,
+      lastResponseStatus: attempt.responseStatus
+    },
+    { new: true }
+  );
+
+  if (updated && updated.active && updated.consecutiveFailures >= WEBHOOK_DISABLE_AFTER_FAILURES) {
+    updated.active = false;
+    updated.disabledAt = new Date();
+    updated.disabledReason = `Disabled after ${updated.consecutiveFailures} failed deliveries in a row (last: ${attempt.error})`;
+    await updated.save();
+    console.log(`🚫 Webhook "${updated.name}" disabled: ${updated.disabledReason}`);
+  }
+};
+
+/**
+ * Claim the next due delivery so no other run sends it too
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Claimed delivery
+ */
+const claimNext = (now) => WebhookDelivery.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - OUTBOX_LOCK_TIMEOUT_MS) } }
+    ]
+  },
+  { status: 'sending', lockedAt: now },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+/**
+ * Make one attempt at a claimed delivery and record the outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Date} now - Current time
+ * @returns {Promise<string>} 'succeeded', 'retry' or 'failed'
+ */
+const deliver = async (delivery, now) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  delivery.lockedAt = undefined;
+
+  // Deliveries queued before the webhook was disabled are not sent
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.attempts.push({ at: now, error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' });
+    await delivery.save();
+    return 'failed';
+  }
+
+  const attempt = await sendDelivery(delivery, webhook, now);
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    await delivery.save();
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { consecutiveFailures: 0, lastDeliveryAt: attempt.at, lastResponseStatus: attempt.responseStatus }
+    );
+    console.log(`🪝 Delivered ${delivery.event} for ${delivery.bugKey} to "${webhook.name}" (${attempt.responseStatus})`);
+    return 'succeeded';
+  }
+
+  await recordFailure(webhook, attempt);
+
+  if (delivery.attempts.length >= delivery.maxAttempts) {
+    delivery.status = 'failed';
+    await delivery.save();
+    console.error(`❌ Giving up on webhook delivery ${delivery._id} to "${webhook.name}" after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    return 'failed';
+  }
+
+  delivery.status = 'pending';
+  delivery.nextAttemptAt = new Date(now.getTime() + backoffDelay(delivery.attempts.length));
+  await delivery.save();
+  console.log(`⚠️ Webhook "${webhook.name}" delivery failed (${attempt.error}); retrying at ${delivery.nextAttemptAt.toISOString()}`);
+  return 'retry';
+};
+
+/**
+ * Send every delivery that is due
+ * @param {Object} [options] - { now, limit }
+ * @returns {Promise<Object>} Counts: { succeeded, retry, failed }
+ */
+const processWebhookDeliveries = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const results = { succeeded: 0, retry: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i += 1) {
+    const delivery = await claimNext(now);
+    if (!delivery) break;
+
+    const outcome = await deliver(delivery, now);
+    results[outcome] += 1;
+  }
+
+  return results;
+};
+
+/**
+ * Send due deliveries now unless a run is already in progress
+ * Errors are logged; the deliveries stay due for the next run
+ */
+const runWebhookDeliveries = () => {
+  if (!running) {
+    running = processWebhookDeliveries()
+      .catch(error => console.error('❌ Webhook run failed:', error.message))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+};
+
+/**
+ * Send a past delivery again
+ * A new delivery with the same body is created so the log keeps both
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} The new delivery
+ */
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    bug: delivery.bug,
+    bugKey: delivery.bugKey,
+    body: delivery.body,
+    redeliveryOf: delivery._id
+  });
+
+  if (workerTimer) setImmediate(runWebhookDeliveries);
+  return copy;
+};
+
+let subscribed = false;
+
+/**
+ * Start saving webhook deliveries for bug events
+ * Safe to call more than once
+ */
+const routeBugEventsToWebhooks = () => {
+  if (subscribed) return;
+  subscribed = true;
+
+  BUG_EVENT_TYPES.forEach(type => subscribe(type, queueWebhookDeliveries));
+};
+
+/**
+ * Periodically send due webhook deliveries
+ * @param {number} [intervalMs] - Poll interval
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startWebhookWorker = (intervalMs = OUTBOX_POLL_INTERVAL_MS) => {
+  console.log(`🪝 Webhook worker checking every ${Math.round(intervalMs / 1000)}s`);
+
+  workerTimer = setInterval(runWebhookDeliveries, intervalMs);
+
+  // Do not keep the process alive just for the worker
+  workerTimer.unref();
+  return workerTimer;
+};
+
+module.exports = {
+  signPayload,
+  buildPayload,
+  queueWebhookDeliveries,
+  processWebhookDeliveries,
+  redeliver,
+  routeBugEventsToWebhooks,
+  startWebhookWorker
+};
@@ -0,0 +1,268 @@
+const Bug = require('../models/Bug');
+const Project = require('../models/Project');
+const { ApiError } = require('../middleware/errorHandler');
+const { STATUS_CATEGORIES, DEFAULT_WORKFLOW } = require('../config/workflow');
+const { ROLES } = require('../config/permissions');
+const { assertSubtasksResolved } = require('./subtasks');
+const { publish } = require('./bugEvents');
+
+/**
+ * Workflow service
+ * Enforces each project's status state machine on bug status changes
+ */
+
+// Status changes the app makes on its own bypass transition roles
+const SYSTEM_ACTOR = { system: true, name: 'system' };
+
+/**
+ * List the status names defined by a workflow
+ * @param {Object} workflow - Workflow definition
+ * @returns {string[]}
+ */
+const getStatusNames = (workflow) => workflow.statuses.map(status => status.name);
+
+/**
+ * Look up the category (open, in_progress, done) of a status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} statusName - Status name
+ * @returns {string|undefined}
+ */
+const getStatusCategory = (workflow, statusName) => {
+  const status = workflow.statuses.find(entry => entry.name === statusName);
+  return status && status.category;
+};
+
+/**
+ * Whether an actor may use a transition
+ * System actors (integrations acting for the app itself) bypass role checks
+ */
+const actorMayUse = (transition, actor) => {
+  if (actor && actor.system) return true;
+  if (!transition.roles || transition.roles.length === 0) return true;
+  return Boolean(actor && transition.roles.includes(actor.role));
+};
+
+/**
+ * List the statuses an actor can move a bug to from its current status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} fromStatus - Current status
+ * @param {Object} actor - User (or actor) making the change
+ * @returns {string[]} Reachable status names
+ */
+const getAvailableTransitions = (workflow, fromStatus, actor) => (
+  workflow.transitions
+    .filter(transition => transition.from === fromStatus && actorMayUse(transition, actor))
+    .map(transition => transition.to)
+);
+
+/**
+ * Throw an ApiError unless the workflow lets the actor make this move
+ * 400 for unknown statuses or missing transitions, 403 for role restrictions
+ * @param {Object} workflow - Workflow definition
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @param {Object} actor - User (or actor) making the change
+ */
+const assertTransition = (workflow, fromStatus, toStatus, actor) => {
+  const statusNames = getStatusNames(workflow);
+
+  if (!statusNames.includes(toStatus)) {
+    throw new ApiError(`Unknown status "${toStatus}". Valid statuses: ${statusNames.join(', ')}`, 400);
+  }
+
+  const matching = workflow.transitions.filter(
+    transition => transition.from === fromStatus && transition.to === toStatus
+  );
+
+  if (matching.length === 0) {
+    const next = getAvailableTransitions(workflow, fromStatus, actor);
+    throw new ApiError(
+      `Cannot move a bug from "${fromStatus}" to "${toStatus}". ` +
+      `Allowed next statuses: ${next.length > 0 ? next.join(', ') : 'none'}`,
+      400
+    );
+  }
+
+  if (!matching.some(transition => actorMayUse(transition, actor))) {
+    const roles = [...new Set(matching.flatMap(transition => transition.roles))];
+    throw new ApiError(
+      `Only ${roles.join(', ')} can move a bug from "${fromStatus}" to "${toStatus}"`,
+      403
+    );
+  }
+};
+
+/**
+ * Load the workflow that governs a bug
+ * @param {Object} bug - Bug document
+ * @returns {Promise<Object>} Workflow definition
+ */
+const getWorkflowForBug = async (bug) => {
+  const project = await Project.findById(bug.project);
+  return project ? project.getWorkflow() : DEFAULT_WORKFLOW;
+};
+
+/**
+ * Move a bug to a new status through its project's workflow
+ * Every status change goes through here; other pending changes on the bug are saved too,
+ * and watchers hear about it through the bug.status_changed event
+ * @param {Object} bug - Bug document
+ * @param {string} toStatus - Requested status
+ * @param {Object} actor - User (or actor) making the change
+ * @param {string} [reason] - Optional reason recorded in the history
+ * @returns {Promise<Object>} Saved bug
+ */
+const transitionBug = async (bug, toStatus, actor, reason) => {
+  const project = await Project.findById(bug.project);
+  const workflow = project ? project.getWorkflow() : DEFAULT_WORKFLOW;
+  const resolving = getStatusCategory(workflow, bug.status) !== 'done' &&
+    getStatusCategory(workflow, toStatus) === 'done';
+
+  assertTransition(workflow, bug.status, toStatus, actor);
+
+  if (resolving) {
+    await assertSubtasksResolved(bug, project);
+  }
+
+  const fromStatus = bug.status;
+  const saved = await bug.updateStatus(toStatus, actor, reason);
+  await publish('bug.status_changed', { bug: saved, actor, from: fromStatus, to: toStatus, reason });
+
+  // Resolving a bug also closes the reports linked as its duplicates
+  if (resolving) {
+    await closeDuplicatesOf(saved);
+  }
+
+  return saved;
+};
+
+/**
+ * Pick the done status a bug moves to when it is closed automatically
+ * Prefers `preferred` (the canonical bug's status) when the workflow allows it
+ * @param {Object} workflow - Workflow definition
+ * @param {string} fromStatus - Current status
+ * @param {string} preferred - Preferred done status
+ * @returns {string|null} Status name, or null when no done status is reachable
+ */
+const findDoneTransition = (workflow, fromStatus, preferred) => {
+  const targets = workflow.transitions
+    .filter(transition => transition.from === fromStatus)
+    .map(transition => transition.to)
+    .filter(status => getStatusCategory(workflow, status) === 'done');
+
+  return targets.includes(preferred) ? preferred : (targets[0] || null);
+};
+
+/**
+ * Close the open bugs linked as duplicates of a bug that was just resolved
+ * Duplicates whose workflow has no direct move to a done status are left open
+ * @param {Object} canonical - Resolved bug
+ */
+const closeDuplicatesOf = async (canonical) => {
+  const duplicateIds = canonical.links
+    .filter(link => link.type === 'duplicated_by')
+    .map(link => link.bug);
+
+  if (duplicateIds.length === 0) return;
+
+  const duplicates = await Bug.find({ _id: { $in: duplicateIds } });
+
+  for (const duplicate of duplicates) {
+    const workflow = await getWorkflowForBug(duplicate);
+    if (getStatusCategory(workflow, duplicate.status) === 'done') continue;
+
+    const target = findDoneTransition(workflow, duplicate.status, canonical.status);
+    if (!target) {
+      console.log(`⚠️ Cannot auto-close duplicate ${duplicate.key}: no done status reachable from "${duplicate.status}"`);
+      continue;
+    }
+
+    try {
+      await transitionBug(
+        duplicate,
+        target,
+        SYSTEM_ACTOR,
+        `Duplicate of ${canonical.key}, which moved to ${canonical.status}`
+      );
+      console.log(`🔗 Closed duplicate ${duplicate.key} as ${target}`);
+    } catch (error) {
+      // e.g. the duplicate still has open sub-tasks; it stays open
+      if (!(error instanceof ApiError)) throw error;
+      console.log(`⚠️ Cannot auto-close duplicate ${duplicate.key}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Validate a workflow definition submitted by an admin
+ * @param {Object} definition - { initialStatus, statuses, transitions }
+ * @returns {string[]} Validation error messages (empty when valid)
+ */
+const validateWorkflowDefinition = (definition) => {
+  const { initialStatus, statuses, transitions = [] } = definition || {};
+
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return ['statuses must be a non-empty array'];
+  }
+
+  if (!Array.isArray(transitions)) {
+    return ['transitions must be an array'];
+  }
+
+  const errors = [];
+  const names = statuses.map(status => status && status.name);
+  const duplicates = names.filter((name, index) => name && names.indexOf(name) !== index);
+
+  if (names.some(name => !name)) {
+    errors.push('Every status needs a name');
+  }
+
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate statuses: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  statuses
+    .filter(status => status && !STATUS_CATEGORIES.includes(status.category))
+    .forEach(status => errors.push(
+      `Status "${status.name}" needs a category of ${STATUS_CATEGORIES.join(', ')}`
+    ));
+
+  if (!names.includes(initialStatus)) {
+    errors.push('initialStatus must be one of the defined statuses');
+  }
+
+  transitions.forEach((transition, index) => {
+    if (!transition || typeof transition !== 'object' || Array.isArray(transition)) {
+      errors.push(`Transition ${index + 1} must be an object with from and to`);
+      return;
+    }
+
+    const { from, to, roles = [] } = transition;
+
+    if (!names.includes(from) || !names.includes(to)) {
+      errors.push(`Transition "${from}" → "${to}" references an unknown status`);
+    }
+
+    if (!Array.isArray(roles)) {
+      errors.push(`Transition "${from}" → "${to}" roles must be an array`);
+      return;
+    }
+
+    roles
+      .filter(role => !ROLES.includes(role))
+      .forEach(role => errors.push(`Transition "${from}" → "${to}" references an unknown role "${role}"`));
+  });
+
+  return errors;
+};
+
+module.exports = {
+  SYSTEM_ACTOR,
+  getStatusNames,
+  getStatusCategory,
+  getAvailableTransitions,
+  assertTransition,
+  getWorkflowForBug,
+  transitionBug,
+  validateWorkflowDefinition
+};
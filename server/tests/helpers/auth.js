@@ -0,0 +1,33 @@
+/**
+ * Authentication helpers for integration tests
+ * Creates users directly in the database and signs tokens for them
+ */
+
+const User = require('../../models/User');
+
+let userCounter = 0;
+
+/**
+ * Create a user and return it with a ready-to-use Authorization header
+ * @param {Object} overrides - Fields to override on the created user
+ * @returns {Promise<{ user: Object, token: string, authHeader: string }>}
+ */
+const createTestUser = async (overrides = {}) => {
+  userCounter += 1;
+
+  const user = await User.create({
+    name: 'Test User',
+    username: `tester${userCounter}`,
+    email: `tester${userCounter}@example.com`,
+    password: 'password123',
+    ...overrides
+  });
+
+  const token = user.getAccessToken();
+
+  return { user, token, authHeader: `Bearer ${token}` };
+};
+
+module.exports = {
+  createTestUser
+};
@@ -0,0 +1,146 @@
+/**
+ * Integration tests for API key management and API key authentication
+ * Tests issuing, scoping, usage tracking and revocation
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const ApiKey = require('../../models/ApiKey');
+const { createTestUser } = require('../helpers/auth');
+
+describe('API Key Integration Tests', () => {
+  let adminHeader;
+
+  const sampleBug = {
+    title: 'Build pipeline failure',
+    description: 'Nightly build failed on the integration stage'
+  };
+
+  /**
+   * Issue a key through the admin endpoint and return the plain value
+   */
+  const issueKey = async (scopes) => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', adminHeader)
+      .send({ name: 'CI', scopes })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    ({ authHeader: adminHeader } = await createTestUser({ role: 'admin' }));
+  });
+
+  describe('POST /api/api-keys', () => {
+    it('should issue a key that is only stored hashed', async () => {
+      console.log('🧪 Testing API key issuing...');
+
+      const issued = await issueKey(['bugs:write']);
+
+      expect(issued.key).toMatch(/^btk_/);
+      expect(issued.keyHash).toBeUndefined();
+
+      const stored = await ApiKey.findById(issued._id).select('+keyHash');
+      expect(stored.keyHash).not.toBe(issued.key);
+
+      const list = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(list.body.data[0].key).toBeUndefined();
+
+      console.log('✅ API key issuing test passed');
+    });
+
+    it('should only let admins manage keys', async () => {
+      console.log('🧪 Testing API key management permission...');
+
+      const { authHeader: reporterHeader } = await createTestUser({ role: 'reporter' });
+
+      await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', reporterHeader)
+        .send({ name: 'Sneaky', scopes: ['bugs:write'] })
+        .expect(403);
+
+      console.log('✅ API key management permission test passed');
+    });
+  });
+
+  describe('Authenticating with an API key', () => {
+    it('should file bugs with a bugs:write key and record last use', async () => {
+      console.log('🧪 Testing bug creation with API key...');
+
+      const issued = await issueKey(['bugs:write']);
+
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `ApiKey ${issued.key}`)
+        .send(sampleBug)
+        .expect(201);
+
+      expect(response.body.data.reportedBy).toBe('CI (API key)');
+
+      const stored = await ApiKey.findById(issued._id);
+      expect(stored.lastUsedAt).toBeDefined();
+
+      console.log('✅ API key bug creation test passed');
+    });
+
+    it('should accept keys sent as bearer tokens', async () => {
+      console.log('🧪 Testing API key as bearer token...');
+
+      const issued = await issueKey(['feedback:write']);
+
+      await request(app)
+        .post('/api/bugs/feedback')
+        .set('Authorization', `Bearer ${issued.key}`)
+        .send({ ...sampleBug, customerName: 'Support Desk' })
+        .expect(201);
+
+      console.log('✅ API key bearer test passed');
+    });
+
+    it('should reject actions outside the key scopes', async () => {
+      console.log('🧪 Testing API key scope enforcement...');
+
+      const issued = await issueKey(['feedback:write']);
+
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `ApiKey ${issued.key}`)
+        .send(sampleBug)
+        .expect(403);
+
+      await request(app)
+        .get('/api/bugs')
+        .set('Authorization', `ApiKey ${issued.key}`)
+        .expect(403);
+
+      console.log('✅ API key scope test passed');
+    });
+
+    it('should reject revoked keys', async () => {
+      console.log('🧪 Testing revoked API key...');
+
+      const issued = await issueKey(['bugs:read']);
+
+      await request(app)
+        .delete(`/api/api-keys/${issued._id}`)
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/bugs')
+        .set('Authorization', `ApiKey ${issued.key}`)
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid API key');
+
+      console.log('✅ Revoked API key test passed');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Integration tests for attachments
+ * Tests uploads, validation, downloads, thumbnails and cleanup
+ */
+
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../server');
+const Attachment = require('../../models/Attachment');
+const { getStorage } = require('../../services/storage');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Attachment Integration Tests', () => {
+  let authHeader;
+  let bugKey;
+  let screenshot;
+
+  const upload = (files, fields = {}) => {
+    const req = request(app)
+      .post(`/api/bugs/${bugKey}/attachments`)
+      .set('Authorization', authHeader);
+
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    files.forEach(({ content, filename, contentType }) => req.attach('files', content, { filename, contentType }));
+    return req;
+  };
+
+  const exists = (key) => new Promise(resolve => {
+    const stream = getStorage().createReadStream(key);
+    stream.once('open', () => { stream.destroy(); resolve(true); });
+    stream.once('error', () => resolve(false));
+  });
+
+  beforeAll(async () => {
+    screenshot = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: '#e53e3e' }
+    }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+
+    const bug = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send({ title: 'Checkout fails', description: 'Payment step errors', project: 'WEB' })
+      .expect(201);
+
+    bugKey = bug.body.data.key;
+  });
+
+  describe('POST /api/bugs/:id/attachments', () => {
+    it('should upload files and create thumbnails for images', async () => {
+      console.log('🧪 Testing attachment upload...');
+
+      const response = await upload([
+        { content: screenshot, filename: 'screenshot.png', contentType: 'image/png' },
+        { content: Buffer.from('ERROR payment declined\n'), filename: 'server.log', contentType: 'text/plain' }
+      ]).expect(201);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).toMatchObject({ filename: 'screenshot.png', mimeType: 'image/png', hasThumbnail: true });
+      expect(response.body.data[1]).toMatchObject({ filename: 'server.log', size: 23, hasThumbnail: false });
+      expect(response.body.data[0].storageKey).toBeUndefined();
+
+      console.log('✅ Attachment upload test passed');
+    });
+
+    it('should reject disallowed file types', async () => {
+      const response = await upload([
+        { content: Buffer.from('<svg onload="alert(1)"/>'), filename: 'image.svg', contentType: 'image/svg+xml' }
+      ]).expect(415);
+
+      expect(response.body.message).toContain('not allowed');
+      expect(await Attachment.countDocuments()).toBe(0);
+    });
+
+    it('should reject images that cannot be decoded', async () => {
+      await upload([
+        { content: Buffer.from('not really a png'), filename: 'fake.png', contentType: 'image/png' }
+      ]).expect(415);
+    });
+
+    it('should reject files whose name or content does not match their type', async () => {
+      await upload([
+        { content: Buffer.from('MZ\x90\x00\x03\x00\x00\x00'), filename: 'notes.txt', contentType: 'text/plain' }
+      ]).expect(415);
+      await upload([
+        { content: Buffer.from('plain text'), filename: 'setup.exe', contentType: 'text/plain' }
+      ]).expect(415);
+      await upload([
+        { content: Buffer.from('<html><script>alert(1)</script>'), filename: 'report.pdf', contentType: 'application/pdf' }
+      ]).expect(415);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+    });
+
+    it('should keep non-ASCII filenames intact', async () => {
+      const response = await upload([
+        { content: Buffer.from('%PDF-1.4\n'), filename: 'Rechnungsübersicht 請求書.pdf', contentType: 'application/pdf' }
+      ]).expect(201);
+
+      expect(response.body.data[0].filename).toBe('Rechnungsübersicht 請求書.pdf');
+    });
+
+    it('should reject files over the size limit', async () => {
+      const response = await upload([
+        { content: Buffer.alloc(11 * 1024 * 1024), filename: 'huge.log', contentType: 'text/plain' }
+      ]).expect(413);
+
+      expect(response.body.message).toContain('10MB');
+    });
+
+    it('should attach files to a comment', async () => {
+      const comment = await request(app)
+        .post(`/api/bugs/${bugKey}/comments`)
+        .set('Authorization', authHeader)
+        .send({ message: 'Log from production attached' })
+        .expect(201);
+
+      await upload(
+        [{ content: Buffer.from('trace'), filename: 'trace.txt', contentType: 'text/plain' }],
+        { comment: comment.body.data._id }
+      ).expect(201);
+
+      const response = await request(app)
+        .get(`/api/bugs/${bugKey}/attachments?comment=${comment.body.data._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].comment).toBe(comment.body.data._id);
+    });
+  });
+
+  describe('GET /api/bugs/:id/attachments/:attachmentId', () => {
+    it('should stream downloads with the right headers', async () => {
+      const uploaded = await upload([
+        { content: Buffer.from('ERROR payment declined\n'), filename: 'server log ü.txt', contentType: 'text/plain' }
+      ]).expect(201);
+
+      const response = await request(app)
+        .get(`/api/bugs/${bugKey}/attachments/${uploaded.body.data[0]._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/plain');
+      expect(response.headers['content-length']).toBe('23');
+      expect(response.headers['content-disposition']).toContain('attachment;');
+      expect(response.headers['content-disposition']).toContain("filename*=UTF-8''server%20log%20%C3%BC.txt");
+      expect(response.text).toBe('ERROR payment declined\n');
+    });
+
+    it('should serve image thumbnails', async () => {
+      const uploaded = await upload([
+        { content: screenshot, filename: 'screenshot.png', contentType: 'image/png' }
+      ]).expect(201);
+
+      const response = await request(app)
+        .get(`/api/bugs/${bugKey}/attachments/${uploaded.body.data[0]._id}/thumbnail`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/webp');
+      const { width, height } = await sharp(response.body).metadata();
+      expect(Math.max(width, height)).toBe(200);
+    });
+  });
+
+  describe('Deleting', () => {
+    it('should remove stored files when the bug is deleted', async () => {
+      console.log('🧪 Testing attachment cleanup...');
+
+      await upload([
+        { content: screenshot, filename: 'screenshot.png', contentType: 'image/png' }
+      ]).expect(201);
+
+      const attachment = await Attachment.findOne();
+      expect(await exists(attachment.storageKey)).toBe(true);
+
+      await request(app)
+        .delete(`/api/bugs/${bugKey}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(await Attachment.countDocuments()).toBe(0);
+      expect(await exists(attachment.storageKey)).toBe(false);
+      expect(await exists(attachment.thumbnailKey)).toBe(false);
+
+      console.log('✅ Attachment cleanup test passed');
+    });
+
+    it('should only let others delete an attachment with bugs:delete', async () => {
+      const uploaded = await upload([
+        { content: Buffer.from('trace'), filename: 'trace.txt', contentType: 'text/plain' }
+      ]).expect(201);
+
+      const { authHeader: reporterHeader } = await createTestUser({ role: 'reporter' });
+
+      await request(app)
+        .delete(`/api/bugs/${bugKey}/attachments/${uploaded.body.data[0]._id}`)
+        .set('Authorization', reporterHeader)
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/bugs/${bugKey}/attachments/${uploaded.body.data[0]._id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Integration tests for Auth API endpoints
+ * Tests registration, login, token refresh and logout
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+
+describe('Auth API Integration Tests', () => {
+  const newUser = {
+    name: 'Jane Developer',
+    username: 'jane',
+    email: 'jane@example.com',
+    password: 'supersecret'
+  };
+
+  describe('POST /api/auth/register', () => {
+    it('should register a user and return tokens', async () => {
+      console.log('🧪 Testing user registration...');
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(newUser)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.user.username).toBe('jane');
+      // The first account on a fresh install becomes the admin
+      expect(response.body.data.user.role).toBe('admin');
+      expect(response.body.data.user.permissions).toContain('bugs:delete');
+      expect(response.body.data.user.password).toBeUndefined();
+      expect(response.body.data.accessToken).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+
+      console.log('✅ Registration test passed');
+    });
+
+    it('should reject duplicate emails', async () => {
+      console.log('🧪 Testing duplicate registration...');
+
+      await request(app).post('/api/auth/register').send(newUser).expect(201);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...newUser, username: 'jane2' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+
+      console.log('✅ Duplicate registration test passed');
+    });
+
+    it('should reject credentials that are not text', async () => {
+      await request(app).post('/api/auth/register').send({ ...newUser, email: { $ne: null } }).expect(400);
+      await request(app).post('/api/auth/register').send({ ...newUser, username: 42 }).expect(400);
+      await request(app).post('/api/auth/register').send({ ...newUser, password: ['supersecret'] }).expect(400);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(newUser);
+    });
+
+    it('should log in with email or username', async () => {
+      console.log('🧪 Testing login...');
+
+      const byEmail = await request(app)
+        .post('/api/auth/login')
+        .send({ email: newUser.email, password: newUser.password })
+        .expect(200);
+
+      const byUsername = await request(app)
+        .post('/api/auth/login')
+        .send({ username: newUser.username, password: newUser.password })
+        .expect(200);
+
+      expect(byEmail.body.data.accessToken).toBeDefined();
+      expect(byUsername.body.data.user.email).toBe(newUser.email);
+
+      console.log('✅ Login test passed');
+    });
+
+    it('should return 401 for a wrong password', async () => {
+      console.log('🧪 Testing login with wrong password...');
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: newUser.email, password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid credentials');
+
+      console.log('✅ Wrong password test passed');
+    });
+
+    it('should return 400 for credentials that are not text', async () => {
+      await request(app).post('/api/auth/login').send({ email: 123, password: newUser.password }).expect(400);
+      await request(app).post('/api/auth/login').send({ username: { $gt: '' }, password: newUser.password }).expect(400);
+      await request(app).post('/api/auth/login').send({ email: newUser.email, password: 123 }).expect(400);
+    });
+  });
+
+  describe('Token lifecycle', () => {
+    it('should refresh tokens and revoke them on logout', async () => {
+      console.log('🧪 Testing refresh and logout...');
+
+      const registered = await request(app).post('/api/auth/register').send(newUser);
+      const { accessToken, refreshToken } = registered.body.data;
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      expect(me.body.data.username).toBe('jane');
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid refresh token');
+
+      console.log('✅ Token lifecycle test passed');
+    });
+
+    it('should not accept a refresh token as an access token', async () => {
+      console.log('🧪 Testing token type enforcement...');
+
+      const registered = await request(app).post('/api/auth/register').send(newUser);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${registered.body.data.refreshToken}`)
+        .expect(401);
+
+      console.log('✅ Token type test passed');
+    });
+  });
+});
@@ -7,9 +7,16 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../../server');
 const Bug = require('../../models/Bug');
+const { createTestUser } = require('../helpers/auth');
 
 describe('Bug API Integration Tests', () => {
   let testBugId;
+  let authHeader;
+
+  beforeEach(async () => {
+    // Collections are wiped after each test, so sign in a fresh admin every time
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+  });
 
   // Sample bug data for testing
   const sampleBug = {
@@ -32,6 +39,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .post('/api/bugs')
+        .set('Authorization', authHeader)
         .send(sampleBug)
         .expect(201);
 
@@ -54,11 +62,12 @@ describe('Bug API Integration Tests', () => {
       
       const invalidBug = {
         title: 'Test Bug',
-        // Missing description and reportedBy
+        // Missing description
       };
 
       const response = await request(app)
         .post('/api/bugs')
+        .set('Authorization', authHeader)
         .send(invalidBug)
         .expect(400);
 
@@ -78,6 +87,7 @@ describe('Bug API Integration Tests', () => {
 
       const response = await request(app)
         .post('/api/bugs')
+        .set('Authorization', authHeader)
         .send(invalidBug)
         .expect(400);
 
@@ -102,6 +112,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .get('/api/bugs')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -120,6 +131,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .get('/api/bugs?priority=High')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -134,6 +146,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .get('/api/bugs?sortBy=createdAt&order=desc')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -160,6 +173,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .get(`/api/bugs/${testBugId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -177,6 +191,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .get(`/api/bugs/${fakeId}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -190,6 +205,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .get('/api/bugs/invalid-id')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -211,6 +227,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .put(`/api/bugs/${testBugId}`)
+        .set('Authorization', authHeader)
         .send(updatedBug)
         .expect(200);
 
@@ -231,6 +248,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .put(`/api/bugs/${fakeId}`)
+        .set('Authorization', authHeader)
         .send(updatedBug)
         .expect(404);
 
@@ -245,6 +263,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .put('/api/bugs/invalid-id')
+        .set('Authorization', authHeader)
         .send(updatedBug)
         .expect(400);
 
@@ -267,6 +286,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .delete(`/api/bugs/${testBugId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -287,6 +307,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .delete(`/api/bugs/${fakeId}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -300,6 +321,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .delete('/api/bugs/invalid-id')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -321,6 +343,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .patch(`/api/bugs/${testBugId}/status`)
+        .set('Authorization', authHeader)
         .send({ status: 'In Progress' })
         .expect(200);
 
@@ -336,6 +359,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .patch(`/api/bugs/${testBugId}/status`)
+        .set('Authorization', authHeader)
         .send({})
         .expect(400);
 
@@ -352,6 +376,7 @@ describe('Bug API Integration Tests', () => {
       
       const response = await request(app)
         .patch(`/api/bugs/${fakeId}/status`)
+        .set('Authorization', authHeader)
         .send({ status: 'Resolved' })
         .expect(404);
 
@@ -362,6 +387,151 @@ describe('Bug API Integration Tests', () => {
     });
   });
 
+  describe('Authentication', () => {
+    it('should return 401 when no token is provided', async () => {
+      console.log('🧪 Testing unauthenticated request...');
+
+      const response = await request(app)
+        .get('/api/bugs')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('Not authorized');
+
+      console.log('✅ Unauthenticated request test passed');
+    });
+
+    it('should return 401 for an invalid token', async () => {
+      console.log('🧪 Testing invalid token...');
+
+      const response = await request(app)
+        .get('/api/bugs')
+        .set('Authorization', 'Bearer not-a-real-token')
+        .expect(401);
+
+      expect(response.body.error).toBe('Invalid token');
+
+      console.log('✅ Invalid token test passed');
+    });
+
+    it('should take reporter and comment author from the authenticated user', async () => {
+      console.log('🧪 Testing server-filled reporter fields...');
+
+      const { user, authHeader: otherHeader } = await createTestUser({ name: 'Alice Reporter' });
+
+      const created = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', otherHeader)
+        .send({ ...sampleBug, reportedBy: 'Someone Else' })
+        .expect(201);
+
+      expect(created.body.data.reportedBy).toBe('Alice Reporter');
+      expect(created.body.data.reporter).toBe(user._id.toString());
+
+      const comment = await request(app)
+        .post(`/api/bugs/${created.body.data._id}/comments`)
+        .set('Authorization', otherHeader)
+        .send({ author: 'Spoofed', message: 'Looking into it' })
+        .expect(201);
+
+      expect(comment.body.data.author).toBe('Alice Reporter');
+
+      const status = await request(app)
+        .patch(`/api/bugs/${created.body.data._id}/status`)
+        .set('Authorization', otherHeader)
+        .send({ status: 'In Progress', by: 'Spoofed' })
+        .expect(200);
+
+      expect(status.body.data.statusHistory).toHaveLength(1);
+      expect(status.body.data.statusHistory[0].by).toBe('Alice Reporter');
+
+      console.log('✅ Server-filled reporter fields test passed');
+    });
+  });
+
+  describe('Permissions', () => {
+    let reporterHeader;
+
+    beforeEach(async () => {
+      const bug = await Bug.create(sampleBug);
+      testBugId = bug._id;
+      ({ authHeader: reporterHeader } = await createTestUser({ role: 'reporter' }));
+    });
+
+    it('should forbid reporters from deleting bugs', async () => {
+      console.log('🧪 Testing delete permission...');
+
+      const response = await request(app)
+        .delete(`/api/bugs/${testBugId}`)
+        .set('Authorization', reporterHeader)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(await Bug.findById(testBugId)).not.toBeNull();
+
+      console.log('✅ Delete permission test passed');
+    });
+
+    it('should forbid reporters from changing priority or assignee', async () => {
+      console.log('🧪 Testing priority and assignment permissions...');
+
+      await request(app)
+        .put(`/api/bugs/${testBugId}`)
+        .set('Authorization', reporterHeader)
+        .send({ priority: 'High' })
+        .expect(403);
+
+      await request(app)
+        .put(`/api/bugs/${testBugId}`)
+        .set('Authorization', reporterHeader)
+        .send({ assignedTo: 'someone' })
+        .expect(403);
+
+      // Editing the text of a bug is still allowed
+      await request(app)
+        .put(`/api/bugs/${testBugId}`)
+        .set('Authorization', reporterHeader)
+        .send({ description: 'More detail' })
+        .expect(200);
+
+      console.log('✅ Priority and assignment permission test passed');
+    });
+
+    it('should forbid reporters from unassigning bugs', async () => {
+      await Bug.updateOne({ _id: testBugId }, { assignedTo: 'dana' });
+
+      await request(app)
+        .put(`/api/bugs/${testBugId}`)
+        .set('Authorization', reporterHeader)
+        .send({ assignedTo: '' })
+        .expect(403);
+
+      expect((await Bug.findById(testBugId)).assignedTo).toBe('dana');
+    });
+
+    it('should only let developers and above resolve bugs', async () => {
+      console.log('🧪 Testing resolve permission...');
+
+      await request(app)
+        .patch(`/api/bugs/${testBugId}/status`)
+        .set('Authorization', reporterHeader)
+        .send({ status: 'Resolved' })
+        .expect(403);
+
+      const { authHeader: developerHeader } = await createTestUser({ role: 'developer' });
+
+      const response = await request(app)
+        .patch(`/api/bugs/${testBugId}/status`)
+        .set('Authorization', developerHeader)
+        .send({ status: 'Resolved' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('Resolved');
+
+      console.log('✅ Resolve permission test passed');
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle database connection errors gracefully', async () => {
       console.log('🧪 Testing error handling...');
@@ -370,6 +540,7 @@ describe('Bug API Integration Tests', () => {
       // by making a request that should trigger an error
       const response = await request(app)
         .get('/api/bugs/nonexistent-id-format')
+        .set('Authorization', authHeader)
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -0,0 +1,168 @@
+/**
+ * Integration tests for comment editing and removal
+ * Tests authorship checks, revisions and soft deletes
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Comment Integration Tests', () => {
+  let adminHeader;
+  let authorHeader;
+  let otherHeader;
+  let bugId;
+  let commentId;
+
+  const commentUrl = () => `/api/bugs/${bugId}/comments/${commentId}`;
+
+  beforeEach(async () => {
+    ({ authHeader: adminHeader } = await createTestUser({ role: 'admin' }));
+    ({ authHeader: authorHeader } = await createTestUser({ role: 'developer', name: 'Dana Dev' }));
+    ({ authHeader: otherHeader } = await createTestUser({ role: 'developer' }));
+
+    const bug = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authorHeader)
+      .send({ title: 'Checkout fails', description: 'Payment step errors' })
+      .expect(201);
+    bugId = bug.body.data._id;
+
+    const comment = await request(app)
+      .post(`/api/bugs/${bugId}/comments`)
+      .set('Authorization', authorHeader)
+      .send({ message: 'Token is sk_live_123, try it' })
+      .expect(201);
+    commentId = comment.body.data._id;
+  });
+
+  describe('PUT /api/bugs/:id/comments/:commentId', () => {
+    it('should let the author edit and mark the comment as edited', async () => {
+      console.log('🧪 Testing comment editing...');
+
+      const response = await request(app)
+        .put(commentUrl())
+        .set('Authorization', authorHeader)
+        .send({ message: 'Token is in the vault, try it' })
+        .expect(200);
+
+      expect(response.body.data.message).toBe('Token is in the vault, try it');
+      expect(response.body.data.messageHtml).toContain('vault');
+      expect(response.body.data.editedAt).toBeDefined();
+      expect(response.body.data.revisions).toBeUndefined();
+
+      console.log('✅ Comment editing test passed');
+    });
+
+    it('should not let others edit the comment', async () => {
+      await request(app)
+        .put(commentUrl())
+        .set('Authorization', otherHeader)
+        .send({ message: 'Hijacked' })
+        .expect(403);
+
+      await request(app)
+        .put(commentUrl())
+        .set('Authorization', adminHeader)
+        .send({ message: 'Hijacked' })
+        .expect(403);
+    });
+
+    it('should require a message', async () => {
+      await request(app)
+        .put(commentUrl())
+        .set('Authorization', authorHeader)
+        .send({ message: '   ' })
+        .expect(400);
+    });
+
+    it('should reject messages that are not text', async () => {
+      for (const message of [123, {}, ['Hi']]) {
+        await request(app)
+          .put(commentUrl())
+          .set('Authorization', authorHeader)
+          .send({ message })
+          .expect(400);
+        await request(app)
+          .post(`/api/bugs/${bugId}/comments`)
+          .set('Authorization', authorHeader)
+          .send({ message })
+          .expect(400);
+      }
+    });
+  });
+
+  describe('DELETE /api/bugs/:id/comments/:commentId', () => {
+    it('should soft-delete and hide the text', async () => {
+      console.log('🧪 Testing comment removal...');
+
+      await request(app)
+        .delete(commentUrl())
+        .set('Authorization', authorHeader)
+        .expect(200);
+
+      const bug = await request(app)
+        .get(`/api/bugs/${bugId}`)
+        .set('Authorization', otherHeader)
+        .expect(200);
+
+      const [comment] = bug.body.data.comments;
+      expect(comment.deleted).toBe(true);
+      expect(comment.message).toBe('');
+      expect(JSON.stringify(bug.body)).not.toContain('sk_live_123');
+
+      await request(app)
+        .put(commentUrl())
+        .set('Authorization', authorHeader)
+        .send({ message: 'Back again' })
+        .expect(404);
+
+      console.log('✅ Comment removal test passed');
+    });
+
+    it('should only let moderators remove other people\'s comments', async () => {
+      await request(app)
+        .delete(commentUrl())
+        .set('Authorization', otherHeader)
+        .expect(403);
+
+      await request(app)
+        .delete(commentUrl())
+        .set('Authorization', adminHeader)
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/bugs/:id/comments/:commentId/revisions', () => {
+    it('should show admins every earlier version', async () => {
+      await request(app)
+        .put(commentUrl())
+        .set('Authorization', authorHeader)
+        .send({ message: 'Token is in the vault, try it' })
+        .expect(200);
+
+      await request(app)
+        .delete(commentUrl())
+        .set('Authorization', authorHeader)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`${commentUrl()}/revisions`)
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(response.body.data.message).toBe('Token is in the vault, try it');
+      expect(response.body.data.deletedBy).toBe('Dana Dev');
+      expect(response.body.data.revisions).toEqual([
+        expect.objectContaining({ message: 'Token is sk_live_123, try it', editedBy: 'Dana Dev' })
+      ]);
+    });
+
+    it('should be hidden from non-admins', async () => {
+      await request(app)
+        .get(`${commentUrl()}/revisions`)
+        .set('Authorization', authorHeader)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Integration tests for per-project custom fields
+ * Tests field definitions, value validation on create/update and filtering
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Custom Fields API Integration Tests', () => {
+  let authHeader;
+
+  const fields = [
+    { key: 'browser', label: 'Browser', type: 'enum', options: ['Chrome', 'Firefox', 'Safari'], required: true },
+    { key: 'build', label: 'Build number', type: 'number' },
+    { key: 'found_on', label: 'Found on', type: 'date' },
+    { key: 'module', label: 'Affected module', type: 'text' },
+    { key: 'owner', label: 'Owner', type: 'user' }
+  ];
+
+  const sampleBug = {
+    title: 'Video does not play',
+    description: 'The intro video stays black',
+    project: 'WEB'
+  };
+
+  const createBug = (customFields) => request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader)
+    .send({ ...sampleBug, customFields });
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+
+    await request(app)
+      .put('/api/projects/WEB/fields')
+      .set('Authorization', authHeader)
+      .send({ fields })
+      .expect(200);
+  });
+
+  describe('PUT /api/projects/:id/fields', () => {
+    it('should reject invalid definitions', async () => {
+      const response = await request(app)
+        .put('/api/projects/WEB/fields')
+        .set('Authorization', authHeader)
+        .send({ fields: [{ key: 'Tier', label: 'Tier', type: 'enum' }] })
+        .expect(400);
+
+      expect(response.body.errors).toHaveLength(2);
+    });
+
+    it('should reject definitions that are not objects', async () => {
+      const response = await request(app)
+        .put('/api/projects/WEB/fields')
+        .set('Authorization', authHeader)
+        .send({ fields: [null, 'browser', ...fields] })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        'Field 1 must be an object with a key, label and type',
+        'Field 2 must be an object with a key, label and type'
+      ]);
+    });
+
+    it('should only let admins define fields', async () => {
+      const { authHeader: developerHeader } = await createTestUser({ role: 'developer' });
+
+      await request(app)
+        .put('/api/projects/WEB/fields')
+        .set('Authorization', developerHeader)
+        .send({ fields })
+        .expect(403);
+    });
+  });
+
+  describe('Creating and updating bugs', () => {
+    it('should store typed values', async () => {
+      console.log('🧪 Testing custom field values on create...');
+
+      const { user } = await createTestUser({ username: 'owner.one' });
+
+      const response = await createBug({
+        browser: 'Firefox',
+        build: '1042',
+        found_on: '2024-03-01',
+        owner: 'owner.one'
+      }).expect(201);
+
+      const { customFields } = response.body.data;
+      expect(customFields.browser).toBe('Firefox');
+      expect(customFields.build).toBe(1042);
+      expect(customFields.found_on).toBe('2024-03-01T00:00:00.000Z');
+      expect(customFields.owner).toBe(user._id.toString());
+
+      console.log('✅ Custom field values test passed');
+    });
+
+    it('should reject missing required fields, bad values and unknown fields', async () => {
+      console.log('🧪 Testing custom field validation...');
+
+      const response = await createBug({ build: 'latest', tier: 'gold' }).expect(400);
+
+      expect(response.body.message).toBe('Invalid custom fields');
+      expect(response.body.errors).toEqual(expect.arrayContaining([
+        'Unknown custom field "tier"',
+        'Browser is required',
+        'build must be a number'
+      ]));
+
+      console.log('✅ Custom field validation test passed');
+    });
+
+    it('should update and clear values on PUT', async () => {
+      const created = await createBug({ browser: 'Chrome', module: 'player' }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/bugs/${created.body.data.key}`)
+        .set('Authorization', authHeader)
+        .send({ customFields: { build: 7, module: '' } })
+        .expect(200);
+
+      expect(response.body.data.customFields).toEqual({ browser: 'Chrome', build: 7 });
+    });
+
+    it('should not allow clearing a required field', async () => {
+      const created = await createBug({ browser: 'Chrome' }).expect(201);
+
+      await request(app)
+        .put(`/api/bugs/${created.body.data.key}`)
+        .set('Authorization', authHeader)
+        .send({ customFields: { browser: '' } })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/bugs filtering', () => {
+    beforeEach(async () => {
+      await createBug({ browser: 'Chrome', build: 100 }).expect(201);
+      await createBug({ browser: 'Firefox', build: 200 }).expect(201);
+      await createBug({ browser: 'Safari', build: 300 }).expect(201);
+    });
+
+    it('should filter by a custom field value', async () => {
+      const response = await request(app)
+        .get('/api/bugs?project=WEB&cf.browser=Firefox')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].customFields.build).toBe(200);
+    });
+
+    it('should filter number fields by range', async () => {
+      const response = await request(app)
+        .get('/api/bugs?cf.build[gte]=150&cf.build[lte]=300')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+    });
+
+    it('should read filters across projects with each project\'s own field types', async () => {
+      // In the mobile project "build" is an enum of release channels
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', authHeader)
+        .send({ name: 'Mobile', key: 'MOB' })
+        .expect(201);
+      await request(app)
+        .put('/api/projects/MOB/fields')
+        .set('Authorization', authHeader)
+        .send({ fields: [{ key: 'build', label: 'Build', type: 'enum', options: ['beta', 'stable'] }] })
+        .expect(200);
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ ...sampleBug, project: 'MOB', customFields: { build: 'beta' } })
+        .expect(201);
+
+      const beta = await request(app)
+        .get('/api/bugs?cf.build=beta')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(beta.body.count).toBe(1);
+      expect(beta.body.data[0].key).toBe('MOB-1');
+
+      const numbered = await request(app)
+        .get('/api/bugs?cf.build=200')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(numbered.body.count).toBe(1);
+      expect(numbered.body.data[0].customFields.browser).toBe('Firefox');
+
+      await request(app)
+        .get('/api/bugs?cf.build=nightly')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    it('should reject unknown custom field filters', async () => {
+      await request(app)
+        .get('/api/bugs?project=WEB&cf.tier=gold')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+  });
+});
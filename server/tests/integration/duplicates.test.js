@@ -0,0 +1,130 @@
+/**
+ * Integration tests for duplicate detection
+ * Tests the similarity check and attaching reports to existing bugs
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Duplicate Detection Integration Tests', () => {
+  let authHeader;
+  let loginBug;
+
+  const createBug = (title, description) => request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader)
+    .send({ title, description, project: 'WEB' })
+    .expect(201);
+
+  const checkDuplicates = (body) => request(app)
+    .post('/api/bugs/duplicates/check')
+    .set('Authorization', authHeader)
+    .send(body);
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+
+    loginBug = (await createBug('Login button not working', 'Clicking the login button does nothing in Safari')).body.data;
+    await createBug('CSV export is empty', 'Exporting invoices returns an empty file');
+  });
+
+  describe('POST /api/bugs/duplicates/check', () => {
+    it('should return similar open bugs with a score', async () => {
+      console.log('🧪 Testing duplicate check...');
+
+      const response = await checkDuplicates({
+        title: 'Login button does nothing',
+        description: 'Cannot sign in because the login button is unresponsive',
+        project: 'WEB'
+      }).expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0]).toMatchObject({ key: loginBug.key, title: loginBug.title });
+      expect(response.body.data[0].score).toBeGreaterThan(0.3);
+
+      console.log('✅ Duplicate check test passed');
+    });
+
+    it('should ignore bugs that are already done', async () => {
+      await request(app)
+        .put(`/api/bugs/${loginBug.key}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'Resolved' })
+        .expect(200);
+
+      const response = await checkDuplicates({ title: 'Login button not working' }).expect(200);
+
+      expect(response.body.count).toBe(0);
+    });
+
+    it('should require a title or description', async () => {
+      await checkDuplicates({ project: 'WEB' }).expect(400);
+    });
+  });
+
+  describe('Attaching reports', () => {
+    it('should attach a report to an existing bug instead of creating one', async () => {
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ title: 'Cannot log in', description: 'Login button ignored', attachTo: loginBug.key })
+        .expect(200);
+
+      expect(response.body.attached).toBe(true);
+      expect(response.body.data.key).toBe(loginBug.key);
+      expect(response.body.data.duplicateReports).toHaveLength(1);
+      expect(await Bug.countDocuments()).toBe(2);
+    });
+
+    it('should attach customer feedback with the customer details', async () => {
+      console.log('🧪 Testing feedback attachment...');
+
+      const response = await request(app)
+        .post('/api/bugs/feedback')
+        .set('Authorization', authHeader)
+        .send({
+          title: 'Login broken',
+          description: 'The login button does nothing',
+          customerName: 'Acme Corp',
+          customerEmail: 'ops@acme.test',
+          attachTo: loginBug._id
+        })
+        .expect(200);
+
+      expect(response.body.data.duplicateReports[0]).toMatchObject({
+        source: 'customer',
+        reportedBy: 'Acme Corp',
+        customer: { name: 'Acme Corp', email: 'ops@acme.test' }
+      });
+
+      console.log('✅ Feedback attachment test passed');
+    });
+
+    it('should return 404 when the bug to attach to does not exist', async () => {
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ title: 'Cannot log in', description: 'Login button ignored', attachTo: 'WEB-99' })
+        .expect(404);
+    });
+
+    it('should reject query operators in place of a bug to attach to', async () => {
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ title: 'Cannot log in', description: 'Login button ignored', attachTo: { $ne: null } })
+        .expect(400);
+
+      const bug = await Bug.findById(loginBug._id);
+      expect(bug.duplicateReports).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Integration tests for e-mail ingestion
+ * Replays raw e-mails (tests/fixtures/email) and checks that they are filed
+ * as customer bugs and that replies are threaded onto them as comments
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../server');
+const Attachment = require('../../models/Attachment');
+const Bug = require('../../models/Bug');
+const { stripQuotedReply } = require('../../services/emailIngestion');
+const { createTestUser } = require('../helpers/auth');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/email', name));
+
+const plainEmail = ({ from, subject, messageId, inReplyTo, body }) => [
+  `From: ${from}`,
+  'To: support@bugs.example.com',
+  `Subject: ${subject}`,
+  `Message-ID: <${messageId}>`,
+  ...(inReplyTo ? [`In-Reply-To: <${inReplyTo}>`] : []),
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  body
+].join('\r\n');
+
+describe('E-mail Ingestion Integration Tests', () => {
+  let authHeader;
+
+  const sendEmail = (raw, header = authHeader) => request(app)
+    .post('/api/integrations/email')
+    .set('Authorization', header)
+    .set('Content-Type', 'message/rfc822')
+    .send(raw);
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'reporter' }));
+  });
+
+  describe('Quoted replies', () => {
+    it('should keep only the new text of a reply', () => {
+      expect(stripQuotedReply('Still broken.\n\nOn Tue, Bob <b@example.com> wrote:\n> Try again')).toBe('Still broken.');
+      expect(stripQuotedReply('> quoted\nAnswer\n-----Original Message-----\nFrom: someone')).toBe('Answer');
+    });
+  });
+
+  describe('POST /api/integrations/email', () => {
+    it('should file a new e-mail as a customer bug with its attachments', async () => {
+      console.log('🧪 Testing e-mail ingestion...');
+
+      const response = await sendEmail(fixture('new-report.eml')).expect(201);
+
+      expect(response.body.data.outcome).toBe('created');
+      expect(response.body.data.skipped).toEqual(['fix.exe']);
+
+      const bug = await Bug.findById(response.body.data.bug._id);
+      expect(bug.title).toBe('Checkout keeps failing');
+      expect(bug.description).toContain('Every time I pay by card');
+      expect(bug.source).toBe('customer');
+      expect(bug.reportedBy).toBe('Carol Customer');
+      expect(bug.customer.email).toBe('carol@example.com');
+
+      const attachments = await Attachment.find({ bug: bug._id });
+      expect(attachments.map(attachment => attachment.filename)).toEqual(['console.log']);
+      expect(attachments[0].uploadedBy).toBe('Carol Customer');
+
+      console.log('✅ E-mail ingestion test passed');
+    });
+
+    it('should add replies to the bug as comments', async () => {
+      const created = await sendEmail(fixture('new-report.eml')).expect(201);
+
+      const response = await sendEmail(fixture('reply.eml')).expect(200);
+
+      expect(response.body.data.outcome).toBe('commented');
+      expect(await Bug.countDocuments()).toBe(1);
+
+      const bug = await Bug.findById(created.body.data.bug._id);
+      expect(bug.comments).toHaveLength(1);
+      expect(bug.comments[0].author).toBe('Carol Customer');
+      expect(bug.comments[0].message).toBe('It also happens with PayPal now.');
+    });
+
+    it('should start a new bug for replies from someone other than the customer', async () => {
+      const created = await sendEmail(fixture('new-report.eml')).expect(201);
+
+      const stranger = await sendEmail(plainEmail({
+        from: 'Mallory <mallory@example.net>',
+        subject: 'Re: Checkout keeps failing',
+        messageId: 'stranger-reply@mail.example.net',
+        inReplyTo: 'report-1@mail.example.com',
+        body: 'Please wire the refund to my account'
+      })).expect(201);
+
+      expect(stranger.body.data.outcome).toBe('created');
+      const bug = await Bug.findById(created.body.data.bug._id);
+      expect(bug.comments).toHaveLength(0);
+    });
+
+    it('should thread by the bug key in the subject only for the bug\'s customer', async () => {
+      const created = await sendEmail(fixture('new-report.eml')).expect(201);
+      const { key } = created.body.data.bug;
+
+      await sendEmail(plainEmail({
+        from: 'Carol Customer <carol@example.com>',
+        subject: `Re: [${key}] Checkout keeps failing`,
+        messageId: 'follow-up@mail.example.com',
+        body: 'Any news?'
+      })).expect(200);
+
+      const stranger = await sendEmail(plainEmail({
+        from: 'Mallory <mallory@example.net>',
+        subject: `Re: [${key}] Checkout keeps failing`,
+        messageId: 'stranger@mail.example.net',
+        body: 'Me too'
+      })).expect(201);
+
+      const bug = await Bug.findOne({ key });
+      expect(bug.comments.map(comment => comment.message)).toEqual(['Any news?']);
+      expect(stranger.body.data.bug.key).not.toBe(key);
+    });
+
+    it('should file e-mails from senders with very long display names', async () => {
+      const name = 'Carol Customer, Senior Vice President of Global Payments Operations';
+
+      const response = await sendEmail(plainEmail({
+        from: `"${name}" <carol@example.com>`,
+        subject: 'Checkout keeps failing',
+        messageId: 'long-name@mail.example.com',
+        body: 'Card payments fail'
+      })).expect(201);
+
+      const bug = await Bug.findById(response.body.data.bug._id);
+      expect(bug.reportedBy).toBe('carol@example.com');
+      expect(bug.customer.name).toBe(name);
+    });
+
+    it('should ignore an e-mail it has already ingested', async () => {
+      await sendEmail(fixture('new-report.eml')).expect(201);
+
+      const response = await sendEmail(fixture('new-report.eml')).expect(200);
+
+      expect(response.body.data.outcome).toBe('duplicate');
+      expect(await Bug.countDocuments()).toBe(1);
+    });
+
+    it('should reject requests without a raw e-mail or credentials', async () => {
+      await request(app)
+        .post('/api/integrations/email')
+        .set('Authorization', authHeader)
+        .send({ subject: 'Not an e-mail' })
+        .expect(400);
+
+      await sendEmail(plainEmail({ from: '', subject: 'Anonymous', messageId: 'anon@example.com', body: 'Hi' })).expect(400);
+
+      await request(app)
+        .post('/api/integrations/email')
+        .set('Content-Type', 'message/rfc822')
+        .send(fixture('new-report.eml'))
+        .expect(401);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Integration tests for labels
+ * Tests tagging bugs, label filters, bulk tagging, renames and merges
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Label = require('../../models/Label');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Label API Integration Tests', () => {
+  let authHeader;
+
+  const createBug = (title, labels) => request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader)
+    .send({ title, description: `${title} description`, project: 'WEB', labels })
+    .expect(201);
+
+  const listBugs = (query) => request(app)
+    .get(`/api/bugs?project=WEB&${query}`)
+    .set('Authorization', authHeader)
+    .expect(200);
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+  });
+
+  describe('Tagging bugs', () => {
+    it('should create labels on first use and return them populated', async () => {
+      console.log('🧪 Testing free-form labels...');
+
+      const response = await createBug('Button overlaps', ['UI', 'regression', 'ui']);
+
+      expect(response.body.data.labels.map(label => label.name)).toEqual(['UI', 'regression']);
+      expect(response.body.data.labels[0].color).toBe(Label.DEFAULT_LABEL_COLOR);
+      expect(await Label.countDocuments()).toBe(2);
+
+      console.log('✅ Free-form labels test passed');
+    });
+
+    it('should only create labels for users who manage labels', async () => {
+      await createBug('Button overlaps', ['ui']);
+      const { authHeader: developerHeader } = await createTestUser({ role: 'developer' });
+      const fileBug = (labels) => request(app)
+        .post('/api/bugs')
+        .set('Authorization', developerHeader)
+        .send({ title: 'Menu hidden', description: 'Menu hidden on mobile', project: 'WEB', labels });
+
+      const rejected = await fileBug(['ui', 'brand-new']).expect(400);
+      expect(rejected.body.message).toContain('brand-new');
+
+      const response = await fileBug(['UI']).expect(201);
+      expect(response.body.data.labels.map(label => label.name)).toEqual(['ui']);
+      expect(await Label.countDocuments()).toBe(1);
+    });
+
+    it('should reject label names with commas', async () => {
+      await request(app)
+        .post('/api/projects/WEB/labels')
+        .set('Authorization', authHeader)
+        .send({ name: 'ui, mobile' })
+        .expect(400);
+    });
+
+    it('should replace labels on PUT', async () => {
+      const created = await createBug('Button overlaps', ['ui']);
+
+      const response = await request(app)
+        .put(`/api/bugs/${created.body.data.key}`)
+        .set('Authorization', authHeader)
+        .send({ labels: ['mobile'] })
+        .expect(200);
+
+      expect(response.body.data.labels.map(label => label.name)).toEqual(['mobile']);
+    });
+  });
+
+  describe('GET /api/bugs label filters', () => {
+    beforeEach(async () => {
+      await createBug('Only UI', ['ui']);
+      await createBug('UI regression', ['ui', 'regression']);
+      await createBug('Backend crash', ['backend']);
+    });
+
+    it('should match any of the labels by default', async () => {
+      const response = await listBugs('labels=ui,regression');
+
+      expect(response.body.count).toBe(2);
+    });
+
+    it('should match all of the labels when asked', async () => {
+      const response = await listBugs('labels=UI,regression&labelMatch=all');
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].title).toBe('UI regression');
+    });
+
+    it('should reject an unknown match mode', async () => {
+      await request(app)
+        .get('/api/bugs?labels=ui&labelMatch=some')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/bugs/bulk/labels', () => {
+    it('should add and remove labels on several bugs', async () => {
+      console.log('🧪 Testing bulk tagging...');
+
+      const first = await createBug('First', ['triage']);
+      const second = await createBug('Second', ['triage']);
+
+      const response = await request(app)
+        .post('/api/bugs/bulk/labels')
+        .set('Authorization', authHeader)
+        .send({ bugs: [first.body.data.key, second.body.data._id], add: ['sprint-12'], remove: ['triage'] })
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      response.body.data.forEach(bug => {
+        expect(bug.labels.map(label => label.name)).toEqual(['sprint-12']);
+      });
+
+      console.log('✅ Bulk tagging test passed');
+    });
+
+    it('should report bugs that do not exist', async () => {
+      const response = await request(app)
+        .post('/api/bugs/bulk/labels')
+        .set('Authorization', authHeader)
+        .send({ bugs: ['WEB-99'], add: ['ui'] })
+        .expect(404);
+
+      expect(response.body.message).toContain('WEB-99');
+    });
+
+    it('should reject bug entries that are not IDs or keys', async () => {
+      const bug = await createBug('First', ['triage']);
+
+      await request(app)
+        .post('/api/bugs/bulk/labels')
+        .set('Authorization', authHeader)
+        .send({ bugs: [{ $ne: null }], remove: ['triage'] })
+        .expect(400);
+
+      const unchanged = await request(app)
+        .get(`/api/bugs/${bug.body.data.key}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(unchanged.body.data.labels.map(label => label.name)).toEqual(['triage']);
+    });
+  });
+
+  describe('Managing labels', () => {
+    it('should rename a label everywhere and keep the old name in its history', async () => {
+      const created = await createBug('Button overlaps', ['ui']);
+      const label = created.body.data.labels[0];
+
+      await request(app)
+        .put(`/api/projects/WEB/labels/${label._id}`)
+        .set('Authorization', authHeader)
+        .send({ name: 'frontend', color: '#3182ce' })
+        .expect(200);
+
+      const bug = await request(app)
+        .get(`/api/bugs/${created.body.data.key}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(bug.body.data.labels[0]).toMatchObject({ name: 'frontend', color: '#3182ce' });
+
+      const stored = await Label.findById(label._id);
+      expect(stored.history[0]).toMatchObject({ action: 'renamed', from: 'ui' });
+    });
+
+    it('should merge one label into another', async () => {
+      console.log('🧪 Testing label merge...');
+
+      const first = await createBug('First', ['ui']);
+      await createBug('Second', ['frontend']);
+      await createBug('Third', ['ui', 'frontend']);
+
+      const labels = await Label.find();
+      const ui = labels.find(label => label.name === 'ui');
+      const frontend = labels.find(label => label.name === 'frontend');
+
+      await request(app)
+        .post(`/api/projects/WEB/labels/${ui._id}/merge`)
+        .set('Authorization', authHeader)
+        .send({ into: frontend._id })
+        .expect(200);
+
+      const tagged = await listBugs('labels=frontend');
+      expect(tagged.body.count).toBe(3);
+      tagged.body.data.forEach(bug => expect(bug.labels).toHaveLength(1));
+
+      const firstBug = await request(app)
+        .get(`/api/bugs/${first.body.data.key}`)
+        .set('Authorization', authHeader);
+      expect(firstBug.body.data.labels[0].name).toBe('frontend');
+
+      const merged = await Label.findById(frontend._id);
+      expect(merged.history[0]).toMatchObject({ action: 'merged', from: 'ui' });
+      expect(await Label.findById(ui._id)).toBeNull();
+
+      console.log('✅ Label merge test passed');
+    });
+
+    it('should only let triagers and admins manage labels', async () => {
+      const { authHeader: reporterHeader } = await createTestUser({ role: 'reporter' });
+
+      await request(app)
+        .post('/api/projects/WEB/labels')
+        .set('Authorization', reporterHeader)
+        .send({ name: 'ui' })
+        .expect(403);
+    });
+  });
+});
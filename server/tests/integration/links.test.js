@@ -0,0 +1,150 @@
+/**
+ * Integration tests for bug relationships
+ * Tests mirrored links, cycle detection, removal and auto-closing duplicates
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Bug Links Integration Tests', () => {
+  let authHeader;
+  let keys;
+
+  const link = (from, type, to) => request(app)
+    .post(`/api/bugs/${from}/links`)
+    .set('Authorization', authHeader)
+    .send({ type, bug: to });
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+
+    keys = [];
+    for (const title of ['Checkout fails', 'Payment API times out', 'Cart total wrong']) {
+      const response = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ title, description: `${title} description`, project: 'WEB' })
+        .expect(201);
+      keys.push(response.body.data.key);
+    }
+  });
+
+  describe('POST /api/bugs/:id/links', () => {
+    it('should add the link to both bugs', async () => {
+      console.log('🧪 Testing mirrored links...');
+
+      const response = await link(keys[0], 'blocked_by', keys[1]).expect(201);
+
+      expect(response.body.data.links[0]).toMatchObject({ type: 'blocked_by', bug: { key: keys[1] } });
+
+      const other = await request(app)
+        .get(`/api/bugs/${keys[1]}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(other.body.data.links[0]).toMatchObject({ type: 'blocks', bug: { key: keys[0] } });
+
+      console.log('✅ Mirrored links test passed');
+    });
+
+    it('should reject links that would create a blocking cycle', async () => {
+      await link(keys[0], 'blocks', keys[1]).expect(201);
+      await link(keys[1], 'blocks', keys[2]).expect(201);
+
+      const response = await link(keys[2], 'blocks', keys[0]).expect(400);
+      expect(response.body.message).toContain('cycle');
+
+      // The same cycle expressed from the other side
+      await link(keys[0], 'blocked_by', keys[2]).expect(400);
+    });
+
+    it('should reject unknown types, self links and repeated links', async () => {
+      await link(keys[0], 'causes', keys[1]).expect(400);
+      // Names inherited from Object are not link types either
+      await link(keys[0], 'constructor', keys[1]).expect(400);
+      await link(keys[0], 'toString', keys[1]).expect(400);
+      // Query operators cannot stand in for the other bug
+      await link(keys[0], 'relates_to', { $ne: null }).expect(400);
+      await link(keys[0], 'relates_to', keys[0]).expect(400);
+
+      await link(keys[0], 'relates_to', keys[1]).expect(201);
+      await link(keys[0], 'relates_to', keys[1]).expect(400);
+    });
+
+    it('should allow only one canonical bug per duplicate', async () => {
+      await link(keys[2], 'duplicates', keys[0]).expect(201);
+      await link(keys[2], 'duplicates', keys[1]).expect(400);
+      await link(keys[1], 'duplicated_by', keys[2]).expect(400);
+    });
+  });
+
+  describe('DELETE /api/bugs/:id/links/:type/:bugId', () => {
+    it('should remove the link from both bugs', async () => {
+      await link(keys[0], 'blocks', keys[1]).expect(201);
+
+      const response = await request(app)
+        .delete(`/api/bugs/${keys[1]}/links/blocked_by/${keys[0]}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.links).toHaveLength(0);
+      expect((await Bug.findOne({ key: keys[0] })).links).toHaveLength(0);
+    });
+
+    it('should return 404 for a link that does not exist', async () => {
+      await request(app)
+        .delete(`/api/bugs/${keys[0]}/links/blocks/${keys[1]}`)
+        .set('Authorization', authHeader)
+        .expect(404);
+    });
+  });
+
+  describe('Duplicates', () => {
+    it('should close open duplicates when the canonical bug is resolved', async () => {
+      console.log('🧪 Testing duplicate auto-close...');
+
+      await link(keys[1], 'duplicates', keys[0]).expect(201);
+      await link(keys[2], 'duplicates', keys[0]).expect(201);
+
+      await request(app)
+        .put(`/api/bugs/${keys[2]}`)
+        .set('Authorization', authHeader)
+        .send({ status: "Won't Fix" })
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/bugs/${keys[0]}/status`)
+        .set('Authorization', authHeader)
+        .send({ status: 'Resolved' })
+        .expect(200);
+
+      const duplicate = await Bug.findOne({ key: keys[1] });
+      expect(duplicate.status).toBe('Resolved');
+      expect(duplicate.statusHistory[0]).toMatchObject({ by: 'system', reason: expect.stringContaining(keys[0]) });
+
+      // Already closed duplicates keep their status
+      expect((await Bug.findOne({ key: keys[2] })).status).toBe("Won't Fix");
+
+      console.log('✅ Duplicate auto-close test passed');
+    });
+
+    it('should drop links to a deleted bug', async () => {
+      await link(keys[1], 'duplicates', keys[0]).expect(201);
+
+      await request(app)
+        .delete(`/api/bugs/${keys[0]}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect((await Bug.findOne({ key: keys[1] })).links).toHaveLength(0);
+    });
+  });
+});
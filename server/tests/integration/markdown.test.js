@@ -0,0 +1,103 @@
+/**
+ * Integration tests for Markdown rendering
+ * Tests rendering on save, sanitization and the preview endpoint
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Markdown Integration Tests', () => {
+  let authHeader;
+
+  const createBug = (description) => request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader)
+    .send({ title: 'Checkout fails', description });
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+  });
+
+  describe('Descriptions', () => {
+    it('should render Markdown descriptions to HTML', async () => {
+      console.log('🧪 Testing Markdown descriptions...');
+
+      const response = await createBug('Steps:\n\n1. Add to cart\n2. Pay\n\n```\nTypeError: x is undefined\n```').expect(201);
+
+      expect(response.body.data.description).toContain('1. Add to cart');
+      expect(response.body.data.descriptionHtml).toContain('<ol>');
+      expect(response.body.data.descriptionHtml).toContain('<pre><code>TypeError: x is undefined');
+
+      console.log('✅ Markdown description test passed');
+    });
+
+    it('should strip scripts, event handlers and unsafe links', async () => {
+      console.log('🧪 Testing Markdown sanitization...');
+
+      const response = await createBug([
+        '<script>alert(1)</script>',
+        '<img src=x onerror="alert(2)">',
+        '[click](javascript:alert(3))',
+        '![pic](https://evil.example/p.png)'
+      ].join('\n\n')).expect(201);
+
+      const html = response.body.data.descriptionHtml;
+      expect(html).not.toMatch(/script|onerror|javascript:|evil\.example|<img/);
+      expect(html).toContain('<a rel="noopener noreferrer nofollow" target="_blank">click</a>');
+
+      console.log('✅ Markdown sanitization test passed');
+    });
+
+    it('should keep images that point at attachments', async () => {
+      const response = await createBug('![checkout](attachment:64b7f0c2a1b2c3d4e5f60718)').expect(201);
+
+      expect(response.body.data.descriptionHtml).toContain('<img alt="checkout" data-attachment="64b7f0c2a1b2c3d4e5f60718" />');
+    });
+
+    it('should re-render on update and ignore HTML sent by clients', async () => {
+      const created = await createBug('First *draft*').expect(201);
+
+      const response = await request(app)
+        .put(`/api/bugs/${created.body.data._id}`)
+        .set('Authorization', authHeader)
+        .send({ description: 'Second **draft**', descriptionHtml: '<img src=x onerror=alert(1)>' })
+        .expect(200);
+
+      expect(response.body.data.descriptionHtml).toBe('<p>Second <strong>draft</strong></p>\n');
+    });
+  });
+
+  describe('Comments', () => {
+    it('should render Markdown comments', async () => {
+      const created = await createBug('Checkout fails').expect(201);
+
+      const response = await request(app)
+        .post(`/api/bugs/${created.body.data._id}/comments`)
+        .set('Authorization', authHeader)
+        .send({ message: 'Fixed in `cart.js` <script>alert(1)</script>' })
+        .expect(201);
+
+      expect(response.body.data.messageHtml).toBe('<p>Fixed in <code>cart.js</code> </p>\n');
+    });
+  });
+
+  describe('POST /api/markdown/preview', () => {
+    it('should render a preview without saving', async () => {
+      const response = await request(app)
+        .post('/api/markdown/preview')
+        .set('Authorization', authHeader)
+        .send({ text: '## Repro\n- open <b onclick="x()">cart</b>' })
+        .expect(200);
+
+      expect(response.body.data.html).toBe('<h2>Repro</h2>\n<ul>\n<li>open cart</li>\n</ul>\n');
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/markdown/preview')
+        .send({ text: 'hi' })
+        .expect(401);
+    });
+  });
+});
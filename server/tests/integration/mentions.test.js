@@ -0,0 +1,108 @@
+/**
+ * Integration tests for @mentions
+ * Tests mention parsing, notifications and the user search used for autocomplete
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Notification = require('../../models/Notification');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Mention Integration Tests', () => {
+  let authorHeader;
+  let author;
+  let alice;
+  let bob;
+  let bugId;
+
+  const addComment = (message) => request(app)
+    .post(`/api/bugs/${bugId}/comments`)
+    .set('Authorization', authorHeader)
+    .send({ message });
+
+  beforeEach(async () => {
+    ({ user: author, authHeader: authorHeader } = await createTestUser({ role: 'developer', name: 'Dana Dev', username: 'dana' }));
+    ({ user: alice } = await createTestUser({ name: 'Alice Able', username: 'alice' }));
+    ({ user: bob } = await createTestUser({ name: 'Bob Baker', username: 'bob' }));
+
+    const bug = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authorHeader)
+      .send({ title: 'Checkout fails', description: 'Payment step errors' })
+      .expect(201);
+    bugId = bug.body.data._id;
+  });
+
+  describe('POST /api/bugs/:id/comments', () => {
+    it('should store mentions and notify the mentioned users', async () => {
+      console.log('🧪 Testing @mentions...');
+
+      const response = await addComment('@alice can you check this? Ping @nobody and me @dana').expect(201);
+
+      expect(response.body.data.mentions).toEqual([
+        { user: String(alice._id), username: 'alice' },
+        { user: String(author._id), username: 'dana' }
+      ]);
+
+      const notifications = await Notification.find();
+      expect(notifications).toHaveLength(1);
+      expect(String(notifications[0].recipient)).toBe(String(alice._id));
+      expect(notifications[0].type).toBe('mention');
+      expect(notifications[0].message).toContain('Dana Dev mentioned you on BUG-');
+      expect(notifications[0].message).toContain('can you check this?');
+
+      console.log('✅ @mentions test passed');
+    });
+
+    it('should ignore e-mail addresses and code', async () => {
+      const response = await addComment('Mail alice@example.com or run `notify @bob`').expect(201);
+
+      expect(response.body.data.mentions).toEqual([]);
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('PUT /api/bugs/:id/comments/:commentId', () => {
+    it('should only notify users newly mentioned by an edit', async () => {
+      const comment = await addComment('@alice please look').expect(201);
+
+      await request(app)
+        .put(`/api/bugs/${bugId}/comments/${comment.body.data._id}`)
+        .set('Authorization', authorHeader)
+        .send({ message: '@alice and @bob please look' })
+        .expect(200);
+
+      const recipients = (await Notification.find().sort({ createdAt: 1 })).map(n => String(n.recipient));
+      expect(recipients).toEqual([String(alice._id), String(bob._id)]);
+    });
+  });
+
+  describe('GET /api/users/search', () => {
+    it('should find users by username or name prefix', async () => {
+      const byUsername = await request(app)
+        .get('/api/users/search?q=al')
+        .set('Authorization', authorHeader)
+        .expect(200);
+
+      expect(byUsername.body.data).toEqual([{ _id: String(alice._id), name: 'Alice Able', username: 'alice' }]);
+
+      const byName = await request(app)
+        .get('/api/users/search?q=Bob%20B')
+        .set('Authorization', authorHeader)
+        .expect(200);
+
+      expect(byName.body.data.map(user => user.username)).toEqual(['bob']);
+    });
+
+    it('should not leak e-mail addresses or roles', async () => {
+      const response = await request(app)
+        .get('/api/users/search?q=a')
+        .set('Authorization', authorHeader)
+        .expect(200);
+
+      response.body.data.forEach(user => {
+        expect(Object.keys(user).sort()).toEqual(['_id', 'name', 'username']);
+      });
+    });
+  });
+});
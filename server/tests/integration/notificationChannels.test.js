@@ -0,0 +1,250 @@
+/**
+ * Integration tests for notification channels
+ * Tests rule routing, channel formats, templates and the outbox retries,
+ * using a local HTTP server in place of Slack, Teams, Discord and webhooks
+ */
+
+const http = require('http');
+const nodemailer = require('nodemailer');
+const request = require('supertest');
+const app = require('../../server');
+const OutboxMessage = require('../../models/OutboxMessage');
+const { processOutbox } = require('../../services/outbox');
+const { setMailTransport } = require('../../services/channels');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Notification Channel Integration Tests', () => {
+  let channelServer;
+  let received;
+  let failures;
+  let adminHeader;
+  let developerHeader;
+
+  const channelUrl = (path) => `http://127.0.0.1:${channelServer.address().port}${path}`;
+
+  const createRule = (rule) => request(app)
+    .post('/api/notification-channels/rules')
+    .set('Authorization', adminHeader)
+    .send(rule);
+
+  const createBug = (fields = {}) => request(app)
+    .post('/api/bugs')
+    .set('Authorization', developerHeader)
+    .send({ title: 'Checkout fails', description: 'Payment step errors', ...fields })
+    .expect(201);
+
+  beforeAll((done) => {
+    // Answers 500 while `failures` is above zero, then records what it receives
+    channelServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (failures > 0) {
+          failures -= 1;
+          res.statusCode = 500;
+          return res.end('unavailable');
+        }
+        received.push({ path: req.url, body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    channelServer.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    channelServer.close(done);
+  });
+
+  beforeEach(async () => {
+    received = [];
+    failures = 0;
+    ({ authHeader: adminHeader } = await createTestUser({ role: 'admin' }));
+    ({ authHeader: developerHeader } = await createTestUser({ role: 'developer', name: 'Dana Dev' }));
+  });
+
+  describe('Routing', () => {
+    it('should queue matching events and deliver them from the outbox', async () => {
+      console.log('🧪 Testing channel routing...');
+
+      await createRule({
+        name: 'High priority to Slack',
+        channel: 'slack',
+        target: channelUrl('/slack'),
+        events: ['bug.created'],
+        priorities: ['High']
+      }).expect(201);
+
+      const bug = await createBug({ priority: 'High' });
+      await createBug({ priority: 'Low' });
+
+      // Nothing is sent while the request is handled
+      expect(received).toHaveLength(0);
+      expect(await OutboxMessage.countDocuments({ status: 'pending' })).toBe(1);
+
+      const results = await processOutbox();
+      expect(results).toEqual({ sent: 1, retry: 0, failed: 0 });
+
+      expect(received).toHaveLength(1);
+      expect(received[0].path).toBe('/slack');
+      expect(received[0].body.text).toContain(`🐛 New Bug ${bug.body.data.key}: Checkout fails`);
+      expect(received[0].body.text).toContain('Assigned to: Unassigned');
+
+      console.log('✅ Channel routing test passed');
+    });
+
+    it('should format messages for each channel', async () => {
+      for (const channel of ['teams', 'discord', 'webhook']) {
+        await createRule({ name: channel, channel, target: channelUrl(`/${channel}`), events: ['bug.status_changed'] }).expect(201);
+      }
+
+      const bug = await createBug();
+      await request(app)
+        .patch(`/api/bugs/${bug.body.data._id}/status`)
+        .set('Authorization', developerHeader)
+        .send({ status: 'In Progress' })
+        .expect(200);
+
+      await processOutbox();
+
+      const byPath = Object.fromEntries(received.map(entry => [entry.path, entry.body]));
+      const key = bug.body.data.key;
+
+      expect(byPath['/teams']).toMatchObject({ '@type': 'MessageCard', title: `🔄 ${key} moved to In Progress` });
+      expect(byPath['/teams'].text).toContain('Open → In Progress by Dana Dev');
+      expect(byPath['/discord'].content).toContain(`**🔄 ${key} moved to In Progress**`);
+      expect(byPath['/webhook']).toMatchObject({
+        event: 'bug.status_changed',
+        data: { bug: { key, status: 'In Progress' }, from: 'Open', to: 'In Progress', actor: 'Dana Dev' }
+      });
+    });
+
+    it('should use a rule\'s own template', async () => {
+      await createRule({
+        name: 'Custom',
+        channel: 'slack',
+        target: channelUrl('/slack'),
+        events: ['comment.added'],
+        template: { title: '{{bug.key}} has a comment', text: '{{actor}} said "{{comment}}" ({{reason|no reason}})' }
+      }).expect(201);
+
+      const bug = await createBug();
+      await request(app)
+        .post(`/api/bugs/${bug.body.data._id}/comments`)
+        .set('Authorization', developerHeader)
+        .send({ message: 'Looking into it' })
+        .expect(201);
+
+      await processOutbox();
+
+      expect(received[0].body.text).toBe(`*${bug.body.data.key} has a comment*\nDana Dev said "Looking into it" (no reason)`);
+    });
+
+    it('should keep posting new bugs to SLACK_WEBHOOK_URL', async () => {
+      process.env.SLACK_WEBHOOK_URL = channelUrl('/env-slack');
+
+      try {
+        await request(app)
+          .post('/api/bugs/feedback')
+          .set('Authorization', developerHeader)
+          .send({ title: 'Export is empty', description: 'CSV has no rows', customerName: 'Acme', customerEmail: 'ops@acme.test' })
+          .expect(201);
+      } finally {
+        delete process.env.SLACK_WEBHOOK_URL;
+      }
+
+      await processOutbox();
+
+      expect(received[0].path).toBe('/env-slack');
+      expect(received[0].body.text).toContain('📣 Customer Feedback → Bug');
+      expect(received[0].body.text).toContain('Customer: Acme (ops@acme.test)');
+    });
+
+    it('should send e-mail through the mail transport', async () => {
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      const sendMail = jest.spyOn(transport, 'sendMail');
+      setMailTransport(transport);
+
+      try {
+        await createRule({ name: 'Team mail', channel: 'email', target: 'team@example.com, lead@example.com', events: ['bug.created'] }).expect(201);
+        await createBug();
+        await processOutbox();
+      } finally {
+        setMailTransport(null);
+      }
+
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: ['team@example.com', 'lead@example.com'],
+        subject: expect.stringContaining('🐛 New Bug')
+      }));
+      expect(await OutboxMessage.countDocuments({ status: 'sent' })).toBe(1);
+    });
+  });
+
+  describe('Outbox', () => {
+    beforeEach(async () => {
+      await createRule({ name: 'Slack', channel: 'slack', target: channelUrl('/slack'), events: ['bug.created'] }).expect(201);
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+      console.log('🧪 Testing outbox retries...');
+      failures = 1;
+      await createBug();
+
+      const now = new Date();
+      expect(await processOutbox({ now })).toEqual({ sent: 0, retry: 1, failed: 0 });
+
+      const [message] = await OutboxMessage.find();
+      expect(message.status).toBe('pending');
+      expect(message.attempts).toBe(1);
+      expect(message.lastError).toContain('HTTP 500');
+      expect(message.nextAttemptAt.getTime()).toBeGreaterThan(now.getTime());
+
+      // Not due yet
+      expect(await processOutbox({ now })).toEqual({ sent: 0, retry: 0, failed: 0 });
+
+      expect(await processOutbox({ now: new Date(message.nextAttemptAt.getTime() + 1) }))
+        .toEqual({ sent: 1, retry: 0, failed: 0 });
+      expect(received).toHaveLength(1);
+
+      console.log('✅ Outbox retry test passed');
+    });
+
+    it('should give up after the last attempt and let admins retry', async () => {
+      failures = 1;
+      await createBug();
+      await OutboxMessage.updateMany({}, { maxAttempts: 1 });
+
+      expect(await processOutbox()).toEqual({ sent: 0, retry: 0, failed: 1 });
+
+      const failed = await request(app)
+        .get('/api/notification-channels/outbox?status=failed')
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(failed.body.data).toHaveLength(1);
+      expect(failed.body.data[0].target).toBeUndefined();
+
+      await request(app)
+        .post(`/api/notification-channels/outbox/${failed.body.data[0]._id}/retry`)
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(await processOutbox()).toEqual({ sent: 1, retry: 0, failed: 0 });
+    });
+  });
+
+  describe('Rules API', () => {
+    it('should validate targets', async () => {
+      await createRule({ name: 'Bad', channel: 'slack', target: 'not a url', events: ['bug.created'] }).expect(400);
+      await createRule({ name: 'Bad mail', channel: 'email', target: 'nobody', events: ['bug.created'] }).expect(400);
+      await createRule({ name: 'No events', channel: 'slack', target: channelUrl('/slack'), events: [] }).expect(400);
+    });
+
+    it('should be admin only', async () => {
+      await request(app)
+        .get('/api/notification-channels/rules')
+        .set('Authorization', developerHeader)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Integration tests for the notification center API
+ * Tests listing, unread counts and marking notifications as read
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Notification Integration Tests', () => {
+  let assigneeHeader;
+  let otherHeader;
+  let triagerHeader;
+  let bugKey;
+
+  beforeEach(async () => {
+    ({ authHeader: assigneeHeader } = await createTestUser({ role: 'developer', name: 'Dana Dev', username: 'dana' }));
+    ({ authHeader: otherHeader } = await createTestUser({ role: 'developer' }));
+    ({ authHeader: triagerHeader } = await createTestUser({ role: 'triager', name: 'Tom Triager' }));
+
+    // Filing a bug assigned to dana notifies her; the status change and comment do too
+    const bug = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', triagerHeader)
+      .send({ title: 'Checkout fails', description: 'Payment step errors', assignedTo: 'dana' })
+      .expect(201);
+    bugKey = bug.body.data.key;
+
+    await request(app)
+      .patch(`/api/bugs/${bugKey}/status`)
+      .set('Authorization', triagerHeader)
+      .send({ status: 'In Progress' })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/bugs/${bugKey}/comments`)
+      .set('Authorization', triagerHeader)
+      .send({ message: 'Customers are waiting' })
+      .expect(201);
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should list the user\'s notifications newest first', async () => {
+      console.log('🧪 Testing notification list...');
+
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+
+      expect(response.body.unreadCount).toBe(3);
+      expect(response.body.data.map(notification => notification.type)).toEqual(['comment', 'status_change', 'assignment']);
+      expect(response.body.data[0]).toMatchObject({ bugKey, actor: 'Tom Triager', read: false });
+
+      console.log('✅ Notification list test passed');
+    });
+
+    it('should only show notifications meant for the user', async () => {
+      const response = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', otherHeader)
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+      expect(response.body.unreadCount).toBe(0);
+    });
+
+    it('should limit the results', async () => {
+      const response = await request(app)
+        .get('/api/notifications?limit=1')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.unreadCount).toBe(3);
+    });
+  });
+
+  describe('PATCH /api/notifications/:id/read', () => {
+    it('should mark a notification as read', async () => {
+      const list = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+      const [latest] = list.body.data;
+
+      const response = await request(app)
+        .patch(`/api/notifications/${latest._id}/read`)
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+
+      expect(response.body.data.read).toBe(true);
+
+      const count = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+      expect(count.body.data.count).toBe(2);
+
+      const unread = await request(app)
+        .get('/api/notifications?unread=true')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+      expect(unread.body.data.map(notification => notification._id)).not.toContain(latest._id);
+    });
+
+    it('should not let users read other people\'s notifications', async () => {
+      const list = await request(app)
+        .get('/api/notifications')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/notifications/${list.body.data[0]._id}/read`)
+        .set('Authorization', otherHeader)
+        .expect(404);
+
+      await request(app)
+        .patch('/api/notifications/not-an-id/read')
+        .set('Authorization', assigneeHeader)
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/notifications/read-all', () => {
+    it('should mark every notification as read', async () => {
+      const response = await request(app)
+        .patch('/api/notifications/read-all')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+
+      expect(response.body.data.updated).toBe(3);
+
+      const count = await request(app)
+        .get('/api/notifications/unread-count')
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+      expect(count.body.data.count).toBe(0);
+    });
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/notifications')
+      .expect(401);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Integration tests for the public feedback portal
+ * Tests spam protection, tracking links and what customers can see
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const { issueFormToken } = require('../../services/portal');
+const { subscribe } = require('../../services/bugEvents');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Feedback Portal Integration Tests', () => {
+  const report = (fields = {}) => ({
+    name: 'Carol Customer',
+    email: 'carol@example.com',
+    title: 'Checkout keeps failing',
+    description: 'Card payments say "Something went wrong"',
+    // Issued a minute ago, as if the form had just been filled in
+    formToken: issueFormToken(Date.now() - 60 * 1000),
+    ...fields
+  });
+
+  const submit = (fields) => request(app).post('/api/public/feedback').send(report(fields));
+
+  beforeAll(() => {
+    process.env.FEEDBACK_PORTAL_RATE_LIMIT = '1000';
+  });
+
+  afterAll(() => {
+    delete process.env.FEEDBACK_PORTAL_RATE_LIMIT;
+  });
+
+  describe('POST /api/public/feedback', () => {
+    it('should file a customer bug without a login and return a tracking link', async () => {
+      console.log('🧪 Testing portal submission...');
+
+      const form = await request(app).get('/api/public/feedback/form').expect(200);
+      expect(form.body.data.formToken).toMatch(/^\d+\.[0-9a-f]{32}\.[0-9a-f]{64}$/);
+
+      const response = await submit().expect(201);
+      const { key, trackingToken, trackingUrl } = response.body.data;
+
+      expect(trackingUrl).toMatch(new RegExp(`/track/${trackingToken}$`));
+
+      const bug = await Bug.findOne({ key }).select('+trackingTokenHash');
+      expect(bug.source).toBe('customer');
+      expect(bug.customer.email).toBe('carol@example.com');
+      expect(bug.reportedBy).toBe('Carol Customer');
+      // Only a hash of the token is kept
+      expect(bug.trackingTokenHash).toBeDefined();
+      expect(bug.trackingTokenHash).not.toBe(trackingToken);
+
+      console.log('✅ Portal submission test passed');
+    });
+
+    it('should save the tracking token with the bug before announcing it', async () => {
+      const announced = [];
+      const unsubscribe = subscribe('bug.created', async ({ bug }) => {
+        announced.push(await Bug.findById(bug._id).select('+trackingTokenHash'));
+      });
+
+      try {
+        await submit().expect(201);
+      } finally {
+        unsubscribe();
+      }
+
+      expect(announced).toHaveLength(1);
+      expect(announced[0].trackingTokenHash).toBeDefined();
+    });
+
+    it('should accept names longer than a bug\'s reporter name', async () => {
+      const name = 'Carol Customer, Head of Payments Operations and Customer Experience';
+
+      const response = await submit({ name }).expect(201);
+
+      const bug = await Bug.findOne({ key: response.body.data.key });
+      expect(bug.reportedBy).toBe('carol@example.com');
+      expect(bug.customer.name).toBe(name);
+    });
+
+    it('should reject bots', async () => {
+      await submit({ website: 'http://spam.example.com' }).expect(400);
+      await submit({ formToken: issueFormToken() }).expect(400);
+      await submit({ formToken: issueFormToken(Date.now() - 3 * 60 * 60 * 1000) }).expect(400);
+      await submit({ formToken: '1700000000.forged' }).expect(400);
+      await submit({ formToken: undefined }).expect(400);
+
+      expect(await Bug.countDocuments()).toBe(0);
+    });
+
+    it('should accept each form only once', async () => {
+      const formToken = issueFormToken(Date.now() - 60 * 1000);
+
+      await submit({ formToken }).expect(201);
+      const response = await submit({ formToken, title: 'Sent again' }).expect(400);
+
+      expect(response.body.message).toContain('already sent');
+      expect(await Bug.countDocuments()).toBe(1);
+    });
+
+    it('should let a rejected report be fixed and sent with the same form', async () => {
+      const formToken = issueFormToken(Date.now() - 60 * 1000);
+
+      await submit({ formToken, title: 'x'.repeat(500) }).expect(400);
+      await submit({ formToken }).expect(201);
+    });
+
+    it('should rate limit submissions', async () => {
+      process.env.FEEDBACK_PORTAL_RATE_LIMIT = '1';
+      try {
+        await submit();
+        const response = await submit().expect(429);
+        expect(response.body.message).toContain('Too many submissions');
+      } finally {
+        process.env.FEEDBACK_PORTAL_RATE_LIMIT = '1000';
+      }
+    });
+  });
+
+  describe('Tracking links', () => {
+    let trackingToken;
+    let key;
+
+    beforeEach(async () => {
+      ({ trackingToken, key } = (await submit().expect(201)).body.data);
+    });
+
+    it('should show the status and public comments only', async () => {
+      console.log('🧪 Testing tracking page...');
+      const { authHeader } = await createTestUser({ role: 'developer' });
+
+      await request(app)
+        .post(`/api/bugs/${key}/comments`)
+        .set('Authorization', authHeader)
+        .send({ message: 'Probably the payment gateway timeout' })
+        .expect(201);
+      await request(app)
+        .post(`/api/bugs/${key}/comments`)
+        .set('Authorization', authHeader)
+        .send({ message: 'We are looking into it', visibility: 'public' })
+        .expect(201);
+
+      const response = await request(app).get(`/api/public/track/${trackingToken}`).expect(200);
+      const view = response.body.data;
+
+      expect(view).toMatchObject({ key, status: 'Open', statusCategory: 'open' });
+      expect(view.comments).toEqual([
+        expect.objectContaining({ author: 'Support team', fromCustomer: false, message: 'We are looking into it' })
+      ]);
+      expect(JSON.stringify(view)).not.toContain('payment gateway timeout');
+      expect(view).not.toHaveProperty('assignedTo');
+      expect(view).not.toHaveProperty('customer');
+
+      console.log('✅ Tracking page test passed');
+    });
+
+    it('should let the customer add more information', async () => {
+      const response = await request(app)
+        .post(`/api/public/track/${trackingToken}/comments`)
+        .send({ message: 'It also happens with PayPal' })
+        .expect(201);
+
+      expect(response.body.data.comments).toEqual([
+        expect.objectContaining({ author: 'Carol Customer', fromCustomer: true, message: 'It also happens with PayPal' })
+      ]);
+
+      const bug = await Bug.findOne({ key });
+      expect(bug.comments[0]).toMatchObject({ author: 'Carol Customer', visibility: 'public' });
+    });
+
+    it('should reject empty and non-text messages', async () => {
+      for (const message of ['   ', 123, { text: 'Hi' }, ['Hi']]) {
+        await request(app)
+          .post(`/api/public/track/${trackingToken}/comments`)
+          .send({ message })
+          .expect(400);
+      }
+
+      const bug = await Bug.findOne({ key });
+      expect(bug.comments).toHaveLength(0);
+    });
+
+    it('should not find reports for unknown tokens', async () => {
+      await request(app).get('/api/public/track/not-a-real-token').expect(404);
+      await request(app)
+        .post('/api/public/track/not-a-real-token/comments')
+        .send({ message: 'Hello?' })
+        .expect(404);
+    });
+  });
+});
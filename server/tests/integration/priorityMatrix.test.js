@@ -0,0 +1,164 @@
+/**
+ * Integration tests for severity and the impact × urgency priority matrix
+ * Tests severity defaults, matrix configuration and computed priorities
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Priority Matrix Integration Tests', () => {
+  let authHeader;
+
+  const createBug = (fields) => request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader)
+    .send({
+      title: 'Checkout fails',
+      description: 'Payment step returns an error',
+      project: 'WEB',
+      ...fields
+    })
+    .expect(201);
+
+  const enableMatrix = () => request(app)
+    .put('/api/projects/WEB/priority-matrix')
+    .set('Authorization', authHeader)
+    .send({ enabled: true })
+    .expect(200);
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+  });
+
+  it('should default severity and keep the chosen priority while the matrix is off', async () => {
+    const response = await createBug({ priority: 'Low', urgency: 'High' });
+
+    expect(response.body.data.severity).toBe('Major');
+    expect(response.body.data.priority).toBe('Low');
+    expect(response.body.data.priorityComputed).toBe(false);
+  });
+
+  it('should reject unknown severities', async () => {
+    await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send({ title: 'Bad', description: 'Bad severity', severity: 'Huge' })
+      .expect(400);
+  });
+
+  it('should compute priority from severity and urgency when enabled', async () => {
+    console.log('🧪 Testing computed priority...');
+
+    await enableMatrix();
+
+    const response = await createBug({ severity: 'Blocker', urgency: 'Low', priority: 'Low' });
+
+    expect(response.body.data.priority).toBe('Medium');
+    expect(response.body.data.priorityComputed).toBe(true);
+
+    console.log('✅ Computed priority test passed');
+  });
+
+  it('should recompute priority when severity or urgency change', async () => {
+    await enableMatrix();
+    const created = await createBug({ severity: 'Trivial', urgency: 'High' });
+    expect(created.body.data.priority).toBe('Low');
+
+    const updated = await request(app)
+      .put(`/api/bugs/${created.body.data.key}`)
+      .set('Authorization', authHeader)
+      .send({ severity: 'Critical' })
+      .expect(200);
+
+    expect(updated.body.data.priority).toBe('High');
+  });
+
+  it('should keep a manual priority until severity or urgency change', async () => {
+    await enableMatrix();
+    const created = await createBug({ severity: 'Major', urgency: 'Medium' });
+
+    const manual = await request(app)
+      .put(`/api/bugs/${created.body.data.key}`)
+      .set('Authorization', authHeader)
+      .send({ priority: 'High', title: 'Checkout fails for all cards' })
+      .expect(200);
+
+    expect(manual.body.data.priority).toBe('High');
+    expect(manual.body.data.priorityComputed).toBe(false);
+  });
+
+  it('should use the configured matrix cells', async () => {
+    await request(app)
+      .put('/api/projects/WEB/priority-matrix')
+      .set('Authorization', authHeader)
+      .send({
+        enabled: true,
+        cells: ['Blocker', 'Critical', 'Major', 'Minor', 'Trivial'].flatMap(severity => (
+          ['Low', 'Medium', 'High'].map(urgency => ({ severity, urgency, priority: 'High' }))
+        ))
+      })
+      .expect(200);
+
+    const response = await createBug({ severity: 'Trivial', urgency: 'Low' });
+
+    expect(response.body.data.priority).toBe('High');
+  });
+
+  it('should reject incomplete matrices', async () => {
+    const response = await request(app)
+      .put('/api/projects/WEB/priority-matrix')
+      .set('Authorization', authHeader)
+      .send({ enabled: true, cells: [{ severity: 'Blocker', urgency: 'High', priority: 'High' }] })
+      .expect(400);
+
+    expect(response.body.errors).toHaveLength(14);
+  });
+
+  it('should require the prioritize permission to change urgency', async () => {
+    const created = await createBug({ urgency: 'Low' });
+    const { authHeader: reporterHeader } = await createTestUser({ role: 'reporter' });
+
+    await request(app)
+      .put(`/api/bugs/${created.body.data.key}`)
+      .set('Authorization', reporterHeader)
+      .send({ urgency: 'High' })
+      .expect(403);
+  });
+
+  it('should require the prioritize permission when a severity change moves the priority', async () => {
+    await enableMatrix();
+    const created = await createBug({ severity: 'Trivial', urgency: 'High' });
+    const { authHeader: reporterHeader } = await createTestUser({ role: 'reporter' });
+
+    await request(app)
+      .put(`/api/bugs/${created.body.data.key}`)
+      .set('Authorization', reporterHeader)
+      .send({ severity: 'Blocker' })
+      .expect(403);
+
+    const bug = await Bug.findOne({ key: created.body.data.key });
+    expect(bug.severity).toBe('Trivial');
+    expect(bug.priority).toBe(created.body.data.priority);
+
+    // With the matrix off, severity leaves priority alone and anyone who can edit may change it
+    await request(app)
+      .put('/api/projects/WEB/priority-matrix')
+      .set('Authorization', authHeader)
+      .send({ enabled: false })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/bugs/${created.body.data.key}`)
+      .set('Authorization', reporterHeader)
+      .send({ severity: 'Blocker' })
+      .expect(200);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Integration tests for projects and human-readable bug keys
+ * Tests project management, key allocation and lookups by key
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const Project = require('../../models/Project');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Project API Integration Tests', () => {
+  let authHeader;
+
+  const sampleBug = {
+    title: 'Checkout button misaligned',
+    description: 'The checkout button overlaps the footer on mobile'
+  };
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+  });
+
+  describe('POST /api/projects', () => {
+    it('should create a project with an uppercase key', async () => {
+      console.log('🧪 Testing project creation...');
+
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', authHeader)
+        .send({ name: 'Website', key: 'web' })
+        .expect(201);
+
+      expect(response.body.data.key).toBe('WEB');
+      expect(response.body.data.members).toHaveLength(1);
+
+      console.log('✅ Project creation test passed');
+    });
+
+    it('should reject invalid keys', async () => {
+      console.log('🧪 Testing invalid project key...');
+
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', authHeader)
+        .send({ name: 'Website', key: '1-bad' })
+        .expect(400);
+
+      console.log('✅ Invalid project key test passed');
+    });
+
+    it('should only let admins create projects', async () => {
+      console.log('🧪 Testing project creation permission...');
+
+      const { authHeader: reporterHeader } = await createTestUser({ role: 'reporter' });
+
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', reporterHeader)
+        .send({ name: 'Website', key: 'WEB' })
+        .expect(403);
+
+      console.log('✅ Project creation permission test passed');
+    });
+  });
+
+  describe('Bug keys', () => {
+    beforeEach(async () => {
+      await Project.create({ name: 'Website', key: 'WEB' });
+    });
+
+    it('should assign sequential keys per project', async () => {
+      console.log('🧪 Testing sequential bug keys...');
+
+      const first = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ ...sampleBug, project: 'WEB' })
+        .expect(201);
+
+      const second = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ ...sampleBug, project: 'WEB' })
+        .expect(201);
+
+      const other = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send(sampleBug)
+        .expect(201);
+
+      expect(first.body.data.key).toBe('WEB-1');
+      expect(second.body.data.key).toBe('WEB-2');
+      // Bugs without a project land in the default project
+      expect(other.body.data.key).toBe(`${Project.DEFAULT_PROJECT_KEY}-1`);
+
+      console.log('✅ Sequential bug keys test passed');
+    });
+
+    it('should fetch, update and filter bugs by key and project', async () => {
+      console.log('🧪 Testing lookups by key...');
+
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ ...sampleBug, project: 'WEB' });
+      await Bug.create({ ...sampleBug, reportedBy: 'Test User' });
+
+      const byKey = await request(app)
+        .get('/api/bugs/web-1')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(byKey.body.data.key).toBe('WEB-1');
+
+      await request(app)
+        .patch('/api/bugs/WEB-1/status')
+        .set('Authorization', authHeader)
+        .send({ status: 'In Progress' })
+        .expect(200);
+
+      const filtered = await request(app)
+        .get('/api/bugs?project=WEB')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(filtered.body.count).toBe(1);
+      expect(filtered.body.data[0].status).toBe('In Progress');
+
+      console.log('✅ Lookup by key test passed');
+    });
+
+    it('should move bugs filed before projects existed into the default project when saved', async () => {
+      const { insertedId } = await Bug.collection.insertOne({
+        ...sampleBug,
+        status: 'Open',
+        priority: 'Medium',
+        severity: 'Minor',
+        reportedBy: 'Test User',
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      await request(app)
+        .post(`/api/bugs/${insertedId}/comments`)
+        .set('Authorization', authHeader)
+        .send({ message: 'Still happening' })
+        .expect(201);
+
+      const bug = await Bug.findById(insertedId).populate('project');
+      expect(bug.project.key).toBe(Project.DEFAULT_PROJECT_KEY);
+      expect(bug.key).toBe(`${Project.DEFAULT_PROJECT_KEY}-1`);
+      expect(bug.number).toBe(1);
+      expect(bug.comments).toHaveLength(1);
+    });
+
+    it('should return 404 for an unknown key and 400 for an unknown project', async () => {
+      console.log('🧪 Testing unknown keys and projects...');
+
+      await request(app)
+        .get('/api/bugs/WEB-999')
+        .set('Authorization', authHeader)
+        .expect(404);
+
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ ...sampleBug, project: 'NOPE' })
+        .expect(400);
+
+      console.log('✅ Unknown key test passed');
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Integration tests for SLA tracking
+ * Tests policy selection, due dates, first response, pauses and breaches
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const SlaPolicy = require('../../models/SlaPolicy');
+const { checkSlaBreaches } = require('../../services/sla');
+const { createTestUser } = require('../helpers/auth');
+
+const MINUTE = 60 * 1000;
+
+describe('SLA Integration Tests', () => {
+  let authHeader;
+
+  const createPolicy = (fields) => request(app)
+    .post('/api/sla-policies')
+    .set('Authorization', authHeader)
+    .send({
+      name: 'Standard',
+      priority: 'High',
+      firstResponseMinutes: 60,
+      resolutionMinutes: 480,
+      ...fields
+    })
+    .expect(201);
+
+  const createFeedback = (fields) => request(app)
+    .post('/api/bugs/feedback')
+    .set('Authorization', authHeader)
+    .send({
+      title: 'Invoice export broken',
+      description: 'CSV export returns an empty file',
+      customerName: 'Acme Corp',
+      priority: 'High',
+      project: 'WEB',
+      ...fields
+    })
+    .expect(201);
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+  });
+
+  describe('Due dates', () => {
+    it('should compute deadlines from the matching policy', async () => {
+      console.log('🧪 Testing SLA due dates...');
+
+      await createPolicy();
+      const response = await createFeedback();
+      const { sla, createdAt } = response.body.data;
+
+      expect(new Date(sla.firstResponseDueAt) - new Date(createdAt)).toBe(60 * MINUTE);
+      expect(new Date(sla.resolutionDueAt) - new Date(createdAt)).toBe(480 * MINUTE);
+      expect(sla.firstResponseBreached).toBe(false);
+
+      console.log('✅ SLA due dates test passed');
+    });
+
+    it('should prefer the most specific policy', async () => {
+      await createPolicy({ firstResponseMinutes: 60 });
+      await createPolicy({ name: 'Enterprise', customerTier: 'Enterprise', firstResponseMinutes: 15 });
+      await createPolicy({ name: 'Web enterprise', project: 'WEB', customerTier: 'enterprise', firstResponseMinutes: 5 });
+
+      const enterprise = await createFeedback({ customerTier: 'enterprise' });
+      const standard = await createFeedback({ customerTier: 'basic' });
+
+      const responseMinutes = (bug) => (
+        (new Date(bug.sla.firstResponseDueAt) - new Date(bug.createdAt)) / MINUTE
+      );
+
+      expect(responseMinutes(enterprise.body.data)).toBe(5);
+      expect(responseMinutes(standard.body.data)).toBe(60);
+    });
+
+    it('should not track internal bugs or bugs without a policy', async () => {
+      await createPolicy({ priority: 'Low' });
+
+      const feedback = await createFeedback();
+      const internal = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ title: 'Internal', description: 'Found in QA', priority: 'Low', project: 'WEB' })
+        .expect(201);
+
+      expect(feedback.body.data.sla).toBeUndefined();
+      expect(internal.body.data.sla).toBeUndefined();
+    });
+  });
+
+  describe('Responses and breaches', () => {
+    it('should record the first response from someone other than the reporter', async () => {
+      await createPolicy();
+      const created = await createFeedback();
+      const { authHeader: developerHeader } = await createTestUser({ role: 'developer' });
+
+      await request(app)
+        .post(`/api/bugs/${created.body.data.key}/comments`)
+        .set('Authorization', authHeader)
+        .send({ message: 'Adding the customer screenshot' })
+        .expect(201);
+
+      let bug = await Bug.findOne({ key: created.body.data.key });
+      expect(bug.sla.firstRespondedAt).toBeNull();
+
+      await request(app)
+        .post(`/api/bugs/${created.body.data.key}/comments`)
+        .set('Authorization', developerHeader)
+        .send({ message: 'Looking into it' })
+        .expect(201);
+
+      bug = await Bug.findOne({ key: created.body.data.key });
+      expect(bug.sla.firstRespondedAt).toBeInstanceOf(Date);
+      expect(bug.sla.firstResponseBreached).toBe(false);
+    });
+
+    it('should flag breaches found by the SLA monitor', async () => {
+      console.log('🧪 Testing SLA breach detection...');
+
+      await createPolicy();
+      const created = await createFeedback();
+
+      // Pretend the bug was filed two hours ago
+      const bug = await Bug.findOne({ key: created.body.data.key });
+      bug.createdAt = new Date(Date.now() - 120 * MINUTE);
+      await bug.save();
+      await Bug.updateOne({ _id: bug._id }, { 'sla.firstResponseBreached': false, 'sla.breachedAt': null });
+
+      expect(await checkSlaBreaches(Bug)).toBe(1);
+
+      const breached = await request(app)
+        .get('/api/bugs?slaBreached=true')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(breached.body.count).toBe(1);
+      expect(breached.body.data[0].sla.firstResponseBreached).toBe(true);
+      expect(breached.body.data[0].sla.breachedAt).toBe(breached.body.data[0].sla.firstResponseDueAt);
+
+      console.log('✅ SLA breach detection test passed');
+    });
+
+    it('should leave paused and unchanged bugs alone in the SLA monitor', async () => {
+      await createPolicy({ pauseStatuses: ['Triage'] });
+      const created = await createFeedback();
+
+      // Overdue on paper, but waiting in a pause status
+      const dueAt = new Date(Date.now() - MINUTE);
+      await Bug.updateOne({ key: created.body.data.key }, {
+        status: 'Triage',
+        'sla.firstResponseDueAt': dueAt,
+        'sla.pausedSince': new Date(Date.now() - 30 * MINUTE)
+      });
+      const before = await Bug.findOne({ key: created.body.data.key });
+
+      expect(await checkSlaBreaches(Bug)).toBe(0);
+      expect(await checkSlaBreaches(Bug)).toBe(0);
+
+      const after = await Bug.findOne({ key: created.body.data.key });
+      expect(after.updatedAt).toEqual(before.updatedAt);
+      expect(after.sla.firstResponseDueAt).toEqual(dueAt);
+    });
+
+    it('should pause the clock in pause statuses and stop it on resolution', async () => {
+      await createPolicy({ pauseStatuses: ['Triage'] });
+      const created = await createFeedback();
+      const key = created.body.data.key;
+
+      // Filed two hours ago and sent straight to Triage for ninety minutes
+      const bug = await Bug.findOne({ key });
+      const createdAt = new Date(Date.now() - 120 * MINUTE);
+      bug.createdAt = createdAt;
+      bug.statusHistory.push(
+        { from: 'Open', to: 'Triage', at: createdAt },
+        { from: 'Triage', to: 'Open', at: new Date(createdAt.getTime() + 90 * MINUTE) }
+      );
+      await bug.save();
+
+      const paused = await Bug.findOne({ key });
+      expect(paused.sla.firstResponseDueAt - createdAt).toBe(150 * MINUTE);
+      expect(paused.sla.firstResponseBreached).toBe(false);
+
+      const resolved = await request(app)
+        .put(`/api/bugs/${key}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'Resolved' })
+        .expect(200);
+
+      expect(resolved.body.data.sla.resolvedAt).toBeDefined();
+      expect(resolved.body.data.sla.firstResponseBreached).toBe(false);
+      expect(resolved.body.data.sla.resolutionBreached).toBe(false);
+    });
+  });
+
+  describe('Managing policies', () => {
+    it('should only let admins manage policies', async () => {
+      const { authHeader: triagerHeader } = await createTestUser({ role: 'triager' });
+
+      await request(app)
+        .post('/api/sla-policies')
+        .set('Authorization', triagerHeader)
+        .send({ name: 'Standard', priority: 'High', firstResponseMinutes: 60, resolutionMinutes: 480 })
+        .expect(403);
+
+      expect(await SlaPolicy.countDocuments()).toBe(0);
+    });
+
+    it('should reject invalid policies', async () => {
+      await request(app)
+        .post('/api/sla-policies')
+        .set('Authorization', authHeader)
+        .send({ name: 'Broken', priority: 'High', firstResponseMinutes: 0, resolutionMinutes: 480 })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Integration tests for the Slack app
+ * Tests request signing, the /bug slash command and the notification buttons
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const NotificationRule = require('../../models/NotificationRule');
+const Project = require('../../models/Project');
+const { processOutbox } = require('../../services/outbox');
+const { createTestUser } = require('../helpers/auth');
+
+const SIGNING_SECRET = 'slack-test-signing-secret';
+
+describe('Slack Integration Tests', () => {
+  let slack;
+  let received;
+  let developer;
+  let reporter;
+
+  const slackUrl = (path) => `http://127.0.0.1:${slack.address().port}${path}`;
+
+  const signedPost = (path, fields, { secret = SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) => {
+    const body = new URLSearchParams(fields).toString();
+    const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+
+    return request(app)
+      .post(path)
+      .set('Content-Type', 'application/x-www-form-urlencoded')
+      .set('X-Slack-Request-Timestamp', String(timestamp))
+      .set('X-Slack-Signature', signature)
+      .send(body);
+  };
+
+  const runCommand = (slackUserId, text, options) => signedPost(
+    '/api/integrations/slack/commands',
+    { command: '/bug', text, user_id: slackUserId, user_name: 'someone', channel_id: 'C1' },
+    options
+  );
+
+  const pressButton = (slackUserId, actionId, bug) => signedPost('/api/integrations/slack/actions', {
+    payload: JSON.stringify({
+      type: 'block_actions',
+      user: { id: slackUserId },
+      actions: [{ action_id: actionId, value: String(bug._id) }],
+      response_url: slackUrl('/response')
+    })
+  });
+
+  const createBug = async (fields = {}) => {
+    const project = await Project.getDefault();
+    return Bug.create({
+      project: project._id,
+      title: 'Checkout fails',
+      description: 'Payment step errors',
+      reportedBy: reporter.name,
+      reporter: reporter._id,
+      ...fields
+    });
+  };
+
+  beforeAll((done) => {
+    process.env.SLACK_SIGNING_SECRET = SIGNING_SECRET;
+
+    // Stands in for Slack's response_url and incoming webhooks
+    slack = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ path: req.url, body: JSON.parse(body) });
+        res.end('ok');
+      });
+    });
+    slack.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    delete process.env.SLACK_SIGNING_SECRET;
+    slack.close(done);
+  });
+
+  beforeEach(async () => {
+    received = [];
+    ({ user: developer } = await createTestUser({ role: 'developer', name: 'Dana Dev', username: 'dana', slackUserId: 'U100' }));
+    ({ user: reporter } = await createTestUser({ role: 'reporter', name: 'Rita Reporter', slackUserId: 'U200' }));
+  });
+
+  describe('Request verification', () => {
+    it('should reject bad signatures and stale requests', async () => {
+      await runCommand('U100', 'mine', { secret: 'not-the-secret' }).expect(401);
+      await runCommand('U100', 'mine', { timestamp: Math.floor(Date.now() / 1000) - 600 }).expect(401);
+    });
+  });
+
+  describe('/bug command', () => {
+    it('should file a bug with buttons', async () => {
+      console.log('🧪 Testing /bug new...');
+
+      const response = await runCommand('U100', 'new Checkout button does nothing').expect(200);
+
+      const bug = await Bug.findOne({ title: 'Checkout button does nothing' });
+      expect(bug.reporter).toEqual(developer._id);
+      expect(response.body.response_type).toBe('in_channel');
+      expect(response.body.text).toContain(`🐛 Dana Dev filed *${bug.key}* Checkout button does nothing`);
+      expect(response.body.blocks[1].elements.map(button => button.action_id)).toEqual(['bug_take', 'bug_resolve']);
+
+      console.log('✅ /bug new test passed');
+    });
+
+    it('should move a bug through the workflow', async () => {
+      const bug = await createBug();
+
+      const response = await runCommand('U100', `status ${bug.key} in progress`).expect(200);
+
+      expect(response.body.text).toContain(`from Open to In Progress`);
+      const updated = await Bug.findById(bug._id);
+      expect(updated.status).toBe('In Progress');
+      expect(updated.statusHistory[updated.statusHistory.length - 1].by).toBe('Dana Dev');
+    });
+
+    it('should tell users privately when they cannot make a move', async () => {
+      const bug = await createBug();
+
+      const response = await runCommand('U200', `status ${bug.key} Resolved`).expect(200);
+
+      expect(response.body.response_type).toBe('ephemeral');
+      expect(response.body.text).toMatch(/^⚠️ Only .* can move a bug from "Open" to "Resolved"/);
+      expect((await Bug.findById(bug._id)).status).toBe('Open');
+    });
+
+    it('should list the user\'s open bugs', async () => {
+      await createBug({ title: 'Search is slow', assignedTo: 'dana' });
+      await createBug({ title: 'Old crash', assignedTo: 'dana', status: 'Resolved' });
+      await createBug({ title: 'Someone else\'s', assignedTo: 'other' });
+
+      const response = await runCommand('U100', 'mine').expect(200);
+
+      expect(response.body.response_type).toBe('ephemeral');
+      expect(response.body.text).toContain('Search is slow');
+      expect(response.body.text).not.toContain('Old crash');
+      expect(response.body.text).not.toContain('Someone else');
+    });
+
+    it('should explain usage and unlinked accounts', async () => {
+      const usage = await runCommand('U100', 'dance').expect(200);
+      expect(usage.body.text).toContain('/bug new <title>');
+
+      const unlinked = await runCommand('U999', 'mine').expect(200);
+      expect(unlinked.body.text).toContain('not linked');
+    });
+  });
+
+  describe('Buttons', () => {
+    it('should let a developer take and resolve a bug', async () => {
+      console.log('🧪 Testing Slack buttons...');
+      const bug = await createBug();
+
+      await pressButton('U100', 'bug_take', bug).expect(200);
+      expect((await Bug.findById(bug._id)).assignedTo).toBe('dana');
+
+      await pressButton('U100', 'bug_resolve', bug).expect(200);
+      expect((await Bug.findById(bug._id)).status).toBe('Resolved');
+
+      expect(received.map(entry => entry.body.text)).toEqual([
+        `🙋 Dana Dev took *${bug.key}* Checkout fails`,
+        `✅ Dana Dev resolved *${bug.key}* Checkout fails`
+      ]);
+
+      console.log('✅ Slack buttons test passed');
+    });
+
+    it('should answer privately when the user lacks permission', async () => {
+      const bug = await createBug();
+
+      await pressButton('U200', 'bug_take', bug).expect(200);
+
+      expect((await Bug.findById(bug._id)).assignedTo).toBeFalsy();
+      expect(received[0].body).toMatchObject({ response_type: 'ephemeral', replace_original: false });
+      expect(received[0].body.text).toContain('bugs:assign');
+    });
+
+    it('should ignore malformed button payloads', async () => {
+      const bug = await createBug();
+      const press = (payload) => signedPost('/api/integrations/slack/actions', {
+        payload: JSON.stringify({ type: 'block_actions', response_url: slackUrl('/response'), ...payload })
+      });
+
+      await press({ actions: [{ action_id: 'bug_take', value: String(bug._id) }] }).expect(200);
+      await press({ user: { id: 'U100' }, actions: [{ action_id: 'bug_take', value: { $ne: null } }] }).expect(200);
+      await signedPost('/api/integrations/slack/actions', { payload: 'null' }).expect(200);
+
+      expect((await Bug.findById(bug._id)).assignedTo).toBeFalsy();
+      expect(received).toHaveLength(0);
+    });
+
+    it('should add the buttons to Slack notifications', async () => {
+      await NotificationRule.create({ name: 'Slack', channel: 'slack', target: slackUrl('/webhook'), events: ['bug.created'] });
+
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', `Bearer ${developer.getAccessToken()}`)
+        .send({ title: 'Cart empties', description: 'After login' })
+        .expect(201);
+      await processOutbox();
+
+      const bug = await Bug.findOne({ title: 'Cart empties' });
+      const [notification] = received;
+
+      expect(notification.body.text).toContain(`🐛 New Bug ${bug.key}: Cart empties`);
+      expect(notification.body.blocks[1].elements[0]).toMatchObject({ action_id: 'bug_take', value: String(bug._id) });
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Integration tests for the GitHub and GitLab integration
+ * Replays recorded webhook payloads (tests/fixtures/sourceControl) and checks
+ * that bugs are linked, commented on and resolved
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const Project = require('../../models/Project');
+const { parseReferences } = require('../../services/sourceControl');
+const githubPush = require('../fixtures/sourceControl/github-push.json');
+const githubPullRequest = require('../fixtures/sourceControl/github-pull-request-merged.json');
+const gitlabPush = require('../fixtures/sourceControl/gitlab-push.json');
+const gitlabMergeRequest = require('../fixtures/sourceControl/gitlab-merge-request-merged.json');
+const { createTestUser } = require('../helpers/auth');
+
+const GITHUB_SECRET = 'github-test-secret';
+const GITLAB_TOKEN = 'gitlab-test-token';
+
+describe('Source Control Integration Tests', () => {
+  let loginBug;
+  let sessionBug;
+
+  const sendGithub = (event, payload, secret = GITHUB_SECRET) => {
+    const body = JSON.stringify(payload);
+    const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+    return request(app)
+      .post('/api/integrations/github')
+      .set('Content-Type', 'application/json')
+      .set('X-GitHub-Event', event)
+      .set('X-Hub-Signature-256', signature)
+      .send(body);
+  };
+
+  const sendGitlab = (event, payload, token = GITLAB_TOKEN) => request(app)
+    .post('/api/integrations/gitlab')
+    .set('X-Gitlab-Event', event)
+    .set('X-Gitlab-Token', token)
+    .send(payload);
+
+  beforeAll(() => {
+    process.env.GITHUB_WEBHOOK_SECRET = GITHUB_SECRET;
+    process.env.GITLAB_WEBHOOK_TOKEN = GITLAB_TOKEN;
+  });
+
+  afterAll(() => {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+    delete process.env.GITLAB_WEBHOOK_TOKEN;
+  });
+
+  beforeEach(async () => {
+    const { user } = await createTestUser({ role: 'developer' });
+    const project = await Project.create({ name: 'Website', key: 'WEB' });
+    const reporter = { project: project._id, reportedBy: user.name, reporter: user._id };
+
+    // The fixtures reference WEB-1 and WEB-2
+    loginBug = await Bug.create({ title: 'Login loops', description: 'Redirects back to login', ...reporter });
+    sessionBug = await Bug.create({ title: 'Sessions expire', description: 'Logged out after an hour', ...reporter });
+  });
+
+  describe('Reference parsing', () => {
+    it('should tell closing references from plain ones', () => {
+      const id = '64f1c2a3b4d5e6f7a8b9c0d1';
+
+      expect(parseReferences(`Fixes WEB-1, web-2 and WEB-3\n\nRefs #${id}`)).toEqual([
+        { ref: 'WEB-1', resolves: true },
+        { ref: 'WEB-2', resolves: true },
+        { ref: 'WEB-3', resolves: true },
+        { ref: id, resolves: false }
+      ]);
+      expect(parseReferences('Bump WEB-1 dependencies')).toEqual([]);
+    });
+  });
+
+  describe('GitHub', () => {
+    it('should link commits and resolve fixed bugs on the default branch', async () => {
+      console.log('🧪 Testing GitHub push...');
+      expect(loginBug.key).toBe('WEB-1');
+
+      const response = await sendGithub('push', githubPush).expect(200);
+
+      expect(response.body.data.references).toEqual([
+        expect.objectContaining({ ref: 'WEB-1', linked: 'added', resolved: true, status: 'Resolved' }),
+        expect.objectContaining({ ref: 'WEB-2', linked: 'added' })
+      ]);
+
+      const resolved = await Bug.findById(loginBug._id);
+      expect(resolved.status).toBe('Resolved');
+      expect(resolved.statusHistory[resolved.statusHistory.length - 1]).toMatchObject({
+        from: 'Open', to: 'Resolved', by: 'Jane Doe', reason: 'Fixed in commit 4a7d2c9'
+      });
+      expect(resolved.codeLinks[0]).toMatchObject({ provider: 'github', kind: 'commit', repository: 'acme/web', author: 'Jane Doe' });
+      expect(resolved.comments[0].author).toBe('Jane Doe');
+      expect(resolved.comments[0].message).toContain('🔗 Mentioned in [commit 4a7d2c9](https://github.com/acme/web/commit/');
+
+      // "Refs" only links
+      const referenced = await Bug.findById(sessionBug._id);
+      expect(referenced.status).toBe('Open');
+      expect(referenced.codeLinks).toHaveLength(1);
+
+      console.log('✅ GitHub push test passed');
+    });
+
+    it('should ignore replays of the same push', async () => {
+      await sendGithub('push', githubPush).expect(200);
+      const response = await sendGithub('push', githubPush).expect(200);
+
+      expect(response.body.data.references[0]).toMatchObject({ linked: null, resolved: false, note: 'Already Resolved' });
+
+      const bug = await Bug.findById(loginBug._id);
+      expect(bug.codeLinks).toHaveLength(1);
+      expect(bug.comments).toHaveLength(1);
+    });
+
+    it('should only link commits pushed to other branches', async () => {
+      await sendGithub('push', { ...githubPush, ref: 'refs/heads/fix/login' }).expect(200);
+
+      const bug = await Bug.findById(loginBug._id);
+      expect(bug.status).toBe('Open');
+      expect(bug.codeLinks).toHaveLength(1);
+    });
+
+    it('should only link commits when the default branch is unknown', async () => {
+      // Also drops the commit authors, which the payload does not promise either
+      await sendGithub('push', {
+        ...githubPush,
+        repository: { ...githubPush.repository, default_branch: undefined },
+        commits: githubPush.commits.map(commit => ({ ...commit, author: undefined }))
+      }).expect(200);
+
+      const bug = await Bug.findById(loginBug._id);
+      expect(bug.status).toBe('Open');
+      expect(bug.codeLinks).toHaveLength(1);
+    });
+
+    it('should resolve bugs closed by a merged pull request', async () => {
+      const response = await sendGithub('pull_request', githubPullRequest).expect(200);
+
+      expect(response.body.data.references).toEqual([
+        expect.objectContaining({ ref: 'WEB-2', linked: 'added', resolved: true })
+      ]);
+
+      const bug = await Bug.findById(sessionBug._id);
+      expect(bug.status).toBe('Resolved');
+      expect(bug.statusHistory[bug.statusHistory.length - 1].by).toBe('octocat');
+      expect(bug.codeLinks[0]).toMatchObject({ kind: 'pull_request', ref: '7', state: 'merged' });
+    });
+
+    it('should reject requests with a bad signature', async () => {
+      await sendGithub('push', githubPush, 'wrong-secret').expect(401);
+
+      const bug = await Bug.findById(loginBug._id);
+      expect(bug.status).toBe('Open');
+    });
+
+    it('should acknowledge events it does not handle', async () => {
+      const response = await sendGithub('issues', { action: 'opened' }).expect(200);
+      expect(response.body.data.references).toEqual([]);
+    });
+  });
+
+  describe('GitLab', () => {
+    it('should resolve bugs from pushes and merged merge requests', async () => {
+      console.log('🧪 Testing GitLab events...');
+
+      await sendGitlab('Push Hook', gitlabPush).expect(200);
+      await sendGitlab('Merge Request Hook', gitlabMergeRequest).expect(200);
+
+      const [login, session] = await Promise.all([Bug.findById(loginBug._id), Bug.findById(sessionBug._id)]);
+
+      expect(login.status).toBe('Resolved');
+      expect(login.statusHistory[login.statusHistory.length - 1].by).toBe('Sam Smith');
+      expect(session.status).toBe('Resolved');
+      expect(session.comments[0].message).toContain('[merge request acme/web!3]');
+
+      console.log('✅ GitLab events test passed');
+    });
+
+    it('should not resolve bugs from a push without project details', async () => {
+      await sendGitlab('Push Hook', { ...gitlabPush, project: undefined }).expect(200);
+
+      const bug = await Bug.findById(loginBug._id);
+      expect(bug.status).toBe('Open');
+      expect(bug.codeLinks).toHaveLength(1);
+    });
+
+    it('should reject a wrong token', async () => {
+      await sendGitlab('Push Hook', gitlabPush, 'nope').expect(401);
+    });
+  });
+
+  it('should answer 503 when the integration is not configured', async () => {
+    delete process.env.GITLAB_WEBHOOK_TOKEN;
+
+    try {
+      await sendGitlab('Push Hook', gitlabPush).expect(503);
+    } finally {
+      process.env.GITLAB_WEBHOOK_TOKEN = GITLAB_TOKEN;
+    }
+  });
+});
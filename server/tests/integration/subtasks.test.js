@@ -0,0 +1,161 @@
+/**
+ * Integration tests for sub-tasks
+ * Tests parent assignment, roll-up progress and blocking parent resolution
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Sub-task Integration Tests', () => {
+  let authHeader;
+  let parentKey;
+
+  const createBug = (title, fields = {}) => request(app)
+    .post('/api/bugs')
+    .set('Authorization', authHeader)
+    .send({ title, description: `${title} description`, project: 'WEB', ...fields });
+
+  const setStatus = (key, status) => request(app)
+    .patch(`/api/bugs/${key}/status`)
+    .set('Authorization', authHeader)
+    .send({ status });
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+
+    await request(app)
+      .post('/api/projects')
+      .set('Authorization', authHeader)
+      .send({ name: 'Website', key: 'WEB' })
+      .expect(201);
+
+    parentKey = (await createBug('Rebuild checkout').expect(201)).body.data.key;
+  });
+
+  describe('Creating sub-tasks', () => {
+    it('should roll up sub-task progress onto the parent', async () => {
+      console.log('🧪 Testing roll-up progress...');
+
+      const first = await createBug('Update cart API', { parent: parentKey }).expect(201);
+      await createBug('Redesign payment step', { parent: parentKey }).expect(201);
+      await setStatus(first.body.data.key, 'Resolved').expect(200);
+
+      const parent = await request(app)
+        .get(`/api/bugs/${parentKey}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(parent.body.data.progress).toEqual({ total: 2, done: 1 });
+      expect(parent.body.data.subtasks.map(bug => bug.title)).toEqual(['Update cart API', 'Redesign payment step']);
+
+      const list = await request(app)
+        .get('/api/bugs?project=WEB')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const listedParent = list.body.data.find(bug => bug.key === parentKey);
+      expect(listedParent.progress).toEqual({ total: 2, done: 1 });
+
+      console.log('✅ Roll-up progress test passed');
+    });
+
+    it('should filter bugs by parent', async () => {
+      await createBug('Update cart API', { parent: parentKey }).expect(201);
+      await createBug('Unrelated bug').expect(201);
+
+      const response = await request(app)
+        .get(`/api/bugs?parent=${parentKey}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].title).toBe('Update cart API');
+    });
+
+    it('should reject parents in another project', async () => {
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', authHeader)
+        .send({ name: 'Mobile', key: 'MOB' })
+        .expect(201);
+
+      await request(app)
+        .post('/api/bugs')
+        .set('Authorization', authHeader)
+        .send({ title: 'Crash', description: 'App crashes', project: 'MOB', parent: parentKey })
+        .expect(400);
+    });
+
+    it('should reject query operators in place of a parent', async () => {
+      const bug = await createBug('Update cart API').expect(201);
+
+      await request(app)
+        .put(`/api/bugs/${bug.body.data.key}`)
+        .set('Authorization', authHeader)
+        .send({ parent: { $ne: null } })
+        .expect(400);
+      await createBug('Redesign payment step', { parent: { $ne: null } }).expect(400);
+      await request(app)
+        .get('/api/bugs?parent[$ne]=x')
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(await Bug.countDocuments({ parent: { $ne: null } })).toBe(0);
+    });
+
+    it('should reject parent loops', async () => {
+      const child = await createBug('Update cart API', { parent: parentKey }).expect(201);
+
+      const response = await request(app)
+        .put(`/api/bugs/${parentKey}`)
+        .set('Authorization', authHeader)
+        .send({ parent: child.body.data.key })
+        .expect(400);
+
+      expect(response.body.message).toContain('sub-tasks');
+    });
+
+    it('should detach a sub-task with a null parent', async () => {
+      const child = await createBug('Update cart API', { parent: parentKey }).expect(201);
+
+      await request(app)
+        .put(`/api/bugs/${child.body.data.key}`)
+        .set('Authorization', authHeader)
+        .send({ parent: null })
+        .expect(200);
+
+      expect(await Bug.countDocuments({ parent: { $ne: null } })).toBe(0);
+    });
+  });
+
+  describe('Resolving parents', () => {
+    beforeEach(async () => {
+      await createBug('Update cart API', { parent: parentKey }).expect(201);
+    });
+
+    it('should allow resolving a parent with open sub-tasks by default', async () => {
+      await setStatus(parentKey, 'Resolved').expect(200);
+    });
+
+    it('should block resolving a parent with open sub-tasks when the project requires it', async () => {
+      console.log('🧪 Testing parent resolution guard...');
+
+      await request(app)
+        .put('/api/projects/WEB')
+        .set('Authorization', authHeader)
+        .send({ requireSubtasksResolved: true })
+        .expect(200);
+
+      const response = await setStatus(parentKey, 'Resolved').expect(400);
+      expect(response.body.message).toContain('sub-tasks are open');
+
+      const child = await Bug.findOne({ parent: { $ne: null } });
+      await setStatus(child.key, 'Resolved').expect(200);
+      await setStatus(parentKey, 'Resolved').expect(200);
+
+      console.log('✅ Parent resolution guard test passed');
+    });
+  });
+});
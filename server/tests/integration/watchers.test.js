@@ -0,0 +1,225 @@
+/**
+ * Integration tests for watchers and watcher notifications
+ * Tests automatic watchers, watch/unwatch and notification preferences
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const Bug = require('../../models/Bug');
+const Notification = require('../../models/Notification');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Watcher Integration Tests', () => {
+  let reporter;
+  let reporterHeader;
+  let assignee;
+  let assigneeHeader;
+  let triager;
+  let triagerHeader;
+  let bugId;
+
+  const notificationsFor = (user) => Notification.find({ recipient: user._id }).sort({ createdAt: 1 });
+
+  beforeEach(async () => {
+    ({ user: reporter, authHeader: reporterHeader } = await createTestUser({ role: 'reporter', name: 'Rita Reporter' }));
+    ({ user: assignee, authHeader: assigneeHeader } = await createTestUser({ role: 'developer', name: 'Dana Dev', username: 'dana' }));
+    ({ user: triager, authHeader: triagerHeader } = await createTestUser({ role: 'triager', name: 'Tom Triager' }));
+
+    const bug = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', reporterHeader)
+      .send({ title: 'Checkout fails', description: 'Payment step errors' })
+      .expect(201);
+    bugId = bug.body.data._id;
+  });
+
+  describe('Automatic watchers', () => {
+    it('should make the reporter and the assignee watch the bug', async () => {
+      console.log('🧪 Testing automatic watchers...');
+
+      await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', triagerHeader)
+        .send({ assignedTo: 'dana' })
+        .expect(200);
+
+      const bug = await Bug.findById(bugId);
+      expect(bug.watchers.map(String)).toEqual([String(reporter._id), String(assignee._id)]);
+
+      const [notification] = await notificationsFor(assignee);
+      expect(notification.type).toBe('assignment');
+      expect(notification.message).toBe(`Tom Triager assigned ${bug.key} to dana`);
+
+      console.log('✅ Automatic watchers test passed');
+    });
+
+    it('should ignore watchers sent in an update', async () => {
+      await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', reporterHeader)
+        .send({ watchers: [String(triager._id)] })
+        .expect(200);
+
+      const bug = await Bug.findById(bugId);
+      expect(bug.watchers.map(String)).toEqual([String(reporter._id)]);
+    });
+  });
+
+  describe('Notifications', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post(`/api/bugs/${bugId}/watch`)
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+    });
+
+    it('should notify watchers, but not the actor, about status changes', async () => {
+      await request(app)
+        .patch(`/api/bugs/${bugId}/status`)
+        .set('Authorization', assigneeHeader)
+        .send({ status: 'In Progress' })
+        .expect(200);
+
+      const [notification] = await notificationsFor(reporter);
+      expect(notification.type).toBe('status_change');
+      expect(notification.message).toContain('Dana Dev moved');
+      expect(notification.message).toContain('from Open to In Progress');
+      expect(await notificationsFor(assignee)).toHaveLength(0);
+    });
+
+    it('should notify watchers about comments and priority changes', async () => {
+      await request(app)
+        .post(`/api/bugs/${bugId}/comments`)
+        .set('Authorization', assigneeHeader)
+        .send({ message: 'Looking into it' })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/bugs/${bugId}`)
+        .set('Authorization', triagerHeader)
+        .send({ priority: 'High' })
+        .expect(200);
+
+      const types = (await notificationsFor(reporter)).map(notification => notification.type);
+      expect(types).toEqual(['comment', 'priority_change']);
+    });
+
+    it('should not send a comment notification on top of a mention', async () => {
+      await request(app)
+        .post(`/api/bugs/${bugId}/comments`)
+        .set('Authorization', reporterHeader)
+        .send({ message: '@dana any news?' })
+        .expect(201);
+
+      const types = (await notificationsFor(assignee)).map(notification => notification.type);
+      expect(types).toEqual(['mention']);
+    });
+
+    it('should stop notifying after unwatching', async () => {
+      const response = await request(app)
+        .delete(`/api/bugs/${bugId}/watch`)
+        .set('Authorization', assigneeHeader)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ watching: false, watchers: 1 });
+
+      await request(app)
+        .post(`/api/bugs/${bugId}/comments`)
+        .set('Authorization', reporterHeader)
+        .send({ message: 'Any news?' })
+        .expect(201);
+
+      expect(await notificationsFor(assignee)).toHaveLength(0);
+    });
+
+    it('should respect notification preferences', async () => {
+      const response = await request(app)
+        .put('/api/users/me/notification-preferences')
+        .set('Authorization', reporterHeader)
+        .send({ comment: false })
+        .expect(200);
+
+      expect(response.body.data.comment).toBe(false);
+      expect(response.body.data.status_change).toBe(true);
+
+      await request(app)
+        .post(`/api/bugs/${bugId}/comments`)
+        .set('Authorization', assigneeHeader)
+        .send({ message: 'Looking into it' })
+        .expect(201);
+
+      expect(await notificationsFor(reporter)).toHaveLength(0);
+    });
+  });
+
+  describe('New bugs', () => {
+    it('should notify project members when a bug is filed', async () => {
+      console.log('🧪 Testing new bug notifications...');
+      const { user: admin, authHeader: adminHeader } = await createTestUser({ role: 'admin' });
+
+      // The admin becomes a member by creating the project
+      const project = await request(app)
+        .post('/api/projects')
+        .set('Authorization', adminHeader)
+        .send({ name: 'Website', key: 'WEB' })
+        .expect(201);
+      for (const member of [triager, assignee]) {
+        await request(app)
+          .post(`/api/projects/${project.body.data._id}/members`)
+          .set('Authorization', adminHeader)
+          .send({ userId: String(member._id) })
+          .expect(200);
+      }
+
+      const bug = await request(app)
+        .post('/api/bugs')
+        .set('Authorization', triagerHeader)
+        .send({ title: 'Search is slow', description: 'Takes seconds', project: 'WEB', assignedTo: 'dana' })
+        .expect(201);
+      const { key } = bug.body.data;
+
+      const [notification] = await notificationsFor(admin);
+      expect(notification.type).toBe('new_bug');
+      expect(notification.bugKey).toBe(key);
+      expect(notification.message).toBe(`Tom Triager filed ${key}: Search is slow`);
+
+      // The assignee hears about it through the assignment, and the actor not at all
+      expect((await notificationsFor(assignee)).map(n => n.type)).toEqual(['assignment']);
+      expect(await notificationsFor(triager)).toHaveLength(0);
+
+      console.log('✅ New bug notification test passed');
+    });
+  });
+
+  describe('Notification preferences', () => {
+    it('should return every type switched on by default', async () => {
+      const response = await request(app)
+        .get('/api/users/me/notification-preferences')
+        .set('Authorization', reporterHeader)
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        mention: true,
+        new_bug: true,
+        status_change: true,
+        comment: true,
+        assignment: true,
+        priority_change: true
+      });
+    });
+
+    it('should reject unknown types and non-boolean values', async () => {
+      await request(app)
+        .put('/api/users/me/notification-preferences')
+        .set('Authorization', reporterHeader)
+        .send({ digest: true })
+        .expect(400);
+
+      await request(app)
+        .put('/api/users/me/notification-preferences')
+        .set('Authorization', reporterHeader)
+        .send({ comment: 'no' })
+        .expect(400);
+    });
+  });
+});
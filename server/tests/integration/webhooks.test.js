@@ -0,0 +1,261 @@
+/**
+ * Integration tests for outbound webhooks
+ * Tests registration, signed deliveries, retries, the delivery log,
+ * redelivery and auto-disable against a local HTTP receiver, and that
+ * private network targets are refused unless allowed
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const app = require('../../server');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { processWebhookDeliveries } = require('../../services/webhooks');
+const { WEBHOOK_DISABLE_AFTER_FAILURES } = require('../../config/webhooks');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Webhook Integration Tests', () => {
+  let receiver;
+  let received;
+  let failures;
+  let adminHeader;
+  let developerHeader;
+
+  const receiverUrl = (path = '/hook') => `http://127.0.0.1:${receiver.address().port}${path}`;
+
+  const registerWebhook = (fields = {}) => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', adminHeader)
+    .send({ name: 'Deploy bot', url: receiverUrl(), events: ['bug.created'], ...fields });
+
+  const createBug = () => request(app)
+    .post('/api/bugs')
+    .set('Authorization', developerHeader)
+    .send({ title: 'Login loops', description: 'Redirects back to login' })
+    .expect(201);
+
+  beforeAll((done) => {
+    // The receiver listens on loopback
+    process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+
+    // Answers 503 while `failures` is above zero and records every request
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        if (failures > 0) {
+          failures -= 1;
+          res.statusCode = 503;
+          return res.end('try later');
+        }
+        res.end('thanks');
+      });
+    });
+    receiver.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+    receiver.close(done);
+  });
+
+  beforeEach(async () => {
+    received = [];
+    failures = 0;
+    ({ authHeader: adminHeader } = await createTestUser({ role: 'admin' }));
+    ({ authHeader: developerHeader } = await createTestUser({ role: 'developer', name: 'Dana Dev' }));
+  });
+
+  describe('Registration', () => {
+    it('should show the secret only once', async () => {
+      const response = await registerWebhook().expect(201);
+
+      expect(response.body.data.secret).toMatch(/^whsec_/);
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].secret).toBeUndefined();
+    });
+
+    it('should validate the URL and events', async () => {
+      await registerWebhook({ url: 'ftp://example.com/hook' }).expect(400);
+      await registerWebhook({ events: ['bug.exploded'] }).expect(400);
+      await registerWebhook({ secret: 'short' }).expect(400);
+    });
+
+    it('should be admin only', async () => {
+      await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', developerHeader)
+        .expect(403);
+    });
+  });
+
+  describe('Deliveries', () => {
+    it('should send signed payloads for subscribed events', async () => {
+      console.log('🧪 Testing signed webhook delivery...');
+
+      const secret = 'a-shared-secret-for-tests';
+      await registerWebhook({ secret, events: ['bug.created', 'comment.added'] }).expect(201);
+
+      const bug = await createBug();
+      await request(app)
+        .patch(`/api/bugs/${bug.body.data._id}/status`)
+        .set('Authorization', developerHeader)
+        .send({ status: 'In Progress' })
+        .expect(200);
+
+      expect(await processWebhookDeliveries()).toEqual({ succeeded: 1, retry: 0, failed: 0 });
+      expect(received).toHaveLength(1);
+
+      const [{ headers, body }] = received;
+      const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+      expect(headers['x-bugtracker-signature-256']).toBe(expected);
+      expect(headers['x-bugtracker-event']).toBe('bug.created');
+      expect(headers['content-type']).toContain('application/json');
+
+      const payload = JSON.parse(body);
+      expect(payload).toMatchObject({
+        event: 'bug.created',
+        bug: { key: bug.body.data.key, title: 'Login loops', status: 'Open' },
+        actor: { name: 'Dana Dev' }
+      });
+
+      const delivery = await WebhookDelivery.findOne();
+      expect(headers['x-bugtracker-delivery']).toBe(String(delivery._id));
+      expect(delivery.attempts[0]).toMatchObject({ responseStatus: 200, responseBody: 'thanks' });
+
+      console.log('✅ Signed webhook delivery test passed');
+    });
+
+    it('should retry with backoff and log every attempt', async () => {
+      const { body: { data: webhook } } = await registerWebhook().expect(201);
+      failures = 1;
+      await createBug();
+
+      const now = new Date();
+      expect(await processWebhookDeliveries({ now })).toEqual({ succeeded: 0, retry: 1, failed: 0 });
+      expect(await processWebhookDeliveries({ now })).toEqual({ succeeded: 0, retry: 0, failed: 0 });
+
+      const pending = await WebhookDelivery.findOne();
+      expect(pending.status).toBe('pending');
+      expect(pending.nextAttemptAt.getTime()).toBeGreaterThan(now.getTime());
+
+      expect(await processWebhookDeliveries({ now: new Date(pending.nextAttemptAt.getTime() + 1) }))
+        .toEqual({ succeeded: 1, retry: 0, failed: 0 });
+
+      // Both requests carried the same delivery ID and body
+      expect(received).toHaveLength(2);
+      expect(received[1].body).toBe(received[0].body);
+      expect(received[1].headers['x-bugtracker-delivery']).toBe(received[0].headers['x-bugtracker-delivery']);
+
+      const log = await request(app)
+        .get(`/api/webhooks/${webhook._id}/deliveries`)
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(log.body.data).toHaveLength(1);
+      expect(log.body.data[0].status).toBe('succeeded');
+      expect(log.body.data[0].responseStatus).toBe(200);
+      expect(log.body.data[0].attempts.map(attempt => attempt.responseStatus)).toEqual([503, 200]);
+      expect(log.body.data[0].body).toBeUndefined();
+    });
+
+    it('should redeliver a past delivery', async () => {
+      const { body: { data: webhook } } = await registerWebhook().expect(201);
+      await createBug();
+      await processWebhookDeliveries();
+
+      const original = await WebhookDelivery.findOne();
+
+      const response = await request(app)
+        .post(`/api/webhooks/${webhook._id}/deliveries/${original._id}/redeliver`)
+        .set('Authorization', adminHeader)
+        .expect(201);
+
+      expect(response.body.data.redeliveryOf).toBe(String(original._id));
+
+      await processWebhookDeliveries();
+
+      expect(received).toHaveLength(2);
+      expect(received[1].body).toBe(received[0].body);
+      expect(received[1].headers['x-bugtracker-delivery']).toBe(response.body.data._id);
+    });
+
+    it('should disable a webhook that keeps failing', async () => {
+      console.log('🧪 Testing webhook auto-disable...');
+
+      const { body: { data: webhook } } = await registerWebhook().expect(201);
+      await Webhook.updateOne({ _id: webhook._id }, { consecutiveFailures: WEBHOOK_DISABLE_AFTER_FAILURES - 1 });
+
+      failures = 1;
+      await createBug();
+      await processWebhookDeliveries();
+
+      const disabled = await Webhook.findById(webhook._id);
+      expect(disabled.active).toBe(false);
+      expect(disabled.disabledReason).toContain('HTTP 503');
+
+      // Disabled webhooks get no new deliveries and cannot be redelivered to
+      await createBug();
+      expect(await WebhookDelivery.countDocuments()).toBe(1);
+
+      const delivery = await WebhookDelivery.findOne();
+      await request(app)
+        .post(`/api/webhooks/${webhook._id}/deliveries/${delivery._id}/redeliver`)
+        .set('Authorization', adminHeader)
+        .expect(400);
+
+      // Re-enabling starts the failure count over
+      const enabled = await request(app)
+        .put(`/api/webhooks/${webhook._id}`)
+        .set('Authorization', adminHeader)
+        .send({ active: true })
+        .expect(200);
+
+      expect(enabled.body.data).toMatchObject({ active: true, consecutiveFailures: 0 });
+
+      console.log('✅ Webhook auto-disable test passed');
+    });
+  });
+
+  describe('Private network targets', () => {
+    beforeEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'false';
+    });
+
+    afterEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+    });
+
+    it('should reject private addresses when registering', async () => {
+      await registerWebhook().expect(400);
+      await registerWebhook({ url: 'http://169.254.169.254/latest/meta-data/' }).expect(400);
+      await registerWebhook({ url: 'http://localhost:8080/hook' }).expect(400);
+      await registerWebhook({ url: 'http://[::1]/hook' }).expect(400);
+    });
+
+    it('should not send to hostnames that resolve to a private address', async () => {
+      // Registered while private targets were allowed
+      process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'true';
+      const { body: { data: webhook } } = await registerWebhook({ url: receiverUrl().replace('127.0.0.1', 'localhost') })
+        .expect(201);
+      process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS = 'false';
+
+      await createBug();
+      expect(await processWebhookDeliveries()).toEqual({ succeeded: 0, retry: 1, failed: 0 });
+
+      expect(received).toHaveLength(0);
+      const delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+      expect(delivery.attempts[0].error).toContain('private network address');
+      expect(delivery.attempts[0].responseBody).toBeUndefined();
+    });
+  });
+});
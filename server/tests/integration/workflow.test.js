@@ -0,0 +1,207 @@
+/**
+ * Integration tests for per-project workflows
+ * Tests status transitions, role-restricted moves and custom workflow definitions
+ */
+
+const request = require('supertest');
+const app = require('../../server');
+const { createTestUser } = require('../helpers/auth');
+
+describe('Workflow API Integration Tests', () => {
+  let authHeader;
+
+  const sampleBug = {
+    title: 'Search results flicker',
+    description: 'Results list flickers while typing a query'
+  };
+
+  const createBug = async (overrides = {}) => {
+    const response = await request(app)
+      .post('/api/bugs')
+      .set('Authorization', authHeader)
+      .send({ ...sampleBug, ...overrides })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const moveTo = (bug, status, header = authHeader) => request(app)
+    .patch(`/api/bugs/${bug.key}/status`)
+    .set('Authorization', header)
+    .send({ status });
+
+  beforeEach(async () => {
+    ({ authHeader } = await createTestUser({ role: 'admin' }));
+  });
+
+  describe('Default workflow', () => {
+    it('should start new bugs in the initial status', async () => {
+      const bug = await createBug();
+
+      expect(bug.status).toBe('Open');
+    });
+
+    it('should reject transitions the workflow does not define', async () => {
+      console.log('🧪 Testing illegal transition...');
+
+      const bug = await createBug();
+
+      const response = await moveTo(bug, 'Closed').expect(400);
+
+      expect(response.body.message).toContain('Cannot move a bug from "Open" to "Closed"');
+      expect(response.body.message).toContain('In Progress');
+
+      console.log('✅ Illegal transition test passed');
+    });
+
+    it('should reject unknown statuses', async () => {
+      const bug = await createBug();
+
+      const response = await moveTo(bug, 'Done').expect(400);
+
+      expect(response.body.message).toContain('Unknown status "Done"');
+    });
+
+    it('should enforce the same rules on PUT', async () => {
+      const bug = await createBug();
+
+      await request(app)
+        .put(`/api/bugs/${bug.key}`)
+        .set('Authorization', authHeader)
+        .send({ status: 'Verified', title: 'Changed' })
+        .expect(400);
+
+      const unchanged = await request(app)
+        .get(`/api/bugs/${bug.key}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(unchanged.body.data.status).toBe('Open');
+      expect(unchanged.body.data.title).toBe(sampleBug.title);
+    });
+
+    it('should only let QA verify a resolved bug', async () => {
+      console.log('🧪 Testing QA-only transition...');
+
+      const bug = await createBug();
+      await moveTo(bug, 'Resolved').expect(200);
+
+      const { authHeader: developerHeader } = await createTestUser({ role: 'developer' });
+      const { authHeader: qaHeader } = await createTestUser({ role: 'qa' });
+
+      const denied = await moveTo(bug, 'Verified', developerHeader).expect(403);
+      expect(denied.body.message).toContain('qa');
+
+      const verified = await moveTo(bug, 'Verified', qaHeader).expect(200);
+      expect(verified.body.data.status).toBe('Verified');
+      expect(verified.body.data.statusHistory).toHaveLength(2);
+
+      console.log('✅ QA-only transition test passed');
+    });
+  });
+
+  describe('Custom workflows', () => {
+    const customWorkflow = {
+      initialStatus: 'New',
+      statuses: [
+        { name: 'New', category: 'open' },
+        { name: 'Doing', category: 'in_progress' },
+        { name: 'Done', category: 'done' }
+      ],
+      transitions: [
+        { from: 'New', to: 'Doing' },
+        { from: 'Doing', to: 'Done', roles: ['developer', 'admin'] }
+      ]
+    };
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/projects')
+        .set('Authorization', authHeader)
+        .send({ name: 'Website', key: 'WEB' })
+        .expect(201);
+    });
+
+    it('should return the default workflow for new projects', async () => {
+      const response = await request(app)
+        .get('/api/projects/WEB/workflow')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.initialStatus).toBe('Open');
+      expect(response.body.data.statuses.map(status => status.name)).toContain("Won't Fix");
+    });
+
+    it('should apply a custom workflow to the project', async () => {
+      console.log('🧪 Testing custom workflow...');
+
+      await request(app)
+        .put('/api/projects/WEB/workflow')
+        .set('Authorization', authHeader)
+        .send(customWorkflow)
+        .expect(200);
+
+      const bug = await createBug({ project: 'WEB' });
+      expect(bug.status).toBe('New');
+
+      await moveTo(bug, 'Done').expect(400);
+      await moveTo(bug, 'Doing').expect(200);
+      const done = await moveTo(bug, 'Done').expect(200);
+
+      expect(done.body.data.status).toBe('Done');
+
+      console.log('✅ Custom workflow test passed');
+    });
+
+    it('should reject invalid workflow definitions', async () => {
+      const response = await request(app)
+        .put('/api/projects/WEB/workflow')
+        .set('Authorization', authHeader)
+        .send({
+          ...customWorkflow,
+          transitions: [{ from: 'New', to: 'Missing' }]
+        })
+        .expect(400);
+
+      expect(response.body.errors[0]).toContain('unknown status');
+    });
+
+    it('should report malformed transitions as validation errors', async () => {
+      const response = await request(app)
+        .put('/api/projects/WEB/workflow')
+        .set('Authorization', authHeader)
+        .send({
+          ...customWorkflow,
+          transitions: [null, { from: 'New', to: 'Doing', roles: 'admin' }]
+        })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        'Transition 1 must be an object with from and to',
+        'Transition "New" → "Doing" roles must be an array'
+      ]);
+    });
+
+    it('should not remove statuses that bugs still use', async () => {
+      await createBug({ project: 'WEB' });
+
+      const response = await request(app)
+        .put('/api/projects/WEB/workflow')
+        .set('Authorization', authHeader)
+        .send(customWorkflow)
+        .expect(400);
+
+      expect(response.body.message).toContain('Open');
+    });
+
+    it('should only let admins change workflows', async () => {
+      const { authHeader: triagerHeader } = await createTestUser({ role: 'triager' });
+
+      await request(app)
+        .put('/api/projects/WEB/workflow')
+        .set('Authorization', triagerHeader)
+        .send(customWorkflow)
+        .expect(403);
+    });
+  });
+});
@@ -3,10 +3,14 @@
  * Configures test environment and database connection
  */
 
+const os = require('os');
+const path = require('path');
 const mongoose = require('mongoose');
 
 // Set test environment
 process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.ATTACHMENT_STORAGE_DIR = path.join(os.tmpdir(), 'mern-bug-tracker-test-uploads');
 
 // Connect to test database before all tests
 beforeAll(async () => {
@@ -0,0 +1,72 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Network address helpers
+ * Used to keep outgoing requests to admin-supplied URLs (webhooks) away from
+ * this machine and the internal network
+ */
+
+// Loopback, link-local (cloud metadata), private and other non-public ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, link-local or on a private network
+ * IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+ * @param {string} address - IP address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Whether a URL's host is a private IP address or localhost, without resolving it
+ * @param {URL} url - Parsed URL
+ * @returns {boolean}
+ */
+const isPrivateHost = (url) => {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+};
+
+/**
+ * dns.lookup that refuses hostnames resolving to a private address
+ * Given to the HTTP agent so the check applies to the address actually
+ * connected to, not one resolved earlier
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`${hostname} resolves to a private network address`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isPrivateHost,
+  publicOnlyLookup
+};
@@ -0,0 +1,39 @@
+/**
+ * Logging helpers
+ * Strip credentials from request payloads and headers before they reach the logs
+ */
+
+// Matched case-insensitively, since header names arrive in any case
+const SENSITIVE_KEYS = [
+  'password', 'refreshToken', 'accessToken', 'token', 'authorization', 'cookie',
+  // GitLab sends the shared webhook secret as-is
+  'x-gitlab-token',
+  // Outgoing webhook signing secrets
+  'secret',
+  // Notification channel targets: Slack webhook URLs carry their credentials, e-mail rules list addresses
+  'target'
+].map(key => key.toLowerCase());
+
+/**
+ * Return a shallow copy of a request body or headers with sensitive values masked
+ * @param {Object} values - Parsed request body or header map
+ * @returns {Object} Copy safe for logging
+ */
+const redactSensitive = (values) => {
+  if (!values || typeof values !== 'object') {
+    return values;
+  }
+
+  const copy = { ...values };
+  Object.keys(copy).forEach((key) => {
+    if (copy[key] !== undefined && SENSITIVE_KEYS.includes(key.toLowerCase())) {
+      copy[key] = '[REDACTED]';
+    }
+  });
+
+  return copy;
+};
+
+module.exports = {
+  redactSensitive
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+/**
+ * Request signature helpers
+ * Used by integrations that authenticate webhooks with a shared secret
+ */
+
+/**
+ * HMAC-SHA256 of a payload as hex
+ * @param {string} secret - Shared secret
+ * @param {string|Buffer} payload - Signed bytes
+ * @returns {string}
+ */
+const hmacSha256 = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Compare a value from a request with the expected one without leaking where they differ
+ * @param {string} given - Value from the request (may be missing)
+ * @param {string} expected - Value it must equal
+ * @returns {boolean}
+ */
+const safeEqual = (given, expected) => {
+  if (typeof given !== 'string') return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  hmacSha256,
+  safeEqual
+};